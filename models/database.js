@@ -0,0 +1,1455 @@
+const BetterSqlite3 = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const migrations = require('./migrations');
+const { TEXT_FIELDS, bodyRegion } = require('../utils/search');
+
+// Field definitions per entity. Keys are the camelCase names used by the API,
+// values are the storage type. Column names are the snake_case equivalent.
+// Entities with a `syncType` are versioned for client sync (see Versioned writes).
+const ENTITIES = {
+    reports: {
+        table: 'reports',
+        fields: {
+            id: 'text',
+            serialNumber: 'text',
+            employeeName: 'text',
+            employeeId: 'text',
+            employeePhone: 'text',
+            canonicalEmployeeId: 'text',
+            client: 'text',
+            clientId: 'text',
+            location: 'text',
+            siteId: 'text',
+            incidentDate: 'text',
+            incidentTime: 'text',
+            reportedDate: 'text',
+            reportedTime: 'text',
+            injuryType: 'text',
+            description: 'text',
+            witnessName: 'text',
+            witnessContact: 'text',
+            bodyParts: 'json',
+            reportClassification: 'text',
+            reporterName: 'text',
+            reporterPosition: 'text',
+            medicalDecline: 'json',
+            drugTest: 'json',
+            latitude: 'real',
+            longitude: 'real',
+            provisionalId: 'text',
+            caseId: 'text',
+            createdAt: 'text'
+        }
+    },
+    employees: {
+        table: 'employees',
+        fields: {
+            id: 'text',
+            employeeNumber: 'text',
+            name: 'text',
+            nameKey: 'text',
+            phone: 'text',
+            preferredLanguage: 'text',
+            client: 'text',
+            createdAt: 'text',
+            updatedAt: 'text'
+        }
+    },
+    clients: {
+        table: 'clients',
+        fields: {
+            id: 'text',
+            name: 'text',
+            nameKey: 'text',
+            safetyContactName: 'text',
+            safetyContactEmail: 'text',
+            safetyContactPhone: 'text',
+            active: 'bool',
+            createdAt: 'text',
+            updatedAt: 'text'
+        }
+    },
+    clientSites: {
+        table: 'client_sites',
+        fields: {
+            id: 'text',
+            clientId: 'text',
+            name: 'text',
+            address: 'text',
+            latitude: 'real',
+            longitude: 'real',
+            supervisorName: 'text',
+            supervisorPhone: 'text',
+            safetyContactEmail: 'text',
+            safetyContactPhone: 'text',
+            establishment: 'text',
+            active: 'bool',
+            createdAt: 'text',
+            updatedAt: 'text'
+        }
+    },
+    cases: {
+        table: 'cases',
+        syncType: 'case',
+        fields: {
+            id: 'text',
+            reportId: 'text',
+            employeeName: 'text',
+            canonicalEmployeeId: 'text',
+            reportClassification: 'text',
+            insuranceCarrier: 'text',
+            claimNumber: 'text',
+            injuryDate: 'text',
+            injuryType: 'text',
+            description: 'text',
+            status: 'text',
+            client: 'text',
+            clientId: 'text',
+            siteId: 'text',
+            bodyParts: 'json',
+            isIncident: 'bool',
+            establishment: 'text',
+            jobTitle: 'text',
+            recordable: 'bool',
+            illnessCategory: 'text',
+            daysAway: 'integer',
+            restrictedDays: 'integer',
+            death: 'bool',
+            dateOfDeath: 'text',
+            privacyCase: 'bool',
+            physicianName: 'text',
+            treatmentFacility: 'text',
+            emergencyRoom: 'bool',
+            hospitalized: 'bool',
+            lostTimeStartDate: 'text',
+            dwc1SentAt: 'text',
+            workStatus: 'text',
+            workStatusSince: 'text',
+            workRestrictions: 'json',
+            closureReason: 'text',
+            finalCost: 'real',
+            denialReason: 'text',
+            reopenReason: 'text',
+            statusChangedAt: 'text',
+            closedAt: 'text',
+            revision: 'integer',
+            createdAt: 'text',
+            updatedAt: 'text'
+        }
+    },
+    expenses: {
+        table: 'expenses',
+        syncType: 'expense',
+        fields: {
+            id: 'text',
+            caseId: 'text',
+            date: 'text',
+            category: 'text',
+            description: 'text',
+            amount: 'real',
+            vendor: 'text',
+            notes: 'text',
+            revision: 'integer',
+            createdAt: 'text'
+        }
+    },
+    workStatusChanges: {
+        table: 'work_status_changes',
+        fields: {
+            id: 'text',
+            caseId: 'text',
+            status: 'text',
+            effectiveDate: 'text',
+            restrictions: 'json',
+            doctorName: 'text',
+            doctorNote: 'text',
+            noteFileSha256: 'text',
+            noteFileMimeType: 'text',
+            noteFileSize: 'integer',
+            notes: 'text',
+            createdBy: 'text',
+            createdAt: 'text'
+        }
+    },
+    drugTests: {
+        table: 'drug_tests',
+        fields: {
+            id: 'text',
+            reportId: 'text',
+            testType: 'text',
+            collectionSite: 'text',
+            collectedAt: 'text',
+            result: 'text',
+            mroNotes: 'text',
+            cost: 'real',
+            expenseId: 'text',
+            createdBy: 'text',
+            createdAt: 'text',
+            updatedAt: 'text'
+        }
+    },
+    attachments: {
+        table: 'attachments',
+        fields: {
+            id: 'text',
+            reportId: 'text',
+            kind: 'text',
+            filename: 'text',
+            mimeType: 'text',
+            size: 'integer',
+            sha256: 'text',
+            createdAt: 'text'
+        }
+    },
+    users: {
+        table: 'users',
+        fields: {
+            id: 'text',
+            username: 'text',
+            displayName: 'text',
+            role: 'text',
+            pinHash: 'text',
+            passwordHash: 'text',
+            active: 'bool',
+            lastLoginAt: 'text',
+            createdAt: 'text',
+            updatedAt: 'text'
+        }
+    },
+    sessions: {
+        table: 'sessions',
+        fields: {
+            id: 'text',
+            tokenHash: 'text',
+            userId: 'text',
+            ip: 'text',
+            userAgent: 'text',
+            createdAt: 'text',
+            lastSeenAt: 'text',
+            expiresAt: 'integer'
+        }
+    },
+    auditLog: {
+        table: 'audit_log',
+        fields: {
+            id: 'integer',
+            entityType: 'text',
+            entityId: 'text',
+            caseId: 'text',
+            action: 'text',
+            actorId: 'text',
+            actorUsername: 'text',
+            ip: 'text',
+            route: 'text',
+            changes: 'json',
+            createdAt: 'text'
+        }
+    },
+    notifications: {
+        table: 'notifications',
+        fields: {
+            id: 'text',
+            reportId: 'text',
+            channel: 'text',
+            kind: 'text',
+            recipient: 'text',
+            dedupKey: 'text',
+            status: 'text',
+            attempts: 'integer',
+            maxAttempts: 'integer',
+            nextAttemptAt: 'integer',
+            lastError: 'text',
+            messageId: 'text',
+            payload: 'json',
+            createdAt: 'text',
+            updatedAt: 'text',
+            sentAt: 'text'
+        }
+    },
+    notificationRules: {
+        table: 'notification_rules',
+        fields: {
+            id: 'text',
+            name: 'text',
+            active: 'bool',
+            clients: 'json',
+            classifications: 'json',
+            injuryTypes: 'json',
+            bodyParts: 'json',
+            drugTestRefused: 'bool',
+            recipients: 'json',
+            cc: 'json',
+            bcc: 'json',
+            sms: 'json',
+            createdAt: 'text',
+            updatedAt: 'text'
+        }
+    },
+    webhooks: {
+        table: 'webhooks',
+        fields: {
+            id: 'text',
+            url: 'text',
+            description: 'text',
+            events: 'json',
+            secret: 'text',
+            active: 'bool',
+            createdAt: 'text',
+            updatedAt: 'text'
+        }
+    }
+};
+
+function toColumn(field) {
+    return field.replace(/[A-Z]/g, letter => '_' + letter.toLowerCase());
+}
+
+function toField(column) {
+    return column.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function encodeValue(type, value) {
+    if (value === undefined || value === null) return null;
+    switch (type) {
+        case 'json': return JSON.stringify(value);
+        case 'bool': return value ? 1 : 0;
+        case 'real':
+        case 'integer': {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : null;
+        }
+        default: return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+function decodeValue(type, value) {
+    if (value === null || value === undefined) return null;
+    switch (type) {
+        case 'json': return JSON.parse(value);
+        case 'bool': return value === 1;
+        default: return value;
+    }
+}
+
+function fromTombstoneRow(row) {
+    return {
+        type: row.entity_type,
+        id: row.entity_id,
+        caseId: row.case_id,
+        revision: row.revision,
+        deletedAt: row.deleted_at
+    };
+}
+
+function fromEstablishmentYearRow(row) {
+    return {
+        establishment: row.establishment,
+        year: row.year,
+        hoursWorked: row.hours_worked,
+        averageEmployees: row.average_employees,
+        updatedAt: row.updated_at
+    };
+}
+
+// Search facets: the value a match is counted under (grouped by `key`, when
+// set), the join that value needs and the filter the facet ignores
+const SEARCH_FACETS = {
+    type: { value: 'd.doc_type' },
+    classification: { value: 'd.report_classification' },
+    status: { value: 'd.status' },
+    injuryType: { value: 'TRIM(d.injury_type)', key: 'LOWER(TRIM(d.injury_type))' },
+    bodyPart: { value: 'body_region(part.value)', join: ', json_each(d.body_parts) AS part' },
+    carrier: { value: 'TRIM(d.insurance_carrier)', key: 'LOWER(TRIM(d.insurance_carrier))' },
+    // Registered clients by name, other clients as typed
+    client: { value: 'COALESCE(c.name, TRIM(d.client))', key: 'COALESCE(d.client_id, LOWER(TRIM(d.client)))' },
+    quarter: {
+        value: `CASE WHEN d.date GLOB '[0-9][0-9][0-9][0-9]-[0-9][0-9]*'
+            THEN SUBSTR(d.date, 1, 4) || '-Q' || ((CAST(SUBSTR(d.date, 6, 2) AS INTEGER) + 2) / 3) END`,
+        filter: 'date'
+    }
+};
+
+// FTS5 query for words starting with each of the terms, in any of `columns`
+// (all of them when null). Terms are name keys, so they need no escaping.
+function prefixQuery(terms, columns = null) {
+    const query = terms.map(term => `"${term}"*`).join(' AND ');
+    return columns ? `{${columns.join(' ')}} : (${query})` : query;
+}
+
+function fromSearchRow(row) {
+    return {
+        type: row.doc_type,
+        id: row.doc_id,
+        reportId: row.report_id,
+        caseId: row.case_id,
+        date: row.date,
+        location: row.location || '',
+        status: row.status,
+        insuranceCarrier: row.insurance_carrier || null,
+        employeeName: row.employee_name,
+        client: row.client || '',
+        clientId: row.client_id,
+        clientName: row.client_name,
+        description: row.description || '',
+        reportClassification: row.report_classification,
+        injuryType: row.injury_type || null,
+        bodyParts: decodeValue('json', row.body_parts) || [],
+        score: row.score
+    };
+}
+
+class Database {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.dbPath = path.join(dataDir, 'cws_safety.db');
+        this.legacyPath = path.join(dataDir, 'cws_safety.json');
+        this.db = null;
+        this.statements = new Map();
+    }
+
+    connect() {
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+
+        const isNew = !fs.existsSync(this.dbPath);
+        this.db = new BetterSqlite3(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.db.pragma('busy_timeout = 5000');
+        this.db.pragma('foreign_keys = ON');
+        this.db.function('body_region', { deterministic: true }, bodyRegion);
+
+        this.migrate();
+
+        const imported = this.importLegacyJson();
+        if (isNew && !imported) {
+            this.seed();
+        }
+        this.syncReportSerialCounter();
+
+        console.log('✅ Database ready at:', this.dbPath);
+    }
+
+    migrate() {
+        const currentVersion = this.db.pragma('user_version', { simple: true });
+        const pending = migrations.filter(m => m.version > currentVersion);
+
+        for (const migration of pending) {
+            this.transaction(() => {
+                this.db.exec(migration.up);
+                this.db.pragma(`user_version = ${migration.version}`);
+            });
+            console.log(`✅ Migration ${migration.version} applied: ${migration.name}`);
+        }
+    }
+
+    // Run fn atomically. Nested calls become savepoints, so helpers that open
+    // their own transaction can be composed inside a larger one.
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    prepare(sql) {
+        let statement = this.statements.get(sql);
+        if (!statement) {
+            statement = this.db.prepare(sql);
+            this.statements.set(sql, statement);
+        }
+        return statement;
+    }
+
+    // ========== META ==========
+
+    getMeta(key) {
+        const row = this.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+        return row ? row.value : null;
+    }
+
+    setMeta(key, value) {
+        this.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+            .run(key, value);
+    }
+
+    // ========== COUNTERS ==========
+
+    // Atomically increment a counter and return the new value
+    nextCounterValue(name) {
+        const row = this.prepare('UPDATE counters SET value = value + 1 WHERE name = ? RETURNING value').get(name);
+        if (!row) {
+            throw new Error(`Unknown counter: ${name}`);
+        }
+        return row.value;
+    }
+
+    // Ensure a counter is at least `floor`, so the next value never collides
+    raiseCounter(name, floor) {
+        this.prepare('UPDATE counters SET value = MAX(value, ?) WHERE name = ?').run(floor, name);
+    }
+
+    // ========== GENERIC ENTITY ACCESS ==========
+
+    toRow(entity, record) {
+        const { fields } = ENTITIES[entity];
+        const row = {};
+        for (const [field, type] of Object.entries(fields)) {
+            if (field in record) {
+                row[toColumn(field)] = encodeValue(type, record[field]);
+            }
+        }
+        return row;
+    }
+
+    fromRow(entity, row) {
+        if (!row) return null;
+        const { fields } = ENTITIES[entity];
+        const record = {};
+        for (const [field, type] of Object.entries(fields)) {
+            record[field] = decodeValue(type, row[toColumn(field)]);
+        }
+        return record;
+    }
+
+    find(entity, id) {
+        const { table } = ENTITIES[entity];
+        return this.fromRow(entity, this.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id));
+    }
+
+    list(entity, { where = {}, orderBy = 'created_at DESC' } = {}) {
+        const { table } = ENTITIES[entity];
+        const conditions = Object.keys(where).map(field => `${toColumn(field)} = ?`);
+        const sql = `SELECT * FROM ${table}`
+            + (conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '')
+            + ` ORDER BY ${orderBy}`;
+        return this.prepare(sql).all(...Object.values(where)).map(row => this.fromRow(entity, row));
+    }
+
+    // One page of a list, sorted by `sort` (ties broken by id) and starting
+    // after `after`, the { value, id } of the last record of the previous page
+    // (see utils/listQuery.js). `filters` are [sql, ...params] conditions.
+    // Returns { records, total, hasMore }, total counting every page.
+    listPage(entity, { filters = [], sort, descending = false, after = null, limit }) {
+        const { table } = ENTITIES[entity];
+        const where = conditions => (conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '');
+        const conditions = filters.map(([sql]) => sql);
+        const params = filters.flatMap(([, ...values]) => values);
+        const total = this.prepare(`SELECT COUNT(*) AS count FROM ${table}${where(conditions)}`).get(...params).count;
+
+        const key = `COALESCE(${toColumn(sort)}, '') COLLATE NOCASE`;
+        const direction = descending ? 'DESC' : 'ASC';
+        if (after) {
+            const beyond = descending ? '<' : '>';
+            conditions.push(`(${key} ${beyond} ? OR (${key} = ? AND id ${beyond} ?))`);
+            params.push(after.value, after.value, after.id);
+        }
+        const rows = this.prepare(`SELECT * FROM ${table}${where(conditions)} ORDER BY ${key} ${direction}, id ${direction} LIMIT ?`)
+            .all(...params, limit + 1);
+        return {
+            records: rows.slice(0, limit).map(row => this.fromRow(entity, row)),
+            total,
+            hasMore: rows.length > limit
+        };
+    }
+
+    // Fields an entity has, as named by the API
+    fieldsOf(entity) {
+        return Object.keys(ENTITIES[entity].fields);
+    }
+
+    insert(entity, record) {
+        const { table, syncType } = ENTITIES[entity];
+        const row = this.toRow(entity, record);
+        if (syncType) {
+            return this.transaction(() => this.insertVersioned(entity, row));
+        }
+        const columns = Object.keys(row);
+        const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => '@' + c).join(', ')})`;
+        this.prepare(sql).run(row);
+        return this.find(entity, record.id);
+    }
+
+    upsert(entity, record) {
+        const { table, syncType } = ENTITIES[entity];
+        if (syncType) {
+            return this.transaction(() => this.find(entity, record.id)
+                ? this.update(entity, record.id, record)
+                : this.insert(entity, record));
+        }
+        const row = this.toRow(entity, record);
+        const columns = Object.keys(row);
+        const updates = columns.filter(c => c !== 'id').map(c => `${c} = excluded.${c}`);
+        const sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => '@' + c).join(', ')})`
+            + (updates.length ? ` ON CONFLICT(id) DO UPDATE SET ${updates.join(', ')}` : ' ON CONFLICT(id) DO NOTHING');
+        this.prepare(sql).run(row);
+        return this.find(entity, record.id);
+    }
+
+    update(entity, id, changes) {
+        const { table, syncType } = ENTITIES[entity];
+        const row = this.toRow(entity, changes);
+        delete row.id;
+        if (syncType) {
+            return this.transaction(() => this.updateVersioned(entity, id, row));
+        }
+        const columns = Object.keys(row);
+        if (columns.length === 0) return this.find(entity, id);
+
+        const sql = `UPDATE ${table} SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @__id`;
+        const result = this.prepare(sql).run({ ...row, __id: id });
+        return result.changes > 0 ? this.find(entity, id) : null;
+    }
+
+    remove(entity, id) {
+        const { table, syncType } = ENTITIES[entity];
+        if (syncType) {
+            return this.transaction(() => this.removeVersioned(entity, id));
+        }
+        return this.prepare(`DELETE FROM ${table} WHERE id = ?`).run(id).changes > 0;
+    }
+
+    // ========== VERSIONED WRITES ==========
+    // Cases and expenses are synced with clients. A write that changes a record
+    // bumps its revision, notes the revision in which each field last changed
+    // and takes the next sync sequence number, which clients pull from with
+    // `since`. A deletion leaves a tombstone with its own sequence number.
+
+    insertVersioned(entity, row) {
+        const { table, syncType } = ENTITIES[entity];
+        Object.assign(row, { revision: 1, field_revisions: '{}', sync_seq: this.nextCounterValue('sync_seq') });
+        const columns = Object.keys(row);
+        this.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => '@' + c).join(', ')})`).run(row);
+        // A record created again under a deleted ID is no longer deleted
+        this.prepare('DELETE FROM tombstones WHERE entity_type = ? AND entity_id = ?').run(syncType, row.id);
+        return this.find(entity, row.id);
+    }
+
+    updateVersioned(entity, id, row) {
+        const { table } = ENTITIES[entity];
+        const current = this.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id);
+        if (!current) return null;
+
+        delete row.revision;
+        const changed = Object.keys(row).filter(column => row[column] !== current[column]);
+        if (changed.length === 0) return this.fromRow(entity, current);
+
+        const revision = current.revision + 1;
+        const fieldRevisions = JSON.parse(current.field_revisions);
+        for (const column of changed) {
+            fieldRevisions[toField(column)] = revision;
+        }
+        const updates = {
+            ...Object.fromEntries(changed.map(column => [column, row[column]])),
+            revision,
+            field_revisions: JSON.stringify(fieldRevisions),
+            sync_seq: this.nextCounterValue('sync_seq')
+        };
+        const columns = Object.keys(updates);
+        this.prepare(`UPDATE ${table} SET ${columns.map(c => `${c} = @${c}`).join(', ')} WHERE id = @__id`)
+            .run({ ...updates, __id: id });
+        return this.find(entity, id);
+    }
+
+    removeVersioned(entity, id) {
+        const { table, syncType } = ENTITIES[entity];
+        const current = this.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id);
+        if (!current) return false;
+
+        this.prepare(`DELETE FROM ${table} WHERE id = ?`).run(id);
+        this.prepare(`
+            INSERT INTO tombstones (entity_type, entity_id, case_id, revision, sync_seq, deleted_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (entity_type, entity_id) DO UPDATE SET
+                case_id = excluded.case_id, revision = excluded.revision,
+                sync_seq = excluded.sync_seq, deleted_at = excluded.deleted_at
+        `).run(syncType, id, current.case_id ?? current.id, current.revision,
+            this.nextCounterValue('sync_seq'), new Date().toISOString());
+        return true;
+    }
+
+    // Revision in which each field of a record last changed. Fields missing
+    // from the map have not changed since the record was created (revision 1).
+    getFieldRevisions(entity, id) {
+        const { table } = ENTITIES[entity];
+        const row = this.prepare(`SELECT field_revisions FROM ${table} WHERE id = ?`).get(id);
+        return row ? JSON.parse(row.field_revisions) : null;
+    }
+
+    getTombstone(syncType, id) {
+        const row = this.prepare('SELECT * FROM tombstones WHERE entity_type = ? AND entity_id = ?').get(syncType, id);
+        return row ? fromTombstoneRow(row) : null;
+    }
+
+    getSyncCursor() {
+        return this.prepare("SELECT value FROM counters WHERE name = 'sync_seq'").get().value;
+    }
+
+    // Cases, expenses and deletions changed after the `since` cursor, and the
+    // cursor to pull from next time. With a `limit`, only the first `limit`
+    // changes are returned and `hasMore` tells whether others follow; each
+    // case returned brings all its expenses, so none arrives before its case.
+    getChangesSince(since, limit = null) {
+        let upTo = this.getSyncCursor();
+        let hasMore = false;
+        if (limit) {
+            const last = this.prepare(`
+                SELECT sync_seq FROM (
+                    SELECT sync_seq FROM cases WHERE sync_seq > @since
+                    UNION ALL SELECT sync_seq FROM expenses WHERE sync_seq > @since
+                    UNION ALL SELECT sync_seq FROM tombstones WHERE sync_seq > @since
+                ) ORDER BY sync_seq LIMIT 2 OFFSET @offset
+            `).all({ since, offset: limit - 1 });
+            if (last.length === 2) {
+                upTo = last[0].sync_seq;
+                hasMore = true;
+            }
+        }
+
+        const changed = entity => this.prepare(`SELECT * FROM ${ENTITIES[entity].table} WHERE sync_seq > ? AND sync_seq <= ? ORDER BY sync_seq`)
+            .all(since, upTo).map(row => this.fromRow(entity, row));
+        const cases = changed('cases');
+        let expenses = changed('expenses');
+        if (limit) {
+            const caseIds = new Set(cases.map(c => c.id));
+            expenses = [
+                ...expenses.filter(e => !caseIds.has(e.caseId)),
+                ...cases.flatMap(c => this.getExpensesForCase(c.id))
+            ];
+        }
+        return {
+            cursor: upTo,
+            hasMore,
+            cases,
+            expenses,
+            deleted: this.prepare('SELECT * FROM tombstones WHERE sync_seq > ? AND sync_seq <= ? ORDER BY sync_seq')
+                .all(since, upTo).map(fromTombstoneRow)
+        };
+    }
+
+    // ========== EMPLOYEES ==========
+
+    getEmployees() {
+        return this.list('employees', { orderBy: 'name COLLATE NOCASE' });
+    }
+
+    getEmployee(id) {
+        return this.find('employees', id);
+    }
+
+    // The company's own employee number, matched case-insensitively
+    getEmployeeByNumber(employeeNumber) {
+        return this.fromRow('employees',
+            this.prepare('SELECT * FROM employees WHERE employee_number = ? COLLATE NOCASE').get(employeeNumber));
+    }
+
+    getEmployeesByNameKey(nameKey) {
+        return this.list('employees', { where: { nameKey }, orderBy: 'created_at' });
+    }
+
+    insertEmployee(employee) {
+        return this.insert('employees', employee);
+    }
+
+    updateEmployee(id, changes) {
+        return this.update('employees', id, changes);
+    }
+
+    // Next registry ID, e.g. EMP-00042
+    allocateEmployeeId() {
+        return 'EMP-' + String(this.nextCounterValue('employee_serial')).padStart(5, '0');
+    }
+
+    getReportsForEmployee(employeeId) {
+        return this.list('reports', { where: { canonicalEmployeeId: employeeId }, orderBy: 'incident_date, created_at' });
+    }
+
+    getCasesForEmployee(employeeId) {
+        return this.list('cases', { where: { canonicalEmployeeId: employeeId }, orderBy: 'injury_date, created_at' });
+    }
+
+    // ========== CLIENTS AND SITES ==========
+
+    getClients({ activeOnly = false } = {}) {
+        return this.list('clients', { where: activeOnly ? { active: 1 } : {}, orderBy: 'name COLLATE NOCASE' });
+    }
+
+    getClient(id) {
+        return this.find('clients', id);
+    }
+
+    // The client a free-text name refers to: its own name, or a spelling
+    // mapped to it during reconciliation
+    getClientByNameKey(nameKey) {
+        const row = this.prepare('SELECT * FROM clients WHERE name_key = ?').get(nameKey)
+            || this.prepare(`SELECT clients.* FROM client_aliases JOIN clients ON clients.id = client_aliases.client_id
+                WHERE client_aliases.name_key = ?`).get(nameKey);
+        return this.fromRow('clients', row);
+    }
+
+    insertClient(client) {
+        return this.insert('clients', client);
+    }
+
+    updateClient(id, changes) {
+        return this.update('clients', id, changes);
+    }
+
+    allocateClientId() {
+        return 'CL-' + String(this.nextCounterValue('client_serial')).padStart(4, '0');
+    }
+
+    setClientAlias(nameKey, clientId) {
+        this.prepare(`INSERT INTO client_aliases (name_key, client_id, created_at) VALUES (?, ?, ?)
+            ON CONFLICT(name_key) DO UPDATE SET client_id = excluded.client_id`)
+            .run(nameKey, clientId, new Date().toISOString());
+    }
+
+    getClientSites({ clientId, activeOnly = false } = {}) {
+        const where = {};
+        if (clientId) where.clientId = clientId;
+        if (activeOnly) where.active = 1;
+        return this.list('clientSites', { where, orderBy: 'name COLLATE NOCASE' });
+    }
+
+    getClientSite(id) {
+        return this.find('clientSites', id);
+    }
+
+    insertClientSite(site) {
+        return this.insert('clientSites', site);
+    }
+
+    updateClientSite(id, changes) {
+        return this.update('clientSites', id, changes);
+    }
+
+    allocateSiteId() {
+        return 'SITE-' + String(this.nextCounterValue('site_serial')).padStart(4, '0');
+    }
+
+    // ========== REPORTS ==========
+
+    getReports() {
+        return this.list('reports');
+    }
+
+    getReport(id) {
+        return this.find('reports', id);
+    }
+
+    // Filters shared by the report and case lists, as listPage() conditions.
+    // A clientId matches linked records, a client name the name as typed.
+    listFilters(dateColumn, { classification, clientId, client, from, to }) {
+        const filters = [];
+        if (classification) filters.push(['report_classification = ?', classification]);
+        if (clientId) filters.push(['client_id = ?', clientId]);
+        else if (client) filters.push(['LOWER(TRIM(client)) = LOWER(TRIM(?))', client]);
+        if (from) filters.push([`${dateColumn} >= ?`, from]);
+        if (to) filters.push([`${dateColumn} <= ?`, to]);
+        return filters;
+    }
+
+    // One page of reports, filtered on the incident date
+    getReportsPage(filter, page) {
+        return this.listPage('reports', { ...page, filters: this.listFilters('incident_date', filter) });
+    }
+
+    insertReport(report) {
+        return this.insert('reports', report);
+    }
+
+    getReportByProvisionalId(provisionalId) {
+        return this.fromRow('reports', this.prepare('SELECT * FROM reports WHERE provisional_id = ?').get(provisionalId));
+    }
+
+    allocateReportSerial() {
+        return this.nextCounterValue('report_serial');
+    }
+
+    // Keep the serial counter ahead of any serial already stored, e.g. after
+    // the legacy import or when a client submits a report with its own ID
+    syncReportSerialCounter() {
+        const row = this.prepare(`
+            SELECT MAX(CAST(SUBSTR(COALESCE(serial_number, id), 5) AS INTEGER)) AS maxSerial
+            FROM reports WHERE COALESCE(serial_number, id) GLOB 'CWS-[0-9]*'
+        `).get();
+        if (row && row.maxSerial) {
+            this.raiseCounter('report_serial', row.maxSerial);
+        }
+    }
+
+    setReportClient(reportId, { clientId, siteId }) {
+        return this.update('reports', reportId, { clientId, siteId });
+    }
+
+    setReportEmployee(reportId, employeeId) {
+        return this.update('reports', reportId, { canonicalEmployeeId: employeeId });
+    }
+
+    // Record the case opened from a report. A report leads to one case: the
+    // link is only set while the report has none. Returns whether it was set.
+    linkReportToCase(reportId, caseId) {
+        return this.prepare('UPDATE reports SET case_id = ? WHERE id = ? AND case_id IS NULL')
+            .run(caseId, reportId).changes > 0;
+    }
+
+    // ========== CASES ==========
+
+    getCases() {
+        return this.list('cases');
+    }
+
+    getCase(id) {
+        return this.find('cases', id);
+    }
+
+    getCaseWithExpenses(id) {
+        const caseData = this.getCase(id);
+        return caseData ? { ...caseData, expenses: this.getExpensesForCase(id) } : null;
+    }
+
+    getCasesWithExpenses() {
+        return this.getCases().map(c => ({ ...c, expenses: this.getExpensesForCase(c.id) }));
+    }
+
+    // One page of cases, filtered on the injury date, and the number of cases
+    // in each status under the other filters
+    getCasesPage({ status, ...filter }, page) {
+        const filters = this.listFilters('injury_date', filter);
+        const byStatus = {};
+        const where = filters.length ? ` WHERE ${filters.map(([sql]) => sql).join(' AND ')}` : '';
+        this.prepare(`SELECT status, COUNT(*) AS count FROM cases${where} GROUP BY status`)
+            .all(...filters.flatMap(([, ...values]) => values))
+            .forEach(row => { byStatus[row.status] = row.count; });
+
+        const result = this.listPage('cases', { ...page, filters: status ? [...filters, ['status = ?', status]] : filters });
+        return { ...result, byStatus };
+    }
+
+    insertCase(caseData) {
+        return this.insert('cases', caseData);
+    }
+
+    upsertCase(caseData) {
+        return this.upsert('cases', caseData);
+    }
+
+    updateCase(id, changes) {
+        return this.update('cases', id, changes);
+    }
+
+    // Next case ID for a prefix and year, e.g. WC-2025-004. Each prefix and
+    // year has its own counter, kept ahead of IDs that clients assigned.
+    allocateCaseId(prefix, year) {
+        const name = `case_${prefix.toLowerCase()}_${year}`;
+        const stem = `${prefix}-${year}-`;
+        return this.transaction(() => {
+            this.prepare('INSERT INTO counters (name, value) VALUES (?, 0) ON CONFLICT(name) DO NOTHING').run(name);
+            const row = this.prepare(`
+                SELECT MAX(CAST(SUBSTR(id, ?) AS INTEGER)) AS maxSerial
+                FROM cases WHERE id GLOB ?
+            `).get(stem.length + 1, `${stem}[0-9]*`);
+            if (row && row.maxSerial) {
+                this.raiseCounter(name, row.maxSerial);
+            }
+            return stem + String(this.nextCounterValue(name)).padStart(3, '0');
+        });
+    }
+
+    // ========== SEARCH ==========
+
+    // Search conditions by filter: every term starts a word of a searched field
+    // (see utils/search.js), and each filter that is set matches
+    searchConditions(terms, { type, classification, status, injuryType, bodyPart, carrier, client, from, to }) {
+        const conditions = {};
+        if (terms.length > 0) {
+            conditions.text = ['d.id IN (SELECT rowid FROM search_text WHERE search_text MATCH ?)', prefixQuery(terms)];
+        }
+        if (type) conditions.type = ['d.doc_type = ?', type];
+        if (classification) conditions.classification = ['d.report_classification = ?', classification];
+        if (status) conditions.status = ['d.status = ?', status];
+        if (injuryType) conditions.injuryType = ['LOWER(TRIM(d.injury_type)) = LOWER(TRIM(?))', injuryType];
+        if (carrier) conditions.carrier = ['LOWER(TRIM(d.insurance_carrier)) = LOWER(TRIM(?))', carrier];
+        if (bodyPart) {
+            // A body part as picked, or a region
+            conditions.bodyPart = [
+                `EXISTS (SELECT 1 FROM json_each(d.body_parts) AS part
+                    WHERE LOWER(TRIM(part.value)) = LOWER(TRIM(?)) OR body_region(part.value) = LOWER(TRIM(?)))`,
+                bodyPart, bodyPart
+            ];
+        }
+        if (client) {
+            conditions.client = [
+                '(d.client_id = ? OR LOWER(TRIM(c.name)) = LOWER(TRIM(?)) OR LOWER(TRIM(d.client)) = LOWER(TRIM(?)))',
+                client, client, client
+            ];
+        }
+        if (from || to) {
+            const range = [['d.date IS NOT NULL'], from && ['d.date >= ?', from], to && ['d.date <= ?', to]].filter(Boolean);
+            conditions.date = [range.map(([sql]) => sql).join(' AND '), ...range.flatMap(([, ...values]) => values)];
+        }
+        return conditions;
+    }
+
+    // Score of a match: for each term, the weight of the best field it starts a word of
+    searchScore(terms) {
+        if (terms.length === 0) return ['0'];
+        const weights = [...new Set(Object.values(TEXT_FIELDS))].sort((a, b) => b - a);
+        const columns = weight => Object.keys(TEXT_FIELDS).filter(field => TEXT_FIELDS[field] === weight).map(toColumn);
+        const params = [];
+        const perTerm = terms.map(term => {
+            const found = weights.slice(0, -1).map(weight => {
+                params.push(prefixQuery([term], columns(weight)));
+                return `WHEN d.id IN (SELECT rowid FROM search_text WHERE search_text MATCH ?) THEN ${weight}`;
+            });
+            return `(CASE ${found.join(' ')} ELSE ${weights[weights.length - 1]} END)`;
+        });
+        return [perTerm.join(' + '), ...params];
+    }
+
+    // Reports and cases matching the search terms and filters. Returns one
+    // page best match first (newest first without terms), the total number of
+    // matches, and per facet the values with their counts over the matches of
+    // all other filters: { records, total, facets: { facet: [{ value, count }] } }
+    searchDocuments({ terms = [], filters = {}, limit, offset = 0 }) {
+        const conditions = this.searchConditions(terms, filters);
+        const from = 'search_documents d LEFT JOIN clients c ON c.id = d.client_id';
+        const matching = (except = null) => {
+            const active = Object.entries(conditions).filter(([name]) => name !== except).map(([, condition]) => condition);
+            return {
+                where: active.length ? ` WHERE ${active.map(([sql]) => sql).join(' AND ')}` : '',
+                params: active.flatMap(([, ...values]) => values)
+            };
+        };
+
+        const all = matching();
+        const total = this.prepare(`SELECT COUNT(*) AS count FROM ${from}${all.where}`).get(...all.params).count;
+        const [score, ...scoreParams] = this.searchScore(terms);
+        const records = this.prepare(`
+            SELECT d.*, c.name AS client_name, ${score} AS score FROM ${from}${all.where}
+            ORDER BY score DESC, COALESCE(d.date, '') DESC, d.doc_type, d.doc_id LIMIT ? OFFSET ?
+        `).all(...scoreParams, ...all.params, limit, offset).map(fromSearchRow);
+
+        const facets = {};
+        for (const [name, facet] of Object.entries(SEARCH_FACETS)) {
+            const { where, params } = matching(facet.filter || name);
+            facets[name] = this.prepare(`
+                SELECT MIN(${facet.value}) AS facet_value, COUNT(DISTINCT d.id) AS count
+                FROM ${from}${facet.join || ''}${where}
+                GROUP BY ${facet.key || facet.value}
+                HAVING facet_value IS NOT NULL AND facet_value <> ''
+                ORDER BY ${name === 'quarter' ? 'facet_value DESC' : 'count DESC, facet_value'}
+            `).all(...params).map(row => ({ value: row.facet_value, count: row.count }));
+        }
+
+        return { records, total, facets };
+    }
+
+    // ========== WORK STATUS ==========
+
+    // Work status changes in effective order (same-day entries in the order recorded)
+    getWorkStatusChanges(caseId) {
+        return this.list('workStatusChanges', { where: { caseId }, orderBy: 'effective_date, created_at' });
+    }
+
+    getWorkStatusChange(id) {
+        return this.find('workStatusChanges', id);
+    }
+
+    insertWorkStatusChange(change) {
+        return this.insert('workStatusChanges', change);
+    }
+
+    deleteWorkStatusChange(id) {
+        return this.remove('workStatusChanges', id);
+    }
+
+    // ========== DRUG TESTS ==========
+
+    getDrugTests() {
+        return this.list('drugTests', { orderBy: 'created_at' });
+    }
+
+    // A report's tests in the order they were logged
+    getDrugTestsForReport(reportId) {
+        return this.list('drugTests', { where: { reportId }, orderBy: 'created_at' });
+    }
+
+    getDrugTest(id) {
+        return this.find('drugTests', id);
+    }
+
+    insertDrugTest(test) {
+        return this.insert('drugTests', test);
+    }
+
+    updateDrugTest(id, changes) {
+        return this.update('drugTests', id, changes);
+    }
+
+    // ========== EXPENSES ==========
+
+    getExpenses() {
+        return this.list('expenses');
+    }
+
+    getExpense(id) {
+        return this.find('expenses', id);
+    }
+
+    getExpensesForCase(caseId) {
+        return this.list('expenses', { where: { caseId } });
+    }
+
+    insertExpense(expense) {
+        return this.insert('expenses', expense);
+    }
+
+    upsertExpense(expense) {
+        return this.upsert('expenses', expense);
+    }
+
+    updateExpense(id, changes) {
+        return this.update('expenses', id, changes);
+    }
+
+    deleteExpense(id) {
+        return this.remove('expenses', id);
+    }
+
+    // ========== ATTACHMENTS ==========
+
+    getAttachmentsForReport(reportId) {
+        return this.list('attachments', { where: { reportId }, orderBy: 'created_at, rowid' });
+    }
+
+    getAttachment(id) {
+        return this.find('attachments', id);
+    }
+
+    findReportAttachmentByHash(reportId, sha256) {
+        return this.list('attachments', { where: { reportId, sha256 } })[0] || null;
+    }
+
+    insertAttachment(attachment) {
+        return this.insert('attachments', attachment);
+    }
+
+    // ========== USERS ==========
+
+    getUsers() {
+        return this.list('users', { orderBy: 'username COLLATE NOCASE' });
+    }
+
+    getUser(id) {
+        return this.find('users', id);
+    }
+
+    getUserByUsername(username) {
+        return this.fromRow('users', this.prepare('SELECT * FROM users WHERE username = ?').get(username));
+    }
+
+    countUsers() {
+        return this.prepare('SELECT COUNT(*) AS count FROM users').get().count;
+    }
+
+    insertUser(user) {
+        return this.insert('users', user);
+    }
+
+    updateUser(id, changes) {
+        return this.update('users', id, changes);
+    }
+
+    // ========== SESSIONS ==========
+
+    insertSession(session) {
+        return this.insert('sessions', session);
+    }
+
+    getSession(id) {
+        return this.find('sessions', id);
+    }
+
+    getSessionByTokenHash(tokenHash) {
+        return this.fromRow('sessions', this.prepare('SELECT * FROM sessions WHERE token_hash = ?').get(tokenHash));
+    }
+
+    getSessions({ userId } = {}) {
+        return this.list('sessions', { where: userId ? { userId } : {}, orderBy: 'last_seen_at DESC' });
+    }
+
+    updateSession(id, changes) {
+        return this.update('sessions', id, changes);
+    }
+
+    deleteSession(id) {
+        return this.remove('sessions', id);
+    }
+
+    deleteUserSessions(userId) {
+        return this.prepare('DELETE FROM sessions WHERE user_id = ?').run(userId).changes;
+    }
+
+    deleteExpiredSessions(now = Date.now()) {
+        return this.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now).changes;
+    }
+
+    // ========== AUDIT LOG ==========
+
+    insertAuditEntry(entry) {
+        const row = this.toRow('auditLog', entry);
+        const columns = Object.keys(row);
+        this.prepare(`INSERT INTO audit_log (${columns.join(', ')}) VALUES (${columns.map(c => '@' + c).join(', ')})`).run(row);
+    }
+
+    // Filters: entityType, entityId, caseId, actorId, from, to (ISO dates, inclusive).
+    // Returns { entries, total } with the newest entries first.
+    getAuditEntries({ entityType, entityId, caseId, actorId, from, to, limit = 100, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+        const add = (sql, value) => { conditions.push(sql); params.push(value); };
+
+        if (entityType) add('entity_type = ?', entityType);
+        if (entityId) add('entity_id = ?', entityId);
+        if (caseId) add('case_id = ?', caseId);
+        if (actorId) add('actor_id = ?', actorId);
+        if (from) add('created_at >= ?', from);
+        // A bare date includes the whole day
+        if (to) add('created_at <= ?', /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to);
+
+        const where = conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '';
+        const total = this.prepare(`SELECT COUNT(*) AS count FROM audit_log${where}`).get(...params).count;
+        const entries = this.prepare(`SELECT * FROM audit_log${where} ORDER BY id DESC LIMIT ? OFFSET ?`)
+            .all(...params, limit, offset)
+            .map(row => this.fromRow('auditLog', row));
+        return { entries, total };
+    }
+
+    // ========== NOTIFICATIONS ==========
+
+    insertNotification(notification) {
+        return this.insert('notifications', notification);
+    }
+
+    getNotification(id) {
+        return this.find('notifications', id);
+    }
+
+    getNotificationByDedupKey(dedupKey) {
+        return this.fromRow('notifications', this.prepare('SELECT * FROM notifications WHERE dedup_key = ?').get(dedupKey));
+    }
+
+    getNotificationsForReport(reportId) {
+        return this.list('notifications', { where: { reportId }, orderBy: 'created_at ASC' });
+    }
+
+    // Queued or failed notifications whose next attempt is due, oldest first
+    getDueNotifications(now = Date.now(), limit = 20) {
+        return this.prepare(`SELECT * FROM notifications WHERE status IN ('queued', 'failed') AND next_attempt_at <= ?
+            ORDER BY next_attempt_at ASC LIMIT ?`)
+            .all(now, limit)
+            .map(row => this.fromRow('notifications', row));
+    }
+
+    updateNotification(id, changes) {
+        return this.update('notifications', id, changes);
+    }
+
+    // ========== NOTIFICATION RULES ==========
+
+    getNotificationRules({ activeOnly = false } = {}) {
+        return this.list('notificationRules', { where: activeOnly ? { active: 1 } : {}, orderBy: 'created_at ASC' });
+    }
+
+    getNotificationRule(id) {
+        return this.find('notificationRules', id);
+    }
+
+    insertNotificationRule(rule) {
+        return this.insert('notificationRules', rule);
+    }
+
+    updateNotificationRule(id, changes) {
+        return this.update('notificationRules', id, changes);
+    }
+
+    deleteNotificationRule(id) {
+        return this.remove('notificationRules', id);
+    }
+
+    // ========== WEBHOOKS ==========
+
+    getWebhooks({ activeOnly = false } = {}) {
+        return this.list('webhooks', { where: activeOnly ? { active: 1 } : {}, orderBy: 'created_at ASC' });
+    }
+
+    getWebhook(id) {
+        return this.find('webhooks', id);
+    }
+
+    insertWebhook(webhook) {
+        return this.insert('webhooks', webhook);
+    }
+
+    updateWebhook(id, changes) {
+        return this.update('webhooks', id, changes);
+    }
+
+    deleteWebhook(id) {
+        return this.remove('webhooks', id);
+    }
+
+    // ========== OSHA ESTABLISHMENT HOURS ==========
+
+    // Hours worked and average employees per establishment and year (OSHA 300A).
+    // Establishment names are matched case-insensitively.
+    getEstablishmentYears({ year } = {}) {
+        const rows = year
+            ? this.prepare('SELECT * FROM osha_establishment_years WHERE year = ? ORDER BY establishment').all(year)
+            : this.prepare('SELECT * FROM osha_establishment_years ORDER BY year DESC, establishment').all();
+        return rows.map(fromEstablishmentYearRow);
+    }
+
+    getEstablishmentYear(establishment, year) {
+        const row = this.prepare('SELECT * FROM osha_establishment_years WHERE establishment = ? AND year = ?').get(establishment, year);
+        return row ? fromEstablishmentYearRow(row) : null;
+    }
+
+    setEstablishmentYear({ establishment, year, hoursWorked, averageEmployees }) {
+        this.prepare(`INSERT INTO osha_establishment_years (establishment, year, hours_worked, average_employees, updated_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(establishment, year) DO UPDATE SET
+                hours_worked = excluded.hours_worked,
+                average_employees = excluded.average_employees,
+                updated_at = excluded.updated_at`)
+            .run(establishment, year, hoursWorked, averageEmployees, new Date().toISOString());
+        return this.getEstablishmentYear(establishment, year);
+    }
+
+    // ========== LEGACY IMPORT ==========
+
+    // One-time import of the old cws_safety.json store. The file is renamed
+    // afterwards (not deleted) so it remains available as a backup.
+    importLegacyJson() {
+        if (this.getMeta('legacy_json_imported') || !fs.existsSync(this.legacyPath)) {
+            return false;
+        }
+
+        let legacy;
+        try {
+            legacy = JSON.parse(fs.readFileSync(this.legacyPath, 'utf8'));
+        } catch (error) {
+            console.error('❌ Legacy database could not be parsed, skipping import:', error.message);
+            return false;
+        }
+
+        const counts = { reports: 0, cases: 0, expenses: 0 };
+        const prefixes = { reports: 'RPT', cases: 'CASE', expenses: 'EXP' };
+
+        this.transaction(() => {
+            for (const entity of Object.keys(counts)) {
+                (legacy[entity] || []).forEach((record, index) => {
+                    const id = record.id || `${prefixes[entity]}-IMPORT-${index + 1}`;
+                    if (!record.id) {
+                        console.warn(`⚠️ Legacy ${entity} record #${index + 1} had no id, imported as ${id}`);
+                    }
+                    if (this.find(entity, id)) return;
+
+                    this.insert(entity, {
+                        ...record,
+                        // Legacy cases were only open or closed
+                        ...(entity === 'cases' && record.status !== 'closed' ? { status: 'reported' } : {}),
+                        id,
+                        createdAt: record.createdAt || new Date().toISOString()
+                    });
+                    counts[entity]++;
+                });
+            }
+            for (const c of legacy.cases || []) {
+                if (c.id && c.reportId) this.linkReportToCase(c.reportId, c.id);
+            }
+            this.setMeta('legacy_json_imported', new Date().toISOString());
+        });
+
+        fs.renameSync(this.legacyPath, `${this.legacyPath}.imported`);
+        console.log(`✅ Imported legacy JSON data: ${counts.reports} reports, ${counts.cases} cases, ${counts.expenses} expenses`);
+        return true;
+    }
+
+    // ========== SEED DATA ==========
+
+    seed() {
+        this.transaction(() => {
+            // Kevin Simion INCIDENT (not workers comp)
+            this.insertCase({
+                id: 'INC-2024-001',
+                employeeName: 'Kevin Simion',
+                reportClassification: 'incident',
+                insuranceCarrier: '',
+                claimNumber: '',
+                injuryDate: '2024-12-10',
+                injuryType: 'Other',
+                description: 'Incident Report - Medical check completed. No injury, cleared to work.',
+                status: 'closed',
+                closureReason: 'No injury - cleared to work',
+                finalCost: 0,
+                closedAt: '2024-12-11',
+                client: '',
+                isIncident: true,
+                createdAt: '2024-12-10T10:00:00.000Z'
+            });
+            this.insertExpense({
+                id: 'EXP-KS-001',
+                caseId: 'INC-2024-001',
+                date: '2024-12-11',
+                category: 'medical',
+                description: 'Medical Check',
+                amount: 0.00,
+                vendor: '',
+                notes: 'Post-incident medical evaluation - cleared to work',
+                createdAt: '2024-12-11T09:00:00.000Z'
+            });
+
+            // Geissa Romero Workers Comp
+            this.insertCase({
+                id: 'WC-2024-001',
+                employeeName: 'Geissa Romero',
+                reportClassification: 'accident',
+                insuranceCarrier: 'Texas Mutual',
+                claimNumber: '1425001472540',
+                injuryDate: '2024-12-11',
+                injuryType: 'Other',
+                description: 'Workers compensation case',
+                status: 'claim_filed',
+                client: '',
+                isIncident: false,
+                createdAt: new Date().toISOString()
+            });
+            this.insertExpense({
+                id: 'EXP-GR-001',
+                caseId: 'WC-2024-001',
+                date: '2024-12-11',
+                category: 'testing',
+                description: 'Drug and Alcohol Test',
+                amount: 168.00,
+                vendor: '',
+                notes: 'Initial post-incident testing',
+                createdAt: new Date().toISOString()
+            });
+        });
+        console.log('✅ Seed cases created');
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            console.log('Database connection closed');
+        }
+    }
+}
+
+Database.ENTITIES = ENTITIES;
+
+module.exports = Database;
@@ -0,0 +1,579 @@
+// Schema migrations, applied in order on startup.
+// Each migration runs inside a transaction and bumps PRAGMA user_version,
+// so a database is always at a known version. Never edit a migration that
+// has shipped - add a new one instead.
+
+module.exports = [
+    {
+        version: 1,
+        name: 'initial schema',
+        up: `
+            CREATE TABLE meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+
+            CREATE TABLE reports (
+                id TEXT PRIMARY KEY NOT NULL,
+                serial_number TEXT,
+                employee_name TEXT,
+                employee_id TEXT,
+                employee_phone TEXT,
+                client TEXT,
+                location TEXT,
+                incident_date TEXT,
+                incident_time TEXT,
+                reported_date TEXT,
+                reported_time TEXT,
+                injury_type TEXT,
+                description TEXT,
+                witness_name TEXT,
+                witness_contact TEXT,
+                body_parts TEXT,
+                report_classification TEXT,
+                reporter_name TEXT,
+                reporter_position TEXT,
+                medical_decline TEXT,
+                drug_test TEXT,
+                latitude REAL,
+                longitude REAL,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_reports_created_at ON reports (created_at);
+
+            CREATE TABLE cases (
+                id TEXT PRIMARY KEY NOT NULL,
+                report_id TEXT,
+                employee_name TEXT,
+                report_classification TEXT,
+                insurance_carrier TEXT,
+                claim_number TEXT,
+                injury_date TEXT,
+                injury_type TEXT,
+                description TEXT,
+                status TEXT,
+                client TEXT,
+                body_parts TEXT,
+                is_incident INTEGER DEFAULT 0,
+                closed_at TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT
+            );
+            CREATE INDEX idx_cases_created_at ON cases (created_at);
+            CREATE INDEX idx_cases_status ON cases (status);
+
+            CREATE TABLE expenses (
+                id TEXT PRIMARY KEY NOT NULL,
+                case_id TEXT,
+                date TEXT,
+                category TEXT,
+                description TEXT,
+                amount REAL,
+                vendor TEXT,
+                notes TEXT,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_expenses_case_id ON expenses (case_id);
+        `
+    },
+    {
+        version: 2,
+        name: 'server-side report serial numbers',
+        up: `
+            CREATE TABLE counters (
+                name TEXT PRIMARY KEY,
+                value INTEGER NOT NULL
+            );
+            INSERT INTO counters (name, value) VALUES ('report_serial', 1000);
+
+            ALTER TABLE reports ADD COLUMN provisional_id TEXT;
+            CREATE UNIQUE INDEX idx_reports_provisional_id ON reports (provisional_id);
+        `
+    },
+    {
+        version: 3,
+        name: 'report attachments',
+        up: `
+            CREATE TABLE attachments (
+                id TEXT PRIMARY KEY NOT NULL,
+                report_id TEXT NOT NULL REFERENCES reports (id) ON DELETE CASCADE,
+                kind TEXT NOT NULL,
+                filename TEXT NOT NULL,
+                mime_type TEXT NOT NULL,
+                size INTEGER NOT NULL,
+                sha256 TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                UNIQUE (report_id, sha256)
+            );
+            CREATE INDEX idx_attachments_report_id ON attachments (report_id);
+        `
+    },
+    {
+        version: 4,
+        name: 'user accounts',
+        up: `
+            CREATE TABLE users (
+                id TEXT PRIMARY KEY NOT NULL,
+                username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                display_name TEXT,
+                role TEXT NOT NULL,
+                pin_hash TEXT,
+                password_hash TEXT,
+                active INTEGER NOT NULL DEFAULT 1,
+                last_login_at TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT
+            );
+        `
+    },
+    {
+        version: 5,
+        name: 'persistent sessions',
+        up: `
+            CREATE TABLE sessions (
+                id TEXT PRIMARY KEY NOT NULL,
+                token_hash TEXT NOT NULL UNIQUE,
+                user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+                ip TEXT,
+                user_agent TEXT,
+                created_at TEXT NOT NULL,
+                last_seen_at TEXT,
+                expires_at INTEGER NOT NULL
+            );
+            CREATE INDEX idx_sessions_user_id ON sessions (user_id);
+            CREATE INDEX idx_sessions_expires_at ON sessions (expires_at);
+        `
+    },
+    {
+        version: 6,
+        name: 'audit log',
+        up: `
+            CREATE TABLE audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                entity_type TEXT NOT NULL,
+                entity_id TEXT NOT NULL,
+                case_id TEXT,
+                action TEXT NOT NULL,
+                actor_id TEXT,
+                actor_username TEXT,
+                ip TEXT,
+                route TEXT,
+                changes TEXT,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_audit_log_entity ON audit_log (entity_type, entity_id);
+            CREATE INDEX idx_audit_log_case_id ON audit_log (case_id);
+            CREATE INDEX idx_audit_log_actor_id ON audit_log (actor_id);
+            CREATE INDEX idx_audit_log_created_at ON audit_log (created_at);
+
+            -- The audit log is append-only
+            CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+            BEGIN
+                SELECT RAISE(ABORT, 'audit_log is append-only');
+            END;
+            CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+            BEGIN
+                SELECT RAISE(ABORT, 'audit_log is append-only');
+            END;
+        `
+    },
+    {
+        version: 7,
+        name: 'notification outbox',
+        up: `
+            CREATE TABLE notifications (
+                id TEXT PRIMARY KEY NOT NULL,
+                report_id TEXT,
+                channel TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                recipient TEXT,
+                dedup_key TEXT NOT NULL UNIQUE,
+                status TEXT NOT NULL DEFAULT 'queued',
+                attempts INTEGER NOT NULL DEFAULT 0,
+                max_attempts INTEGER NOT NULL,
+                next_attempt_at INTEGER NOT NULL,
+                last_error TEXT,
+                message_id TEXT,
+                payload TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                updated_at TEXT,
+                sent_at TEXT
+            );
+            CREATE INDEX idx_notifications_report_id ON notifications (report_id);
+            CREATE INDEX idx_notifications_due ON notifications (status, next_attempt_at);
+        `
+    },
+    {
+        version: 8,
+        name: 'notification routing rules',
+        up: `
+            CREATE TABLE notification_rules (
+                id TEXT PRIMARY KEY NOT NULL,
+                name TEXT NOT NULL,
+                active INTEGER NOT NULL DEFAULT 1,
+                clients TEXT,
+                classifications TEXT,
+                injury_types TEXT,
+                body_parts TEXT,
+                drug_test_refused INTEGER,
+                recipients TEXT,
+                cc TEXT,
+                bcc TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT
+            );
+        `
+    },
+    {
+        version: 9,
+        name: 'sms recipients and webhooks',
+        up: `
+            ALTER TABLE notification_rules ADD COLUMN sms TEXT;
+
+            CREATE TABLE webhooks (
+                id TEXT PRIMARY KEY NOT NULL,
+                url TEXT NOT NULL,
+                description TEXT,
+                events TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                active INTEGER NOT NULL DEFAULT 1,
+                created_at TEXT NOT NULL,
+                updated_at TEXT
+            );
+        `
+    },
+    {
+        version: 10,
+        name: 'osha recordkeeping',
+        up: `
+            ALTER TABLE cases ADD COLUMN establishment TEXT;
+            ALTER TABLE cases ADD COLUMN job_title TEXT;
+            ALTER TABLE cases ADD COLUMN recordable INTEGER;
+            ALTER TABLE cases ADD COLUMN illness_category TEXT;
+            ALTER TABLE cases ADD COLUMN days_away INTEGER;
+            ALTER TABLE cases ADD COLUMN restricted_days INTEGER;
+            ALTER TABLE cases ADD COLUMN death INTEGER;
+            ALTER TABLE cases ADD COLUMN date_of_death TEXT;
+            ALTER TABLE cases ADD COLUMN privacy_case INTEGER;
+            ALTER TABLE cases ADD COLUMN physician_name TEXT;
+            ALTER TABLE cases ADD COLUMN treatment_facility TEXT;
+            ALTER TABLE cases ADD COLUMN emergency_room INTEGER;
+            ALTER TABLE cases ADD COLUMN hospitalized INTEGER;
+
+            CREATE TABLE osha_establishment_years (
+                establishment TEXT NOT NULL COLLATE NOCASE,
+                year INTEGER NOT NULL,
+                hours_worked REAL,
+                average_employees REAL,
+                updated_at TEXT,
+                PRIMARY KEY (establishment, year)
+            );
+        `
+    },
+    {
+        version: 11,
+        name: 'texas dwc-1 filing',
+        up: `
+            ALTER TABLE cases ADD COLUMN lost_time_start_date TEXT;
+            ALTER TABLE cases ADD COLUMN dwc1_sent_at TEXT;
+        `
+    },
+    {
+        version: 12,
+        name: 'work status timeline',
+        up: `
+            CREATE TABLE work_status_changes (
+                id TEXT PRIMARY KEY NOT NULL,
+                case_id TEXT NOT NULL REFERENCES cases (id) ON DELETE CASCADE,
+                status TEXT NOT NULL,
+                effective_date TEXT NOT NULL,
+                restrictions TEXT,
+                doctor_name TEXT,
+                doctor_note TEXT,
+                note_file_sha256 TEXT,
+                note_file_mime_type TEXT,
+                note_file_size INTEGER,
+                notes TEXT,
+                created_by TEXT,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_work_status_changes_case ON work_status_changes (case_id, effective_date);
+
+            ALTER TABLE cases ADD COLUMN work_status TEXT;
+            ALTER TABLE cases ADD COLUMN work_status_since TEXT;
+            ALTER TABLE cases ADD COLUMN work_restrictions TEXT;
+        `
+    },
+    {
+        version: 13,
+        name: 'case lifecycle',
+        up: `
+            ALTER TABLE cases ADD COLUMN closure_reason TEXT;
+            ALTER TABLE cases ADD COLUMN final_cost REAL;
+            ALTER TABLE cases ADD COLUMN denial_reason TEXT;
+            ALTER TABLE cases ADD COLUMN reopen_reason TEXT;
+            ALTER TABLE cases ADD COLUMN status_changed_at TEXT;
+
+            -- Cases were only open or closed; open cases start the lifecycle as reported
+            UPDATE cases SET status = 'reported'
+            WHERE status IS NULL OR status NOT IN
+                ('reported', 'under_review', 'claim_filed', 'medical_treatment', 'return_to_work', 'closed', 'denied', 'reopened');
+        `
+    },
+    {
+        version: 14,
+        name: 'report to case link',
+        up: `
+            ALTER TABLE reports ADD COLUMN case_id TEXT;
+            CREATE INDEX idx_cases_report_id ON cases (report_id);
+
+            -- Link reports to the cases already opened from them (the oldest, if several)
+            UPDATE reports SET case_id = (
+                SELECT id FROM cases WHERE cases.report_id = reports.id ORDER BY created_at LIMIT 1
+            );
+        `
+    },
+    {
+        version: 15,
+        name: 'sync revisions and tombstones',
+        up: `
+            -- Every write to a case or expense bumps its revision and takes the
+            -- next sync sequence number, which clients pull changes from
+            ALTER TABLE cases ADD COLUMN revision INTEGER NOT NULL DEFAULT 1;
+            ALTER TABLE cases ADD COLUMN field_revisions TEXT NOT NULL DEFAULT '{}';
+            ALTER TABLE cases ADD COLUMN sync_seq INTEGER NOT NULL DEFAULT 1;
+            CREATE INDEX idx_cases_sync_seq ON cases (sync_seq);
+
+            ALTER TABLE expenses ADD COLUMN revision INTEGER NOT NULL DEFAULT 1;
+            ALTER TABLE expenses ADD COLUMN field_revisions TEXT NOT NULL DEFAULT '{}';
+            ALTER TABLE expenses ADD COLUMN sync_seq INTEGER NOT NULL DEFAULT 1;
+            CREATE INDEX idx_expenses_sync_seq ON expenses (sync_seq);
+
+            INSERT INTO counters (name, value) VALUES ('sync_seq', 1);
+
+            CREATE TABLE tombstones (
+                entity_type TEXT NOT NULL,
+                entity_id TEXT NOT NULL,
+                case_id TEXT,
+                revision INTEGER NOT NULL,
+                sync_seq INTEGER NOT NULL,
+                deleted_at TEXT NOT NULL,
+                PRIMARY KEY (entity_type, entity_id)
+            );
+            CREATE INDEX idx_tombstones_sync_seq ON tombstones (sync_seq);
+        `
+    },
+    {
+        version: 16,
+        name: 'post-accident drug and alcohol tests',
+        up: `
+            CREATE TABLE drug_tests (
+                id TEXT PRIMARY KEY NOT NULL,
+                report_id TEXT NOT NULL REFERENCES reports (id) ON DELETE CASCADE,
+                test_type TEXT NOT NULL,
+                collection_site TEXT,
+                collected_at TEXT,
+                result TEXT,
+                mro_notes TEXT,
+                cost REAL,
+                expense_id TEXT,
+                created_by TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT
+            );
+            CREATE INDEX idx_drug_tests_report_id ON drug_tests (report_id, created_at);
+        `
+    },
+    {
+        version: 17,
+        name: 'employee registry',
+        up: `
+            -- One row per worker. name_key is the normalized name used to match
+            -- free-text names on reports and cases (see utils/nameMatch.js).
+            CREATE TABLE employees (
+                id TEXT PRIMARY KEY NOT NULL,
+                employee_number TEXT,
+                name TEXT NOT NULL,
+                name_key TEXT NOT NULL,
+                phone TEXT,
+                preferred_language TEXT,
+                client TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT
+            );
+            CREATE UNIQUE INDEX idx_employees_employee_number ON employees (employee_number COLLATE NOCASE)
+                WHERE employee_number IS NOT NULL;
+            CREATE INDEX idx_employees_name_key ON employees (name_key);
+
+            INSERT INTO counters (name, value) VALUES ('employee_serial', 0);
+
+            -- Reports and cases keep the employee details as entered and link to
+            -- the registry; existing records are linked when the server starts
+            ALTER TABLE reports ADD COLUMN canonical_employee_id TEXT REFERENCES employees (id);
+            ALTER TABLE cases ADD COLUMN canonical_employee_id TEXT REFERENCES employees (id);
+            CREATE INDEX idx_reports_canonical_employee_id ON reports (canonical_employee_id);
+            CREATE INDEX idx_cases_canonical_employee_id ON cases (canonical_employee_id);
+        `
+    },
+    {
+        version: 18,
+        name: 'client and job-site registry',
+        up: `
+            CREATE TABLE clients (
+                id TEXT PRIMARY KEY NOT NULL,
+                name TEXT NOT NULL,
+                name_key TEXT NOT NULL UNIQUE,
+                safety_contact_name TEXT,
+                safety_contact_email TEXT,
+                safety_contact_phone TEXT,
+                active INTEGER NOT NULL DEFAULT 1,
+                created_at TEXT NOT NULL,
+                updated_at TEXT
+            );
+
+            -- A site's establishment is the OSHA establishment whose log its cases go on
+            CREATE TABLE client_sites (
+                id TEXT PRIMARY KEY NOT NULL,
+                client_id TEXT NOT NULL REFERENCES clients (id),
+                name TEXT NOT NULL,
+                address TEXT,
+                latitude REAL,
+                longitude REAL,
+                supervisor_name TEXT,
+                supervisor_phone TEXT,
+                safety_contact_email TEXT,
+                safety_contact_phone TEXT,
+                establishment TEXT,
+                active INTEGER NOT NULL DEFAULT 1,
+                created_at TEXT NOT NULL,
+                updated_at TEXT
+            );
+            CREATE INDEX idx_client_sites_client_id ON client_sites (client_id);
+
+            -- Free-text client names mapped to a client during reconciliation,
+            -- so later reports with the same spelling are linked too
+            CREATE TABLE client_aliases (
+                name_key TEXT PRIMARY KEY NOT NULL,
+                client_id TEXT NOT NULL REFERENCES clients (id),
+                created_at TEXT NOT NULL
+            );
+
+            INSERT INTO counters (name, value) VALUES ('client_serial', 0), ('site_serial', 0);
+
+            ALTER TABLE reports ADD COLUMN client_id TEXT REFERENCES clients (id);
+            ALTER TABLE reports ADD COLUMN site_id TEXT REFERENCES client_sites (id);
+            ALTER TABLE cases ADD COLUMN client_id TEXT REFERENCES clients (id);
+            ALTER TABLE cases ADD COLUMN site_id TEXT REFERENCES client_sites (id);
+            CREATE INDEX idx_reports_client_id ON reports (client_id);
+            CREATE INDEX idx_cases_client_id ON cases (client_id);
+        `
+    },
+    {
+        version: 19,
+        name: 'search index',
+        up: `
+            -- Reports and cases as searched by GET /api/search, one row each,
+            -- kept in step by the triggers below. A case is searched by its
+            -- report's location.
+            CREATE TABLE search_documents (
+                id INTEGER PRIMARY KEY,
+                doc_type TEXT NOT NULL,
+                doc_id TEXT NOT NULL,
+                report_id TEXT,
+                case_id TEXT,
+                date TEXT,
+                employee_name TEXT,
+                client TEXT,
+                client_id TEXT,
+                location TEXT,
+                description TEXT,
+                report_classification TEXT,
+                status TEXT,
+                injury_type TEXT,
+                insurance_carrier TEXT,
+                body_parts TEXT,
+                UNIQUE (doc_type, doc_id)
+            );
+            CREATE INDEX idx_search_documents_report_id ON search_documents (report_id);
+            CREATE INDEX idx_search_documents_date ON search_documents (date);
+            CREATE INDEX idx_search_documents_client_id ON search_documents (client_id);
+
+            -- Words of the searched fields, without case or accents
+            CREATE VIRTUAL TABLE search_text USING fts5 (
+                employee_name, client, location, description,
+                content = 'search_documents', content_rowid = 'id',
+                tokenize = 'unicode61 remove_diacritics 2'
+            );
+            CREATE TRIGGER search_documents_insert AFTER INSERT ON search_documents
+            BEGIN
+                INSERT INTO search_text (rowid, employee_name, client, location, description)
+                VALUES (NEW.id, NEW.employee_name, NEW.client, NEW.location, NEW.description);
+            END;
+            CREATE TRIGGER search_documents_update AFTER UPDATE ON search_documents
+            BEGIN
+                INSERT INTO search_text (search_text, rowid, employee_name, client, location, description)
+                VALUES ('delete', OLD.id, OLD.employee_name, OLD.client, OLD.location, OLD.description);
+                INSERT INTO search_text (rowid, employee_name, client, location, description)
+                VALUES (NEW.id, NEW.employee_name, NEW.client, NEW.location, NEW.description);
+            END;
+            CREATE TRIGGER search_documents_delete AFTER DELETE ON search_documents
+            BEGIN
+                INSERT INTO search_text (search_text, rowid, employee_name, client, location, description)
+                VALUES ('delete', OLD.id, OLD.employee_name, OLD.client, OLD.location, OLD.description);
+            END;
+
+            CREATE TRIGGER reports_search_insert AFTER INSERT ON reports
+            BEGIN
+                INSERT INTO search_documents (doc_type, doc_id, report_id, case_id, date, employee_name, client, client_id,
+                    location, description, report_classification, injury_type, body_parts)
+                VALUES ('report', NEW.id, NEW.id, NEW.case_id, NEW.incident_date, NEW.employee_name, NEW.client, NEW.client_id,
+                    NEW.location, NEW.description, NEW.report_classification, NEW.injury_type, NEW.body_parts);
+            END;
+            CREATE TRIGGER reports_search_update AFTER UPDATE ON reports
+            BEGIN
+                UPDATE search_documents SET case_id = NEW.case_id, date = NEW.incident_date, employee_name = NEW.employee_name,
+                    client = NEW.client, client_id = NEW.client_id, location = NEW.location, description = NEW.description,
+                    report_classification = NEW.report_classification, injury_type = NEW.injury_type, body_parts = NEW.body_parts
+                WHERE doc_type = 'report' AND doc_id = OLD.id;
+                UPDATE search_documents SET location = NEW.location
+                WHERE doc_type = 'case' AND report_id = NEW.id AND location IS NOT NEW.location;
+            END;
+            CREATE TRIGGER reports_search_delete AFTER DELETE ON reports
+            BEGIN
+                DELETE FROM search_documents WHERE doc_type = 'report' AND doc_id = OLD.id;
+            END;
+
+            CREATE TRIGGER cases_search_insert AFTER INSERT ON cases
+            BEGIN
+                INSERT INTO search_documents (doc_type, doc_id, report_id, case_id, date, employee_name, client, client_id,
+                    location, description, report_classification, status, injury_type, insurance_carrier, body_parts)
+                VALUES ('case', NEW.id, NEW.report_id, NEW.id, NEW.injury_date, NEW.employee_name, NEW.client, NEW.client_id,
+                    (SELECT location FROM reports WHERE id = NEW.report_id), NEW.description, NEW.report_classification,
+                    NEW.status, NEW.injury_type, NEW.insurance_carrier, NEW.body_parts);
+            END;
+            CREATE TRIGGER cases_search_update AFTER UPDATE ON cases
+            BEGIN
+                UPDATE search_documents SET report_id = NEW.report_id, date = NEW.injury_date, employee_name = NEW.employee_name,
+                    client = NEW.client, client_id = NEW.client_id, location = (SELECT location FROM reports WHERE id = NEW.report_id),
+                    description = NEW.description, report_classification = NEW.report_classification, status = NEW.status,
+                    injury_type = NEW.injury_type, insurance_carrier = NEW.insurance_carrier, body_parts = NEW.body_parts
+                WHERE doc_type = 'case' AND doc_id = OLD.id;
+            END;
+            CREATE TRIGGER cases_search_delete AFTER DELETE ON cases
+            BEGIN
+                DELETE FROM search_documents WHERE doc_type = 'case' AND doc_id = OLD.id;
+            END;
+
+            INSERT INTO search_documents (doc_type, doc_id, report_id, case_id, date, employee_name, client, client_id,
+                location, description, report_classification, injury_type, body_parts)
+            SELECT 'report', id, id, case_id, incident_date, employee_name, client, client_id,
+                location, description, report_classification, injury_type, body_parts
+            FROM reports;
+            INSERT INTO search_documents (doc_type, doc_id, report_id, case_id, date, employee_name, client, client_id,
+                location, description, report_classification, status, injury_type, insurance_carrier, body_parts)
+            SELECT 'case', c.id, c.report_id, c.id, c.injury_date, c.employee_name, c.client, c.client_id,
+                r.location, c.description, c.report_classification, c.status, c.injury_type, c.insurance_carrier, c.body_parts
+            FROM cases c LEFT JOIN reports r ON r.id = c.report_id;
+        `
+    }
+];
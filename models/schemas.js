@@ -0,0 +1,283 @@
+// Payload schemas for the write routes. See utils/validation.js for the rule format.
+// Field names match the form inputs so errors can be shown next to the right field.
+
+const { WEBHOOK_EVENTS } = require('../utils/webhooks');
+
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const ID_MESSAGE = 'Must be 1-64 letters, digits, dots, dashes or underscores';
+
+const CLASSIFICATIONS = ['incident', 'accident'];
+const EXPENSE_CATEGORIES = ['testing', 'medical', 'admin', 'legal', 'other'];
+// OSHA 300 column M
+const ILLNESS_CATEGORIES = ['injury', 'skin_disorder', 'respiratory', 'poisoning', 'hearing_loss', 'other_illness'];
+const WORK_STATUSES = ['full_duty', 'restricted_duty', 'off_work', 'released'];
+// Post-accident testing, see utils/drugTesting.js
+const DRUG_TEST_TYPES = ['drug', 'alcohol', 'drug_and_alcohol'];
+const DRUG_TEST_RESULTS = ['negative', 'positive', 'dilute', 'refused'];
+// Case lifecycle, see utils/caseLifecycle.js
+const CASE_STATUSES = ['reported', 'under_review', 'claim_filed', 'medical_treatment', 'return_to_work', 'closed', 'denied', 'reopened'];
+
+const EMAIL_PATTERN = /^[^\s@<>,;"]+@[^\s@<>,;"]+\.[^\s@<>,;"]+$/;
+const PHONE_PATTERN = /^\+?[0-9]{7,15}$/;
+const URL_PATTERN = /^https?:\/\/[^\s]+$/i;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+const text = (maxLength = 200) => ({ type: 'string', maxLength });
+const list = items => ({ type: 'array', items });
+const emailList = () => list({ type: 'string', maxLength: 254, pattern: EMAIL_PATTERN, message: 'Must be an email address' });
+const phoneList = () => list({ type: 'string', pattern: PHONE_PATTERN, message: 'Must be a phone number in international format, e.g. +15125550100' });
+
+const reportSchema = {
+    reportId: { type: 'string', pattern: ID_PATTERN, message: ID_MESSAGE },
+    id: { type: 'string', pattern: ID_PATTERN, message: ID_MESSAGE },
+    serialNumber: text(64),
+    timestamp: { type: 'datetime' },
+    reportClassification: { type: 'string', required: true, enum: CLASSIFICATIONS },
+    employeeName: { ...text(), required: true },
+    employeeId: text(64),
+    employeePhone: text(32),
+    // Registry employee picked from the suggestions (GET /api/employees/match)
+    canonicalEmployeeId: { type: 'string', pattern: ID_PATTERN, message: ID_MESSAGE },
+    client: text(),
+    // Client and job site picked from the registry (GET /api/clients/directory)
+    clientId: { type: 'string', pattern: ID_PATTERN, message: ID_MESSAGE },
+    location: text(500),
+    siteId: { type: 'string', pattern: ID_PATTERN, message: ID_MESSAGE },
+    incidentDate: { type: 'date', required: true },
+    incidentTime: { type: 'time' },
+    reportedDate: { type: 'date' },
+    reportedTime: { type: 'time' },
+    injuryType: text(100),
+    description: text(5000),
+    witnessName: text(),
+    witnessContact: text(),
+    bodyParts: { type: 'array', items: text(100) },
+    reporterName: text(),
+    reporterPosition: text(),
+    medicalDecline: { type: 'object' },
+    drugTest: { type: 'object' },
+    latitude: { type: 'number', min: -90, max: 90 },
+    longitude: { type: 'number', min: -180, max: 180 }
+};
+
+const caseSchema = {
+    id: { type: 'string', required: true, pattern: ID_PATTERN, message: ID_MESSAGE },
+    reportId: { type: 'string', pattern: ID_PATTERN, message: ID_MESSAGE },
+    employeeName: { ...text(), required: true },
+    canonicalEmployeeId: { type: 'string', pattern: ID_PATTERN, message: ID_MESSAGE },
+    reportClassification: { type: 'string', enum: CLASSIFICATIONS },
+    insuranceCarrier: text(),
+    claimNumber: text(64),
+    injuryDate: { type: 'date' },
+    injuryType: text(100),
+    description: text(5000),
+    // "open" is accepted from older clients, see utils/caseLifecycle.js
+    status: { type: 'string', enum: [...CASE_STATUSES, 'open'] },
+    client: text(),
+    clientId: { type: 'string', pattern: ID_PATTERN, message: ID_MESSAGE },
+    siteId: { type: 'string', pattern: ID_PATTERN, message: ID_MESSAGE },
+    bodyParts: { type: 'array', items: text(100) },
+    isIncident: { type: 'boolean' },
+    // OSHA recordkeeping
+    establishment: text(),
+    jobTitle: text(100),
+    recordable: { type: 'boolean' },
+    illnessCategory: { type: 'string', enum: ILLNESS_CATEGORIES },
+    daysAway: { type: 'integer', min: 0 },
+    restrictedDays: { type: 'integer', min: 0 },
+    death: { type: 'boolean' },
+    dateOfDeath: { type: 'date' },
+    privacyCase: { type: 'boolean' },
+    physicianName: text(),
+    treatmentFacility: text(),
+    emergencyRoom: { type: 'boolean' },
+    hospitalized: { type: 'boolean' },
+    // Texas DWC-1: first day missed because of the injury, and when the report went to the carrier
+    lostTimeStartDate: { type: 'date' },
+    dwc1SentAt: { type: 'datetime' },
+    // Filled in by lifecycle transitions
+    closureReason: text(500),
+    finalCost: { type: 'number', min: 0 },
+    denialReason: text(1000),
+    reopenReason: text(1000),
+    closedAt: { type: 'datetime' },
+    // Sync: the server revision the client's copy is based on
+    revision: { type: 'integer', min: 1 },
+    createdAt: { type: 'datetime' }
+};
+
+const expenseSchema = {
+    id: { type: 'string', required: true, pattern: ID_PATTERN, message: ID_MESSAGE },
+    date: { type: 'date', required: true },
+    category: { type: 'string', required: true, enum: EXPENSE_CATEGORIES },
+    description: { ...text(500), required: true },
+    amount: { type: 'number', required: true, min: 0 },
+    vendor: text(),
+    notes: text(2000),
+    revision: { type: 'integer', min: 1 },
+    createdAt: { type: 'datetime' }
+};
+
+// Registry entry for a worker. employeeNumber is the company's own employee
+// ID, as entered in the report's "Employee ID" field.
+const employeeSchema = {
+    name: { ...text(), required: true },
+    employeeNumber: text(64),
+    phone: text(32),
+    preferredLanguage: { type: 'string', maxLength: 35, pattern: LANGUAGE_PATTERN, message: 'Must be a language code, e.g. en or es' },
+    client: text()
+};
+
+// Client company. The safety contact is the client's own safety person.
+const clientSchema = {
+    name: { ...text(), required: true },
+    safetyContactName: text(),
+    safetyContactEmail: { type: 'string', maxLength: 254, pattern: EMAIL_PATTERN, message: 'Must be an email address' },
+    safetyContactPhone: text(32),
+    active: { type: 'boolean' }
+};
+
+// Job site of a client. establishment names the OSHA establishment whose log
+// the site's cases go on.
+const clientSiteSchema = {
+    name: { ...text(), required: true },
+    address: text(500),
+    latitude: { type: 'number', min: -90, max: 90 },
+    longitude: { type: 'number', min: -180, max: 180 },
+    supervisorName: text(),
+    supervisorPhone: text(32),
+    safetyContactEmail: { type: 'string', maxLength: 254, pattern: EMAIL_PATTERN, message: 'Must be an email address' },
+    safetyContactPhone: text(32),
+    establishment: text(),
+    active: { type: 'boolean' }
+};
+
+// Reconciliation: a free-text client name mapped to a client, and a report
+// location (under a client) mapped to one of its sites
+const clientMappingSchema = {
+    value: { ...text(), required: true },
+    clientId: { type: 'string', required: true, pattern: ID_PATTERN, message: ID_MESSAGE }
+};
+
+const locationMappingSchema = {
+    clientId: { type: 'string', required: true, pattern: ID_PATTERN, message: ID_MESSAGE },
+    value: { ...text(500), required: true },
+    siteId: { type: 'string', required: true, pattern: ID_PATTERN, message: ID_MESSAGE }
+};
+
+// Query strings of GET /api/reports and GET /api/cases. sort, cursor, limit
+// and fields are read by utils/listQuery.js.
+const reportListQuerySchema = {
+    classification: { type: 'string', enum: CLASSIFICATIONS },
+    client: text(),
+    from: { type: 'date' },
+    to: { type: 'date' },
+    sort: text(64),
+    cursor: text(1000),
+    limit: text(8),
+    fields: text(2000)
+};
+
+const caseListQuerySchema = {
+    ...reportListQuerySchema,
+    status: { type: 'string', enum: CASE_STATUSES }
+};
+
+// Query string of GET /api/search. Facet values match regardless of case;
+// bodyPart is a body region (see utils/search.js) or a body part.
+const searchQuerySchema = {
+    q: text(),
+    type: { type: 'string', enum: ['report', 'case'] },
+    classification: { type: 'string', enum: CLASSIFICATIONS },
+    status: { type: 'string', enum: CASE_STATUSES },
+    injuryType: text(100),
+    bodyPart: text(100),
+    carrier: text(),
+    client: text(),
+    from: { type: 'date' },
+    to: { type: 'date' }
+};
+
+// Routing rule: every condition that is set must match the report (empty = any)
+const notificationRuleSchema = {
+    name: { ...text(100), required: true },
+    active: { type: 'boolean' },
+    clients: list(text()),
+    classifications: list({ type: 'string', enum: CLASSIFICATIONS }),
+    injuryTypes: list(text(100)),
+    bodyParts: list(text(100)),
+    drugTestRefused: { type: 'boolean' },
+    recipients: emailList(),
+    cc: emailList(),
+    bcc: emailList(),
+    sms: phoneList()
+};
+
+// One change in an injured worker's work status. The restrictions are
+// required for restricted duty; doctorNoteFile is an image or PDF data URL.
+const workStatusChangeSchema = {
+    status: { type: 'string', required: true, enum: WORK_STATUSES },
+    effectiveDate: { type: 'date', required: true },
+    restrictions: list(text(200)),
+    doctorName: text(),
+    doctorNote: text(5000),
+    doctorNoteFile: { type: 'string' },
+    notes: text(2000)
+};
+
+// Post-accident drug and alcohol test. A refusal to test is recorded as the
+// result; any other result needs the collection time.
+const drugTestSchema = {
+    testType: { type: 'string', enum: DRUG_TEST_TYPES },
+    collectionSite: text(),
+    collectedAt: { type: 'datetime' },
+    result: { type: 'string', enum: DRUG_TEST_RESULTS },
+    mroNotes: text(5000),
+    cost: { type: 'number', min: 0 }
+};
+
+// Hours for the OSHA 300A summary of one establishment and year
+const establishmentYearSchema = {
+    hoursWorked: { type: 'number', required: true, min: 0 },
+    averageEmployees: { type: 'number', required: true, min: 0 }
+};
+
+// When a case's DWC-1 went to the carrier; now when left out
+const dwc1SentSchema = {
+    sentAt: { type: 'datetime' }
+};
+
+const webhookSchema = {
+    url: { type: 'string', required: true, maxLength: 2000, pattern: URL_PATTERN, message: 'Must be an http(s) URL' },
+    description: text(),
+    events: { ...list({ type: 'string', enum: WEBHOOK_EVENTS }), required: true },
+    secret: { type: 'string', maxLength: 200 },
+    active: { type: 'boolean' }
+};
+
+module.exports = {
+    CLASSIFICATIONS,
+    EXPENSE_CATEGORIES,
+    ILLNESS_CATEGORIES,
+    WORK_STATUSES,
+    CASE_STATUSES,
+    DRUG_TEST_TYPES,
+    DRUG_TEST_RESULTS,
+    reportSchema,
+    caseSchema,
+    expenseSchema,
+    employeeSchema,
+    clientSchema,
+    clientSiteSchema,
+    clientMappingSchema,
+    locationMappingSchema,
+    reportListQuerySchema,
+    caseListQuerySchema,
+    searchQuerySchema,
+    workStatusChangeSchema,
+    drugTestSchema,
+    notificationRuleSchema,
+    establishmentYearSchema,
+    dwc1SentSchema,
+    webhookSchema
+};
@@ -1,141 +1,91 @@
 const express = require('express');
-const nodemailer = require('nodemailer');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const crypto = require('crypto');
 const path = require('path');
-const fs = require('fs');
 require('dotenv').config();
-
-// ========== JSON FILE DATABASE SETUP ==========
+const Database = require('./models/database');
+const AttachmentStore = require('./utils/attachmentStore');
+const Mailer = require('./utils/mailer');
+const NotificationQueue = require('./utils/notificationQueue');
+const { resolveRecipients, parseAddressList } = require('./utils/notificationRouting');
+const SmsGateway = require('./utils/smsGateway');
+const { WEBHOOK_EVENTS, WebhookDispatcher, generateSecret } = require('./utils/webhooks');
+const { sameValue, recordAudit } = require('./utils/audit');
+const { validate, sendValidationError } = require('./utils/validation');
+const { toCsv } = require('./utils/csv');
+const { OSHA_CASE_FIELDS, LOG_COLUMNS, establishmentOf, recordableCases, build300Log, formatLogRow, build300ASummary, build301, reconcile } = require('./utils/osha');
+const { texasToday } = require('./utils/dates');
+const { DWC1_CASE_FIELDS, dwc1Filings, buildDwc1 } = require('./utils/dwc');
+const { summarizeWorkStatus, workStatusCaseFields } = require('./utils/workStatus');
+const { INITIAL_STATUS, STATUS_LABELS, LIFECYCLE_CASE_FIELDS, requestedStatus, checkTransition, checkInitialStatus, availableTransitions } = require('./utils/caseLifecycle');
+const { pickSent, conflictingFields, fieldsChangedSince } = require('./utils/sync');
+const { WINDOW_HOURS, TYPE_LABELS, drugTestStatus } = require('./utils/drugTesting');
+const { nameKey } = require('./utils/nameMatch');
+const { phoneKey, matchEmployees, rulesOut } = require('./utils/employees');
+const { nearestSite, suggestClients, suggestSites } = require('./utils/clients');
+const { quarterRange, queryTerms, highlights } = require('./utils/search');
+const { MAX_LIMIT, parseListQuery, parseOffsetPage, nextCursor, pickFields } = require('./utils/listQuery');
+const { reportSchema, caseSchema, expenseSchema, employeeSchema, clientSchema, clientSiteSchema, clientMappingSchema, locationMappingSchema, reportListQuerySchema, caseListQuerySchema, searchQuerySchema, workStatusChangeSchema, drugTestSchema, notificationRuleSchema, webhookSchema, establishmentYearSchema, dwc1SentSchema } = require('./models/schemas');
+const { renderInjuryReportEmail } = require('./templates/injuryReportEmail');
+const { renderInjuryReportSms } = require('./templates/injuryReportSms');
+const { renderInjuryReportPdf } = require('./templates/injuryReportPdf');
+const { render300Pdf, render300APdf, render301Pdf } = require('./templates/oshaPdf');
+const { renderDwc1Pdf } = require('./templates/dwc1Pdf');
+const { renderDwc1OverdueEmail } = require('./templates/dwc1OverdueEmail');
+const { renderDrugTestDeadlineEmail } = require('./templates/drugTestDeadlineEmail');
+const { ROLES, ALL_ROLES, ADMIN_ROLES, VIEW_ROLES, EDIT_ROLES, hashSecret, verifySecret, verifyDummy, isValidPin, isValidPassword, toPublicUser } = require('./utils/auth');
+const { formatReportId, isProvisionalId, dateFromReportId, parseSerial } = require('./utils/reportIds');
+
+// ========== DATABASE SETUP ==========
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
-const DB_FILE = path.join(DATA_DIR, 'cws_safety.json');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-}
-
-// Database structure
-let db = {
-    reports: [],
-    cases: [],
-    expenses: []
-};
-
-// Load database from file
-function loadDatabase() {
-    try {
-        if (fs.existsSync(DB_FILE)) {
-            const data = fs.readFileSync(DB_FILE, 'utf8');
-            db = JSON.parse(data);
-            console.log('✅ Database loaded from:', DB_FILE);
-        } else {
-            // Initialize with seed data
-            seedDatabase();
-            saveDatabase();
-            console.log('✅ Database initialized at:', DB_FILE);
-        }
-    } catch (error) {
-        console.error('Error loading database:', error);
-        seedDatabase();
-        saveDatabase();
-    }
-}
-
-// Save database to file
-function saveDatabase() {
-    try {
-        fs.writeFileSync(DB_FILE, JSON.stringify(db, null, 2));
-    } catch (error) {
-        console.error('Error saving database:', error);
-    }
-}
 
-// Seed initial data
-function seedDatabase() {
-    // Kevin Simion INCIDENT (not workers comp)
-    const kevinExists = db.cases.find(c => c.employeeName && c.employeeName.toLowerCase().includes('kevin simion'));
-    if (!kevinExists) {
-        db.cases.push({
-            id: 'INC-2024-001',
-            employeeName: 'Kevin Simion',
-            reportClassification: 'incident',
-            insuranceCarrier: '',
-            claimNumber: '',
-            injuryDate: '2024-12-10',
-            injuryType: 'Other',
-            description: 'Incident Report - Medical check completed. No injury, cleared to work.',
-            status: 'closed',
-            closedAt: '2024-12-11',
-            client: '',
-            isIncident: true,
-            createdAt: '2024-12-10T10:00:00.000Z'
-        });
-        db.expenses.push({
-            id: 'EXP-KS-001',
-            caseId: 'INC-2024-001',
-            date: '2024-12-11',
-            category: 'medical',
-            description: 'Medical Check',
-            amount: 0.00,
-            vendor: '',
-            notes: 'Post-incident medical evaluation - cleared to work',
-            createdAt: '2024-12-11T09:00:00.000Z'
-        });
-        console.log('✅ Kevin Simion INCIDENT seeded');
-    }
-
-    // Geissa Romero Workers Comp
-    const geissaExists = db.cases.find(c => c.employeeName && c.employeeName.toLowerCase().includes('geissa romero'));
-    if (!geissaExists) {
-        db.cases.push({
-            id: 'WC-2024-001',
-            employeeName: 'Geissa Romero',
-            reportClassification: 'accident',
-            insuranceCarrier: 'Texas Mutual',
-            claimNumber: '1425001472540',
-            injuryDate: '2024-12-11',
-            injuryType: 'Other',
-            description: 'Workers compensation case',
-            status: 'open',
-            client: '',
-            isIncident: false,
-            createdAt: new Date().toISOString()
-        });
-        db.expenses.push({
-            id: 'EXP-GR-001',
-            caseId: 'WC-2024-001',
-            date: '2024-12-11',
-            category: 'testing',
-            description: 'Drug and Alcohol Test',
-            amount: 168.00,
-            vendor: '',
-            notes: 'Initial post-incident testing',
-            createdAt: new Date().toISOString()
-        });
-        console.log('✅ Geissa Romero case seeded');
-    }
-}
+// SQLite store - runs migrations and the one-time cws_safety.json import on
+// connect, which init() does
+const db = new Database(DATA_DIR);
 
-// Initialize database
-loadDatabase();
+// Report attachments (photos, body diagram, signature, PDF) stored under DATA_DIR/attachments
+const attachmentStore = new AttachmentStore({
+    db,
+    dataDir: DATA_DIR,
+    maxBytes: parseInt(process.env.MAX_ATTACHMENT_BYTES) || 5 * 1024 * 1024
+});
 // ========== END DATABASE SETUP ==========
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // ========== AUTHENTICATION SYSTEM ==========
-// Secure token storage (in-memory for simplicity, use Redis in production)
-const activeTokens = new Map();
-const TOKEN_EXPIRY_MS = parseInt(process.env.TOKEN_EXPIRY_MS) || 8 * 60 * 60 * 1000; // 8 hours default
-const SUPERVISOR_PIN_HASH = process.env.SUPERVISOR_PIN_HASH || hashPin('4698'); // Default PIN hashed
+// Sessions are stored in the database (token hashes only), so they survive restarts.
+// Expiry slides forward on each use, up to an absolute maximum session age.
+const TOKEN_EXPIRY_MS = parseInt(process.env.TOKEN_EXPIRY_MS) || 8 * 60 * 60 * 1000; // 8 hours idle default
+const SESSION_MAX_AGE_MS = parseInt(process.env.SESSION_MAX_AGE_MS) || 7 * 24 * 60 * 60 * 1000; // 7 days default
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000; // Limit last-seen writes to once a minute per session
+
+// Create the first safety director account on an empty database so someone can
+// log in and add the other users
+function ensureBootstrapAdmin() {
+    if (db.countUsers() > 0) return;
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    let password = process.env.ADMIN_PASSWORD;
+    if (!password) {
+        password = crypto.randomBytes(12).toString('base64url');
+        console.warn(`⚠️ No ADMIN_PASSWORD set. Created user "${username}" with password: ${password}`);
+        console.warn('⚠️ Log in and change this password, or set ADMIN_PASSWORD before first start.');
+    }
 
-// Hash function for PIN (using SHA-256 with salt)
-function hashPin(pin) {
-    const salt = process.env.PIN_SALT || 'cws-safety-2024';
-    return crypto.createHash('sha256').update(pin + salt).digest('hex');
+    db.insertUser({
+        id: crypto.randomUUID(),
+        username,
+        displayName: 'Safety Director',
+        role: ROLES.SAFETY_DIRECTOR,
+        passwordHash: hashSecret(password),
+        active: true,
+        createdAt: new Date().toISOString()
+    });
+    console.log(`✅ Bootstrap safety director account created: ${username}`);
 }
 
 // Generate secure token
@@ -143,28 +93,69 @@ function generateToken() {
     return crypto.randomBytes(32).toString('hex');
 }
 
-// Validate token
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Validate token, returning { session, user } or null. Extends the session's expiry.
 function validateToken(token) {
-    if (!token || !activeTokens.has(token)) {
-        return false;
+    if (!token || typeof token !== 'string') {
+        return null;
     }
-    const tokenData = activeTokens.get(token);
-    if (Date.now() > tokenData.expiresAt) {
-        activeTokens.delete(token);
-        return false;
+
+    const session = db.getSessionByTokenHash(hashToken(token));
+    if (!session) {
+        return null;
     }
-    return true;
-}
 
-// Cleanup expired tokens periodically
-setInterval(() => {
     const now = Date.now();
-    for (const [token, data] of activeTokens.entries()) {
-        if (now > data.expiresAt) {
-            activeTokens.delete(token);
+    const user = db.getUser(session.userId);
+    if (now > session.expiresAt || !user || !user.active) {
+        db.deleteSession(session.id);
+        return null;
+    }
+
+    if (!session.lastSeenAt || now - Date.parse(session.lastSeenAt) > SESSION_TOUCH_INTERVAL_MS) {
+        const maxExpiry = Date.parse(session.createdAt) + SESSION_MAX_AGE_MS;
+        Object.assign(session, db.updateSession(session.id, {
+            lastSeenAt: new Date(now).toISOString(),
+            expiresAt: Math.min(now + TOKEN_EXPIRY_MS, maxExpiry)
+        }));
+    }
+
+    return {
+        session,
+        user: {
+            id: user.id,
+            username: user.username,
+            displayName: user.displayName,
+            role: user.role
+        }
+    };
+}
+
+// Invalidate every session belonging to a user (e.g. when deactivated)
+function revokeUserTokens(userId) {
+    return db.deleteUserSessions(userId);
+}
+
+// Session as shown to users - never includes the token hash
+function toPublicSession(session, currentSessionId) {
+    const { tokenHash, ...publicSession } = session;
+    return { ...publicSession, current: session.id === currentSessionId };
+}
+
+// Cleanup expired sessions, every minute once the server is started
+function cleanupExpiredSessions() {
+    try {
+        const removed = db.deleteExpiredSessions();
+        if (removed > 0) {
+            console.log(`🧹 Removed ${removed} expired session(s)`);
         }
+    } catch (error) {
+        console.error('Session cleanup error:', error);
     }
-}, 60000); // Cleanup every minute
+}
 // ========== END AUTHENTICATION SYSTEM ==========
 
 // Security middleware with CSP configuration
@@ -226,26 +217,152 @@ const limiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Public routes that use up something on each call: emails sent and report serials
 app.use('/api/send-email', limiter);
+app.use('/api/reports/reserve-id', limiter);
 
-// Configure nodemailer transporter
-const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-    }
+// Configure outgoing mail (gmail, smtp or a local .eml outbox)
+const mailer = new Mailer({
+    transport: process.env.EMAIL_TRANSPORT || 'gmail',
+    dataDir: DATA_DIR
 });
 
-// Verify transporter configuration
-transporter.verify(function(error, success) {
-    if (error) {
-        console.error('Email transporter configuration error:', error);
-    } else {
-        console.log('✅ Email server is ready to send messages');
-    }
+// SMS gateway (disabled unless SMS_TRANSPORT is set)
+const smsGateway = new SmsGateway({
+    transport: process.env.SMS_TRANSPORT || 'none',
+    dataDir: DATA_DIR
+});
+
+// Durable notification queue - failed sends are retried with exponential backoff
+const notificationQueue = new NotificationQueue({
+    db,
+    senders: {
+        email: payload => mailer.sendMail(payload),
+        sms: payload => smsGateway.send(payload),
+        webhook: (payload, notification) => webhooks.send(payload, notification)
+    },
+    maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+    baseDelayMs: parseInt(process.env.NOTIFICATION_RETRY_BASE_MS) || 60000,
+    pollIntervalMs: parseInt(process.env.NOTIFICATION_POLL_MS) || 30000
 });
 
+// Signed outgoing webhooks for report, case and expense events
+const webhooks = new WebhookDispatcher({ db, queue: notificationQueue });
+
+// Recipients for a report: EMAIL_TO, CC_EMAILS, BCC_EMAILS and SMS_TO plus
+// every matching routing rule
+function routeReport(report) {
+    return resolveRecipients(db.getNotificationRules({ activeOnly: true }), report, {
+        to: mailer.toAddress ? [mailer.toAddress] : [],
+        cc: parseAddressList(process.env.CC_EMAILS),
+        bcc: parseAddressList(process.env.BCC_EMAILS),
+        sms: parseAddressList(process.env.SMS_TO)
+    });
+}
+
+// Notification as shown to users - the payload (with attachments) is omitted
+function toPublicNotification(notification) {
+    const { payload, dedupKey, ...publicNotification } = notification;
+    return {
+        ...publicNotification,
+        nextAttemptAt: ['queued', 'failed'].includes(notification.status)
+            ? new Date(notification.nextAttemptAt).toISOString()
+            : null
+    };
+}
+
+// Injury report email for a stored report: the body diagram, photos and
+// signature stored with it inline, and the PDF rendered from the record
+function injuryReportMail(report, routing) {
+    const images = attachmentStore.getReportImages(report.id);
+    const email = renderInjuryReportEmail({
+        ...report,
+        reportId: report.id,
+        timestamp: report.createdAt,
+        bodyDiagramImage: Boolean(images.bodyDiagram),
+        injuryPhoto: images.photos,
+        employeeSignature: Boolean(images.signature)
+    });
+
+    const inline = (image, name, cid) => ({
+        filename: `${name}.${image.mimeType.split('/')[1]}`,
+        content: image.data.toString('base64'),
+        encoding: 'base64',
+        contentType: image.mimeType,
+        cid // Content ID for inline embedding
+    });
+    const attachments = [];
+    if (images.bodyDiagram) {
+        attachments.push(inline(images.bodyDiagram, `body-diagram-${report.id}`, 'bodyDiagram'));
+    }
+    images.photos.forEach((photo, index) => {
+        attachments.push(inline(photo, `injury-photo-${index + 1}-${report.id}`, `injuryPhoto${index}`));
+    });
+    if (images.signature) {
+        attachments.push(inline(images.signature, `signature-${report.id}`, 'employeeSignature'));
+    }
+    attachments.push({
+        filename: `injury-report-${report.id}.pdf`,
+        content: renderInjuryReportPdf(report, images).toString('base64'),
+        encoding: 'base64',
+        contentType: 'application/pdf'
+    });
+
+    return {
+        from: `"CWS Safety Reports" <${mailer.fromAddress}>`,
+        to: routing.to.join(', '),
+        subject: email.subject,
+        html: email.html,
+        cc: routing.cc.length > 0 ? routing.cc.join(', ') : undefined,
+        bcc: routing.bcc.length > 0 ? routing.bcc.join(', ') : undefined,
+        attachments
+    };
+}
+
+// Queue the injury report email and texts for a stored report. They are
+// built from the stored record and sent once per report ID, so nothing a
+// client sends about a report can change who is told or what they are told.
+// Returns the email's { notification, duplicate }.
+function queueReportNotifications(report) {
+    const routing = routeReport(report);
+    if (routing.matchedRules.length > 0) {
+        console.log(`📬 Routing rules matched for ${report.id}: ${routing.matchedRules.map(r => r.name).join(', ')}`);
+    }
+
+    // Text the routed phone numbers (one SMS per report and number)
+    if (smsGateway.enabled && routing.sms.length > 0) {
+        const body = renderInjuryReportSms({ ...report, reportId: report.id });
+        for (const phone of routing.sms) {
+            notificationQueue.enqueue({
+                reportId: report.id,
+                channel: 'sms',
+                kind: 'injury_report',
+                recipient: phone,
+                dedupKey: `sms:injury_report:${report.id}:${phone}`,
+                payload: { to: phone, body }
+            });
+        }
+    }
+
+    const dedupKey = `email:injury_report:${report.id}`;
+    const existing = db.getNotificationByDedupKey(dedupKey);
+    if (existing && existing.status !== 'dead') {
+        return { notification: existing, duplicate: true };
+    }
+
+    const mailOptions = injuryReportMail(report, routing);
+    const queued = notificationQueue.enqueue({
+        reportId: report.id,
+        channel: 'email',
+        kind: 'injury_report',
+        recipient: mailOptions.to,
+        dedupKey,
+        payload: mailOptions
+    });
+    notificationQueue.kick();
+    return queued;
+}
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
@@ -267,48 +384,113 @@ const authLimiter = rateLimit({
     legacyHeaders: false,
 });
 
-// PIN Authentication endpoint
-app.post('/api/auth/verify-pin', authLimiter, (req, res) => {
+// Check a username against its PIN or password. Returns the user or null.
+function authenticateUser(username, { pin, password }) {
+    const user = typeof username === 'string' ? db.getUserByUsername(username.trim()) : null;
+    const secret = password !== undefined ? password : pin;
+    const storedHash = password !== undefined ? user && user.passwordHash : user && user.pinHash;
+
+    if (!user || !user.active || !storedHash) {
+        return verifyDummy(secret) || null;
+    }
+    return verifySecret(String(secret), storedHash) ? user : null;
+}
+
+// Start a session for an authenticated user and build the login response
+function issueToken(user, req) {
+    const token = generateToken();
+    const now = Date.now();
+    const expiresAt = now + TOKEN_EXPIRY_MS;
+    const sessionUser = {
+        id: user.id,
+        username: user.username,
+        displayName: user.displayName,
+        role: user.role
+    };
+
+    db.insertSession({
+        id: crypto.randomUUID(),
+        tokenHash: hashToken(token),
+        userId: user.id,
+        ip: req.ip,
+        userAgent: (req.get('user-agent') || '').slice(0, 255),
+        createdAt: new Date(now).toISOString(),
+        lastSeenAt: new Date(now).toISOString(),
+        expiresAt: expiresAt
+    });
+    db.updateUser(user.id, { lastLoginAt: new Date(now).toISOString() });
+
+    console.log(`✅ ${user.username} (${user.role}) authenticated from IP: ${req.ip}`);
+
+    return {
+        success: true,
+        token: token,
+        expiresAt: expiresAt,
+        expiresIn: TOKEN_EXPIRY_MS,
+        user: sessionUser
+    };
+}
+
+// Login with username and password (or PIN)
+app.post('/api/auth/login', authLimiter, (req, res) => {
     try {
-        const { pin } = req.body;
+        const { username, password, pin } = req.body;
 
-        if (!pin || typeof pin !== 'string' || pin.length !== 4) {
+        if (!username || (password === undefined && pin === undefined)) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid PIN format. PIN must be 4 digits.'
+                error: 'Username and password or PIN are required'
             });
         }
 
-        // Hash the provided PIN and compare
-        const providedPinHash = hashPin(pin);
+        const user = authenticateUser(username, { password, pin });
+        if (!user) {
+            console.log(`❌ Failed login for "${username}" from IP: ${req.ip}`);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid username or credentials'
+            });
+        }
+
+        return res.json(issueToken(user, req));
+    } catch (error) {
+        console.error('Authentication error:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Authentication service error'
+        });
+    }
+});
 
-        if (providedPinHash === SUPERVISOR_PIN_HASH) {
-            // Generate secure token
-            const token = generateToken();
-            const expiresAt = Date.now() + TOKEN_EXPIRY_MS;
+// PIN Authentication endpoint (used by the supervisor PIN pad)
+app.post('/api/auth/verify-pin', authLimiter, (req, res) => {
+    try {
+        const { username, pin } = req.body;
 
-            // Store token
-            activeTokens.set(token, {
-                createdAt: Date.now(),
-                expiresAt: expiresAt,
-                ip: req.ip
+        if (!username || typeof username !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Username is required'
             });
+        }
 
-            console.log(`✅ Supervisor authenticated from IP: ${req.ip}`);
-
-            return res.json({
-                success: true,
-                token: token,
-                expiresAt: expiresAt,
-                expiresIn: TOKEN_EXPIRY_MS
+        if (!isValidPin(pin)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid PIN format. PIN must be 4 to 8 digits.'
             });
-        } else {
-            console.log(`❌ Failed authentication attempt from IP: ${req.ip}`);
+        }
+
+        const user = authenticateUser(username, { pin });
+        if (!user) {
+            console.log(`❌ Failed PIN attempt for "${username}" from IP: ${req.ip}`);
             return res.status(401).json({
                 success: false,
-                error: 'Invalid PIN'
+                error: 'Invalid username or PIN'
             });
         }
+
+        return res.json(issueToken(user, req));
     } catch (error) {
         console.error('Authentication error:', error);
         return res.status(500).json({
@@ -331,15 +513,15 @@ app.post('/api/auth/validate-token', (req, res) => {
             });
         }
 
-        const isValid = validateToken(token);
+        const tokenData = validateToken(token);
 
-        if (isValid) {
-            const tokenData = activeTokens.get(token);
+        if (tokenData) {
             return res.json({
                 success: true,
                 valid: true,
-                expiresAt: tokenData.expiresAt,
-                remainingMs: tokenData.expiresAt - Date.now()
+                expiresAt: tokenData.session.expiresAt,
+                remainingMs: tokenData.session.expiresAt - Date.now(),
+                user: tokenData.user
             });
         } else {
             return res.json({
@@ -362,9 +544,10 @@ app.post('/api/auth/validate-token', (req, res) => {
 app.post('/api/auth/logout', (req, res) => {
     try {
         const { token } = req.body;
+        const session = token && typeof token === 'string' ? db.getSessionByTokenHash(hashToken(token)) : null;
 
-        if (token && activeTokens.has(token)) {
-            activeTokens.delete(token);
+        if (session) {
+            db.deleteSession(session.id);
             console.log(`✅ Token invalidated (logout)`);
         }
 
@@ -381,9 +564,10 @@ app.post('/api/auth/logout', (req, res) => {
     }
 });
 
-// Middleware to protect routes requiring authentication
+// Middleware to protect routes requiring authentication.
+// Sets req.user to the logged-in user ({ id, username, displayName, role }).
 function requireAuth(req, res, next) {
-    const token = req.headers['x-auth-token'] || req.body.token;
+    const token = req.headers['x-auth-token'] || (req.body && req.body.token);
 
     if (!token) {
         return res.status(401).json({
@@ -392,230 +576,2042 @@ function requireAuth(req, res, next) {
         });
     }
 
-    if (!validateToken(token)) {
+    const tokenData = validateToken(token);
+    if (!tokenData) {
         return res.status(401).json({
             success: false,
             error: 'Invalid or expired token'
         });
     }
 
+    req.user = tokenData.user;
+    req.session = tokenData.session;
     next();
 }
 
-// Protected endpoint example: Get cases data (for future API expansion)
-app.get('/api/cases', requireAuth, (req, res) => {
-    // This endpoint can be expanded to store cases server-side
-    res.json({
-        success: true,
-        message: 'Authenticated access to cases',
-        timestamp: new Date().toISOString()
+// Middleware factory: authenticate, then allow only the given roles
+function requireRole(...roles) {
+    return (req, res, next) => requireAuth(req, res, () => {
+        if (!roles.includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You do not have permission to perform this action'
+            });
+        }
+        next();
     });
-});
-
-// ========== END AUTHENTICATION ENDPOINTS ==========
+}
 
-// ========== REPORTS API ENDPOINTS ==========
+// Middleware for public routes that trust a logged-in user with more: sets
+// req.user and req.session when a valid token is sent. Requests without one
+// (or with an expired one) go through anonymously.
+function optionalAuth(req, res, next) {
+    const tokenData = validateToken(req.headers['x-auth-token']);
+    if (tokenData) {
+        req.user = tokenData.user;
+        req.session = tokenData.session;
+    }
+    next();
+}
 
-// Get all reports
-app.get('/api/reports', (req, res) => {
+// Route access policy:
+// - Public: health, login, report ID reservation, report submission and the report email,
+//   so field staff can file a report without an account. Attachments sent for
+//   a report that is already stored are kept only from a logged-in user.
+// - VIEW_ROLES: reading reports, attachments, cases, expenses and stats.
+// - EDIT_ROLES: creating or changing cases and expenses, and bulk sync.
+// - ADMIN_ROLES: user management.
+const canView = requireRole(...VIEW_ROLES);
+const canEdit = requireRole(...EDIT_ROLES);
+const isAdmin = requireRole(...ADMIN_ROLES);
+
+// ========== SESSION MANAGEMENT ==========
+
+// List sessions. Users see their own; admins may pass ?userId=<id> or ?all=true.
+app.get('/api/auth/sessions', requireAuth, (req, res) => {
     try {
-        const reports = [...db.reports].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-        res.json({ success: true, reports });
+        const isAdminUser = ADMIN_ROLES.includes(req.user.role);
+        let userId = req.user.id;
+
+        if (req.query.all === 'true' || req.query.userId) {
+            if (!isAdminUser) {
+                return res.status(403).json({ success: false, error: 'You do not have permission to perform this action' });
+            }
+            userId = req.query.userId || undefined;
+        }
+
+        const usernames = new Map(db.getUsers().map(u => [u.id, u.username]));
+        const sessions = db.getSessions({ userId })
+            .filter(session => session.expiresAt > Date.now())
+            .map(session => ({ ...toPublicSession(session, req.session.id), username: usernames.get(session.userId) }));
+
+        res.json({ success: true, sessions });
     } catch (error) {
-        console.error('Error fetching reports:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch reports' });
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch sessions' });
     }
 });
 
-// Get single report
-app.get('/api/reports/:id', (req, res) => {
+// Revoke one session. Users may revoke their own; admins may revoke any.
+app.delete('/api/auth/sessions/:id', requireAuth, (req, res) => {
     try {
-        const report = db.reports.find(r => r.id === req.params.id);
-        if (!report) {
-            return res.status(404).json({ success: false, error: 'Report not found' });
+        const session = db.getSession(req.params.id);
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'Session not found' });
         }
-        res.json({ success: true, report });
+        if (session.userId !== req.user.id && !ADMIN_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ success: false, error: 'You do not have permission to perform this action' });
+        }
+
+        db.deleteSession(session.id);
+        console.log(`✅ Session ${session.id} revoked by ${req.user.username}`);
+        res.json({ success: true });
     } catch (error) {
-        console.error('Error fetching report:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch report' });
+        console.error('Error revoking session:', error);
+        res.status(500).json({ success: false, error: 'Failed to revoke session' });
     }
 });
 
-// Create report
-app.post('/api/reports', (req, res) => {
+// Log out everywhere: revoke all of the current user's sessions, including this one
+app.post('/api/auth/logout-all', requireAuth, (req, res) => {
     try {
-        const data = req.body;
-        const report = {
-            id: data.reportId || data.id,
-            serialNumber: data.serialNumber,
-            employeeName: data.employeeName,
-            employeeId: data.employeeId,
-            employeePhone: data.employeePhone,
-            client: data.client,
-            location: data.location,
-            incidentDate: data.incidentDate,
-            incidentTime: data.incidentTime,
-            reportedDate: data.reportedDate,
-            reportedTime: data.reportedTime,
-            injuryType: data.injuryType,
-            description: data.description,
-            witnessName: data.witnessName,
-            witnessContact: data.witnessContact,
-            bodyParts: data.bodyParts || [],
-            reportClassification: data.reportClassification,
-            reporterName: data.reporterName,
-            reporterPosition: data.reporterPosition,
-            medicalDecline: data.medicalDecline || {},
-            drugTest: data.drugTest || {},
-            latitude: data.latitude,
-            longitude: data.longitude,
-            createdAt: data.timestamp || new Date().toISOString()
-        };
-
-        db.reports.push(report);
-        saveDatabase();
-
-        console.log(`✅ Report saved: ${report.id}`);
-        res.json({ success: true, reportId: report.id });
+        const revoked = revokeUserTokens(req.user.id);
+        console.log(`✅ ${req.user.username} logged out of ${revoked} session(s)`);
+        res.json({ success: true, revoked });
     } catch (error) {
-        console.error('Error saving report:', error);
-        res.status(500).json({ success: false, error: 'Failed to save report' });
+        console.error('Error logging out everywhere:', error);
+        res.status(500).json({ success: false, error: 'Logout service error' });
     }
 });
 
-// ========== CASES API ENDPOINTS ==========
+// ========== USER MANAGEMENT ==========
 
-// Get all cases with expenses
-app.get('/api/cases', (req, res) => {
-    try {
-        const casesWithExpenses = db.cases.map(c => ({
-            ...c,
-            expenses: db.expenses.filter(e => e.caseId === c.id)
-        })).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,40}$/i;
+
+// Would this change leave nobody able to manage users?
+function removesLastAdmin(user, changes) {
+    if (!ADMIN_ROLES.includes(user.role) || !user.active) return false;
+    const staysAdmin = ADMIN_ROLES.includes(changes.role || user.role) && changes.active !== false;
+    if (staysAdmin) return false;
+    return db.getUsers().filter(u => u.active && ADMIN_ROLES.includes(u.role)).length <= 1;
+}
 
-        res.json({ success: true, cases: casesWithExpenses });
+// User as recorded in the audit log: public fields plus a short fingerprint of
+// each credential hash, so PIN and password changes show up without exposing them
+function auditedUser(user) {
+    const fingerprint = hash => hash ? crypto.createHash('sha256').update(hash).digest('hex').slice(0, 8) : null;
+    return {
+        ...toPublicUser(user),
+        pinFingerprint: fingerprint(user.pinHash),
+        passwordFingerprint: fingerprint(user.passwordHash)
+    };
+}
+
+// Validate PIN/password fields shared by create and update. Returns an error message or null.
+function credentialError({ pin, password }) {
+    if (pin !== undefined && pin !== null && !isValidPin(pin)) {
+        return 'PIN must be 4 to 8 digits';
+    }
+    if (password !== undefined && password !== null && !isValidPassword(password)) {
+        return 'Password must be at least 8 characters';
+    }
+    return null;
+}
+
+// List users
+app.get('/api/users', isAdmin, (req, res) => {
+    try {
+        res.json({ success: true, users: db.getUsers().map(toPublicUser), roles: ALL_ROLES });
     } catch (error) {
-        console.error('Error fetching cases:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch cases' });
+        console.error('Error fetching users:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch users' });
     }
 });
 
-// Get single case with expenses
-app.get('/api/cases/:id', (req, res) => {
+// Create user
+app.post('/api/users', isAdmin, (req, res) => {
     try {
-        const caseData = db.cases.find(c => c.id === req.params.id);
-        if (!caseData) {
-            return res.status(404).json({ success: false, error: 'Case not found' });
+        const { username, displayName, role, pin, password } = req.body;
+
+        if (!username || !USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({ success: false, error: 'Username must be 3-40 letters, digits, dots, dashes or underscores' });
+        }
+        if (!ALL_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `Role must be one of: ${ALL_ROLES.join(', ')}` });
+        }
+        if (!pin && !password) {
+            return res.status(400).json({ success: false, error: 'A PIN or password is required' });
+        }
+        const invalid = credentialError({ pin, password });
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        if (db.getUserByUsername(username)) {
+            return res.status(409).json({ success: false, error: 'Username already exists' });
         }
 
-        const result = {
-            ...caseData,
-            expenses: db.expenses.filter(e => e.caseId === req.params.id)
-        };
+        const user = db.transaction(() => {
+            const created = db.insertUser({
+                id: crypto.randomUUID(),
+                username,
+                displayName: displayName || username,
+                role,
+                pinHash: pin ? hashSecret(pin) : null,
+                passwordHash: password ? hashSecret(password) : null,
+                active: true,
+                createdAt: new Date().toISOString()
+            });
+            recordAudit(db, req, { entityType: 'user', entityId: created.id, action: 'create', after: auditedUser(created) });
+            return created;
+        });
 
-        res.json({ success: true, case: result });
+        console.log(`✅ User created by ${req.user.username}: ${user.username} (${user.role})`);
+        res.json({ success: true, user: toPublicUser(user) });
     } catch (error) {
-        console.error('Error fetching case:', error);
-        res.status(500).json({ success: false, error: 'Failed to fetch case' });
+        console.error('Error creating user:', error);
+        res.status(500).json({ success: false, error: 'Failed to create user' });
     }
 });
 
-// Create case
-app.post('/api/cases', (req, res) => {
+// Update user (display name, role, active flag, PIN or password).
+// Pass pin or password as null to remove it.
+app.put('/api/users/:id', isAdmin, (req, res) => {
     try {
-        const data = req.body;
-        const newCase = {
-            id: data.id,
-            reportId: data.reportId || null,
-            employeeName: data.employeeName,
-            reportClassification: data.reportClassification || 'accident',
-            insuranceCarrier: data.insuranceCarrier || 'Texas Mutual',
-            claimNumber: data.claimNumber || '',
-            injuryDate: data.injuryDate,
-            injuryType: data.injuryType || 'Other',
-            description: data.description,
-            status: data.status || 'open',
-            client: data.client || '',
-            bodyParts: data.bodyParts || [],
-            isIncident: data.isIncident || false,
-            createdAt: data.createdAt || new Date().toISOString()
-        };
+        const user = db.getUser(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
 
-        db.cases.push(newCase);
-        saveDatabase();
+        const { displayName, role, active, pin, password } = req.body;
+        const changes = { updatedAt: new Date().toISOString() };
 
-        console.log(`✅ Case saved: ${data.id}`);
-        res.json({ success: true, caseId: data.id });
+        if (displayName !== undefined) changes.displayName = displayName;
+        if (role !== undefined) {
+            if (!ALL_ROLES.includes(role)) {
+                return res.status(400).json({ success: false, error: `Role must be one of: ${ALL_ROLES.join(', ')}` });
+            }
+            changes.role = role;
+        }
+        if (active !== undefined) changes.active = !!active;
+
+        const invalid = credentialError({ pin, password });
+        if (invalid) {
+            return res.status(400).json({ success: false, error: invalid });
+        }
+        if (pin !== undefined) changes.pinHash = pin ? hashSecret(pin) : null;
+        if (password !== undefined) changes.passwordHash = password ? hashSecret(password) : null;
+
+        const pinHash = 'pinHash' in changes ? changes.pinHash : user.pinHash;
+        const passwordHash = 'passwordHash' in changes ? changes.passwordHash : user.passwordHash;
+        if (!pinHash && !passwordHash) {
+            return res.status(400).json({ success: false, error: 'A user must keep a PIN or password' });
+        }
+        if (removesLastAdmin(user, changes)) {
+            return res.status(409).json({ success: false, error: 'Cannot remove the last active safety director' });
+        }
+
+        const updated = db.transaction(() => {
+            const result = db.updateUser(user.id, changes);
+            recordAudit(db, req, { entityType: 'user', entityId: user.id, action: 'update', before: auditedUser(user), after: auditedUser(result) });
+            return result;
+        });
+
+        // Role or credential changes take effect immediately
+        if (changes.role || changes.active === false || 'pinHash' in changes || 'passwordHash' in changes) {
+            revokeUserTokens(user.id);
+        }
+
+        console.log(`✅ User updated by ${req.user.username}: ${updated.username}`);
+        res.json({ success: true, user: toPublicUser(updated) });
     } catch (error) {
-        console.error('Error saving case:', error);
-        res.status(500).json({ success: false, error: 'Failed to save case' });
+        console.error('Error updating user:', error);
+        res.status(500).json({ success: false, error: 'Failed to update user' });
     }
 });
 
-// Update case
-app.put('/api/cases/:id', (req, res) => {
+// Revoke all of a user's sessions
+app.delete('/api/users/:id/sessions', isAdmin, (req, res) => {
     try {
-        const data = req.body;
-        const index = db.cases.findIndex(c => c.id === req.params.id);
-
-        if (index === -1) {
-            return res.status(404).json({ success: false, error: 'Case not found' });
+        const user = db.getUser(req.params.id);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'User not found' });
         }
 
-        db.cases[index] = {
-            ...db.cases[index],
-            ...data,
-            closedAt: data.status === 'closed' ? (data.closedAt || new Date().toISOString()) : db.cases[index].closedAt,
-            updatedAt: new Date().toISOString()
-        };
-        saveDatabase();
-
-        console.log(`✅ Case updated: ${req.params.id}`);
-        res.json({ success: true, caseId: req.params.id });
+        const revoked = revokeUserTokens(user.id);
+        console.log(`✅ ${revoked} session(s) for ${user.username} revoked by ${req.user.username}`);
+        res.json({ success: true, revoked });
     } catch (error) {
-        console.error('Error updating case:', error);
-        res.status(500).json({ success: false, error: 'Failed to update case' });
+        console.error('Error revoking user sessions:', error);
+        res.status(500).json({ success: false, error: 'Failed to revoke sessions' });
     }
 });
 
-// ========== EXPENSES API ENDPOINTS ==========
+// ========== END AUTHENTICATION ENDPOINTS ==========
 
-// Add expense to case
-app.post('/api/cases/:caseId/expenses', (req, res) => {
-    try {
-        const data = req.body;
-        const expense = {
-            id: data.id,
-            caseId: req.params.caseId,
-            date: data.date,
-            category: data.category,
-            description: data.description,
-            amount: data.amount,
-            vendor: data.vendor || '',
-            notes: data.notes || '',
-            createdAt: data.createdAt || new Date().toISOString()
-        };
+// ========== REPORTS API ENDPOINTS ==========
 
-        db.expenses.push(expense);
-        saveDatabase();
+// Fields the report and case lists can be sorted by
+const REPORT_SORTS = ['createdAt', 'incidentDate', 'employeeName', 'client'];
+const CASE_SORTS = ['createdAt', 'updatedAt', 'injuryDate', 'employeeName', 'client', 'status'];
 
-        console.log(`✅ Expense added to case ${req.params.caseId}: ${data.id}`);
-        res.json({ success: true, expenseId: data.id });
+// Report and case list filters from the query. A client given by registry ID
+// or name matches the records linked to it; any other name matches as typed.
+function listFilter({ classification, client, from, to }) {
+    const registered = client ? db.getClient(client) || db.getClientByNameKey(nameKey(client)) : null;
+    return { classification, from, to, ...(registered ? { clientId: registered.id } : { client }) };
+}
+
+// List reports, newest first: ?classification=&client=&from=&to= (incident
+// date), sort, cursor, limit and fields (see utils/listQuery.js)
+app.get('/api/reports', canView, (req, res) => {
+    try {
+        const invalid = validate(reportListQuerySchema, req.query);
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+        const page = parseListQuery(req.query, { sorts: REPORT_SORTS, fields: db.fieldsOf('reports') });
+        if (page.invalid) {
+            return sendValidationError(res, page.invalid);
+        }
+
+        const { records, total, hasMore } = db.getReportsPage(listFilter(req.query), page);
+        res.json({
+            success: true,
+            reports: records.map(report => pickFields(report, page.fields)),
+            total,
+            limit: page.limit,
+            nextCursor: nextCursor(page, records, hasMore)
+        });
     } catch (error) {
-        console.error('Error adding expense:', error);
-        res.status(500).json({ success: false, error: 'Failed to add expense' });
+        console.error('Error fetching reports:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch reports' });
     }
 });
 
-// Delete expense
-app.delete('/api/expenses/:id', (req, res) => {
+// Reserve the next report serial number
+app.post('/api/reports/reserve-id', (req, res) => {
     try {
-        const index = db.expenses.findIndex(e => e.id === req.params.id);
-        if (index !== -1) {
-            db.expenses.splice(index, 1);
-            saveDatabase();
-        }
-        console.log(`✅ Expense deleted: ${req.params.id}`);
+        const ids = formatReportId(db.allocateReportSerial());
+
+        console.log(`✅ Report ID reserved: ${ids.reportId}`);
+        res.json({ success: true, ...ids });
+    } catch (error) {
+        console.error('Error reserving report ID:', error);
+        res.status(500).json({ success: false, error: 'Failed to reserve report ID' });
+    }
+});
+
+// Get single report
+app.get('/api/reports/:id', canView, (req, res) => {
+    try {
+        const report = db.getReport(req.params.id);
+        if (!report) {
+            return res.status(404).json({ success: false, error: 'Report not found' });
+        }
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('Error fetching report:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch report' });
+    }
+});
+
+// Create report
+// Reports submitted offline carry a provisional ID, which is replaced here with
+// a server-allocated serial. Resubmitting the same provisional ID returns the
+// report that was already stored instead of creating a duplicate.
+app.post('/api/reports', optionalAuth, (req, res) => {
+    try {
+        const data = req.body;
+        const invalid = validate(reportSchema, data);
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+
+        const submittedId = data.reportId || data.id;
+        const provisionalId = isProvisionalId(submittedId) ? submittedId : null;
+
+        const result = db.transaction(() => {
+            if (provisionalId) {
+                const existing = db.getReportByProvisionalId(provisionalId);
+                if (existing) {
+                    return { report: existing, duplicate: true };
+                }
+            } else if (submittedId && db.getReport(submittedId)) {
+                return { conflict: true };
+            }
+
+            let ids = { reportId: submittedId, serialNumber: data.serialNumber };
+            if (!submittedId || provisionalId) {
+                ids = formatReportId(db.allocateReportSerial(), dateFromReportId(provisionalId) || undefined);
+            }
+
+            // Registry links picked on the form count only from a logged-in
+            // user. An anonymous report is linked by employee name, client
+            // name and location.
+            const report = db.insertReport({
+                id: ids.reportId,
+                serialNumber: ids.serialNumber,
+                provisionalId,
+                employeeName: data.employeeName,
+                employeeId: data.employeeId,
+                employeePhone: data.employeePhone,
+                canonicalEmployeeId: resolveEmployee(req, {
+                    canonicalEmployeeId: data.canonicalEmployeeId,
+                    name: data.employeeName,
+                    employeeNumber: data.employeeId,
+                    phone: data.employeePhone,
+                    client: data.client
+                }, { byName: !req.user }),
+                client: data.client,
+                location: data.location,
+                ...resolveClientSite(req.user ? data : { ...data, clientId: null, siteId: null }),
+                incidentDate: data.incidentDate,
+                incidentTime: data.incidentTime,
+                reportedDate: data.reportedDate,
+                reportedTime: data.reportedTime,
+                injuryType: data.injuryType,
+                description: data.description,
+                witnessName: data.witnessName,
+                witnessContact: data.witnessContact,
+                bodyParts: data.bodyParts || [],
+                reportClassification: data.reportClassification,
+                reporterName: data.reporterName,
+                reporterPosition: data.reporterPosition,
+                medicalDecline: data.medicalDecline || {},
+                drugTest: data.drugTest || {},
+                latitude: data.latitude,
+                longitude: data.longitude,
+                createdAt: data.timestamp || new Date().toISOString()
+            });
+
+            // Client-numbered reports must not be handed out again by the counter
+            const serial = parseSerial(report.serialNumber) || parseSerial(report.id);
+            if (serial) {
+                db.raiseCounter('report_serial', serial);
+            }
+            recordAudit(db, req, { entityType: 'report', entityId: report.id, action: 'create', after: report });
+            webhooks.emit('report.created', report, { entityId: report.id, reportId: report.id });
+
+            return { report, duplicate: false };
+        });
+
+        if (result.conflict) {
+            return res.status(409).json({
+                success: false,
+                error: `Report ID ${submittedId} already exists`
+            });
+        }
+
+        const { report, duplicate } = result;
+        // Attachments come with the submission that creates the report. A
+        // resubmission may only add to it for a logged-in user, so nobody can
+        // put a signature or photos on a stored report. Stored by content hash,
+        // so a retried submission does not duplicate files.
+        const attachments = !duplicate || req.user
+            ? attachmentStore.storeReportAttachments(report.id, data)
+            : { stored: [], errors: [] };
+
+        console.log(duplicate
+            ? `ℹ️ Duplicate submission of ${provisionalId}, already stored as ${report.id}`
+            : `✅ Report saved: ${report.id}${provisionalId ? ` (provisional ${provisionalId})` : ''}`);
+
+        // Email the safety team about every stored report, including ones
+        // uploaded later from a device's offline queue. A resubmission queues
+        // it if the first submission could not.
+        let notification = null;
+        try {
+            ({ notification } = queueReportNotifications(report));
+        } catch (error) {
+            console.error(`Error queuing notifications for report ${report.id}:`, error);
+        }
+
+        res.json({
+            success: true,
+            reportId: report.id,
+            serialNumber: report.serialNumber,
+            provisionalId: provisionalId || undefined,
+            duplicate,
+            attachments: attachments.stored.length,
+            attachmentErrors: attachments.errors.length > 0 ? attachments.errors : undefined,
+            notificationId: notification ? notification.id : undefined,
+            emailStatus: notification ? notification.status : undefined
+        });
+    } catch (error) {
+        console.error('Error saving report:', error);
+        res.status(500).json({ success: false, error: 'Failed to save report' });
+    }
+});
+
+// List a report's stored attachments
+app.get('/api/reports/:id/attachments', canView, (req, res) => {
+    try {
+        if (!db.getReport(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Report not found' });
+        }
+
+        const attachments = db.getAttachmentsForReport(req.params.id).map(a => ({
+            ...a,
+            downloadUrl: `/api/reports/${encodeURIComponent(a.reportId)}/attachments/${a.id}`
+        }));
+        res.json({ success: true, attachments });
+    } catch (error) {
+        console.error('Error fetching attachments:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch attachments' });
+    }
+});
+
+// Delivery status of a report's notifications
+app.get('/api/reports/:id/notifications', canView, (req, res) => {
+    try {
+        const notifications = db.getNotificationsForReport(req.params.id).map(toPublicNotification);
+        if (notifications.length === 0 && !db.getReport(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Report not found' });
+        }
+        res.json({ success: true, notifications });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch notifications' });
+    }
+});
+
+// Render the report PDF from the stored record and attachments
+app.get('/api/reports/:id/pdf', canView, (req, res) => {
+    try {
+        const report = db.getReport(req.params.id);
+        if (!report) {
+            return res.status(404).json({ success: false, error: 'Report not found' });
+        }
+
+        const pdf = renderInjuryReportPdf(report, attachmentStore.getReportImages(report.id));
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="injury-report-${report.id}.pdf"`);
+        res.send(pdf);
+    } catch (error) {
+        console.error('Error generating report PDF:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate PDF' });
+    }
+});
+
+// Download a single attachment
+app.get('/api/reports/:id/attachments/:attachmentId', canView, (req, res) => {
+    try {
+        const attachment = db.getAttachment(req.params.attachmentId);
+        if (!attachment || attachment.reportId !== req.params.id) {
+            return res.status(404).json({ success: false, error: 'Attachment not found' });
+        }
+
+        res.setHeader('Content-Type', attachment.mimeType);
+        res.attachment(attachment.filename);
+        res.sendFile(attachmentStore.filePath(attachment.sha256), (error) => {
+            if (error && !res.headersSent) {
+                console.error(`Attachment file missing: ${attachment.id}`, error);
+                res.status(404).json({ success: false, error: 'Attachment file not found' });
+            }
+        });
+    } catch (error) {
+        console.error('Error downloading attachment:', error);
+        res.status(500).json({ success: false, error: 'Failed to download attachment' });
+    }
+});
+
+// ========== EMPLOYEE REGISTRY ==========
+// One record per worker, so reports and cases can be counted per person.
+// Reports and cases keep the name, employee ID and phone as entered and link
+// to the registry with canonicalEmployeeId.
+
+// Employee as shown to users - the matching key is internal
+function toPublicEmployee(employee) {
+    const { nameKey: key, ...publicEmployee } = employee;
+    return publicEmployee;
+}
+
+const lookupLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: parseInt(process.env.EMPLOYEE_MATCH_MAX_REQUESTS) || 30,
+    message: { success: false, error: 'Too many lookups. Please try again in a minute.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+function registerEmployee(req, { name, employeeNumber, phone, preferredLanguage, client }) {
+    const employee = db.insertEmployee({
+        id: db.allocateEmployeeId(),
+        employeeNumber: employeeNumber || null,
+        name: String(name).trim().replace(/\s+/g, ' '),
+        nameKey: nameKey(name),
+        phone: phone || '',
+        preferredLanguage: preferredLanguage || null,
+        client: client || '',
+        createdAt: new Date().toISOString()
+    });
+    if (req) {
+        recordAudit(db, req, { entityType: 'employee', entityId: employee.id, action: 'create', after: employee });
+    }
+    return employee;
+}
+
+// Fill in details the registry did not have yet (the employee number only
+// while no one else has it)
+function completeEmployee(req, employee, { employeeNumber, phone, client }) {
+    const changes = {};
+    if (employeeNumber && !employee.employeeNumber && !db.getEmployeeByNumber(employeeNumber)) {
+        changes.employeeNumber = employeeNumber;
+    }
+    if (phone && !employee.phone) changes.phone = phone;
+    if (client && !employee.client) changes.client = client;
+    if (Object.keys(changes).length === 0) return;
+
+    const updated = db.updateEmployee(employee.id, { ...changes, updatedAt: new Date().toISOString() });
+    if (req) {
+        recordAudit(db, req, { entityType: 'employee', entityId: employee.id, action: 'update', before: employee, after: updated });
+    }
+}
+
+// Registry ID of the worker a report or case is about: the employee picked
+// from the suggestions, else the one with the entered employee number, else
+// the only one with the same name that the number and phone do not rule out.
+// A worker nobody matches is registered. Several equally likely matches
+// leave the record unlinked (null). `req` is null for startup linking, which
+// is not audited. With `byName` (anonymous reports) the employee is found by
+// name only and the entered details are not copied into the registry: a
+// worker nobody matches is registered by name alone.
+function resolveEmployee(req, { canonicalEmployeeId, name, employeeNumber, phone, client }, { byName = false } = {}) {
+    const number = (employeeNumber || '').trim();
+    const details = { employeeNumber: number, phone: (phone || '').trim(), client: (client || '').trim() };
+
+    let employee = !byName && ((canonicalEmployeeId && db.getEmployee(canonicalEmployeeId))
+        || (number && db.getEmployeeByNumber(number)));
+    if (!employee) {
+        const key = nameKey(name);
+        if (!key) return null;
+        const candidates = db.getEmployeesByNameKey(key).filter(candidate => !rulesOut(candidate, details));
+        if (candidates.length > 1) return null;
+        if (candidates.length === 0) {
+            if (byName) return registerEmployee(req, { name }).id;
+            // Employee numbers are unique; one that is taken is left off
+            const taken = number && db.getEmployeeByNumber(number);
+            return registerEmployee(req, { name, ...details, employeeNumber: taken ? '' : number }).id;
+        }
+        employee = candidates[0];
+        if (byName) return employee.id;
+    }
+    completeEmployee(req, employee, details);
+    return employee.id;
+}
+
+// Registry ID for a case: the employee picked, else its report's, else by name and client
+function caseEmployeeId(req, caseData) {
+    if (caseData.canonicalEmployeeId && db.getEmployee(caseData.canonicalEmployeeId)) {
+        return caseData.canonicalEmployeeId;
+    }
+    const report = caseData.reportId ? db.getReport(caseData.reportId) : null;
+    if (report && report.canonicalEmployeeId) {
+        return report.canonicalEmployeeId;
+    }
+    return resolveEmployee(req, { name: caseData.employeeName, client: caseData.client });
+}
+
+// Flag a canonicalEmployeeId that is not in the registry
+function checkEmployeeLink(data, invalid) {
+    if (!invalid.canonicalEmployeeId && data.canonicalEmployeeId && !db.getEmployee(data.canonicalEmployeeId)) {
+        invalid.canonicalEmployeeId = 'Unknown employee';
+    }
+    return invalid;
+}
+
+// 409 when an employee number already belongs to another employee
+function employeeNumberTaken(res, employeeNumber, exceptId = null) {
+    const owner = employeeNumber ? db.getEmployeeByNumber(employeeNumber.trim()) : null;
+    if (!owner || owner.id === exceptId) return false;
+    res.status(409).json({
+        success: false,
+        error: `Employee number ${employeeNumber} already belongs to ${owner.id}`,
+        employeeId: owner.id
+    });
+    return true;
+}
+
+// Link reports and cases stored before the registry existed, or left
+// unlinked because their name matched several employees. Oldest first, so
+// the first report about a worker registers them.
+function linkEmployeeRecords() {
+    try {
+        const linked = db.transaction(() => {
+            let count = 0;
+            for (const report of db.getReports().reverse()) {
+                if (report.canonicalEmployeeId) continue;
+                const employeeId = resolveEmployee(null, {
+                    name: report.employeeName,
+                    employeeNumber: report.employeeId,
+                    phone: report.employeePhone,
+                    client: report.client
+                });
+                if (employeeId) {
+                    db.setReportEmployee(report.id, employeeId);
+                    count++;
+                }
+            }
+            for (const caseRecord of db.getCases().reverse()) {
+                if (caseRecord.canonicalEmployeeId) continue;
+                const employeeId = caseEmployeeId(null, caseRecord);
+                if (employeeId) {
+                    db.updateCase(caseRecord.id, { canonicalEmployeeId: employeeId });
+                    count++;
+                }
+            }
+            return count;
+        });
+        if (linked > 0) {
+            console.log(`✅ Linked ${linked} report(s) and case(s) to the employee registry`);
+        }
+    } catch (error) {
+        console.error('Error linking reports and cases to employees:', error);
+    }
+}
+
+// Suggestions while a logged-in reporter types a name: ?name=geis rom&phone=&client=
+// Logged-in only, since the employee ID, client and last phone digits of
+// everyone matching three letters would list the roster; no full phone
+// numbers or employee numbers either way.
+app.get('/api/employees/match', canView, lookupLimiter, (req, res) => {
+    try {
+        const { name, phone, client } = req.query;
+        if (nameKey(name).length < 3 && !phoneKey(phone)) {
+            return res.json({ success: true, matches: [] });
+        }
+
+        const matches = matchEmployees(db.getEmployees(), { name, phone, client }).map(({ employee, score }) => ({
+            id: employee.id,
+            name: employee.name,
+            client: employee.client || '',
+            phoneLast4: phoneKey(employee.phone).slice(-4) || null,
+            score
+        }));
+        res.json({ success: true, matches });
+    } catch (error) {
+        console.error('Error matching employees:', error);
+        res.status(500).json({ success: false, error: 'Failed to match employees' });
+    }
+});
+
+// List employees, optionally for one client
+app.get('/api/employees', canView, (req, res) => {
+    try {
+        const client = req.query.client ? nameKey(req.query.client) : null;
+        const employees = db.getEmployees()
+            .filter(employee => !client || nameKey(employee.client) === client)
+            .map(toPublicEmployee);
+        res.json({ success: true, employees });
+    } catch (error) {
+        console.error('Error fetching employees:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch employees' });
+    }
+});
+
+// Get single employee
+app.get('/api/employees/:id', canView, (req, res) => {
+    try {
+        const employee = db.getEmployee(req.params.id);
+        if (!employee) {
+            return res.status(404).json({ success: false, error: 'Employee not found' });
+        }
+        res.json({ success: true, employee: toPublicEmployee(employee) });
+    } catch (error) {
+        console.error('Error fetching employee:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch employee' });
+    }
+});
+
+// Every report, case and expense of an employee, with counts per incident year
+app.get('/api/employees/:id/history', canView, (req, res) => {
+    try {
+        const employee = db.getEmployee(req.params.id);
+        if (!employee) {
+            return res.status(404).json({ success: false, error: 'Employee not found' });
+        }
+
+        const reports = db.getReportsForEmployee(employee.id);
+        const cases = db.getCasesForEmployee(employee.id);
+        const expenses = cases.flatMap(c => db.getExpensesForCase(c.id));
+
+        const byYear = {};
+        for (const report of reports) {
+            const year = (report.incidentDate || report.createdAt || '').slice(0, 4);
+            byYear[year] = byYear[year] || { reports: 0, accidents: 0, incidents: 0 };
+            byYear[year].reports++;
+            if (report.reportClassification === 'accident') byYear[year].accidents++;
+            if (report.reportClassification === 'incident') byYear[year].incidents++;
+        }
+
+        res.json({
+            success: true,
+            employee: toPublicEmployee(employee),
+            summary: {
+                reports: reports.length,
+                cases: cases.length,
+                openCases: cases.filter(c => !['closed', 'denied'].includes(c.status)).length,
+                totalExpenses: Math.round(expenses.reduce((sum, e) => sum + (e.amount || 0), 0) * 100) / 100,
+                byYear
+            },
+            reports,
+            cases,
+            expenses
+        });
+    } catch (error) {
+        console.error('Error fetching employee history:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch employee history' });
+    }
+});
+
+// Register an employee
+app.post('/api/employees', canEdit, (req, res) => {
+    try {
+        const data = req.body;
+        const invalid = validate(employeeSchema, data);
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+        if (employeeNumberTaken(res, data.employeeNumber)) return;
+
+        const employee = db.transaction(() => registerEmployee(req, {
+            ...data,
+            employeeNumber: (data.employeeNumber || '').trim()
+        }));
+
+        console.log(`✅ Employee registered by ${req.user.username}: ${employee.id}`);
+        res.json({ success: true, employee: toPublicEmployee(employee) });
+    } catch (error) {
+        console.error('Error registering employee:', error);
+        res.status(500).json({ success: false, error: 'Failed to register employee' });
+    }
+});
+
+// Update an employee
+app.put('/api/employees/:id', canEdit, (req, res) => {
+    try {
+        const data = req.body;
+        const existing = db.getEmployee(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Employee not found' });
+        }
+
+        const invalid = validate(employeeSchema, data, { partial: true });
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+        if (employeeNumberTaken(res, data.employeeNumber, existing.id)) return;
+
+        const employee = db.transaction(() => {
+            const changes = {};
+            for (const field of Object.keys(employeeSchema)) {
+                if (data[field] !== undefined) changes[field] = data[field];
+            }
+            if (changes.name !== undefined) {
+                changes.name = changes.name.trim().replace(/\s+/g, ' ');
+                changes.nameKey = nameKey(changes.name);
+            }
+            if (changes.employeeNumber !== undefined) {
+                changes.employeeNumber = (changes.employeeNumber || '').trim() || null;
+            }
+            const updated = db.updateEmployee(existing.id, { ...changes, updatedAt: new Date().toISOString() });
+            recordAudit(db, req, { entityType: 'employee', entityId: existing.id, action: 'update', before: existing, after: updated });
+            return updated;
+        });
+
+        console.log(`✅ Employee updated by ${req.user.username}: ${employee.id}`);
+        res.json({ success: true, employee: toPublicEmployee(employee) });
+    } catch (error) {
+        console.error('Error updating employee:', error);
+        res.status(500).json({ success: false, error: 'Failed to update employee' });
+    }
+});
+
+// Link a report to an employee, e.g. one left unlinked because the name
+// matched several people
+app.put('/api/reports/:id/employee', canEdit, (req, res) => {
+    try {
+        const report = db.getReport(req.params.id);
+        if (!report) {
+            return res.status(404).json({ success: false, error: 'Report not found' });
+        }
+        const invalid = req.body.canonicalEmployeeId ? checkEmployeeLink(req.body, {}) : { canonicalEmployeeId: 'Required' };
+        if (Object.keys(invalid).length > 0) {
+            return sendValidationError(res, invalid);
+        }
+
+        const updated = db.transaction(() => {
+            const linked = db.setReportEmployee(report.id, req.body.canonicalEmployeeId);
+            recordAudit(db, req, { entityType: 'report', entityId: report.id, caseId: report.caseId, action: 'update', before: report, after: linked });
+            return linked;
+        });
+
+        console.log(`✅ Report ${report.id} linked to employee ${updated.canonicalEmployeeId} by ${req.user.username}`);
+        res.json({ success: true, report: updated });
+    } catch (error) {
+        console.error('Error linking report to employee:', error);
+        res.status(500).json({ success: false, error: 'Failed to link report to employee' });
+    }
+});
+
+// ========== CLIENTS AND JOB SITES ==========
+// Managed list of client companies and their job sites. Reports and cases keep
+// the client and location as entered and link to the registry with clientId
+// and siteId. Values entered before the registry are mapped once through
+// /api/clients/reconciliation.
+
+// Client as shown to users, with its sites - the matching key is internal
+function toPublicClient(client, sites = db.getClientSites({ clientId: client.id })) {
+    const { nameKey: key, ...publicClient } = client;
+    return { ...publicClient, sites };
+}
+
+// The fields of a payload that the schema defines
+function pickSchemaFields(schema, data) {
+    const fields = {};
+    for (const field of Object.keys(schema)) {
+        if (data[field] !== undefined) fields[field] = data[field];
+    }
+    return fields;
+}
+
+// Registry client and site of a report: the ones picked (a site only under
+// its own client), else the client by its name or a reconciled spelling and
+// the site nearest to the report's coordinates
+function resolveClientSite({ clientId, siteId, client, latitude, longitude }) {
+    const registered = (clientId && db.getClient(clientId))
+        || (nameKey(client) && db.getClientByNameKey(nameKey(client)));
+    if (!registered) return { clientId: null, siteId: null };
+
+    const picked = siteId ? db.getClientSite(siteId) : null;
+    if (picked && picked.clientId === registered.id) {
+        return { clientId: registered.id, siteId: picked.id };
+    }
+    const nearest = nearestSite(db.getClientSites({ clientId: registered.id, activeOnly: true }), { latitude, longitude });
+    return { clientId: registered.id, siteId: nearest ? nearest.id : null };
+}
+
+// Registry client and site of a case, from the case, its report or its client
+// name, and the site's OSHA establishment when the case names none
+function caseClientFields(caseData) {
+    const report = caseData.reportId ? db.getReport(caseData.reportId) : null;
+    const { clientId, siteId } = resolveClientSite({
+        client: caseData.client,
+        clientId: caseData.clientId || (report && report.clientId),
+        siteId: caseData.siteId || (report && report.siteId)
+    });
+    const site = siteId ? db.getClientSite(siteId) : null;
+    return {
+        clientId,
+        siteId,
+        ...(!caseData.establishment && site && site.establishment ? { establishment: site.establishment } : {})
+    };
+}
+
+// Fill in the registry fields a stored case is missing. Returns whether it changed.
+function linkCaseClient(req, caseRecord) {
+    const changes = {};
+    for (const [field, value] of Object.entries(caseClientFields(caseRecord))) {
+        if (value && !caseRecord[field]) changes[field] = value;
+    }
+    if (Object.keys(changes).length === 0) return false;
+
+    const updated = db.updateCase(caseRecord.id, { ...changes, updatedAt: new Date().toISOString() });
+    recordAudit(db, req, { entityType: 'case', entityId: caseRecord.id, caseId: caseRecord.id, action: 'update', before: caseRecord, after: updated });
+    return true;
+}
+
+// Flag a clientId or siteId that is not in the registry, or a site of another client
+function checkClientLink(data, invalid, existing = {}) {
+    const clientId = data.clientId !== undefined ? data.clientId : existing.clientId;
+    if (!invalid.clientId && data.clientId && !db.getClient(data.clientId)) {
+        invalid.clientId = 'Unknown client';
+    }
+    if (!invalid.siteId && data.siteId) {
+        const site = db.getClientSite(data.siteId);
+        if (!site) invalid.siteId = 'Unknown site';
+        else if (site.clientId !== clientId) invalid.siteId = 'Not a site of this client';
+    }
+    return invalid;
+}
+
+// 409 when another client already has the name
+function clientNameTaken(res, name, exceptId = null) {
+    const owner = name ? db.getClientByNameKey(nameKey(name)) : null;
+    if (!owner || owner.id === exceptId) return false;
+    res.status(409).json({ success: false, error: `Client ${owner.name} already exists`, clientId: owner.id });
+    return true;
+}
+
+// Active clients and sites for the report form: names and places only, no contacts
+app.get('/api/clients/directory', (req, res) => {
+    try {
+        const sites = db.getClientSites({ activeOnly: true });
+        const clients = db.getClients({ activeOnly: true }).map(client => ({
+            id: client.id,
+            name: client.name,
+            sites: sites
+                .filter(site => site.clientId === client.id)
+                .map(({ id, name, address, latitude, longitude }) => ({ id, name, address, latitude, longitude }))
+        }));
+        res.json({ success: true, clients });
+    } catch (error) {
+        console.error('Error fetching client directory:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch client directory' });
+    }
+});
+
+// Free-text client names not tied to a client yet, and report locations not
+// tied to one of their client's sites, with suggested matches
+app.get('/api/clients/reconciliation', isAdmin, (req, res) => {
+    try {
+        const clients = db.getClients();
+        const sites = db.getClientSites();
+
+        const clientValues = new Map();
+        const addClientValue = (value, kind) => {
+            const key = nameKey(value);
+            if (!key) return;
+            const group = clientValues.get(key) || { spellings: new Map(), reports: 0, cases: 0 };
+            group.spellings.set(value.trim(), (group.spellings.get(value.trim()) || 0) + 1);
+            group[kind]++;
+            clientValues.set(key, group);
+        };
+
+        const locationValues = new Map();
+        for (const report of db.getReports()) {
+            if (!report.clientId) {
+                addClientValue(report.client, 'reports');
+            } else if (!report.siteId && nameKey(report.location)) {
+                const key = `${report.clientId}\n${nameKey(report.location)}`;
+                const group = locationValues.get(key) || { clientId: report.clientId, value: report.location.trim(), reports: 0, points: [] };
+                group.reports++;
+                if (Number.isFinite(report.latitude) && Number.isFinite(report.longitude)) group.points.push(report);
+                locationValues.set(key, group);
+            }
+        }
+        for (const caseRecord of db.getCases()) {
+            if (!caseRecord.clientId) addClientValue(caseRecord.client, 'cases');
+        }
+
+        const clientNames = new Map(clients.map(client => [client.id, client.name]));
+        const average = (points, field) => points.reduce((sum, point) => sum + point[field], 0) / points.length;
+
+        res.json({
+            success: true,
+            clients: [...clientValues.values()]
+                .map(group => {
+                    // The most common spelling stands for the group
+                    const [value] = [...group.spellings.entries()].sort((a, b) => b[1] - a[1])[0];
+                    return {
+                        value,
+                        spellings: [...group.spellings.keys()],
+                        reports: group.reports,
+                        cases: group.cases,
+                        suggestions: suggestClients(clients, value).map(({ client, score }) => ({ clientId: client.id, name: client.name, score }))
+                    };
+                })
+                .sort((a, b) => (b.reports + b.cases) - (a.reports + a.cases) || a.value.localeCompare(b.value)),
+            locations: [...locationValues.values()]
+                .map(group => {
+                    const point = group.points.length > 0
+                        ? { latitude: average(group.points, 'latitude'), longitude: average(group.points, 'longitude') }
+                        : null;
+                    const clientSites = sites.filter(site => site.clientId === group.clientId);
+                    return {
+                        clientId: group.clientId,
+                        client: clientNames.get(group.clientId),
+                        value: group.value,
+                        reports: group.reports,
+                        suggestions: suggestSites(clientSites, group.value, point).map(({ site, score, distanceKm }) => ({
+                            siteId: site.id,
+                            name: site.name,
+                            address: site.address,
+                            score,
+                            distanceKm
+                        }))
+                    };
+                })
+                .sort((a, b) => b.reports - a.reports || a.value.localeCompare(b.value))
+        });
+    } catch (error) {
+        console.error('Error fetching client reconciliation:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch client reconciliation' });
+    }
+});
+
+// Validate a reconciliation payload. Returns { field: message } or null.
+function reconciliationErrors({ clients = [], locations = [] }) {
+    const invalid = {};
+    if (!Array.isArray(clients)) invalid.clients = 'Must be a list';
+    if (!Array.isArray(locations)) invalid.locations = 'Must be a list';
+    if (Object.keys(invalid).length > 0) return invalid;
+
+    clients.forEach((mapping, i) => {
+        const prefix = `clients[${i}].`;
+        const errors = validate(clientMappingSchema, mapping, { prefix });
+        const owner = errors ? null : db.getClientByNameKey(nameKey(mapping.value));
+        if (errors) {
+            Object.assign(invalid, errors);
+        } else if (!db.getClient(mapping.clientId)) {
+            invalid[`${prefix}clientId`] = 'Unknown client';
+        } else if (owner && owner.id !== mapping.clientId && owner.nameKey === nameKey(mapping.value)) {
+            invalid[`${prefix}value`] = `Is the name of client ${owner.id}`;
+        }
+    });
+    locations.forEach((mapping, i) => {
+        const prefix = `locations[${i}].`;
+        const errors = validate(locationMappingSchema, mapping, { prefix }) || checkClientLink(mapping, {});
+        for (const [field, message] of Object.entries(errors)) {
+            invalid[field.startsWith(prefix) ? field : prefix + field] = message;
+        }
+    });
+    return Object.keys(invalid).length > 0 ? invalid : null;
+}
+
+// Apply reconciliation mappings:
+//   clients:   [{ value: "acme corp.", clientId }] - reports and cases with the
+//              name (in any case, spacing or punctuation) are linked to the client,
+//              and so are later ones with the same spelling
+//   locations: [{ clientId, value: "1200 Main St", siteId }] - the client's reports
+//              at that location are linked to the site
+// Cases follow their reports, and take the site's OSHA establishment when they have none.
+app.post('/api/clients/reconciliation', isAdmin, (req, res) => {
+    try {
+        const invalid = reconciliationErrors(req.body);
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+
+        const { clients = [], locations = [] } = req.body;
+        const linked = db.transaction(() => {
+            for (const mapping of clients) {
+                const client = db.getClient(mapping.clientId);
+                if (nameKey(mapping.value) !== client.nameKey) {
+                    db.setClientAlias(nameKey(mapping.value), client.id);
+                }
+            }
+            const locationSites = new Map(locations.map(m => [`${m.clientId}\n${nameKey(m.value)}`, m.siteId]));
+
+            let reports = 0;
+            for (const report of db.getReports()) {
+                // Unlinked reports follow the mapped spellings; linked ones may gain a site
+                const link = report.clientId ? { clientId: report.clientId, siteId: report.siteId } : resolveClientSite(report);
+                if (!link.clientId) continue;
+                const siteId = link.siteId || locationSites.get(`${link.clientId}\n${nameKey(report.location)}`) || null;
+                if (link.clientId === report.clientId && siteId === report.siteId) continue;
+
+                const updated = db.setReportClient(report.id, { clientId: link.clientId, siteId });
+                recordAudit(db, req, { entityType: 'report', entityId: report.id, caseId: report.caseId, action: 'update', before: report, after: updated });
+                reports++;
+            }
+
+            let cases = 0;
+            for (const caseRecord of db.getCases()) {
+                if ((!caseRecord.clientId || !caseRecord.siteId) && linkCaseClient(req, caseRecord)) cases++;
+            }
+            return { reports, cases };
+        });
+
+        console.log(`✅ Client reconciliation by ${req.user.username}: ${linked.reports} report(s), ${linked.cases} case(s) linked`);
+        res.json({ success: true, linked });
+    } catch (error) {
+        console.error('Error applying client reconciliation:', error);
+        res.status(500).json({ success: false, error: 'Failed to apply client reconciliation' });
+    }
+});
+
+// List clients with their sites
+app.get('/api/clients', canView, (req, res) => {
+    try {
+        const sites = db.getClientSites();
+        const clients = db.getClients().map(client => toPublicClient(client, sites.filter(site => site.clientId === client.id)));
+        res.json({ success: true, clients });
+    } catch (error) {
+        console.error('Error fetching clients:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch clients' });
+    }
+});
+
+// Get single client with its sites
+app.get('/api/clients/:id', canView, (req, res) => {
+    try {
+        const client = db.getClient(req.params.id);
+        if (!client) {
+            return res.status(404).json({ success: false, error: 'Client not found' });
+        }
+        res.json({ success: true, client: toPublicClient(client) });
+    } catch (error) {
+        console.error('Error fetching client:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch client' });
+    }
+});
+
+// Register a client
+app.post('/api/clients', isAdmin, (req, res) => {
+    try {
+        const invalid = validate(clientSchema, req.body);
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+        if (clientNameTaken(res, req.body.name)) return;
+
+        const client = db.transaction(() => {
+            const created = db.insertClient({
+                active: true,
+                ...pickSchemaFields(clientSchema, req.body),
+                id: db.allocateClientId(),
+                name: req.body.name.trim(),
+                nameKey: nameKey(req.body.name),
+                createdAt: new Date().toISOString()
+            });
+            recordAudit(db, req, { entityType: 'client', entityId: created.id, action: 'create', after: created });
+            return created;
+        });
+
+        console.log(`✅ Client registered by ${req.user.username}: ${client.id} ${client.name}`);
+        res.json({ success: true, client: toPublicClient(client) });
+    } catch (error) {
+        console.error('Error registering client:', error);
+        res.status(500).json({ success: false, error: 'Failed to register client' });
+    }
+});
+
+// Update a client. Deactivated clients and sites drop out of the report form
+// but stay linked to their reports and cases.
+app.put('/api/clients/:id', isAdmin, (req, res) => {
+    try {
+        const existing = db.getClient(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Client not found' });
+        }
+
+        const invalid = validate(clientSchema, req.body, { partial: true });
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+        if (clientNameTaken(res, req.body.name, existing.id)) return;
+
+        const client = db.transaction(() => {
+            const changes = pickSchemaFields(clientSchema, req.body);
+            if (changes.name !== undefined) {
+                changes.name = changes.name.trim();
+                changes.nameKey = nameKey(changes.name);
+            }
+            const updated = db.updateClient(existing.id, { ...changes, updatedAt: new Date().toISOString() });
+            recordAudit(db, req, { entityType: 'client', entityId: existing.id, action: 'update', before: existing, after: updated });
+            return updated;
+        });
+
+        console.log(`✅ Client updated by ${req.user.username}: ${client.id}`);
+        res.json({ success: true, client: toPublicClient(client) });
+    } catch (error) {
+        console.error('Error updating client:', error);
+        res.status(500).json({ success: false, error: 'Failed to update client' });
+    }
+});
+
+// Add a job site to a client
+app.post('/api/clients/:id/sites', isAdmin, (req, res) => {
+    try {
+        const client = db.getClient(req.params.id);
+        if (!client) {
+            return res.status(404).json({ success: false, error: 'Client not found' });
+        }
+
+        const invalid = validate(clientSiteSchema, req.body);
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+
+        const site = db.transaction(() => {
+            const created = db.insertClientSite({
+                active: true,
+                ...pickSchemaFields(clientSiteSchema, req.body),
+                id: db.allocateSiteId(),
+                clientId: client.id,
+                createdAt: new Date().toISOString()
+            });
+            recordAudit(db, req, { entityType: 'client_site', entityId: created.id, action: 'create', after: created });
+            return created;
+        });
+
+        console.log(`✅ Site added to client ${client.id} by ${req.user.username}: ${site.id} ${site.name}`);
+        res.json({ success: true, site });
+    } catch (error) {
+        console.error('Error adding client site:', error);
+        res.status(500).json({ success: false, error: 'Failed to add client site' });
+    }
+});
+
+// Update a job site
+app.put('/api/clients/:id/sites/:siteId', isAdmin, (req, res) => {
+    try {
+        const existing = db.getClientSite(req.params.siteId);
+        if (!existing || existing.clientId !== req.params.id) {
+            return res.status(404).json({ success: false, error: 'Site not found' });
+        }
+
+        const invalid = validate(clientSiteSchema, req.body, { partial: true });
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+
+        const site = db.transaction(() => {
+            const updated = db.updateClientSite(existing.id, {
+                ...pickSchemaFields(clientSiteSchema, req.body),
+                updatedAt: new Date().toISOString()
+            });
+            recordAudit(db, req, { entityType: 'client_site', entityId: existing.id, action: 'update', before: existing, after: updated });
+            return updated;
+        });
+
+        console.log(`✅ Site updated by ${req.user.username}: ${site.id}`);
+        res.json({ success: true, site });
+    } catch (error) {
+        console.error('Error updating client site:', error);
+        res.status(500).json({ success: false, error: 'Failed to update client site' });
+    }
+});
+
+// ========== CASES API ENDPOINTS ==========
+
+// OSHA, DWC-1 and lifecycle case fields are stored as sent. On sync, fields
+// the client leaves out keep their stored values.
+const OPTIONAL_CASE_FIELDS = [...OSHA_CASE_FIELDS, ...DWC1_CASE_FIELDS, ...LIFECYCLE_CASE_FIELDS];
+
+// Fields PUT /api/cases/:id may change. The report link is set when the case
+// is opened, work status comes from the work status timeline, the status
+// stamps (statusChangedAt, closedAt) from status changes, and dwc1SentAt from
+// POST /api/cases/:id/dwc1/sent.
+const CASE_EDIT_FIELDS = [
+    'employeeName', 'canonicalEmployeeId', 'reportClassification', 'insuranceCarrier', 'claimNumber', 'injuryDate',
+    'injuryType', 'description', 'status', 'client', 'clientId', 'siteId', 'bodyParts', 'isIncident',
+    ...OPTIONAL_CASE_FIELDS.filter(field => field !== 'dwc1SentAt')
+];
+
+function pickOptionalCaseFields(data) {
+    const fields = {};
+    for (const field of OPTIONAL_CASE_FIELDS) {
+        if (data[field] !== undefined) fields[field] = data[field];
+    }
+    return fields;
+}
+
+// Status fields for an update that moves a case (or a new case) to `status`.
+// Closing stamps closedAt with the time of the change; any other change of
+// status clears it.
+function statusFields(existing, status) {
+    if (existing && existing.status === status) {
+        return { status, closedAt: existing.closedAt };
+    }
+    const now = new Date().toISOString();
+    return {
+        status,
+        statusChangedAt: now,
+        closedAt: status === 'closed' ? now : null
+    };
+}
+
+// 409 for a status change the lifecycle does not allow (see utils/caseLifecycle.js)
+function sendTransitionError(res, blocked) {
+    const { error, ...details } = blocked;
+    return res.status(409).json({ success: false, error, ...details });
+}
+
+// Webhook events for a case change: case.created for a new case, case.closed
+// when it moves to closed (each closing is a separate occurrence)
+function emitCaseEvents(before, after) {
+    if (!before) {
+        webhooks.emit('case.created', after, { entityId: after.id, reportId: after.reportId });
+    }
+    if (after.status === 'closed' && (!before || before.status !== 'closed')) {
+        webhooks.emit('case.closed', after, { entityId: after.id, reportId: after.reportId, dedupId: `${after.id}:${after.closedAt}` });
+    }
+}
+
+// Point a case's report at the case, unless the report already became another
+// case, and carry the report's drug test costs to it
+function linkCaseReport(req, caseRecord) {
+    const report = caseRecord.reportId ? db.getReport(caseRecord.reportId) : null;
+    if (!report || report.caseId || !db.linkReportToCase(report.id, caseRecord.id)) return;
+    recordAudit(db, req, {
+        entityType: 'report',
+        entityId: report.id,
+        caseId: caseRecord.id,
+        action: 'update',
+        before: report,
+        after: db.getReport(report.id)
+    });
+    // Tests logged before the case existed
+    db.getDrugTestsForReport(report.id).forEach(test => applyDrugTestExpense(req, test));
+}
+
+// List cases with their expenses, newest first: ?status=&classification=
+// &client=&from=&to= (injury date), sort, cursor, limit and fields (see
+// utils/listQuery.js). byStatus counts the cases in each status under the
+// other filters.
+app.get('/api/cases', canView, (req, res) => {
+    try {
+        const invalid = validate(caseListQuerySchema, req.query);
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+        const page = parseListQuery(req.query, { sorts: CASE_SORTS, fields: [...db.fieldsOf('cases'), 'expenses'] });
+        if (page.invalid) {
+            return sendValidationError(res, page.invalid);
+        }
+
+        const { records, total, hasMore, byStatus } = db.getCasesPage({ ...listFilter(req.query), status: req.query.status }, page);
+        const withExpenses = !page.fields || page.fields.includes('expenses');
+        res.json({
+            success: true,
+            cases: records.map(c => pickFields(withExpenses ? { ...c, expenses: db.getExpensesForCase(c.id) } : c, page.fields)),
+            total,
+            byStatus,
+            limit: page.limit,
+            nextCursor: nextCursor(page, records, hasMore)
+        });
+    } catch (error) {
+        console.error('Error fetching cases:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch cases' });
+    }
+});
+
+// Get single case with expenses, return-to-work summary and the report's drug tests
+app.get('/api/cases/:id', canView, (req, res) => {
+    try {
+        const result = db.getCaseWithExpenses(req.params.id);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+
+        const report = result.reportId ? db.getReport(result.reportId) : null;
+        res.json({
+            success: true,
+            case: {
+                ...result,
+                returnToWork: returnToWork(result),
+                drugTesting: report ? drugTesting(report) : null
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching case:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch case' });
+    }
+});
+
+// Change history for a case and its expenses
+app.get('/api/cases/:id/history', canView, (req, res) => {
+    try {
+        if (!db.getCase(req.params.id)) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+
+        const { entries } = db.getAuditEntries({ caseId: req.params.id, limit: -1 });
+        res.json({ success: true, history: entries });
+    } catch (error) {
+        console.error('Error fetching case history:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch case history' });
+    }
+});
+
+// Where a case can move next in its lifecycle, and the fields each move still needs
+app.get('/api/cases/:id/transitions', canView, (req, res) => {
+    try {
+        const caseRecord = db.getCase(req.params.id);
+        if (!caseRecord) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+
+        res.json({
+            success: true,
+            status: caseRecord.status,
+            label: STATUS_LABELS[caseRecord.status],
+            transitions: availableTransitions(caseRecord)
+        });
+    } catch (error) {
+        console.error('Error fetching case transitions:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch case transitions' });
+    }
+});
+
+// Create case
+app.post('/api/cases', canEdit, (req, res) => {
+    try {
+        const data = req.body;
+        const invalid = checkClientLink(data, checkEmployeeLink(data, validate(caseSchema, data) || {}));
+        if (Object.keys(invalid).length > 0) {
+            return sendValidationError(res, invalid);
+        }
+        if (db.getCase(data.id)) {
+            return res.status(409).json({ success: false, error: `Case ${data.id} already exists` });
+        }
+        const blocked = checkInitialStatus(data.status);
+        if (blocked) {
+            return sendTransitionError(res, blocked);
+        }
+        const report = data.reportId ? db.getReport(data.reportId) : null;
+        if (report && report.caseId) {
+            return res.status(409).json({
+                success: false,
+                error: `Report ${report.id} was already converted to case ${report.caseId}`,
+                caseId: report.caseId
+            });
+        }
+        const newCase = {
+            id: data.id,
+            reportId: data.reportId || null,
+            employeeName: data.employeeName,
+            reportClassification: data.reportClassification || 'accident',
+            insuranceCarrier: data.insuranceCarrier || 'Texas Mutual',
+            claimNumber: data.claimNumber || '',
+            injuryDate: data.injuryDate,
+            injuryType: data.injuryType || 'Other',
+            description: data.description,
+            ...statusFields(null, INITIAL_STATUS),
+            client: data.client || '',
+            bodyParts: data.bodyParts || [],
+            isIncident: data.isIncident || false,
+            ...pickOptionalCaseFields(data),
+            createdAt: data.createdAt || new Date().toISOString()
+        };
+
+        db.transaction(() => {
+            const created = db.insertCase({
+                ...newCase,
+                ...caseClientFields({ ...newCase, clientId: data.clientId, siteId: data.siteId }),
+                canonicalEmployeeId: caseEmployeeId(req, data)
+            });
+            recordAudit(db, req, { entityType: 'case', entityId: created.id, caseId: created.id, action: 'create', after: created });
+            linkCaseReport(req, created);
+            emitCaseEvents(null, created);
+        });
+
+        console.log(`✅ Case saved by ${req.user.username}: ${data.id}`);
+        res.json({ success: true, caseId: data.id });
+    } catch (error) {
+        console.error('Error saving case:', error);
+        res.status(500).json({ success: false, error: 'Failed to save case' });
+    }
+});
+
+// Open a case from a stored report, copying the employee, client, injury and
+// body parts. The case gets the next WC- (accident) or INC- (incident) ID for
+// the year. A report becomes at most one case.
+app.post('/api/reports/:id/convert-to-case', canEdit, (req, res) => {
+    try {
+        const result = db.transaction(() => {
+            const report = db.getReport(req.params.id);
+            if (!report) {
+                return { notFound: true };
+            }
+            if (report.caseId) {
+                return { existingCaseId: report.caseId };
+            }
+
+            const isIncident = report.reportClassification === 'incident';
+            const created = db.insertCase({
+                id: db.allocateCaseId(isIncident ? 'INC' : 'WC', texasToday().slice(0, 4)),
+                reportId: report.id,
+                employeeName: report.employeeName,
+                canonicalEmployeeId: caseEmployeeId(req, { reportId: report.id, employeeName: report.employeeName, client: report.client }),
+                reportClassification: isIncident ? 'incident' : 'accident',
+                insuranceCarrier: isIncident ? '' : 'Texas Mutual',
+                claimNumber: '',
+                injuryDate: report.incidentDate,
+                injuryType: report.injuryType || 'Other',
+                description: report.description || `${isIncident ? 'Incident' : 'Accident'} report - ${report.id}`,
+                ...statusFields(null, INITIAL_STATUS),
+                client: report.client || '',
+                ...caseClientFields({ reportId: report.id, client: report.client }),
+                bodyParts: report.bodyParts || [],
+                isIncident,
+                createdAt: new Date().toISOString()
+            });
+            recordAudit(db, req, { entityType: 'case', entityId: created.id, caseId: created.id, action: 'create', after: created });
+            linkCaseReport(req, created);
+            emitCaseEvents(null, created);
+            return { created };
+        });
+
+        if (result.notFound) {
+            return res.status(404).json({ success: false, error: 'Report not found' });
+        }
+        if (result.existingCaseId) {
+            return res.status(409).json({
+                success: false,
+                error: `Report ${req.params.id} was already converted to case ${result.existingCaseId}`,
+                caseId: result.existingCaseId
+            });
+        }
+
+        console.log(`✅ Report ${req.params.id} converted to case ${result.created.id} by ${req.user.username}`);
+        res.json({ success: true, caseId: result.created.id, case: db.getCaseWithExpenses(result.created.id) });
+    } catch (error) {
+        console.error('Error converting report to case:', error);
+        res.status(500).json({ success: false, error: 'Failed to convert report to case' });
+    }
+});
+
+// Update case
+app.put('/api/cases/:id', canEdit, (req, res) => {
+    try {
+        const data = req.body;
+        const existing = db.getCase(req.params.id);
+
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+
+        const invalid = checkClientLink(data, checkEmployeeLink(data, validate(caseSchema, data, { partial: true }) || {}), existing);
+        for (const field of ['id', 'reportId']) {
+            if (data[field] !== undefined && data[field] !== existing[field]) {
+                invalid[field] = 'Cannot be changed';
+            }
+        }
+        if (Object.keys(invalid).length > 0) {
+            return sendValidationError(res, invalid);
+        }
+
+        // Other fields sent are ignored
+        const changes = pickSent(data, CASE_EDIT_FIELDS);
+        const status = requestedStatus(existing.status, changes.status);
+        const blocked = checkTransition(existing.status, status, { ...existing, ...changes, status });
+        if (blocked) {
+            return sendTransitionError(res, blocked);
+        }
+
+        db.transaction(() => {
+            const updated = applyWorkStatus(db.updateCase(req.params.id, {
+                ...changes,
+                // A site belongs to one client
+                ...(changes.clientId !== undefined && changes.clientId !== existing.clientId && changes.siteId === undefined ? { siteId: null } : {}),
+                ...statusFields(existing, status),
+                updatedAt: new Date().toISOString()
+            }));
+            recordAudit(db, req, { entityType: 'case', entityId: existing.id, caseId: existing.id, action: 'update', before: existing, after: updated });
+            emitCaseEvents(existing, updated);
+        });
+
+        console.log(`✅ Case updated by ${req.user.username}: ${req.params.id}`);
+        res.json({ success: true, caseId: req.params.id });
+    } catch (error) {
+        console.error('Error updating case:', error);
+        res.status(500).json({ success: false, error: 'Failed to update case' });
+    }
+});
+
+// ========== WORK STATUS (RETURN TO WORK) ==========
+// An injured worker's status over time: full duty, restricted duty, off work
+// or released, each from an effective date. The case keeps its current
+// status and the OSHA day counts in step with this timeline.
+
+// Work status change as shown to users - the stored file is linked, not embedded
+function toPublicWorkStatusChange(change) {
+    const { noteFileSha256, noteFileMimeType, noteFileSize, ...publicChange } = change;
+    return {
+        ...publicChange,
+        doctorNoteFile: noteFileSha256
+            ? { mimeType: noteFileMimeType, size: noteFileSize, url: `/api/cases/${change.caseId}/work-status/${change.id}/doctor-note` }
+            : null
+    };
+}
+
+// Current status and timeline for the case detail
+function returnToWork(caseRecord) {
+    const changes = db.getWorkStatusChanges(caseRecord.id);
+    return {
+        current: summarizeWorkStatus(caseRecord, changes, texasToday()),
+        timeline: changes.map(toPublicWorkStatusChange)
+    };
+}
+
+// Recompute the case fields that follow the timeline; returns the case as stored
+function applyWorkStatus(caseRecord) {
+    const summary = summarizeWorkStatus(caseRecord, db.getWorkStatusChanges(caseRecord.id), texasToday());
+    const fields = workStatusCaseFields(caseRecord, summary);
+    const changed = Object.keys(fields).some(field => JSON.stringify(fields[field]) !== JSON.stringify(caseRecord[field]));
+    return changed ? db.updateCase(caseRecord.id, { ...fields, updatedAt: new Date().toISOString() }) : caseRecord;
+}
+
+// Bring the day counts of workers still off work or on restricted duty up to today
+function refreshWorkStatus() {
+    try {
+        db.transaction(() => {
+            for (const caseRecord of db.getCases()) {
+                if (caseRecord.workStatus === 'off_work' || caseRecord.workStatus === 'restricted_duty') {
+                    applyWorkStatus(caseRecord);
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error refreshing work status day counts:', error);
+    }
+}
+
+// Timeline and current status of a case
+app.get('/api/cases/:id/work-status', canView, (req, res) => {
+    try {
+        const caseRecord = db.getCase(req.params.id);
+        if (!caseRecord) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+
+        res.json({ success: true, ...returnToWork(caseRecord) });
+    } catch (error) {
+        console.error('Error fetching work status:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch work status' });
+    }
+});
+
+// Record a work status change
+app.post('/api/cases/:id/work-status', canEdit, (req, res) => {
+    try {
+        const data = req.body;
+        const caseRecord = db.getCase(req.params.id);
+        if (!caseRecord) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+
+        const invalid = validate(workStatusChangeSchema, data) || {};
+        if (!invalid.restrictions && data.status === 'restricted_duty' && !(data.restrictions && data.restrictions.length > 0)) {
+            invalid.restrictions = 'Required for restricted duty';
+        }
+        if (!invalid.effectiveDate && data.effectiveDate > texasToday()) {
+            invalid.effectiveDate = 'Cannot be in the future';
+        } else if (!invalid.effectiveDate && caseRecord.injuryDate && data.effectiveDate < caseRecord.injuryDate) {
+            invalid.effectiveDate = 'Cannot be before the injury date';
+        }
+        let noteFile = null;
+        if (Object.keys(invalid).length === 0 && data.doctorNoteFile) {
+            noteFile = attachmentStore.storeDocument(data.doctorNoteFile);
+            if (noteFile.error) invalid.doctorNoteFile = noteFile.error;
+        }
+        if (Object.keys(invalid).length > 0) {
+            return sendValidationError(res, invalid);
+        }
+
+        const change = db.transaction(() => {
+            const created = db.insertWorkStatusChange({
+                id: `WS-${crypto.randomUUID()}`,
+                caseId: caseRecord.id,
+                status: data.status,
+                effectiveDate: data.effectiveDate,
+                restrictions: data.status === 'restricted_duty' ? data.restrictions : [],
+                doctorName: data.doctorName || '',
+                doctorNote: data.doctorNote || '',
+                noteFileSha256: noteFile ? noteFile.sha256 : null,
+                noteFileMimeType: noteFile ? noteFile.mimeType : null,
+                noteFileSize: noteFile ? noteFile.size : null,
+                notes: data.notes || '',
+                createdBy: req.user.username,
+                createdAt: new Date().toISOString()
+            });
+            recordAudit(db, req, { entityType: 'work_status', entityId: created.id, caseId: caseRecord.id, action: 'create', after: created });
+            applyWorkStatus(caseRecord);
+            return created;
+        });
+
+        console.log(`✅ Work status for case ${caseRecord.id} set to ${change.status} by ${req.user.username}`);
+        res.json({ success: true, change: toPublicWorkStatusChange(change), ...returnToWork(db.getCase(caseRecord.id)) });
+    } catch (error) {
+        console.error('Error saving work status:', error);
+        res.status(500).json({ success: false, error: 'Failed to save work status' });
+    }
+});
+
+// Remove a work status change entered by mistake
+app.delete('/api/cases/:id/work-status/:changeId', canEdit, (req, res) => {
+    try {
+        const change = db.getWorkStatusChange(req.params.changeId);
+        if (!change || change.caseId !== req.params.id) {
+            return res.status(404).json({ success: false, error: 'Work status change not found' });
+        }
+
+        db.transaction(() => {
+            db.deleteWorkStatusChange(change.id);
+            recordAudit(db, req, { entityType: 'work_status', entityId: change.id, caseId: change.caseId, action: 'delete', before: change });
+            applyWorkStatus(db.getCase(change.caseId));
+        });
+
+        console.log(`✅ Work status change deleted by ${req.user.username}: ${change.id}`);
+        res.json({ success: true, ...returnToWork(db.getCase(change.caseId)) });
+    } catch (error) {
+        console.error('Error deleting work status change:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete work status change' });
+    }
+});
+
+// Download the doctor's note attached to a work status change
+app.get('/api/cases/:id/work-status/:changeId/doctor-note', canView, (req, res) => {
+    try {
+        const change = db.getWorkStatusChange(req.params.changeId);
+        if (!change || change.caseId !== req.params.id || !change.noteFileSha256) {
+            return res.status(404).json({ success: false, error: "Doctor's note not found" });
+        }
+
+        res.setHeader('Content-Type', change.noteFileMimeType);
+        res.attachment(`doctor-note-${change.id}.${change.noteFileMimeType.split('/')[1]}`);
+        res.sendFile(attachmentStore.filePath(change.noteFileSha256), (error) => {
+            if (error && !res.headersSent) {
+                console.error(`Doctor's note file missing: ${change.id}`, error);
+                res.status(404).json({ success: false, error: "Doctor's note file not found" });
+            }
+        });
+    } catch (error) {
+        console.error("Error downloading doctor's note:", error);
+        res.status(500).json({ success: false, error: "Failed to download doctor's note" });
+    }
+});
+
+// Current work status of every injured worker, for staffing.
+// ?status=<status> or ?placeable=true narrows the list.
+app.get('/api/work-status', canView, (req, res) => {
+    try {
+        const { status, placeable } = req.query;
+        const workers = db.getCases()
+            .filter(c => c.workStatus)
+            .map(c => ({
+                caseId: c.id,
+                employeeName: c.employeeName,
+                client: c.client,
+                caseStatus: c.status,
+                ...summarizeWorkStatus(c, db.getWorkStatusChanges(c.id), texasToday())
+            }))
+            .filter(w => !status || w.status === status)
+            .filter(w => placeable === undefined || w.placeable === (placeable === 'true'))
+            .sort((a, b) => a.employeeName.localeCompare(b.employeeName));
+
+        res.json({ success: true, workers });
+    } catch (error) {
+        console.error('Error fetching work status list:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch work status list' });
+    }
+});
+
+// ========== DRUG AND ALCOHOL TESTING ==========
+// Post-accident tests logged against the report: collection site and time,
+// result and MRO (medical review officer) notes. A test's cost is carried to
+// the report's case as a testing expense, once the report has a case.
+
+// Testing status and tests of a report
+function drugTesting(report) {
+    const tests = db.getDrugTestsForReport(report.id);
+    return { testing: drugTestStatus(report, tests), tests };
+}
+
+// Add or update the testing expense for a test's cost on the report's case.
+// An expense the user deleted is not brought back. Returns the test as stored.
+function applyDrugTestExpense(req, test) {
+    const report = db.getReport(test.reportId);
+    if (!report || !report.caseId || test.cost === null || test.cost === undefined) return test;
+
+    if (test.expenseId) {
+        const existing = db.getExpense(test.expenseId);
+        if (existing && existing.amount !== test.cost) {
+            const updated = db.updateExpense(existing.id, { amount: test.cost });
+            recordAudit(db, req, { entityType: 'expense', entityId: existing.id, caseId: existing.caseId, action: 'update', before: existing, after: updated });
+        }
+        return test;
+    }
+
+    const expense = db.insertExpense({
+        id: `EXP-${crypto.randomUUID()}`,
+        caseId: report.caseId,
+        date: texasToday(test.collectedAt ? new Date(test.collectedAt) : new Date()),
+        category: 'testing',
+        description: `Post-accident ${TYPE_LABELS[test.testType].toLowerCase()} test`,
+        amount: test.cost,
+        vendor: test.collectionSite || '',
+        notes: `Added from drug test ${test.id} on report ${report.id}`,
+        createdAt: new Date().toISOString()
+    });
+    recordAudit(db, req, { entityType: 'expense', entityId: expense.id, caseId: expense.caseId, action: 'create', after: expense });
+    webhooks.emit('expense.added', expense, { entityId: expense.id });
+    return db.updateDrugTest(test.id, { expenseId: expense.id });
+}
+
+// A result other than a refusal needs a collection; collection cannot be in the future
+function checkDrugTest(data, invalid) {
+    if (!invalid.collectedAt && data.collectedAt && Date.parse(data.collectedAt) > Date.now()) {
+        invalid.collectedAt = 'Cannot be in the future';
+    }
+    if (!invalid.result && data.result && data.result !== 'refused' && !data.collectedAt) {
+        invalid.collectedAt = 'Required for a test result';
+    }
+    return invalid;
+}
+
+// Testing status and logged tests of a report
+app.get('/api/reports/:id/drug-tests', canView, (req, res) => {
+    try {
+        const report = db.getReport(req.params.id);
+        if (!report) {
+            return res.status(404).json({ success: false, error: 'Report not found' });
+        }
+
+        res.json({ success: true, ...drugTesting(report) });
+    } catch (error) {
+        console.error('Error fetching drug tests:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch drug tests' });
+    }
+});
+
+// Log a test: the collection, a refusal, or a test whose result comes later
+app.post('/api/reports/:id/drug-tests', canEdit, (req, res) => {
+    try {
+        const data = req.body;
+        const report = db.getReport(req.params.id);
+        if (!report) {
+            return res.status(404).json({ success: false, error: 'Report not found' });
+        }
+
+        const invalid = checkDrugTest(data, validate(drugTestSchema, data) || {});
+        if (Object.keys(invalid).length > 0) {
+            return sendValidationError(res, invalid);
+        }
+
+        const test = db.transaction(() => {
+            const created = db.insertDrugTest({
+                id: `DT-${crypto.randomUUID()}`,
+                reportId: report.id,
+                testType: data.testType || 'drug_and_alcohol',
+                collectionSite: data.collectionSite || '',
+                collectedAt: data.collectedAt || null,
+                result: data.result || null,
+                mroNotes: data.mroNotes || '',
+                cost: data.cost ?? null,
+                createdBy: req.user.username,
+                createdAt: new Date().toISOString()
+            });
+            recordAudit(db, req, { entityType: 'drug_test', entityId: created.id, caseId: report.caseId, action: 'create', after: created });
+            return applyDrugTestExpense(req, created);
+        });
+
+        console.log(`✅ Drug test logged for report ${report.id} by ${req.user.username}: ${test.id}`);
+        res.json({ success: true, test, ...drugTesting(report) });
+    } catch (error) {
+        console.error('Error saving drug test:', error);
+        res.status(500).json({ success: false, error: 'Failed to save drug test' });
+    }
+});
+
+// Update a test, e.g. when the result or the MRO review comes in
+app.put('/api/drug-tests/:id', canEdit, (req, res) => {
+    try {
+        const data = req.body;
+        const existing = db.getDrugTest(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Drug test not found' });
+        }
+
+        const invalid = checkDrugTest({ ...existing, ...data }, validate(drugTestSchema, data, { partial: true }) || {});
+        if (Object.keys(invalid).length > 0) {
+            return sendValidationError(res, invalid);
+        }
+
+        const report = db.getReport(existing.reportId);
+        const test = db.transaction(() => {
+            const changes = {};
+            for (const field of Object.keys(drugTestSchema)) {
+                if (data[field] !== undefined) changes[field] = data[field];
+            }
+            const updated = db.updateDrugTest(existing.id, { ...changes, updatedAt: new Date().toISOString() });
+            recordAudit(db, req, { entityType: 'drug_test', entityId: existing.id, caseId: report.caseId, action: 'update', before: existing, after: updated });
+            return applyDrugTestExpense(req, updated);
+        });
+
+        console.log(`✅ Drug test updated by ${req.user.username}: ${test.id}`);
+        res.json({ success: true, test, ...drugTesting(report) });
+    } catch (error) {
+        console.error('Error updating drug test:', error);
+        res.status(500).json({ success: false, error: 'Failed to update drug test' });
+    }
+});
+
+// Testing status of every report that needs a test, soonest deadline first.
+// ?status=due|overdue|collected|refused, or ?expiring=true for windows about to close.
+app.get('/api/drug-testing', canView, (req, res) => {
+    try {
+        const { status, expiring } = req.query;
+        const testsByReport = new Map();
+        for (const test of db.getDrugTests()) {
+            if (!testsByReport.has(test.reportId)) testsByReport.set(test.reportId, []);
+            testsByReport.get(test.reportId).push(test);
+        }
+
+        const now = new Date();
+        const reports = db.getReports()
+            .map(report => drugTestStatus(report, testsByReport.get(report.id) || [], now))
+            .filter(t => t.status !== 'not_required')
+            .filter(t => !status || t.status === status)
+            .filter(t => expiring === undefined || t.expiring === (expiring === 'true'))
+            .sort((a, b) => (a.deadline || '').localeCompare(b.deadline || '') || a.reportId.localeCompare(b.reportId));
+
+        res.json({ success: true, reports });
+    } catch (error) {
+        console.error('Error fetching drug testing status:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch drug testing status' });
+    }
+});
+
+// ========== EXPENSES API ENDPOINTS ==========
+
+// Add expense to case
+app.post('/api/cases/:caseId/expenses', canEdit, (req, res) => {
+    try {
+        const data = req.body;
+        if (!db.getCase(req.params.caseId)) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+
+        const invalid = validate(expenseSchema, data);
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+        if (db.getExpense(data.id)) {
+            return res.status(409).json({ success: false, error: `Expense ${data.id} already exists` });
+        }
+        const expense = {
+            id: data.id,
+            caseId: req.params.caseId,
+            date: data.date,
+            category: data.category,
+            description: data.description,
+            amount: data.amount,
+            vendor: data.vendor || '',
+            notes: data.notes || '',
+            createdAt: data.createdAt || new Date().toISOString()
+        };
+
+        db.transaction(() => {
+            const created = db.insertExpense(expense);
+            recordAudit(db, req, { entityType: 'expense', entityId: created.id, caseId: created.caseId, action: 'create', after: created });
+            webhooks.emit('expense.added', created, { entityId: created.id });
+        });
+
+        console.log(`✅ Expense added to case ${req.params.caseId} by ${req.user.username}: ${data.id}`);
+        res.json({ success: true, expenseId: data.id });
+    } catch (error) {
+        console.error('Error adding expense:', error);
+        res.status(500).json({ success: false, error: 'Failed to add expense' });
+    }
+});
+
+// Delete expense
+app.delete('/api/expenses/:id', canEdit, (req, res) => {
+    try {
+        const deleted = db.transaction(() => {
+            const existing = db.getExpense(req.params.id);
+            if (!existing || !db.deleteExpense(existing.id)) return false;
+            recordAudit(db, req, { entityType: 'expense', entityId: existing.id, caseId: existing.caseId, action: 'delete', before: existing });
+            return true;
+        });
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: 'Expense not found' });
+        }
+
+        console.log(`✅ Expense deleted by ${req.user.username}: ${req.params.id}`);
         res.json({ success: true });
     } catch (error) {
         console.error('Error deleting expense:', error);
@@ -624,45 +2620,232 @@ app.delete('/api/expenses/:id', (req, res) => {
 });
 
 // ========== SYNC ENDPOINT ==========
-// Bulk sync from frontend localStorage
-app.post('/api/sync', (req, res) => {
-    try {
-        const { cases: clientCases } = req.body;
-        let synced = 0;
-
-        if (clientCases && Array.isArray(clientCases)) {
-            for (const c of clientCases) {
-                // Upsert case
-                const existingIndex = db.cases.findIndex(ec => ec.id === c.id);
-                const caseData = {
-                    id: c.id,
-                    reportId: c.reportId || null,
-                    employeeName: c.employeeName,
-                    reportClassification: c.reportClassification || 'accident',
-                    insuranceCarrier: c.insuranceCarrier || 'Texas Mutual',
-                    claimNumber: c.claimNumber || '',
-                    injuryDate: c.injuryDate,
-                    injuryType: c.injuryType || 'Other',
-                    description: c.description || '',
-                    status: c.status || 'open',
-                    client: c.client || '',
-                    bodyParts: c.bodyParts || [],
-                    isIncident: c.isIncident || false,
-                    closedAt: c.closedAt || null,
-                    createdAt: c.createdAt || new Date().toISOString()
-                };
-
-                if (existingIndex !== -1) {
-                    db.cases[existingIndex] = caseData;
-                } else {
-                    db.cases.push(caseData);
+// Two-way sync with clients that keep cases offline. A push carries only what
+// the client changed, each record with the `revision` its copy was based on;
+// the response carries everything changed after the client's `since` cursor
+// (or the first `limit` changes, with `hasMore`) and the cursor to send next
+// time. A field edited on both sides, or a record edited on one side and
+// deleted on the other, rejects the push with 409.
+
+// Fields a sync push may set on a new case
+const SYNC_CASE_FIELDS = [
+    'reportId', 'employeeName', 'reportClassification', 'insuranceCarrier', 'claimNumber', 'injuryDate',
+    'injuryType', 'description', 'status', 'client', 'bodyParts', 'isIncident', ...OPTIONAL_CASE_FIELDS
+];
+// and on an existing one: those PUT /api/cases/:id may change too
+const SYNC_CASE_EDIT_FIELDS = SYNC_CASE_FIELDS.filter(field => CASE_EDIT_FIELDS.includes(field));
+const SYNC_EXPENSE_FIELDS = ['date', 'category', 'description', 'amount', 'vendor', 'notes'];
+
+function validateSyncPush({ since, limit, cases, deleted }) {
+    const invalid = {};
+    if (!Number.isInteger(since) || since < 0) {
+        invalid.since = 'Must be a sync cursor (0 to pull everything)';
+    }
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)) {
+        invalid.limit = `Must be a whole number from 1 to ${MAX_LIMIT}`;
+    }
+    if (!Array.isArray(cases)) {
+        invalid.cases = 'Must be a list';
+    }
+    if (!Array.isArray(deleted)) {
+        invalid.deleted = 'Must be a list';
+    }
+    if (Object.keys(invalid).length > 0) return invalid;
+
+    // Changes to records the server has (or had, until deleted) are partial;
+    // new records must be complete
+    cases.forEach((c, i) => {
+        const existing = c && c.id ? db.getCase(c.id) : null;
+        Object.assign(invalid, validate(caseSchema, c, { partial: !!existing, prefix: `cases[${i}].` }));
+        if (existing && c.reportId !== undefined && c.reportId !== existing.reportId) {
+            invalid[`cases[${i}].reportId`] = 'Cannot be changed';
+        }
+        if (c && c.expenses !== undefined && !Array.isArray(c.expenses)) {
+            invalid[`cases[${i}].expenses`] = 'Must be a list';
+        } else if (c && c.expenses) {
+            c.expenses.forEach((exp, j) => {
+                const prefix = `cases[${i}].expenses[${j}].`;
+                const existingExpense = exp && exp.id ? db.getExpense(exp.id) : null;
+                const known = existingExpense || (exp && exp.id && db.getTombstone('expense', exp.id));
+                Object.assign(invalid, validate(expenseSchema, exp, { partial: !!known, prefix }));
+                if (existingExpense && existingExpense.caseId !== c.id) {
+                    invalid[`${prefix}id`] = `Belongs to case ${existingExpense.caseId}`;
                 }
+            });
+        }
+    });
+    deleted.forEach((d, i) => {
+        if (!d || d.type !== 'expense') {
+            invalid[`deleted[${i}].type`] = 'Only expenses can be deleted';
+        } else if (!d.id) {
+            invalid[`deleted[${i}].id`] = 'Required';
+        }
+    });
+    return Object.keys(invalid).length > 0 ? invalid : null;
+}
+
+// Records in the push that clash with changes made on the server since the
+// client's copy: [{ type, id, baseRevision, revision, fields, deletedOn?, server }].
+// `statuses` holds the status each pushed case asks for.
+function findSyncConflicts(cases, deleted, statuses) {
+    const conflicts = [];
+    const add = (conflict) => {
+        if (Object.keys(conflict.fields).length > 0) conflicts.push(conflict);
+    };
+
+    for (const c of cases) {
+        const current = db.getCase(c.id);
+        if (current) {
+            // Compare the status asked for, not the legacy "open"
+            const sent = { ...pickSent(c, SYNC_CASE_EDIT_FIELDS), ...(c.status !== undefined ? { status: statuses.get(c.id) } : {}) };
+            add({
+                type: 'case',
+                id: c.id,
+                baseRevision: c.revision || null,
+                revision: current.revision,
+                fields: conflictingFields(sent, current, db.getFieldRevisions('cases', c.id), c.revision || 0),
+                server: current
+            });
+        }
+
+        for (const exp of c.expenses || []) {
+            const sent = pickSent(exp, SYNC_EXPENSE_FIELDS);
+            const currentExpense = db.getExpense(exp.id);
+            if (currentExpense) {
+                add({
+                    type: 'expense',
+                    id: exp.id,
+                    caseId: c.id,
+                    baseRevision: exp.revision || null,
+                    revision: currentExpense.revision,
+                    fields: conflictingFields(sent, currentExpense, db.getFieldRevisions('expenses', exp.id), exp.revision || 0),
+                    server: currentExpense
+                });
+            } else if (db.getTombstone('expense', exp.id)) {
+                add({
+                    type: 'expense',
+                    id: exp.id,
+                    caseId: c.id,
+                    baseRevision: exp.revision || null,
+                    revision: null,
+                    deletedOn: 'server',
+                    fields: Object.fromEntries(Object.entries(sent).map(([field, value]) => [field, { client: value, server: null }])),
+                    server: null
+                });
+            }
+        }
+    }
+
+    for (const d of deleted) {
+        const current = db.getExpense(d.id);
+        if (!current) continue;
+        add({
+            type: 'expense',
+            id: d.id,
+            caseId: current.caseId,
+            baseRevision: d.revision || null,
+            revision: current.revision,
+            deletedOn: 'client',
+            fields: fieldsChangedSince(current, db.getFieldRevisions('expenses', d.id), d.revision || 0, SYNC_EXPENSE_FIELDS),
+            server: current
+        });
+    }
+    return conflicts;
+}
+
+app.post('/api/sync', canEdit, (req, res) => {
+    try {
+        const push = { since: 0, cases: [], deleted: [], ...req.body };
+
+        // Validate the whole push up front; nothing is written if any record is invalid
+        const invalid = validateSyncPush(push);
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
 
-                // Sync expenses
-                if (c.expenses && Array.isArray(c.expenses)) {
-                    for (const exp of c.expenses) {
-                        const expIndex = db.expenses.findIndex(e => e.id === exp.id);
-                        const expenseData = {
+        const statuses = new Map();
+        for (const c of push.cases) {
+            const existing = db.getCase(c.id);
+            statuses.set(c.id, existing ? requestedStatus(existing.status, c.status) : INITIAL_STATUS);
+        }
+
+        const conflicts = findSyncConflicts(push.cases, push.deleted, statuses);
+        if (conflicts.length > 0) {
+            return res.status(409).json({
+                success: false,
+                error: 'Some records were changed on the server since this client last synced',
+                conflicts,
+                ...db.getChangesSince(push.since, push.limit)
+            });
+        }
+
+        // Status changes follow the case lifecycle; one invalid change rejects the push
+        const blockedCases = [];
+        push.cases.forEach((c, index) => {
+            const existing = db.getCase(c.id);
+            const status = statuses.get(c.id);
+            const blocked = existing
+                ? checkTransition(existing.status, status, { ...existing, ...c, status })
+                : checkInitialStatus(c.status);
+            if (blocked) {
+                blockedCases.push({ index, caseId: c.id, ...blocked });
+            }
+        });
+        if (blockedCases.length > 0) {
+            return res.status(409).json({ success: false, error: 'Some cases have status changes the lifecycle does not allow', cases: blockedCases });
+        }
+
+        // Apply the whole push atomically so a failure part-way leaves nothing half-synced
+        db.transaction(() => {
+            for (const c of push.cases) {
+                const existingCase = db.getCase(c.id);
+                const status = statuses.get(c.id);
+                // Other fields sent for an existing case are ignored, as on PUT /api/cases/:id
+                const changes = pickSent(c, SYNC_CASE_EDIT_FIELDS);
+                // Pushing values the server already has is not an edit
+                const edited = existingCase && (status !== existingCase.status
+                    || Object.keys(changes).some(field => field !== 'status' && !sameValue(changes[field], existingCase[field])));
+                const syncedCase = applyWorkStatus(existingCase
+                    ? db.updateCase(c.id, {
+                        ...changes,
+                        ...statusFields(existingCase, status),
+                        ...(edited ? { updatedAt: new Date().toISOString() } : {})
+                    })
+                    : db.insertCase({
+                        id: c.id,
+                        reportId: c.reportId || null,
+                        employeeName: c.employeeName,
+                        canonicalEmployeeId: caseEmployeeId(req, c),
+                        reportClassification: c.reportClassification || 'accident',
+                        insuranceCarrier: c.insuranceCarrier || 'Texas Mutual',
+                        claimNumber: c.claimNumber || '',
+                        injuryDate: c.injuryDate,
+                        injuryType: c.injuryType || 'Other',
+                        description: c.description || '',
+                        ...statusFields(null, status),
+                        client: c.client || '',
+                        bodyParts: c.bodyParts || [],
+                        isIncident: c.isIncident || false,
+                        ...pickOptionalCaseFields(c),
+                        ...caseClientFields(c),
+                        createdAt: c.createdAt || new Date().toISOString()
+                    }));
+                recordAudit(db, req, {
+                    entityType: 'case',
+                    entityId: syncedCase.id,
+                    caseId: syncedCase.id,
+                    action: existingCase ? 'update' : 'create',
+                    before: existingCase,
+                    after: syncedCase
+                });
+                linkCaseReport(req, syncedCase);
+                emitCaseEvents(existingCase, syncedCase);
+
+                for (const exp of c.expenses || []) {
+                    const existingExpense = db.getExpense(exp.id);
+                    const syncedExpense = existingExpense
+                        ? db.updateExpense(exp.id, pickSent(exp, SYNC_EXPENSE_FIELDS))
+                        : db.insertExpense({
                             id: exp.id,
                             caseId: c.id,
                             date: exp.date,
@@ -672,50 +2855,106 @@ app.post('/api/sync', (req, res) => {
                             vendor: exp.vendor || '',
                             notes: exp.notes || '',
                             createdAt: exp.createdAt || new Date().toISOString()
-                        };
-
-                        if (expIndex !== -1) {
-                            db.expenses[expIndex] = expenseData;
-                        } else {
-                            db.expenses.push(expenseData);
-                        }
+                        });
+                    recordAudit(db, req, {
+                        entityType: 'expense',
+                        entityId: syncedExpense.id,
+                        caseId: syncedExpense.caseId,
+                        action: existingExpense ? 'update' : 'create',
+                        before: existingExpense,
+                        after: syncedExpense
+                    });
+                    if (!existingExpense) {
+                        webhooks.emit('expense.added', syncedExpense, { entityId: syncedExpense.id });
                     }
                 }
-                synced++;
             }
-            saveDatabase();
-        }
 
-        // Return all server cases with expenses
-        const casesWithExpenses = db.cases.map(c => ({
-            ...c,
-            expenses: db.expenses.filter(e => e.caseId === c.id)
-        })).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+            for (const d of push.deleted) {
+                const existing = db.getExpense(d.id);
+                if (existing && db.deleteExpense(existing.id)) {
+                    recordAudit(db, req, { entityType: 'expense', entityId: existing.id, caseId: existing.caseId, action: 'delete', before: existing });
+                }
+            }
+        });
 
-        console.log(`✅ Synced ${synced} cases from client`);
-        res.json({ success: true, synced, cases: casesWithExpenses });
+        console.log(`✅ Synced ${push.cases.length} cases and ${push.deleted.length} deletions from ${req.user.username}`);
+        res.json({ success: true, synced: push.cases.length, ...db.getChangesSince(push.since, push.limit) });
     } catch (error) {
         console.error('Error syncing:', error);
         res.status(500).json({ success: false, error: 'Failed to sync data' });
     }
 });
 
+// ========== SEARCH ==========
+
+// Search results per page: 25 unless ?limit= asks for up to 100
+const SEARCH_LIMIT = 25;
+const MAX_SEARCH_LIMIT = 100;
+
+// Search reports and cases, e.g. hand injuries at a client last quarter:
+//   ?q=&bodyPart=hand&client=CL-0001&from=2026-07-01&to=2026-09-30
+// Also type, classification, status, injuryType and carrier; limit and offset
+// page the results (see utils/search.js and searchDocuments in models/database.js).
+app.get('/api/search', canView, (req, res) => {
+    try {
+        const invalid = validate(searchQuerySchema, req.query);
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+        const page = parseOffsetPage(req.query, { defaultLimit: SEARCH_LIMIT, maxLimit: MAX_SEARCH_LIMIT });
+        if (page.invalid) {
+            return sendValidationError(res, page.invalid);
+        }
+
+        const { q, type, classification, status, injuryType, bodyPart, carrier, client, from, to } = req.query;
+        const terms = queryTerms(q);
+        const { records, total, facets } = db.searchDocuments({
+            terms,
+            filters: { type, classification, status, injuryType, bodyPart, carrier, client, from, to },
+            limit: page.limit,
+            offset: page.offset
+        });
+
+        res.json({
+            success: true,
+            total,
+            limit: page.limit,
+            offset: page.offset,
+            results: records.map(doc => ({ ...doc, highlights: terms.length > 0 ? highlights(doc, terms) : {} })),
+            // Quarters come with the dates to pass as from and to
+            facets: { ...facets, quarter: facets.quarter.map(({ value, count }) => ({ value, ...quarterRange(value), count })) }
+        });
+    } catch (error) {
+        console.error('Error searching:', error);
+        res.status(500).json({ success: false, error: 'Failed to search' });
+    }
+});
+
 // ========== KPI STATS ENDPOINT ==========
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', canView, (req, res) => {
     try {
-        const totalCases = db.cases.length;
-        const openCases = db.cases.filter(c => c.status === 'open').length;
-        const closedCases = db.cases.filter(c => c.status === 'closed').length;
-        const totalExpenses = db.expenses.reduce((sum, e) => sum + (e.amount || 0), 0);
+        const cases = db.getCases();
+        const expenses = db.getExpenses();
+        const totalCases = cases.length;
+        const openCases = cases.filter(c => c.status !== 'closed').length;
+        const closedCases = cases.filter(c => c.status === 'closed').length;
+        const totalExpenses = expenses.reduce((sum, e) => sum + (e.amount || 0), 0);
 
         // Cases this month
         const now = new Date();
         const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-        const thisMonth = db.cases.filter(c => new Date(c.createdAt) >= monthStart).length;
+        const thisMonth = cases.filter(c => new Date(c.createdAt) >= monthStart).length;
+
+        // Cases by lifecycle status
+        const byStatus = {};
+        cases.forEach(c => {
+            byStatus[c.status] = (byStatus[c.status] || 0) + 1;
+        });
 
         // Cases by injury type
         const injuryTypeCounts = {};
-        db.cases.forEach(c => {
+        cases.forEach(c => {
             const type = c.injuryType || 'Other';
             injuryTypeCounts[type] = (injuryTypeCounts[type] || 0) + 1;
         });
@@ -725,16 +2964,27 @@ app.get('/api/stats', (req, res) => {
 
         // Cases by client
         const clientCounts = {};
-        db.cases.forEach(c => {
-            if (c.client) {
-                clientCounts[c.client] = (clientCounts[c.client] || 0) + 1;
-            }
+        // Registered clients by ID; other names regardless of case and spacing
+        const clientsById = new Map(db.getClients().map(client => [client.id, client]));
+        cases.forEach(c => {
+            const registered = c.clientId ? clientsById.get(c.clientId) : null;
+            const key = registered ? registered.id : nameKey(c.client);
+            if (!key) return;
+            clientCounts[key] = clientCounts[key] || {
+                client: registered ? registered.name : c.client.trim(),
+                clientId: registered ? registered.id : null,
+                count: 0
+            };
+            clientCounts[key].count++;
         });
-        const byClient = Object.entries(clientCounts)
-            .map(([client, count]) => ({ client, count }))
+        const byClient = Object.values(clientCounts)
             .sort((a, b) => b.count - a.count)
             .slice(0, 5);
 
+        // Texas DWC-1 filings not yet sent to the carrier
+        const filings = dwc1Filings(cases, texasToday());
+        const overdueFilings = filings.filter(f => f.status === 'overdue');
+
         res.json({
             success: true,
             stats: {
@@ -744,8 +2994,12 @@ app.get('/api/stats', (req, res) => {
                 totalExpenses,
                 thisMonth,
                 closeRate: totalCases > 0 ? Math.round((closedCases / totalCases) * 100) : 0,
+                byStatus,
                 byInjuryType,
-                byClient
+                byClient,
+                dwc1Due: filings.filter(f => f.status === 'due').length,
+                dwc1Overdue: overdueFilings.length,
+                overdueFilings
             }
         });
     } catch (error) {
@@ -754,284 +3008,713 @@ app.get('/api/stats', (req, res) => {
     }
 });
 
-// ========== END DATABASE API ENDPOINTS ==========
+// ========== AUDIT LOG ENDPOINT ==========
+// Query the audit log: ?userId=&entityType=&entityId=&from=&to=&limit=&offset=
+// (limit 100 by default, up to 500)
+app.get('/api/audit', isAdmin, (req, res) => {
+    try {
+        const page = parseOffsetPage(req.query, { defaultLimit: 100, maxLimit: MAX_LIMIT });
+        if (page.invalid) {
+            return sendValidationError(res, page.invalid);
+        }
 
-// Email sending endpoint
-app.post('/api/send-email', async (req, res) => {
+        const { userId, entityType, entityId, from, to } = req.query;
+        const { limit, offset } = page;
+        const { entries, total } = db.getAuditEntries({ actorId: userId, entityType, entityId, from, to, limit, offset });
+        res.json({ success: true, entries, total, limit, offset });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch audit log' });
+    }
+});
+
+// ========== NOTIFICATION RULES ==========
+
+// Validate a rule payload. Returns { field: message } or null.
+function ruleErrors(data, existing = null) {
+    const invalid = validate(notificationRuleSchema, data, { partial: !!existing }) || {};
+    const merged = { ...existing, ...data };
+    const hasRecipients = ['recipients', 'cc', 'bcc', 'sms'].some(field => Array.isArray(merged[field]) && merged[field].length > 0);
+    if (!hasRecipients && !invalid.recipients) {
+        invalid.recipients = 'At least one recipient, CC, BCC or SMS number is required';
+    }
+    return Object.keys(invalid).length > 0 ? invalid : null;
+}
+
+// Only the schema's fields are stored
+function pickRuleFields(data) {
+    const rule = {};
+    for (const field of Object.keys(notificationRuleSchema)) {
+        if (data[field] !== undefined) rule[field] = data[field];
+    }
+    return rule;
+}
+
+// List routing rules
+app.get('/api/notification-rules', isAdmin, (req, res) => {
     try {
-        const reportData = req.body;
+        res.json({ success: true, rules: db.getNotificationRules() });
+    } catch (error) {
+        console.error('Error fetching notification rules:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch notification rules' });
+    }
+});
 
-        // Validate required fields
-        if (!reportData.reportId || !reportData.employeeName) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields'
+// Create a routing rule
+app.post('/api/notification-rules', isAdmin, (req, res) => {
+    try {
+        const invalid = ruleErrors(req.body);
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+
+        const rule = db.transaction(() => {
+            const created = db.insertNotificationRule({
+                active: true,
+                ...pickRuleFields(req.body),
+                id: crypto.randomUUID(),
+                createdAt: new Date().toISOString()
             });
+            recordAudit(db, req, { entityType: 'notification_rule', entityId: created.id, action: 'create', after: created });
+            return created;
+        });
+
+        console.log(`✅ Notification rule created by ${req.user.username}: ${rule.name}`);
+        res.json({ success: true, rule });
+    } catch (error) {
+        console.error('Error creating notification rule:', error);
+        res.status(500).json({ success: false, error: 'Failed to create notification rule' });
+    }
+});
+
+// Update a routing rule
+app.put('/api/notification-rules/:id', isAdmin, (req, res) => {
+    try {
+        const existing = db.getNotificationRule(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Notification rule not found' });
         }
 
-        // Format body parts list
-        const bodyPartsList = reportData.bodyParts && reportData.bodyParts.length > 0
-            ? reportData.bodyParts.join(', ')
-            : 'None specified';
-
-        // Create email HTML
-        const emailHTML = `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .container { max-width: 600px; margin: 0 auto; }
-        .header { background: linear-gradient(135deg, #1e3a5f 0%, #0f172a 100%); color: white; padding: 30px 20px; text-align: center; }
-        .header h1 { margin: 0; font-size: 24px; }
-        .badge { display: inline-block; padding: 8px 20px; border-radius: 20px; font-weight: bold; margin: 15px 0; font-size: 14px; }
-        .badge-incident { background: #f59e0b; color: white; }
-        .badge-accident { background: #ef4444; color: white; }
-        .content { padding: 20px; background: #f8fafc; }
-        .section { background: white; padding: 20px; margin-bottom: 20px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
-        .section h2 { color: #0f172a; margin-top: 0; font-size: 18px; border-bottom: 2px solid #4ade80; padding-bottom: 10px; }
-        .field { margin: 10px 0; }
-        .label { font-weight: bold; color: #475569; }
-        .value { color: #0f172a; }
-        .alert { background: #dcfce7; border-left: 4px solid #16a34a; padding: 15px; margin: 20px 0; border-radius: 5px; }
-        .footer { background: #0f172a; color: white; padding: 20px; text-align: center; font-size: 12px; }
-        .footer-highlight { color: #4ade80; }
-        img { max-width: 100%; height: auto; border-radius: 10px; margin: 10px 0; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🚨 Safety Report Submitted</h1>
-            <div class="badge badge-${reportData.reportClassification || 'accident'}">
-                ${(reportData.reportClassification || 'ACCIDENT').toUpperCase()} REPORT
-            </div>
-        </div>
-
-        <div class="content">
-            <div class="section">
-                <h2>📋 Report Information</h2>
-                <div class="field">
-                    <span class="label">Report ID:</span>
-                    <span class="value">${reportData.reportId}</span>
-                </div>
-                <div class="field">
-                    <span class="label">Serial Number:</span>
-                    <span class="value">${reportData.serialNumber}</span>
-                </div>
-                <div class="field">
-                    <span class="label">Classification:</span>
-                    <span class="value">${(reportData.reportClassification || 'accident').toUpperCase()}</span>
-                </div>
-                <div class="field">
-                    <span class="label">Submitted:</span>
-                    <span class="value">${new Date(reportData.timestamp).toLocaleString('en-US', { timeZone: 'America/Chicago' })}</span>
-                </div>
-            </div>
-
-            <div class="section">
-                <h2>👤 Employee Information</h2>
-                <div class="field">
-                    <span class="label">Name:</span>
-                    <span class="value">${reportData.employeeName}</span>
-                </div>
-                <div class="field">
-                    <span class="label">Employee ID:</span>
-                    <span class="value">${reportData.employeeId || 'Not provided'}</span>
-                </div>
-                <div class="field">
-                    <span class="label">Cellphone:</span>
-                    <span class="value">${reportData.employeePhone || 'Not provided'}</span>
-                </div>
-                <div class="field">
-                    <span class="label">Client Company:</span>
-                    <span class="value">${reportData.client}</span>
-                </div>
-            </div>
-
-            <div class="section">
-                <h2>📍 Incident Details</h2>
-                <div class="field">
-                    <span class="label">Date:</span>
-                    <span class="value">${reportData.incidentDate} at ${reportData.incidentTime}</span>
-                </div>
-                <div class="field">
-                    <span class="label">Reported On:</span>
-                    <span class="value">${reportData.reportedDate} at ${reportData.reportedTime}</span>
-                </div>
-                <div class="field">
-                    <span class="label">Complete Address:</span>
-                    <span class="value">${reportData.location}</span>
-                </div>
-                <div class="field">
-                    <span class="label">Type of Injury:</span>
-                    <span class="value">${reportData.injuryType}</span>
-                </div>
-                <div class="field">
-                    <span class="label">Description:</span>
-                    <div class="value" style="background: #f8fafc; padding: 10px; border-radius: 5px; margin-top: 5px;">
-                        ${reportData.description}
-                    </div>
-                </div>
-            </div>
-
-            <div class="section">
-                <h2>🩹 Injury Information</h2>
-                <div class="field">
-                    <span class="label">Affected Body Parts:</span>
-                    <span class="value">${bodyPartsList}</span>
-                </div>
-                ${reportData.bodyDiagramImage ? `
-                    <div class="field">
-                        <span class="label">Body Diagram:</span><br>
-                        <img src="cid:bodyDiagram" alt="Body Diagram" style="max-width: 300px; border: 1px solid #e2e8f0; border-radius: 8px;">
-                    </div>
-                ` : ''}
-            </div>
-
-            ${reportData.witnessName ? `
-            <div class="section">
-                <h2>👁️ Witness Information</h2>
-                <div class="field">
-                    <span class="label">Name:</span>
-                    <span class="value">${reportData.witnessName}</span>
-                </div>
-                ${reportData.witnessContact ? `
-                <div class="field">
-                    <span class="label">Contact:</span>
-                    <span class="value">${reportData.witnessContact}</span>
-                </div>
-                ` : ''}
-            </div>
-            ` : ''}
-
-            ${reportData.injuryPhoto && (Array.isArray(reportData.injuryPhoto) ? reportData.injuryPhoto.length > 0 : reportData.injuryPhoto) ? `
-            <div class="section">
-                <h2>📸 Injury Photo${Array.isArray(reportData.injuryPhoto) && reportData.injuryPhoto.length > 1 ? 's' : ''}</h2>
-                ${Array.isArray(reportData.injuryPhoto)
-                    ? reportData.injuryPhoto.map((photo, index) => `
-                        <div style="margin-bottom: 15px;">
-                            <p style="font-weight: bold; color: #1e3a5f; margin-bottom: 5px;">Photo ${index + 1} of ${reportData.injuryPhoto.length}:</p>
-                            <img src="cid:injuryPhoto${index}" alt="Injury Photo ${index + 1}" style="border: 1px solid #e2e8f0; border-radius: 8px; max-width: 100%;">
-                        </div>
-                    `).join('')
-                    : `<img src="cid:injuryPhoto" alt="Injury Photo" style="border: 1px solid #e2e8f0; border-radius: 8px;">`
-                }
-            </div>
-            ` : ''}
-
-            ${reportData.employeeSignature ? `
-            <div class="section">
-                <h2>✍️ Employee Signature</h2>
-                <img src="cid:employeeSignature" alt="Employee Signature" style="max-width: 300px; border: 1px solid #e2e8f0; border-radius: 8px;">
-            </div>
-            ` : ''}
-
-            <div class="section">
-                <h2>📝 Reported By</h2>
-                <div class="field">
-                    <span class="label">Name:</span>
-                    <span class="value">${reportData.reporterName}</span>
-                </div>
-                <div class="field">
-                    <span class="label">Position:</span>
-                    <span class="value">${reportData.reporterPosition}</span>
-                </div>
-            </div>
-
-            <div class="alert">
-                <strong>⚠️ Action Required:</strong> Please review this report and take appropriate action according to company safety protocols.
-            </div>
-        </div>
-
-        <div class="footer">
-            <p><strong>Custom Workforce Solutions LLC</strong></p>
-            <p>Safety Management System</p>
-            <p class="footer-highlight">Engineered by Safety Developer</p>
-            <p style="margin-top: 10px; font-size: 11px; color: #94a3b8;">
-                This is an automated message. All reports are confidential and should be handled according to OSHA guidelines.
-            </p>
-        </div>
-    </div>
-</body>
-</html>
-        `;
-
-        // Prepare attachments
-        const attachments = [];
-
-        // Add body diagram as attachment if present
-        if (reportData.bodyDiagramImage && reportData.bodyDiagramImage.startsWith('data:')) {
-            attachments.push({
-                filename: `body-diagram-${reportData.reportId}.png`,
-                path: reportData.bodyDiagramImage,
-                cid: 'bodyDiagram' // Content ID for inline embedding
+        const invalid = ruleErrors(req.body, existing);
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+
+        const rule = db.transaction(() => {
+            const updated = db.updateNotificationRule(existing.id, {
+                ...pickRuleFields(req.body),
+                updatedAt: new Date().toISOString()
             });
+            recordAudit(db, req, { entityType: 'notification_rule', entityId: existing.id, action: 'update', before: existing, after: updated });
+            return updated;
+        });
+
+        console.log(`✅ Notification rule updated by ${req.user.username}: ${rule.name}`);
+        res.json({ success: true, rule });
+    } catch (error) {
+        console.error('Error updating notification rule:', error);
+        res.status(500).json({ success: false, error: 'Failed to update notification rule' });
+    }
+});
+
+// Delete a routing rule
+app.delete('/api/notification-rules/:id', isAdmin, (req, res) => {
+    try {
+        const existing = db.getNotificationRule(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Notification rule not found' });
         }
 
-        // Add injury photo(s) as attachment(s) if present
-        if (reportData.injuryPhoto) {
-            if (Array.isArray(reportData.injuryPhoto)) {
-                // Handle multiple photos
-                reportData.injuryPhoto.forEach((photo, index) => {
-                    if (photo && photo.startsWith('data:')) {
-                        attachments.push({
-                            filename: `injury-photo-${index + 1}-${reportData.reportId}.jpg`,
-                            path: photo,
-                            cid: `injuryPhoto${index}`
-                        });
-                    }
-                });
-            } else if (reportData.injuryPhoto.startsWith('data:')) {
-                // Handle single photo (backwards compatibility)
-                attachments.push({
-                    filename: `injury-photo-${reportData.reportId}.jpg`,
-                    path: reportData.injuryPhoto,
-                    cid: 'injuryPhoto'
-                });
+        db.transaction(() => {
+            db.deleteNotificationRule(existing.id);
+            recordAudit(db, req, { entityType: 'notification_rule', entityId: existing.id, action: 'delete', before: existing });
+        });
+
+        console.log(`✅ Notification rule deleted by ${req.user.username}: ${existing.name}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting notification rule:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete notification rule' });
+    }
+});
+
+// Dry run: show who would be notified about a sample report, without sending
+app.post('/api/notification-rules/dry-run', isAdmin, (req, res) => {
+    try {
+        const invalid = validate(reportSchema, req.body, { partial: true });
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+
+        res.json({ success: true, ...routeReport(req.body) });
+    } catch (error) {
+        console.error('Error running notification rules:', error);
+        res.status(500).json({ success: false, error: 'Failed to run notification rules' });
+    }
+});
+
+// ========== WEBHOOKS ==========
+
+// Webhook as shown to admins - the signing secret is only returned when it is set
+function toPublicWebhook(webhook, { includeSecret = false } = {}) {
+    const { secret, ...publicWebhook } = webhook;
+    return includeSecret ? webhook : publicWebhook;
+}
+
+// Webhook as recorded in the audit log - never includes the secret
+function auditedWebhook(webhook) {
+    const { secret, ...audited } = webhook;
+    return { ...audited, secretFingerprint: crypto.createHash('sha256').update(secret).digest('hex').slice(0, 8) };
+}
+
+// List webhooks
+app.get('/api/webhooks', isAdmin, (req, res) => {
+    try {
+        res.json({ success: true, webhooks: db.getWebhooks().map(w => toPublicWebhook(w)), events: WEBHOOK_EVENTS });
+    } catch (error) {
+        console.error('Error fetching webhooks:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch webhooks' });
+    }
+});
+
+// Create a webhook. A signing secret is generated unless one is supplied.
+app.post('/api/webhooks', isAdmin, (req, res) => {
+    try {
+        const invalid = validate(webhookSchema, req.body);
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+
+        const { url, description, events, secret, active } = req.body;
+        const webhook = db.transaction(() => {
+            const created = db.insertWebhook({
+                id: crypto.randomUUID(),
+                url,
+                description: description || '',
+                events: [...new Set(events)],
+                secret: secret || generateSecret(),
+                active: active !== false,
+                createdAt: new Date().toISOString()
+            });
+            recordAudit(db, req, { entityType: 'webhook', entityId: created.id, action: 'create', after: auditedWebhook(created) });
+            return created;
+        });
+
+        console.log(`✅ Webhook created by ${req.user.username}: ${webhook.url}`);
+        res.json({ success: true, webhook: toPublicWebhook(webhook, { includeSecret: true }) });
+    } catch (error) {
+        console.error('Error creating webhook:', error);
+        res.status(500).json({ success: false, error: 'Failed to create webhook' });
+    }
+});
+
+// Update a webhook. Pass "rotateSecret": true to generate a new signing secret.
+app.put('/api/webhooks/:id', isAdmin, (req, res) => {
+    try {
+        const existing = db.getWebhook(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+
+        const invalid = validate(webhookSchema, req.body, { partial: true });
+        if (invalid) {
+            return sendValidationError(res, invalid);
+        }
+
+        const { url, description, events, secret, active, rotateSecret } = req.body;
+        const changes = { updatedAt: new Date().toISOString() };
+        if (url !== undefined) changes.url = url;
+        if (description !== undefined) changes.description = description || '';
+        if (events !== undefined) changes.events = [...new Set(events)];
+        if (active !== undefined) changes.active = active;
+        if (secret) changes.secret = secret;
+        if (rotateSecret === true) changes.secret = generateSecret();
+
+        const webhook = db.transaction(() => {
+            const updated = db.updateWebhook(existing.id, changes);
+            recordAudit(db, req, { entityType: 'webhook', entityId: existing.id, action: 'update', before: auditedWebhook(existing), after: auditedWebhook(updated) });
+            return updated;
+        });
+
+        console.log(`✅ Webhook updated by ${req.user.username}: ${webhook.url}`);
+        res.json({ success: true, webhook: toPublicWebhook(webhook, { includeSecret: 'secret' in changes }) });
+    } catch (error) {
+        console.error('Error updating webhook:', error);
+        res.status(500).json({ success: false, error: 'Failed to update webhook' });
+    }
+});
+
+// Delete a webhook. Deliveries still queued for it are dropped (marked dead).
+app.delete('/api/webhooks/:id', isAdmin, (req, res) => {
+    try {
+        const existing = db.getWebhook(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Webhook not found' });
+        }
+
+        db.transaction(() => {
+            db.deleteWebhook(existing.id);
+            recordAudit(db, req, { entityType: 'webhook', entityId: existing.id, action: 'delete', before: auditedWebhook(existing) });
+        });
+
+        console.log(`✅ Webhook deleted by ${req.user.username}: ${existing.url}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting webhook:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete webhook' });
+    }
+});
+
+// ========== OSHA RECORDKEEPING ==========
+// OSHA 300 log, 300A summary and 301 incident reports, generated from cases.
+// Documents are JSON by default; ?format=csv or ?format=pdf downloads them.
+
+const OSHA_FORMATS = ['json', 'csv', 'pdf'];
+
+// Year query parameter; defaults to the current year
+function parseOshaYear(value) {
+    if (value === undefined || value === '') return new Date().getFullYear();
+    return /^\d{4}$/.test(value) ? parseInt(value) : null;
+}
+
+// Check the query shared by the log endpoints; returns { year, establishment, format } or sends a 400
+function oshaQuery(req, res, { requireEstablishment = false } = {}) {
+    const invalid = {};
+    const year = parseOshaYear(req.query.year);
+    const establishment = (req.query.establishment || '').trim();
+    const format = req.query.format || 'json';
+    if (year === null) invalid.year = 'Must be a four-digit year';
+    if (requireEstablishment && !establishment) invalid.establishment = 'Required';
+    if (!OSHA_FORMATS.includes(format)) invalid.format = `Must be one of: ${OSHA_FORMATS.join(', ')}`;
+    if (Object.keys(invalid).length > 0) {
+        sendValidationError(res, invalid);
+        return null;
+    }
+    return { year, establishment, format };
+}
+
+// Send a document as a CSV or PDF download
+function sendOshaFile(res, { format, filename, csv, pdf }) {
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment(`${filename}.csv`);
+        return res.send(csv());
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.attachment(`${filename}.pdf`);
+    res.send(pdf());
+}
+
+function fileSafe(value) {
+    return value.replace(/[^A-Za-z0-9._-]+/g, '-');
+}
+
+// Linked injury reports of the given cases, by report id
+function reportsForCases(cases) {
+    const reportsById = new Map();
+    for (const c of cases) {
+        if (c.reportId && !reportsById.has(c.reportId)) {
+            const report = db.getReport(c.reportId);
+            if (report) reportsById.set(report.id, report);
+        }
+    }
+    return reportsById;
+}
+
+function oshaLog(establishment, year) {
+    const cases = db.getCases();
+    return build300Log(cases, { establishment, year, reportsById: reportsForCases(cases) });
+}
+
+// OSHA 300 log for one establishment and year
+app.get('/api/osha/300', canView, (req, res) => {
+    try {
+        const query = oshaQuery(req, res, { requireEstablishment: true });
+        if (!query) return;
+        const { establishment, year, format } = query;
+
+        const rows = oshaLog(establishment, year);
+        if (format === 'json') {
+            return res.json({ success: true, establishment, year, rows });
+        }
+        sendOshaFile(res, {
+            format,
+            filename: `osha-300-${fileSafe(establishment)}-${year}`,
+            csv: () => toCsv(LOG_COLUMNS, rows.map(formatLogRow)),
+            pdf: () => render300Pdf(rows.map(formatLogRow), { establishment, year })
+        });
+    } catch (error) {
+        console.error('Error generating OSHA 300 log:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate OSHA 300 log' });
+    }
+});
+
+// OSHA 300A summary for one establishment and year
+app.get('/api/osha/300a', canView, (req, res) => {
+    try {
+        const query = oshaQuery(req, res, { requireEstablishment: true });
+        if (!query) return;
+        const { establishment, year, format } = query;
+
+        const hours = db.getEstablishmentYear(establishment, year);
+        const summary = build300ASummary(oshaLog(establishment, year), {
+            establishment: hours ? hours.establishment : establishment,
+            year,
+            hours
+        });
+        if (format === 'json') {
+            return res.json({ success: true, summary });
+        }
+        const { illnessCategories, ...totals } = summary;
+        const csvRow = { ...totals, ...illnessCategories };
+        sendOshaFile(res, {
+            format,
+            filename: `osha-300a-${fileSafe(establishment)}-${year}`,
+            csv: () => toCsv(Object.keys(csvRow).map(key => ({ key, label: key })), [csvRow]),
+            pdf: () => render300APdf(summary)
+        });
+    } catch (error) {
+        console.error('Error generating OSHA 300A summary:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate OSHA 300A summary' });
+    }
+});
+
+// OSHA 301 incident report for a case
+app.get('/api/cases/:id/osha-301', canView, (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        if (!OSHA_FORMATS.includes(format)) {
+            return sendValidationError(res, { format: `Must be one of: ${OSHA_FORMATS.join(', ')}` });
+        }
+        const caseRecord = db.getCase(req.params.id);
+        if (!caseRecord) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+
+        const form = build301(caseRecord, caseRecord.reportId ? db.getReport(caseRecord.reportId) : null);
+        if (format === 'json') {
+            return res.json({ success: true, form });
+        }
+        sendOshaFile(res, {
+            format,
+            filename: `osha-301-${fileSafe(caseRecord.id)}`,
+            csv: () => toCsv(Object.keys(form).map(key => ({ key, label: key })), [form]),
+            pdf: () => render301Pdf(form)
+        });
+    } catch (error) {
+        console.error('Error generating OSHA 301 report:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate OSHA 301 report' });
+    }
+});
+
+// Establishments with recordable cases or entered hours for a year
+app.get('/api/osha/establishments', canView, (req, res) => {
+    try {
+        const year = parseOshaYear(req.query.year);
+        if (year === null) {
+            return sendValidationError(res, { year: 'Must be a four-digit year' });
+        }
+
+        const establishments = new Map();
+        for (const hours of db.getEstablishmentYears({ year })) {
+            establishments.set(hours.establishment.toLowerCase(), { establishment: hours.establishment, recordableCases: 0, ...hours });
+        }
+        for (const caseRecord of recordableCases(db.getCases(), { year })) {
+            const name = establishmentOf(caseRecord);
+            const key = name.toLowerCase();
+            if (!establishments.has(key)) {
+                establishments.set(key, { establishment: name, year, recordableCases: 0, hoursWorked: null, averageEmployees: null, updatedAt: null });
             }
+            establishments.get(key).recordableCases++;
+        }
+
+        res.json({ success: true, year, establishments: [...establishments.values()] });
+    } catch (error) {
+        console.error('Error fetching OSHA establishments:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch establishments' });
+    }
+});
+
+// Enter hours worked and average employees for an establishment's 300A
+app.put('/api/osha/establishments/:establishment/years/:year', canEdit, (req, res) => {
+    try {
+        const establishment = req.params.establishment.trim();
+        const invalid = validate(establishmentYearSchema, req.body) || {};
+        if (!/^\d{4}$/.test(req.params.year)) invalid.year = 'Must be a four-digit year';
+        if (!establishment) invalid.establishment = 'Required';
+        if (Object.keys(invalid).length > 0) {
+            return sendValidationError(res, invalid);
+        }
+
+        const year = parseInt(req.params.year);
+        const entityId = `${establishment}:${year}`;
+        const saved = db.transaction(() => {
+            const existing = db.getEstablishmentYear(establishment, year);
+            const updated = db.setEstablishmentYear({
+                establishment: existing ? existing.establishment : establishment,
+                year,
+                hoursWorked: req.body.hoursWorked,
+                averageEmployees: req.body.averageEmployees
+            });
+            recordAudit(db, req, { entityType: 'osha_establishment_year', entityId, action: existing ? 'update' : 'create', before: existing, after: updated });
+            return updated;
+        });
+
+        console.log(`✅ OSHA hours saved by ${req.user.username}: ${entityId}`);
+        res.json({ success: true, establishmentYear: saved });
+    } catch (error) {
+        console.error('Error saving OSHA hours:', error);
+        res.status(500).json({ success: false, error: 'Failed to save hours' });
+    }
+});
+
+// Recordable cases with missing log data, and establishments missing hours
+app.get('/api/osha/reconciliation', canView, (req, res) => {
+    try {
+        const year = parseOshaYear(req.query.year);
+        if (year === null) {
+            return sendValidationError(res, { year: 'Must be a four-digit year' });
+        }
+        const establishment = (req.query.establishment || '').trim();
+
+        const issues = reconcile(db.getCases(), {
+            year,
+            establishment,
+            establishmentYears: db.getEstablishmentYears({ year })
+        });
+        res.json({ success: true, year, ok: issues.length === 0, issues });
+    } catch (error) {
+        console.error('Error reconciling OSHA log:', error);
+        res.status(500).json({ success: false, error: 'Failed to reconcile OSHA log' });
+    }
+});
+
+// ========== TEXAS DWC-1 ==========
+// Employer's First Report of Injury (DWC Form-001) and its 8-day filing deadline
+
+// Employer details printed on the DWC-1
+const dwcEmployer = {
+    name: process.env.DWC_EMPLOYER_NAME || 'Custom Workforce Solutions LLC',
+    fein: process.env.DWC_EMPLOYER_FEIN || '',
+    address: process.env.DWC_EMPLOYER_ADDRESS || '',
+    phone: process.env.DWC_EMPLOYER_PHONE || '',
+    naics: process.env.DWC_EMPLOYER_NAICS || '',
+    policyNumber: process.env.DWC_POLICY_NUMBER || ''
+};
+
+// DWC-1 for a case, as JSON or ?format=pdf
+app.get('/api/cases/:id/dwc1', canView, (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        if (!['json', 'pdf'].includes(format)) {
+            return sendValidationError(res, { format: 'Must be one of: json, pdf' });
+        }
+        const caseRecord = db.getCase(req.params.id);
+        if (!caseRecord) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+
+        const form = buildDwc1(caseRecord, caseRecord.reportId ? db.getReport(caseRecord.reportId) : null, dwcEmployer);
+        if (format === 'json') {
+            return res.json({ success: true, form });
+        }
+        res.setHeader('Content-Type', 'application/pdf');
+        res.attachment(`dwc1-${fileSafe(caseRecord.id)}.pdf`);
+        res.send(renderDwc1Pdf(form));
+    } catch (error) {
+        console.error('Error generating DWC-1:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate DWC-1' });
+    }
+});
+
+// Record that a case's DWC-1 went to the carrier
+app.post('/api/cases/:id/dwc1/sent', canEdit, (req, res) => {
+    try {
+        const existing = db.getCase(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+        const invalid = validate(dwc1SentSchema, req.body);
+        if (invalid) {
+            return sendValidationError(res, invalid);
         }
 
-        // Add employee signature as attachment if present
-        if (reportData.employeeSignature && reportData.employeeSignature.startsWith('data:')) {
-            attachments.push({
-                filename: `signature-${reportData.reportId}.png`,
-                path: reportData.employeeSignature,
-                cid: 'employeeSignature'
+        const updated = db.transaction(() => {
+            const now = new Date().toISOString();
+            const caseRecord = db.updateCase(existing.id, { dwc1SentAt: req.body.sentAt || now, updatedAt: now });
+            recordAudit(db, req, { entityType: 'case', entityId: existing.id, caseId: existing.id, action: 'update', before: existing, after: caseRecord });
+            return caseRecord;
+        });
+
+        console.log(`✅ DWC-1 sent recorded by ${req.user.username}: ${existing.id}`);
+        res.json({ success: true, caseId: existing.id, dwc1SentAt: updated.dwc1SentAt });
+    } catch (error) {
+        console.error('Error recording DWC-1 sent:', error);
+        res.status(500).json({ success: false, error: 'Failed to record DWC-1' });
+    }
+});
+
+// Cases that need a DWC-1, with due dates. ?status=due|overdue|sent filters them.
+app.get('/api/dwc1/filings', canView, (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status !== undefined && !['due', 'overdue', 'sent'].includes(status)) {
+            return sendValidationError(res, { status: 'Must be one of: due, overdue, sent' });
+        }
+
+        const filings = dwc1Filings(db.getCases(), texasToday());
+        res.json({ success: true, filings: status ? filings.filter(f => f.status === status) : filings });
+    } catch (error) {
+        console.error('Error fetching DWC-1 filings:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch DWC-1 filings' });
+    }
+});
+
+// Alert the case's report recipients (EMAIL_TO, CC/BCC and matching routing
+// rules) once for each DWC-1 that passes its due date without being sent
+function checkDwc1Deadlines() {
+    try {
+        let queued = 0;
+        for (const filing of dwc1Filings(db.getCases(), texasToday())) {
+            const dedupKey = `email:dwc1_overdue:${filing.caseId}:${filing.dueDate}`;
+            if (filing.status !== 'overdue' || db.getNotificationByDedupKey(dedupKey)) continue;
+
+            const routing = routeReport(db.getCase(filing.caseId));
+            if (routing.to.length === 0) continue;
+
+            const email = renderDwc1OverdueEmail(filing);
+            notificationQueue.enqueue({
+                reportId: filing.reportId,
+                channel: 'email',
+                kind: 'dwc1_overdue',
+                recipient: routing.to.join(', '),
+                dedupKey,
+                payload: {
+                    from: `"CWS Safety Reports" <${mailer.fromAddress}>`,
+                    to: routing.to.join(', '),
+                    cc: routing.cc.length > 0 ? routing.cc.join(', ') : undefined,
+                    bcc: routing.bcc.length > 0 ? routing.bcc.join(', ') : undefined,
+                    subject: email.subject,
+                    html: email.html
+                }
             });
+            queued++;
+        }
+        if (queued > 0) {
+            console.log(`⏰ Queued ${queued} overdue DWC-1 alert(s)`);
+            notificationQueue.kick();
         }
+    } catch (error) {
+        console.error('Error checking DWC-1 deadlines:', error);
+    }
+}
 
-        // Add PDF attachment if present
-        if (reportData.pdfData && reportData.pdfData.startsWith('data:')) {
-            attachments.push({
-                filename: `injury-report-${reportData.reportId}.pdf`,
-                path: reportData.pdfData
+// Alert the report's recipients (EMAIL_TO, CC/BCC and matching routing rules)
+// once per report when its testing window is about to close with no
+// collection logged. A window missed since the last check is alerted as
+// overdue; older misses are not.
+function checkDrugTestDeadlines() {
+    try {
+        const now = new Date();
+        let queued = 0;
+        for (const report of db.getReports()) {
+            const testing = drugTestStatus(report, db.getDrugTestsForReport(report.id), now);
+            const alert = testing.expiring || (testing.status === 'overdue' && testing.hoursOverdue <= WINDOW_HOURS);
+            const dedupKey = `email:drug_test_deadline:${report.id}`;
+            if (!alert || db.getNotificationByDedupKey(dedupKey)) continue;
+
+            const routing = routeReport(report);
+            if (routing.to.length === 0) continue;
+
+            const email = renderDrugTestDeadlineEmail(testing);
+            notificationQueue.enqueue({
+                reportId: report.id,
+                channel: 'email',
+                kind: 'drug_test_deadline',
+                recipient: routing.to.join(', '),
+                dedupKey,
+                payload: {
+                    from: `"CWS Safety Reports" <${mailer.fromAddress}>`,
+                    to: routing.to.join(', '),
+                    cc: routing.cc.length > 0 ? routing.cc.join(', ') : undefined,
+                    bcc: routing.bcc.length > 0 ? routing.bcc.join(', ') : undefined,
+                    subject: email.subject,
+                    html: email.html
+                }
             });
+            queued++;
         }
+        if (queued > 0) {
+            console.log(`⏰ Queued ${queued} drug test deadline alert(s)`);
+            notificationQueue.kick();
+        }
+    } catch (error) {
+        console.error('Error checking drug test deadlines:', error);
+    }
+}
 
-        // Email configuration
-        const mailOptions = {
-            from: `"CWS Safety Reports" <${process.env.EMAIL_USER}>`,
-            to: process.env.EMAIL_USER,
-            subject: `[URGENT] ${(reportData.reportClassification || 'ACCIDENT').toUpperCase()} Report - ${reportData.employeeName} - ${reportData.reportId}`,
-            html: emailHTML,
-            cc: process.env.CC_EMAILS || undefined,
-            bcc: process.env.BCC_EMAILS || undefined,
-            attachments: attachments.length > 0 ? attachments : undefined
-        };
+// Periodic case upkeep: bring open off-work and restricted-duty day counts up
+// to date, then alert on DWC-1 filings that have become overdue and drug test
+// windows about to close
+function runCaseChecks() {
+    refreshWorkStatus();
+    checkDwc1Deadlines();
+    checkDrugTestDeadlines();
+}
+
+// ========== END DATABASE API ENDPOINTS ==========
+
+// Send a stored report's email now. The email is queued when the report is
+// saved (POST /api/reports) and built from the stored record; this makes the
+// first attempt without waiting for the queue and reports how it went. Only
+// the report ID is read from the body.
+app.post('/api/send-email', async (req, res) => {
+    try {
+        const { reportId } = req.body;
+
+        if (!reportId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields'
+            });
+        }
+
+        const report = db.getReport(reportId);
+        if (!report) {
+            return res.status(404).json({ success: false, error: 'Report not found' });
+        }
+
+        const queued = queueReportNotifications(report);
+        const result = queued.notification.status === 'queued'
+            ? await notificationQueue.deliver(queued.notification)
+            : queued.notification;
 
-        // Send email
-        const info = await transporter.sendMail(mailOptions);
+        if (result.status !== 'sent') {
+            return res.status(202).json({
+                success: true,
+                queued: true,
+                message: 'Email could not be sent yet and will be retried automatically',
+                status: result.status,
+                notificationId: result.id,
+                nextAttemptAt: toPublicNotification(result).nextAttemptAt,
+                reportId: report.id
+            });
+        }
 
-        console.log('✅ Email sent successfully:', info.messageId);
-        console.log('Report ID:', reportData.reportId);
+        if (queued.duplicate && queued.notification.status === 'sent') {
+            console.log(`ℹ️ Email for report ${report.id} already sent, not sending again`);
+        } else {
+            console.log('✅ Email sent successfully:', result.messageId);
+            console.log('Report ID:', report.id);
+        }
 
         res.json({
             success: true,
             message: 'Email sent successfully',
-            messageId: info.messageId,
-            reportId: reportData.reportId
+            status: result.status,
+            notificationId: result.id,
+            messageId: result.messageId,
+            reportId: report.id
         });
 
     } catch (error) {
@@ -1055,9 +3738,33 @@ app.use((err, req, res, next) => {
     res.status(500).json({ error: 'Internal server error' });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`
+// ========== STARTUP ==========
+
+// Open the database and bring its data up to date. start() runs this; tests
+// call it on their own DATA_DIR before sending requests to `app`.
+function init() {
+    db.connect();
+    ensureBootstrapAdmin();
+    linkEmployeeRecords();
+}
+
+// Start the server: check the mail configuration, start the background jobs
+// and listen on PORT
+function start() {
+    init();
+
+    mailer.verify()
+        .then(() => console.log(`✅ Email transport ready: ${mailer.describe()}`))
+        .catch(error => console.error('Email transporter configuration error:', error));
+
+    const sessionCleanupTimer = setInterval(cleanupExpiredSessions, 60000);
+    notificationQueue.start();
+    const caseCheckTimer = setInterval(runCaseChecks, parseInt(process.env.CASE_CHECK_INTERVAL_MS) || 60 * 60 * 1000);
+    caseCheckTimer.unref();
+    setImmediate(runCaseChecks);
+
+    const server = app.listen(PORT, () => {
+        console.log(`
 ╔════════════════════════════════════════════════╗
 ║   CWS Injury Report Email Service             ║
 ║   Engineered by Safety Developer               ║
@@ -1065,16 +3772,35 @@ app.listen(PORT, () => {
 ║   Status: ✅ Running                           ║
 ║   Port: ${PORT.toString().padEnd(38)}      ║
 ║   Environment: ${(process.env.NODE_ENV || 'development').padEnd(29)} ║
-║   Email: ${(process.env.EMAIL_USER || 'Not configured').padEnd(34)} ║
+║   Email: ${mailer.describe().padEnd(34)} ║
+║   SMS: ${smsGateway.describe().padEnd(36)} ║
 ╚════════════════════════════════════════════════╝
-    `);
-});
+        `);
+    });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('SIGTERM received. Closing server gracefully...');
-    server.close(() => {
-        console.log('Server closed.');
-        process.exit(0);
+    // Graceful shutdown
+    process.on('SIGTERM', () => {
+        console.log('SIGTERM received. Closing server gracefully...');
+        server.close(async () => {
+            console.log('Server closed.');
+            // Let sends under way record their outcome, or they go out again after a restart
+            await notificationQueue.stop();
+            clearInterval(caseCheckTimer);
+            clearInterval(sessionCleanupTimer);
+            db.close();
+            process.exit(0);
+        });
     });
-});
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = {
+    app,
+    db,
+    notificationQueue,
+    runCaseChecks,
+    init
+};
@@ -0,0 +1,61 @@
+const { html } = require('../utils/html');
+
+// Alert that a report's post-accident testing window is about to close (or
+// has closed) with no collection logged. `testing` comes from drugTestStatus().
+
+function formatTexasDateTime(date) {
+    return new Date(date).toLocaleString('en-US', { timeZone: 'America/Chicago' });
+}
+
+function renderDrugTestDeadlineEmail(testing) {
+    const overdue = testing.status === 'overdue';
+    const hours = overdue ? testing.hoursOverdue : testing.hoursLeft;
+    const when = `${hours} hour${hours === 1 ? '' : 's'}`;
+    const row = (label, value) => html`
+                <tr>
+                    <td style="padding: 6px 12px 6px 0; font-weight: bold; color: #475569;">${label}</td>
+                    <td style="padding: 6px 0; color: #0f172a;">${value || 'Not provided'}</td>
+                </tr>`;
+
+    return {
+        subject: overdue
+            ? `[OVERDUE] Post-accident drug test for ${testing.employeeName} - report ${testing.reportId} (${when} past deadline)`
+            : `[ACTION NEEDED] Post-accident drug test for ${testing.employeeName} - report ${testing.reportId} (${when} left)`,
+        html: html`
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto;">
+        <div style="background: ${overdue ? '#991b1b' : '#b45309'}; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0; font-size: 22px;">${overdue ? 'Drug Test Window Missed' : 'Drug Test Window Closing'}</h1>
+        </div>
+        <div style="padding: 20px; background: #f8fafc;">
+            <p>The employee consented to post-accident drug and alcohol testing, which must be collected by
+               <strong>${formatTexasDateTime(testing.deadline)}</strong> (Texas time). No collection has been logged.</p>
+            <table style="border-collapse: collapse;">
+                ${row('Report', testing.reportId)}
+                ${row('Case', testing.caseId)}
+                ${row('Employee', testing.employeeName)}
+                ${row('Client', testing.client)}
+                ${row('Deadline', formatTexasDateTime(testing.deadline))}
+            </table>
+            <p style="background: #fef3c7; border-left: 4px solid #d97706; padding: 12px; border-radius: 5px;">
+                Get the employee to a collection site now, then log the collection site and time on the report.
+            </p>
+        </div>
+        <div style="background: #0f172a; color: white; padding: 15px; text-align: center; font-size: 12px;">
+            Custom Workforce Solutions LLC - Safety Management System
+        </div>
+    </div>
+</body>
+</html>
+`.toString()
+    };
+}
+
+module.exports = {
+    renderDrugTestDeadlineEmail
+};
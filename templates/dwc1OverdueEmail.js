@@ -0,0 +1,54 @@
+const { html } = require('../utils/html');
+
+// Alert that a case's DWC-1 has not been sent to the carrier by its due date.
+// `filing` comes from dwc1Status().
+
+function renderDwc1OverdueEmail(filing) {
+    const days = filing.daysOverdue === 1 ? '1 day' : `${filing.daysOverdue} days`;
+    const row = (label, value) => html`
+                <tr>
+                    <td style="padding: 6px 12px 6px 0; font-weight: bold; color: #475569;">${label}</td>
+                    <td style="padding: 6px 0; color: #0f172a;">${value || 'Not provided'}</td>
+                </tr>`;
+
+    return {
+        subject: `[OVERDUE] DWC-1 for ${filing.employeeName} - case ${filing.caseId} (${days} late)`,
+        html: html`
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+    <div style="max-width: 600px; margin: 0 auto;">
+        <div style="background: #991b1b; color: white; padding: 20px; text-align: center;">
+            <h1 style="margin: 0; font-size: 22px;">DWC-1 Filing Overdue</h1>
+        </div>
+        <div style="padding: 20px; background: #f8fafc;">
+            <p>The Employer's First Report of Injury (DWC Form-001) for this case was due to the carrier on
+               <strong>${filing.dueDate}</strong> and has not been marked as sent.</p>
+            <table style="border-collapse: collapse;">
+                ${row('Case', filing.caseId)}
+                ${row('Employee', filing.employeeName)}
+                ${row('Client', filing.client)}
+                ${row('Carrier', filing.insuranceCarrier)}
+                ${row('Lost time began', filing.lostTimeStartDate)}
+                ${row('Due date', filing.dueDate)}
+            </table>
+            <p style="background: #fee2e2; border-left: 4px solid #dc2626; padding: 12px; border-radius: 5px;">
+                Send the DWC-1 to the carrier now, then record the date it was sent on the case.
+            </p>
+        </div>
+        <div style="background: #0f172a; color: white; padding: 15px; text-align: center; font-size: 12px;">
+            Custom Workforce Solutions LLC - Safety Management System
+        </div>
+    </div>
+</body>
+</html>
+`.toString()
+    };
+}
+
+module.exports = {
+    renderDwc1OverdueEmail
+};
@@ -0,0 +1,88 @@
+const { jsPDF } = require('jspdf');
+const { header, footer, sectionTitle, fieldList, output } = require('./pdfLayout');
+
+// Texas DWC Form-001, Employer's First Report of Injury or Illness, filled
+// from buildDwc1(). Fields the system does not collect are left as blanks to
+// complete by hand before the report goes to the carrier.
+
+const BLANK = '______________________________';
+
+function renderDwc1Pdf(form) {
+    const doc = new jsPDF('p', 'mm', 'a4');
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const options = { labelWidth: 62, blank: BLANK };
+    header(doc, "DWC Form-001 - Employer's First Report of Injury or Illness", `Case ${form.caseId}   Carrier: ${form.carrier.name || '-'}`);
+
+    // Start a new page when the next section would not fit
+    const section = (title, y, rows) => {
+        if (y + 12 + rows * 6.5 > pageHeight - 14) {
+            doc.addPage();
+            y = 15;
+        }
+        return sectionTitle(doc, title, y);
+    };
+
+    let y = section('Employee', 30, 8);
+    y = fieldList(doc, [
+        ['Name', form.employee.name],
+        ['Social Security number', form.employee.ssn],
+        ['Date of birth', form.employee.dateOfBirth],
+        ['Home address', form.employee.homeAddress],
+        ['Phone', form.employee.phone],
+        ['Employee ID', form.employee.employeeId],
+        ['Occupation / job title', form.employee.jobTitle],
+        ['Average weekly wage', form.employee.weeklyWage]
+    ], 15, y, options);
+
+    y = section('Employer', y + 2, 6);
+    y = fieldList(doc, [
+        ['Employer name', form.employer.name],
+        ['Federal tax ID (FEIN)', form.employer.fein],
+        ['Mailing address', form.employer.address],
+        ['Phone', form.employer.phone],
+        ['NAICS code', form.employer.naics],
+        ['Worksite / client', form.employer.worksite]
+    ], 15, y, options);
+
+    y = section('Insurance carrier', y + 2, 3);
+    y = fieldList(doc, [
+        ['Carrier', form.carrier.name],
+        ['Policy number', form.carrier.policyNumber],
+        ['Claim number', form.carrier.claimNumber]
+    ], 15, y, options);
+
+    const injury = form.injury;
+    y = section('Injury or illness', y + 2, 14);
+    y = fieldList(doc, [
+        ['Date of injury', injury.date],
+        ['Time of injury', injury.time],
+        ['Date employer was notified', injury.dateReported],
+        ['Where the injury occurred', injury.location],
+        ['Nature of injury', injury.natureOfInjury],
+        ['Part(s) of body', injury.bodyParts],
+        ['How the injury occurred', injury.howItHappened],
+        ['Witness', injury.witness],
+        ['Physician', injury.physician],
+        ['Treatment facility', injury.treatmentFacility],
+        ['First day of lost time', injury.lostTimeStartDate],
+        ['Days away from work', injury.daysAway],
+        ['Did the employee die?', injury.died ? `Yes (${injury.dateOfDeath || 'date not entered'})` : 'No']
+    ], 15, y, options);
+
+    y = section('Filing', y + 2, 3);
+    y = fieldList(doc, [
+        ['Prepared by', form.preparedBy],
+        ['Due to carrier by', form.filing ? form.filing.dueDate : 'Not required (no more than one day lost)'],
+        ['Sent to carrier', form.filing && form.filing.sentAt]
+    ], 15, y, options);
+
+    doc.setFontSize(9);
+    doc.text('Signature: ______________________________   Title: ____________________   Date: ____________', 15, y + 8);
+
+    footer(doc, 'Send to the insurance carrier by the 8th day after more than one day of lost time (28 TAC §120.2).');
+    return output(doc);
+}
+
+module.exports = {
+    renderDwc1Pdf
+};
@@ -0,0 +1,182 @@
+const { html, raw, multiline } = require('../utils/html');
+
+// Injury report notification email. Pure function of the report payload, so it
+// can be rendered from a fixture without sending mail. Every report field is
+// HTML-escaped; the description keeps its line breaks.
+
+const STYLES = `
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; }
+        .header { background: linear-gradient(135deg, #1e3a5f 0%, #0f172a 100%); color: white; padding: 30px 20px; text-align: center; }
+        .header h1 { margin: 0; font-size: 24px; }
+        .badge { display: inline-block; padding: 8px 20px; border-radius: 20px; font-weight: bold; margin: 15px 0; font-size: 14px; }
+        .badge-incident { background: #f59e0b; color: white; }
+        .badge-accident { background: #ef4444; color: white; }
+        .content { padding: 20px; background: #f8fafc; }
+        .section { background: white; padding: 20px; margin-bottom: 20px; border-radius: 10px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+        .section h2 { color: #0f172a; margin-top: 0; font-size: 18px; border-bottom: 2px solid #4ade80; padding-bottom: 10px; }
+        .field { margin: 10px 0; }
+        .label { font-weight: bold; color: #475569; }
+        .value { color: #0f172a; }
+        .alert { background: #dcfce7; border-left: 4px solid #16a34a; padding: 15px; margin: 20px 0; border-radius: 5px; }
+        .footer { background: #0f172a; color: white; padding: 20px; text-align: center; font-size: 12px; }
+        .footer-highlight { color: #4ade80; }
+        img { max-width: 100%; height: auto; border-radius: 10px; margin: 10px 0; }
+`;
+
+// Only known classifications reach the markup (they are used in a class name)
+function classificationOf(reportData) {
+    return reportData.reportClassification === 'incident' ? 'incident' : 'accident';
+}
+
+function formatSubmitted(timestamp) {
+    const date = new Date(timestamp);
+    return Number.isNaN(date.getTime())
+        ? 'Not provided'
+        : date.toLocaleString('en-US', { timeZone: 'America/Chicago' });
+}
+
+function field(label, value) {
+    return html`
+                <div class="field">
+                    <span class="label">${label}:</span>
+                    <span class="value">${value}</span>
+                </div>`;
+}
+
+function photoList(injuryPhoto) {
+    if (!Array.isArray(injuryPhoto)) {
+        return html`<img src="cid:injuryPhoto" alt="Injury Photo" style="border: 1px solid #e2e8f0; border-radius: 8px;">`;
+    }
+    return injuryPhoto.map((photo, index) => html`
+                        <div style="margin-bottom: 15px;">
+                            <p style="font-weight: bold; color: #1e3a5f; margin-bottom: 5px;">Photo ${index + 1} of ${injuryPhoto.length}:</p>
+                            <img src="cid:injuryPhoto${index}" alt="Injury Photo ${index + 1}" style="border: 1px solid #e2e8f0; border-radius: 8px; max-width: 100%;">
+                        </div>`);
+}
+
+function renderSubject(reportData) {
+    return `[URGENT] ${classificationOf(reportData).toUpperCase()} Report - ${reportData.employeeName} - ${reportData.reportId}`;
+}
+
+function renderHtml(reportData) {
+    const classification = classificationOf(reportData);
+    const bodyPartsList = reportData.bodyParts && reportData.bodyParts.length > 0
+        ? reportData.bodyParts.join(', ')
+        : 'None specified';
+    const hasPhotos = reportData.injuryPhoto
+        && (Array.isArray(reportData.injuryPhoto) ? reportData.injuryPhoto.length > 0 : reportData.injuryPhoto);
+    const multiplePhotos = Array.isArray(reportData.injuryPhoto) && reportData.injuryPhoto.length > 1;
+
+    return html`
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <style>${raw(STYLES)}</style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🚨 Safety Report Submitted</h1>
+            <div class="badge badge-${classification}">
+                ${classification.toUpperCase()} REPORT
+            </div>
+        </div>
+
+        <div class="content">
+            <div class="section">
+                <h2>📋 Report Information</h2>
+                ${field('Report ID', reportData.reportId)}
+                ${field('Serial Number', reportData.serialNumber)}
+                ${field('Classification', classification.toUpperCase())}
+                ${field('Submitted', formatSubmitted(reportData.timestamp))}
+            </div>
+
+            <div class="section">
+                <h2>👤 Employee Information</h2>
+                ${field('Name', reportData.employeeName)}
+                ${field('Employee ID', reportData.employeeId || 'Not provided')}
+                ${field('Cellphone', reportData.employeePhone || 'Not provided')}
+                ${field('Client Company', reportData.client)}
+            </div>
+
+            <div class="section">
+                <h2>📍 Incident Details</h2>
+                ${field('Date', `${reportData.incidentDate} at ${reportData.incidentTime}`)}
+                ${field('Reported On', `${reportData.reportedDate} at ${reportData.reportedTime}`)}
+                ${field('Complete Address', reportData.location)}
+                ${field('Type of Injury', reportData.injuryType)}
+                <div class="field">
+                    <span class="label">Description:</span>
+                    <div class="value" style="background: #f8fafc; padding: 10px; border-radius: 5px; margin-top: 5px;">
+                        ${multiline(reportData.description)}
+                    </div>
+                </div>
+            </div>
+
+            <div class="section">
+                <h2>🩹 Injury Information</h2>
+                ${field('Affected Body Parts', bodyPartsList)}
+                ${reportData.bodyDiagramImage && html`
+                    <div class="field">
+                        <span class="label">Body Diagram:</span><br>
+                        <img src="cid:bodyDiagram" alt="Body Diagram" style="max-width: 300px; border: 1px solid #e2e8f0; border-radius: 8px;">
+                    </div>`}
+            </div>
+
+            ${reportData.witnessName && html`
+            <div class="section">
+                <h2>👁️ Witness Information</h2>
+                ${field('Name', reportData.witnessName)}
+                ${reportData.witnessContact && field('Contact', reportData.witnessContact)}
+            </div>`}
+
+            ${hasPhotos && html`
+            <div class="section">
+                <h2>📸 Injury Photo${multiplePhotos ? 's' : ''}</h2>
+                ${photoList(reportData.injuryPhoto)}
+            </div>`}
+
+            ${reportData.employeeSignature && html`
+            <div class="section">
+                <h2>✍️ Employee Signature</h2>
+                <img src="cid:employeeSignature" alt="Employee Signature" style="max-width: 300px; border: 1px solid #e2e8f0; border-radius: 8px;">
+            </div>`}
+
+            <div class="section">
+                <h2>📝 Reported By</h2>
+                ${field('Name', reportData.reporterName)}
+                ${field('Position', reportData.reporterPosition)}
+            </div>
+
+            <div class="alert">
+                <strong>⚠️ Action Required:</strong> Please review this report and take appropriate action according to company safety protocols.
+            </div>
+        </div>
+
+        <div class="footer">
+            <p><strong>Custom Workforce Solutions LLC</strong></p>
+            <p>Safety Management System</p>
+            <p class="footer-highlight">Engineered by Safety Developer</p>
+            <p style="margin-top: 10px; font-size: 11px; color: #94a3b8;">
+                This is an automated message. All reports are confidential and should be handled according to OSHA guidelines.
+            </p>
+        </div>
+    </div>
+</body>
+</html>
+`.toString();
+}
+
+// Render the notification for a report payload: { subject, html }
+function renderInjuryReportEmail(reportData) {
+    return {
+        subject: renderSubject(reportData),
+        html: renderHtml(reportData)
+    };
+}
+
+module.exports = {
+    renderInjuryReportEmail
+};
@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+const { jsPDF } = require('jspdf');
+
+// Server-side injury report PDF. Same layout as generatePdfDocument() in
+// public/index.html (also jsPDF), rendered from the stored report and its
+// attachments. Dates are taken from the report, not the clock, so the same
+// report always renders to the same bytes.
+
+const IMAGE_FORMATS = {
+    'image/png': 'PNG',
+    'image/jpeg': 'JPEG',
+    'image/gif': 'GIF',
+    'image/webp': 'WEBP'
+};
+
+function formatTexasDateTime(date) {
+    return new Date(date).toLocaleString('en-US', { timeZone: 'America/Chicago' });
+}
+
+// jsPDF rejects null/undefined text
+function str(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+function addImage(doc, image, x, y, width, height) {
+    doc.addImage(new Uint8Array(image.data), IMAGE_FORMATS[image.mimeType], x, y, width, height);
+}
+
+function sectionHeading(doc, title, margin, yPos) {
+    doc.setFillColor(30, 58, 95);
+    doc.rect(margin, yPos, 3, 8, 'F');
+    doc.setTextColor(30, 58, 95);
+    doc.setFontSize(12);
+    doc.setFont(undefined, 'bold');
+    doc.text(title, margin + 6, yPos + 6);
+}
+
+function labelValue(doc, label, value, x, valueX, yPos) {
+    doc.setFont(undefined, 'bold');
+    doc.text(label, x, yPos);
+    doc.setFont(undefined, 'normal');
+    doc.text(str(value), valueX, yPos);
+}
+
+// Render a stored report. images: { bodyDiagram, photos: [], signature }, each
+// { data: Buffer, mimeType }. Returns the PDF as a Buffer.
+function renderInjuryReportPdf(report, images = {}) {
+    const photos = images.photos || [];
+    const bodyParts = report.bodyParts || [];
+    const medicalDecline = report.medicalDecline || {};
+    const drugTest = report.drugTest || {};
+    const createdAt = report.createdAt ? new Date(report.createdAt) : new Date(0);
+
+    const doc = new jsPDF('p', 'mm', 'a4');
+    doc.setCreationDate(createdAt);
+    doc.setFileId(crypto.createHash('md5').update(str(report.id)).digest('hex').toUpperCase());
+    doc.setProperties({ title: `Workplace Injury Report ${str(report.id)}` });
+
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 20;
+    let yPos = 20;
+
+    const newPageIfBelow = (limit, top = 20) => {
+        if (yPos > pageHeight - limit) {
+            doc.addPage();
+            yPos = top;
+        }
+    };
+
+    // ===== HEADER WITH BANNER =====
+    doc.setFillColor(30, 58, 95);
+    doc.rect(0, 0, pageWidth, 35, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(22);
+    doc.setFont(undefined, 'bold');
+    doc.text('CUSTOM WORKFORCE SOLUTIONS LLC', pageWidth / 2, 13, { align: 'center' });
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    doc.text('Engineered by Jufipai', pageWidth / 2, 20, { align: 'center' });
+    doc.setFontSize(14);
+    doc.setFont(undefined, 'bold');
+    doc.text('WORKPLACE INJURY REPORT', pageWidth / 2, 28, { align: 'center' });
+    doc.setFillColor(74, 222, 128);
+    doc.rect(0, 35, pageWidth, 2, 'F');
+    yPos = 50;
+
+    // ===== REPORT ID BOX =====
+    doc.setFillColor(248, 250, 252);
+    doc.setDrawColor(226, 232, 240);
+    doc.roundedRect(margin, yPos, pageWidth - (2 * margin), 15, 2, 2, 'FD');
+    doc.setTextColor(0, 0, 0);
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'bold');
+    doc.text('Serial #: ' + str(report.serialNumber), margin + 5, yPos + 6);
+    doc.setFont(undefined, 'normal');
+    doc.setFontSize(9);
+    doc.text('Report ID: ' + str(report.id), margin + 5, yPos + 11);
+    doc.text('Generated: ' + formatTexasDateTime(createdAt), pageWidth - margin - 5, yPos + 11, { align: 'right' });
+    yPos += 25;
+
+    // ===== EMPLOYEE INFORMATION SECTION =====
+    sectionHeading(doc, 'EMPLOYEE INFORMATION', margin, yPos);
+    yPos += 12;
+    doc.setTextColor(0, 0, 0);
+    doc.setFontSize(10);
+    labelValue(doc, 'Name:', report.employeeName, margin, margin + 40, yPos);
+    labelValue(doc, 'Employee ID:', report.employeeId, pageWidth / 2 + 10, pageWidth / 2 + 40, yPos);
+    yPos += 7;
+    labelValue(doc, 'Cellphone:', report.employeePhone, margin, margin + 40, yPos);
+    yPos += 7;
+    labelValue(doc, 'Client:', report.client, margin, margin + 40, yPos);
+    yPos += 15;
+
+    // ===== INCIDENT DETAILS SECTION =====
+    sectionHeading(doc, 'INCIDENT DETAILS', margin, yPos);
+    yPos += 12;
+    doc.setTextColor(0, 0, 0);
+    doc.setFontSize(10);
+    labelValue(doc, 'Incident Date:', report.incidentDate, margin, margin + 40, yPos);
+    labelValue(doc, 'Time:', report.incidentTime, pageWidth / 2 + 10, pageWidth / 2 + 40, yPos);
+    yPos += 7;
+    labelValue(doc, 'Reported Date:', report.reportedDate, margin, margin + 40, yPos);
+    labelValue(doc, 'Time:', report.reportedTime, pageWidth / 2 + 10, pageWidth / 2 + 40, yPos);
+    yPos += 7;
+    doc.setFont(undefined, 'bold');
+    doc.text('Complete Address:', margin, yPos);
+    doc.setFont(undefined, 'normal');
+    doc.text(doc.splitTextToSize(str(report.location), 140), margin + 55, yPos);
+    yPos += 7;
+    labelValue(doc, 'Injury Type:', report.injuryType, margin, margin + 40, yPos);
+    yPos += 12;
+
+    // ===== DESCRIPTION SECTION =====
+    sectionHeading(doc, 'INCIDENT DESCRIPTION', margin, yPos);
+    yPos += 12;
+    doc.setTextColor(0, 0, 0);
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    const descLines = doc.splitTextToSize(str(report.description), pageWidth - (2 * margin));
+    doc.text(descLines, margin, yPos);
+    yPos += (descLines.length * 5) + 10;
+
+    newPageIfBelow(100);
+
+    // ===== INJURED BODY PARTS WITH DIAGRAM =====
+    if (bodyParts.length > 0) {
+        sectionHeading(doc, 'INJURED BODY PARTS', margin, yPos);
+        yPos += 12;
+
+        newPageIfBelow(140);
+
+        const textOnly = () => {
+            doc.setTextColor(185, 28, 28);
+            doc.setFontSize(10);
+            doc.setFont(undefined, 'bold');
+            doc.text(bodyParts.join(', '), margin, yPos);
+            yPos += 15;
+        };
+
+        if (images.bodyDiagram) {
+            try {
+                const diagramWidth = 50;
+                const diagramHeight = 122;
+                addImage(doc, images.bodyDiagram, margin, yPos, diagramWidth, diagramHeight);
+
+                const textX = margin + diagramWidth + 10;
+                const textStartY = yPos + 5;
+                doc.setTextColor(185, 28, 28);
+                doc.setFontSize(11);
+                doc.setFont(undefined, 'bold');
+                doc.text('Selected Injuries:', textX, textStartY);
+                doc.setFontSize(10);
+                doc.setFont(undefined, 'normal');
+
+                let listY = textStartY + 7;
+                bodyParts.forEach(part => {
+                    doc.text('• ' + str(part), textX, listY);
+                    listY += 6;
+                });
+
+                yPos += diagramHeight + 15;
+            } catch (error) {
+                console.error('Error adding body diagram to PDF:', error.message);
+                textOnly();
+            }
+        } else {
+            textOnly();
+        }
+    }
+
+    newPageIfBelow(100);
+
+    // ===== WITNESS INFORMATION =====
+    if (report.witnessName || report.witnessContact) {
+        sectionHeading(doc, 'WITNESS INFORMATION', margin, yPos);
+        yPos += 12;
+        doc.setTextColor(0, 0, 0);
+        doc.setFontSize(10);
+        if (report.witnessName) {
+            labelValue(doc, 'Name:', report.witnessName, margin, margin + 40, yPos);
+            yPos += 7;
+        }
+        if (report.witnessContact) {
+            labelValue(doc, 'Contact:', report.witnessContact, margin, margin + 40, yPos);
+            yPos += 7;
+        }
+        yPos += 8;
+    }
+
+    newPageIfBelow(100);
+
+    // ===== INJURY PHOTO =====
+    if (photos.length > 0) {
+        sectionHeading(doc, `INJURY PHOTO${photos.length > 1 ? 'S' : ''}`, margin, yPos);
+        yPos += 12;
+
+        photos.forEach((photo, index) => {
+            try {
+                newPageIfBelow(80, margin);
+                doc.setTextColor(0, 0, 0);
+                doc.setFontSize(10);
+                doc.setFont(undefined, 'bold');
+                doc.text(`Photo ${index + 1}:`, margin, yPos);
+                yPos += 5;
+                addImage(doc, photo, margin, yPos, 80, 60);
+                yPos += 70;
+            } catch (error) {
+                console.error(`Error adding photo ${index + 1} to PDF:`, error.message);
+                doc.setTextColor(185, 28, 28);
+                doc.setFontSize(10);
+                doc.text(`Error: Photo ${index + 1} could not be embedded`, margin, yPos);
+                yPos += 10;
+            }
+        });
+    }
+
+    newPageIfBelow(60);
+
+    // ===== MEDICAL ATTENTION DECLARATION - Texas Mutual 2025 Compliant =====
+    sectionHeading(doc, 'MEDICAL ATTENTION DECLARATION', margin, yPos);
+    yPos += 14;
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+
+    if (medicalDecline.declinesMedicalAttention) {
+        doc.setFillColor(254, 243, 199);
+        doc.setDrawColor(245, 158, 11);
+        doc.setLineWidth(0.5);
+        doc.rect(margin, yPos, pageWidth - (2 * margin), 45, 'FD');
+
+        doc.setTextColor(146, 64, 14);
+        doc.setFont(undefined, 'bold');
+        doc.text('EMPLOYEE DECLINED MEDICAL ATTENTION', margin + 5, yPos + 8);
+
+        doc.setTextColor(55, 65, 81);
+        doc.setFont(undefined, 'normal');
+        doc.setFontSize(9);
+        const declineText = [
+            'Employee voluntarily declined medical treatment per Texas Labor Code §408.004.',
+            'Employee acknowledged understanding of potential benefit implications.',
+            'Timestamp: ' + (medicalDecline.declineTimestamp || 'N/A'),
+            'Ref: Texas Labor Code Chapter 408 | Texas Mutual Insurance 2025 Guidelines'
+        ];
+        let textY = yPos + 16;
+        declineText.forEach(line => {
+            doc.text(line, margin + 5, textY);
+            textY += 7;
+        });
+        yPos += 50;
+    } else {
+        doc.setFillColor(236, 253, 245);
+        doc.setDrawColor(110, 231, 183);
+        doc.setLineWidth(0.5);
+        doc.rect(margin, yPos, pageWidth - (2 * margin), 15, 'FD');
+
+        doc.setTextColor(6, 95, 70);
+        doc.text('Medical attention will be provided as required under Texas Workers\' Compensation law.', margin + 5, yPos + 10);
+        yPos += 20;
+    }
+
+    // ===== DRUG & ALCOHOL TESTING - CWS Policy (Accidents Only) =====
+    if (drugTest.required) {
+        newPageIfBelow(70);
+
+        sectionHeading(doc, 'DRUG & ALCOHOL TESTING - CWS POLICY', margin, yPos);
+        yPos += 14;
+        doc.setFontSize(10);
+        doc.setFont(undefined, 'normal');
+
+        if (drugTest.refused) {
+            doc.setFillColor(69, 10, 10);
+            doc.setDrawColor(220, 38, 38);
+            doc.setLineWidth(0.5);
+            doc.rect(margin, yPos, pageWidth - (2 * margin), 50, 'FD');
+
+            doc.setTextColor(254, 202, 202);
+            doc.setFont(undefined, 'bold');
+            doc.text('EMPLOYEE REFUSED DRUG & ALCOHOL TESTING', margin + 5, yPos + 8);
+
+            doc.setTextColor(252, 165, 165);
+            doc.setFont(undefined, 'normal');
+            doc.setFontSize(9);
+            const refusalText = [
+                'Employee refused mandatory drug and alcohol testing.',
+                'Per CWS Policy: ASSIGNMENT IMMEDIATELY TERMINATED.',
+                'Timestamp: ' + (drugTest.timestamp || 'N/A'),
+                'Ref: Custom Workforce Solutions Drug & Alcohol Testing Policy'
+            ];
+            let textY = yPos + 18;
+            refusalText.forEach(line => {
+                doc.text(line, margin + 5, textY);
+                textY += 8;
+            });
+            yPos += 55;
+        } else if (drugTest.consentGiven) {
+            doc.setFillColor(236, 253, 245);
+            doc.setDrawColor(16, 185, 129);
+            doc.setLineWidth(0.5);
+            doc.rect(margin, yPos, pageWidth - (2 * margin), 40, 'FD');
+
+            doc.setTextColor(6, 95, 70);
+            doc.setFont(undefined, 'bold');
+            doc.text('EMPLOYEE CONSENTED TO DRUG & ALCOHOL TESTING', margin + 5, yPos + 8);
+
+            doc.setTextColor(4, 120, 87);
+            doc.setFont(undefined, 'normal');
+            doc.setFontSize(9);
+            const consentText = [
+                'Employee agreed to submit to mandatory testing within 24 hours.',
+                'Testing Deadline: ' + (drugTest.testingDeadline ? formatTexasDateTime(drugTest.testingDeadline) : 'Within 24 hours'),
+                'Ref: CWS Policy | Texas Department of Insurance Standards'
+            ];
+            let textY = yPos + 18;
+            consentText.forEach(line => {
+                doc.text(line, margin + 5, textY);
+                textY += 7;
+            });
+            yPos += 45;
+        }
+
+        // Legal compliance references
+        doc.setFillColor(241, 245, 249);
+        doc.setDrawColor(203, 213, 225);
+        doc.rect(margin, yPos, pageWidth - (2 * margin), 25, 'FD');
+        doc.setTextColor(71, 85, 105);
+        doc.setFontSize(7);
+        doc.text('Legal Compliance: TX Labor Code §401.013, §406.032(1)(A), Ch.451 | TX Penal Code §49.01(2) | 28 TAC §137.100(a)', margin + 3, yPos + 8);
+        doc.text('This policy complies with Texas Workers\' Compensation Law and Texas Department of Insurance Standards.', margin + 3, yPos + 15);
+        yPos += 30;
+    }
+
+    // ===== EMPLOYEE SIGNATURE =====
+    if (images.signature) {
+        sectionHeading(doc, 'EMPLOYEE SIGNATURE', margin, yPos);
+        yPos += 12;
+        try {
+            const sigWidth = 70;
+            const sigHeight = 25;
+            doc.setDrawColor(200, 200, 200);
+            doc.setLineWidth(0.5);
+            doc.rect(margin, yPos, sigWidth, sigHeight);
+            addImage(doc, images.signature, margin + 2, yPos + 2, sigWidth - 4, sigHeight - 4);
+            yPos += sigHeight + 10;
+        } catch (error) {
+            console.error('Error adding signature to PDF:', error.message);
+            doc.setTextColor(185, 28, 28);
+            doc.setFontSize(10);
+            doc.text('Error: Signature could not be embedded', margin, yPos);
+            yPos += 10;
+        }
+    }
+
+    // ===== REPORTED BY SECTION =====
+    doc.setTextColor(0, 0, 0);
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'bold');
+    doc.text('Report Submitted By:', margin, yPos);
+    doc.setFont(undefined, 'normal');
+    doc.text(str(report.reporterName) + ' (' + str(report.reporterPosition) + ')', margin, yPos + 5);
+
+    // ===== FOOTER =====
+    const pageCount = doc.internal.getNumberOfPages();
+    doc.setFillColor(30, 58, 95);
+    doc.rect(0, pageHeight - 20, pageWidth, 20, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(8);
+    doc.text('This is an official workplace injury report. Keep for records and compliance.', pageWidth / 2, pageHeight - 12, { align: 'center' });
+    doc.text('© 2025 Custom Workforce Solutions LLC - Engineered by Jufipai', pageWidth / 2, pageHeight - 7, { align: 'center' });
+    doc.text(`Page ${pageCount} of ${pageCount}`, pageWidth - margin, pageHeight - 7, { align: 'right' });
+
+    return Buffer.from(doc.output('arraybuffer'));
+}
+
+module.exports = {
+    renderInjuryReportPdf
+};
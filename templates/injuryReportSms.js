@@ -0,0 +1,13 @@
+// Injury report SMS. Kept short - the email carries the full report.
+
+function renderInjuryReportSms(reportData) {
+    const classification = reportData.reportClassification === 'incident' ? 'INCIDENT' : 'ACCIDENT';
+    const details = [reportData.employeeName, reportData.client, reportData.injuryType]
+        .filter(Boolean)
+        .join(', ');
+    return `CWS ${classification} ${reportData.reportId}: ${details}. Full report sent to the safety inbox.`;
+}
+
+module.exports = {
+    renderInjuryReportSms
+};
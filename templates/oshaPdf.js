@@ -0,0 +1,154 @@
+const { jsPDF } = require('jspdf');
+const { ILLNESS_LABELS, LOG_COLUMNS } = require('../utils/osha');
+const { str, output, header, footer, sectionTitle, fieldList } = require('./pdfLayout');
+
+// PDF versions of the OSHA 300 log, 300A summary and 301 incident report.
+// These follow the content of the official forms, not their exact artwork.
+
+const LOG_WIDTHS = [22, 32, 24, 18, 34, 46, 11, 14, 14, 14, 12, 14, 22];
+
+// OSHA 300: Log of Work-Related Injuries and Illnesses (rows from formatLogRow)
+function render300Pdf(rows, { establishment, year }) {
+    const doc = new jsPDF('l', 'mm', 'a4');
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const x0 = 10;
+
+    const tableHeader = y => {
+        doc.setFillColor(241, 245, 249);
+        doc.rect(x0, y, LOG_WIDTHS.reduce((a, b) => a + b, 0), 12, 'F');
+        doc.setFontSize(6.5);
+        doc.setFont(undefined, 'bold');
+        let x = x0;
+        LOG_COLUMNS.forEach((column, i) => {
+            doc.text(doc.splitTextToSize(column.label, LOG_WIDTHS[i] - 2), x + 1, y + 4);
+            x += LOG_WIDTHS[i];
+        });
+        doc.setFont(undefined, 'normal');
+        return y + 14;
+    };
+
+    header(doc, 'OSHA Form 300 - Log of Work-Related Injuries and Illnesses', `Establishment: ${establishment}   Year: ${year}`);
+    let y = tableHeader(28);
+
+    if (rows.length === 0) {
+        doc.setFontSize(9);
+        doc.text('No recordable cases.', x0, y + 2);
+    }
+
+    for (const row of rows) {
+        doc.setFontSize(7);
+        const cells = LOG_COLUMNS.map((column, i) => doc.splitTextToSize(str(row[column.key]), LOG_WIDTHS[i] - 2));
+        const height = Math.max(...cells.map(lines => lines.length)) * 3.2 + 2;
+        if (y + height > pageHeight - 14) {
+            doc.addPage();
+            header(doc, 'OSHA Form 300 - Log of Work-Related Injuries and Illnesses', `Establishment: ${establishment}   Year: ${year}`);
+            y = tableHeader(28);
+        }
+        let x = x0;
+        cells.forEach((lines, i) => {
+            doc.text(lines, x + 1, y + 3);
+            x += LOG_WIDTHS[i];
+        });
+        doc.setDrawColor(226, 232, 240);
+        doc.line(x0, y + height, x, y + height);
+        y += height;
+    }
+
+    footer(doc, 'Privacy cases are listed as "Privacy Case". Day counts are capped at 180. Keep this log for 5 years (29 CFR 1904.33).');
+    return output(doc);
+}
+
+// OSHA 300A: Summary of Work-Related Injuries and Illnesses
+function render300APdf(summary) {
+    const doc = new jsPDF('p', 'mm', 'a4');
+    header(doc, 'OSHA Form 300A - Summary of Work-Related Injuries and Illnesses', `Establishment: ${summary.establishment}   Year: ${summary.year}`);
+
+    let y = 34;
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'bold');
+    doc.text('Number of cases', 15, y);
+    y = fieldList(doc, [
+        ['(G) Deaths', summary.deaths],
+        ['(H) Days away from work', summary.daysAwayCases],
+        ['(I) Job transfer or restriction', summary.restrictedCases],
+        ['(J) Other recordable cases', summary.otherRecordableCases]
+    ], 15, y + 7);
+
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'bold');
+    doc.text('Number of days', 15, y + 4);
+    y = fieldList(doc, [
+        ['(K) Days away from work', summary.totalDaysAway],
+        ['(L) Days of job transfer or restriction', summary.totalRestrictedDays]
+    ], 15, y + 11);
+
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'bold');
+    doc.text('Injury and illness types', 15, y + 4);
+    y = fieldList(doc, Object.entries(summary.illnessCategories).map(([category, count], i) => [
+        `(M${i + 1}) ${ILLNESS_LABELS[category]}`, count
+    ]), 15, y + 11);
+
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'bold');
+    doc.text('Employment information', 15, y + 4);
+    y = fieldList(doc, [
+        ['Annual average number of employees', summary.averageEmployees ?? 'Not entered'],
+        ['Total hours worked by all employees', summary.hoursWorked ?? 'Not entered'],
+        ['Total recordable case rate (TRC)', summary.totalRecordableRate ?? '-'],
+        ['Days away, restricted or transferred rate (DART)', summary.dartRate ?? '-']
+    ], 15, y + 11, { labelWidth: 85 });
+
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'normal');
+    doc.text(doc.splitTextToSize('Post this summary from February 1 to April 30 of the year following the year covered. '
+        + 'A company executive must certify it (29 CFR 1904.32).', 180), 15, y + 8);
+    doc.text('Certified by: ______________________________   Title: ____________________   Date: ____________', 15, y + 24);
+
+    footer(doc, 'Rates are per 100 full-time workers (200,000 hours).');
+    return output(doc);
+}
+
+// OSHA 301: Injury and Illness Incident Report (from build301)
+function render301Pdf(form) {
+    const doc = new jsPDF('p', 'mm', 'a4');
+    const yesNo = value => value ? 'Yes' : 'No';
+    header(doc, 'OSHA Form 301 - Injury and Illness Incident Report', `Case ${form.caseNumber}   Establishment: ${form.establishment || '-'}`);
+
+    let y = sectionTitle(doc, 'Information about the employee', 30);
+    y = fieldList(doc, [
+        ['Full name', form.employeeName],
+        ['Job title', form.jobTitle]
+    ], 15, y);
+
+    y = sectionTitle(doc, 'Information about the physician or other health care professional', y + 2);
+    y = fieldList(doc, [
+        ['Physician or health care professional', form.physicianName],
+        ['Facility', form.treatmentFacility],
+        ['Treated in an emergency room?', yesNo(form.emergencyRoom)],
+        ['Hospitalized overnight as an in-patient?', yesNo(form.hospitalized)]
+    ], 15, y, { labelWidth: 75 });
+
+    y = sectionTitle(doc, 'Information about the case', y + 2);
+    y = fieldList(doc, [
+        ['Case number from the log', form.caseNumber],
+        ['Date of injury or illness', form.injuryDate],
+        ['Time of event', form.incidentTime],
+        ['Where the event occurred', form.location],
+        ['Injury or illness', [form.injuryType, form.bodyParts].filter(Boolean).join(' - ')],
+        ['Category', form.illnessCategory],
+        ['What happened', form.whatHappened],
+        ['Did the employee die?', form.death ? `Yes (${form.dateOfDeath || 'date not entered'})` : 'No'],
+        ['Injury report', form.reportId],
+        ['Completed by', form.completedBy]
+    ], 15, y, { labelWidth: 55 });
+
+    footer(doc, 'Keep this report for 5 years following the year to which it pertains (29 CFR 1904.33).');
+    return output(doc);
+}
+
+module.exports = {
+    render300Pdf,
+    render300APdf,
+    render301Pdf
+};
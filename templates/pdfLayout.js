@@ -0,0 +1,76 @@
+// Layout helpers shared by the server-rendered forms (OSHA, DWC-1).
+
+const NAVY = [30, 58, 95];
+
+function str(value) {
+    return value === null || value === undefined ? '' : String(value);
+}
+
+function output(doc) {
+    return Buffer.from(doc.output('arraybuffer'));
+}
+
+// Navy title bar across the top of the page
+function header(doc, title, subtitle) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    doc.setFillColor(...NAVY);
+    doc.rect(0, 0, pageWidth, 22, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFontSize(14);
+    doc.setFont(undefined, 'bold');
+    doc.text(title, pageWidth / 2, 10, { align: 'center' });
+    doc.setFontSize(9);
+    doc.setFont(undefined, 'normal');
+    doc.text(subtitle, pageWidth / 2, 17, { align: 'center' });
+    doc.setTextColor(0, 0, 0);
+}
+
+// Note and "Page N of N" on every page; call once the document is complete
+function footer(doc, note) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const pages = doc.internal.getNumberOfPages();
+    for (let page = 1; page <= pages; page++) {
+        doc.setPage(page);
+        doc.setFontSize(7);
+        doc.setTextColor(100, 116, 139);
+        doc.text(note, 10, pageHeight - 6);
+        doc.text(`Page ${page} of ${pages}`, pageWidth - 10, pageHeight - 6, { align: 'right' });
+    }
+}
+
+function sectionTitle(doc, title, y) {
+    doc.setFillColor(...NAVY);
+    doc.rect(15, y, 3, 7, 'F');
+    doc.setTextColor(...NAVY);
+    doc.setFontSize(11);
+    doc.setFont(undefined, 'bold');
+    doc.text(title, 21, y + 5.5);
+    doc.setTextColor(0, 0, 0);
+    return y + 12;
+}
+
+// Label / value rows, wrapping long values. Empty values print as `blank`.
+// Returns the y position below the last row.
+function fieldList(doc, fields, x, y, { labelWidth = 60, width = 180, blank = '-' } = {}) {
+    doc.setFontSize(9);
+    for (const [label, value] of fields) {
+        const lines = doc.splitTextToSize(str(value) || blank, width - labelWidth);
+        doc.setFont(undefined, 'bold');
+        doc.text(label, x, y);
+        doc.setFont(undefined, 'normal');
+        doc.text(lines, x + labelWidth, y);
+        y += Math.max(lines.length, 1) * 4.5 + 2;
+    }
+    return y;
+}
+
+module.exports = {
+    NAVY,
+    str,
+    output,
+    header,
+    footer,
+    sectionTitle,
+    fieldList
+};
@@ -0,0 +1,39 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+let server;
+let token;
+
+before(async () => {
+    server = await startServer();
+    token = await login(server.baseUrl, ADMIN);
+
+    const report = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: { reportClassification: 'accident', employeeName: 'Maria Lopez', incidentDate: '2026-10-12' }
+    });
+    const opened = await request(server.baseUrl, 'POST', `/api/reports/${report.body.reportId}/convert-to-case`, { token });
+    assert.equal(opened.status, 200);
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('GET /api/audit pages the log', async () => {
+    const { status, body } = await request(server.baseUrl, 'GET', '/api/audit?limit=1&offset=1', { token });
+
+    assert.equal(status, 200);
+    assert.equal(body.entries.length, 1);
+    assert.ok(body.total > 1);
+    assert.equal(body.limit, 1);
+    assert.equal(body.offset, 1);
+});
+
+test('GET /api/audit rejects a limit or offset out of range', async () => {
+    for (const query of ['limit=-1', 'limit=501', 'limit=all', 'offset=-1']) {
+        const { status, body } = await request(server.baseUrl, 'GET', `/api/audit?${query}`, { token });
+        assert.equal(status, 400, query);
+        assert.equal(body.success, false);
+    }
+});
@@ -0,0 +1,119 @@
+// PUT /api/cases/:id changes only the fields a user may edit.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+let server;
+let token;
+let first;
+let second;
+
+// Save a report and open a case for it; resolves to { reportId, caseId }
+async function openCase(employeeName) {
+    const report = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: { reportClassification: 'accident', employeeName, incidentDate: '2026-10-12', description: 'Strained back lifting a box' }
+    });
+    assert.equal(report.status, 200);
+    const opened = await request(server.baseUrl, 'POST', `/api/reports/${report.body.reportId}/convert-to-case`, { token });
+    assert.equal(opened.status, 200);
+    return { reportId: report.body.reportId, caseId: opened.body.caseId };
+}
+
+function updateCase(caseId, body) {
+    return request(server.baseUrl, 'PUT', `/api/cases/${caseId}`, { token, body });
+}
+
+before(async () => {
+    server = await startServer();
+    token = await login(server.baseUrl, ADMIN);
+    first = await openCase('Maria Lopez');
+    second = await openCase('Sam Carter');
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('edits the fields a user may change', async () => {
+    const { status } = await updateCase(first.caseId, { description: 'Strained lower back', insuranceCarrier: 'Texas Mutual' });
+
+    assert.equal(status, 200);
+    const stored = server.db.getCase(first.caseId);
+    assert.equal(stored.description, 'Strained lower back');
+    assert.equal(stored.insuranceCarrier, 'Texas Mutual');
+});
+
+test('rejects moving a case to another report', async () => {
+    const { status, body } = await updateCase(first.caseId, { reportId: second.reportId, description: 'Moved' });
+
+    assert.equal(status, 400);
+    assert.equal(body.fields.reportId, 'Cannot be changed');
+    assert.equal(server.db.getCase(first.caseId).reportId, first.reportId);
+    assert.equal(server.db.getCase(first.caseId).description, 'Strained lower back');
+    assert.equal(server.db.getReport(second.reportId).caseId, second.caseId);
+});
+
+test('accepts the report the case already has', async () => {
+    const { status } = await updateCase(first.caseId, { reportId: first.reportId, claimNumber: 'TM-1001' });
+
+    assert.equal(status, 200);
+    assert.equal(server.db.getCase(first.caseId).claimNumber, 'TM-1001');
+});
+
+test('ignores fields a user may not edit', async () => {
+    const before = server.db.getCase(first.caseId);
+    const { status } = await updateCase(first.caseId, {
+        description: 'Strained lower back lifting a box',
+        revision: 99,
+        createdAt: '2020-01-01T00:00:00.000Z',
+        workStatus: 'released',
+        workStatusSince: '2026-10-13',
+        workRestrictions: ['None'],
+        statusChangedAt: '2020-01-01T00:00:00.000Z',
+        closedAt: '2020-01-01T00:00:00.000Z',
+        dwc1SentAt: '2026-10-13T09:00:00.000Z'
+    });
+
+    assert.equal(status, 200);
+    const stored = server.db.getCase(first.caseId);
+    assert.equal(stored.description, 'Strained lower back lifting a box');
+    assert.equal(stored.createdAt, before.createdAt);
+    assert.notEqual(stored.revision, 99);
+    assert.equal(stored.workStatus, before.workStatus);
+    assert.equal(stored.workStatusSince, before.workStatusSince);
+    assert.deepEqual(stored.workRestrictions, before.workRestrictions);
+    assert.equal(stored.statusChangedAt, before.statusChangedAt);
+    assert.equal(stored.closedAt, before.closedAt);
+    assert.equal(stored.dwc1SentAt, before.dwc1SentAt);
+});
+
+test('closing stamps closedAt with the time of the change', async () => {
+    const startedAt = new Date().toISOString();
+    const { status } = await updateCase(second.caseId, {
+        status: 'closed',
+        closureReason: 'Reported only',
+        finalCost: 0,
+        closedAt: '2020-01-01T00:00:00.000Z'
+    });
+
+    assert.equal(status, 200);
+    const stored = server.db.getCase(second.caseId);
+    assert.equal(stored.status, 'closed');
+    assert.ok(stored.closedAt >= startedAt);
+    assert.equal(stored.statusChangedAt, stored.closedAt);
+});
+
+test('the DWC-1 is recorded as sent through its own route', async () => {
+    const { status, body } = await request(server.baseUrl, 'POST', `/api/cases/${first.caseId}/dwc1/sent`, {
+        token,
+        body: { sentAt: '2026-10-13T09:00:00.000Z' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.dwc1SentAt, '2026-10-13T09:00:00.000Z');
+    assert.equal(server.db.getCase(first.caseId).dwc1SentAt, '2026-10-13T09:00:00.000Z');
+
+    const invalid = await request(server.baseUrl, 'POST', `/api/cases/${first.caseId}/dwc1/sent`, { token, body: { sentAt: 'yesterday' } });
+    assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,181 @@
+// Client and job-site registry: registering, linking reports and cases, and
+// reconciling names and locations entered before the registry.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { distanceKm, nearestSite } = require('../utils/clients');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+// 1200 Main St, Dallas TX
+const WAREHOUSE = { latitude: 32.7801, longitude: -96.8002 };
+
+let server;
+let token;
+let acme;
+let warehouse;
+let globex;
+let globexSite;
+const early = {};
+
+async function saveReport(fields, { auth = false } = {}) {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/reports', {
+        token: auth ? token : undefined,
+        body: { reportClassification: 'accident', employeeName: 'Maria Lopez', incidentDate: '2026-10-12', description: 'Strained back lifting a box', ...fields }
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    return server.db.getReport(body.reportId);
+}
+
+function post(url, body) {
+    return request(server.baseUrl, 'POST', url, { token, body });
+}
+
+before(async () => {
+    server = await startServer();
+    token = await login(server.baseUrl, ADMIN);
+
+    // Entered before the registry existed
+    early.nearWarehouse = (await saveReport({ client: 'acme corp.', location: '1200 Main St', ...WAREHOUSE })).id;
+    early.sameSpelling = (await saveReport({ client: 'Acme Corp', location: 'Main St warehouse' })).id;
+    early.unknown = (await saveReport({ client: 'Initech', location: 'Suite 300' })).id;
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('clients are registered once per name, with their sites', async () => {
+    const created = await post('/api/clients', {
+        name: ' Acme Corporation ', safetyContactName: 'Dana Fox', safetyContactEmail: 'dana@acme.example', safetyContactPhone: '512-555-0101'
+    });
+    assert.equal(created.status, 200);
+    acme = created.body.client;
+    assert.equal(acme.id, 'CL-0001');
+    assert.equal(acme.name, 'Acme Corporation');
+    assert.equal(acme.active, true);
+    assert.deepEqual(acme.sites, []);
+    assert.equal('nameKey' in acme, false);
+
+    const taken = await post('/api/clients', { name: 'ACME corporation' });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.clientId, acme.id);
+    const invalid = await post('/api/clients', { name: '', safetyContactEmail: 'not an email' });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(Object.keys(invalid.body.fields).sort(), ['name', 'safetyContactEmail']);
+
+    const site = await post(`/api/clients/${acme.id}/sites`, {
+        name: 'Dallas Warehouse', address: '1200 Main St, Dallas TX', ...WAREHOUSE, establishment: 'Acme Dallas Warehouse'
+    });
+    assert.equal(site.status, 200);
+    warehouse = site.body.site;
+    assert.equal(warehouse.id, 'SITE-0001');
+    assert.equal(warehouse.clientId, acme.id);
+    assert.equal((await post(`/api/clients/${acme.id}/sites`, { name: 'Dock', latitude: 91 })).status, 400);
+    assert.equal((await post('/api/clients/CL-9999/sites', { name: 'Dock' })).status, 404);
+
+    globex = (await post('/api/clients', { name: 'Globex' })).body.client;
+    globexSite = (await post(`/api/clients/${globex.id}/sites`, { name: 'Globex Plant' })).body.site;
+
+    const { body } = await request(server.baseUrl, 'GET', `/api/clients/${acme.id}`, { token });
+    assert.deepEqual(body.client.sites.map(s => s.id), [warehouse.id]);
+});
+
+test('the report form directory lists active clients and sites without contacts', async () => {
+    const closed = await request(server.baseUrl, 'PUT', `/api/clients/${globex.id}/sites/${globexSite.id}`, { token, body: { active: false } });
+    assert.equal(closed.status, 200);
+
+    const { status, body } = await request(server.baseUrl, 'GET', '/api/clients/directory');
+    assert.equal(status, 200);
+    assert.deepEqual(body.clients, [
+        { id: acme.id, name: 'Acme Corporation', sites: [{ id: warehouse.id, name: 'Dallas Warehouse', address: '1200 Main St, Dallas TX', ...WAREHOUSE }] },
+        { id: globex.id, name: 'Globex', sites: [] }
+    ]);
+
+    const renamed = await request(server.baseUrl, 'PUT', `/api/clients/${globex.id}`, { token, body: { name: 'acme  corporation' } });
+    assert.equal(renamed.status, 409);
+});
+
+test('a new report is linked by its client name and the site it was made at', async () => {
+    const nearby = await saveReport({ client: 'ACME corporation', location: 'Warehouse', latitude: 32.7820, longitude: -96.8010 });
+    assert.deepEqual([nearby.clientId, nearby.siteId], [acme.id, warehouse.id]);
+
+    const farAway = await saveReport({ client: 'Acme Corporation', location: 'Back lot', latitude: 32.9, longitude: -96.8 });
+    assert.deepEqual([farAway.clientId, farAway.siteId], [acme.id, null]);
+
+    // Anyone can submit a report, so only signed-in users pick the client and site
+    const picked = await saveReport({ client: 'Someone', clientId: globex.id, siteId: globexSite.id });
+    assert.deepEqual([picked.clientId, picked.siteId], [null, null]);
+    const signedIn = await saveReport({ client: 'Someone', clientId: globex.id, siteId: globexSite.id }, { auth: true });
+    assert.deepEqual([signedIn.clientId, signedIn.siteId], [globex.id, globexSite.id]);
+
+    // A site of another client is not taken
+    const otherSite = await saveReport({ client: 'Someone', clientId: acme.id, siteId: globexSite.id }, { auth: true });
+    assert.deepEqual([otherSite.clientId, otherSite.siteId], [acme.id, null]);
+});
+
+test('reconciliation suggests clients and sites for values entered before the registry', async () => {
+    const { status, body } = await request(server.baseUrl, 'GET', '/api/clients/reconciliation', { token });
+
+    assert.equal(status, 200);
+    const acmeSpellings = body.clients.find(entry => entry.spellings.includes('acme corp.'));
+    assert.deepEqual(acmeSpellings.spellings.sort(), ['Acme Corp', 'acme corp.']);
+    assert.equal(acmeSpellings.reports, 2);
+    assert.equal(acmeSpellings.suggestions[0].clientId, acme.id);
+    const initech = body.clients.find(entry => entry.value === 'Initech');
+    assert.deepEqual(initech.suggestions, []);
+
+    const backLot = body.locations.find(entry => entry.value === 'Back lot');
+    assert.equal(backLot.clientId, acme.id);
+    assert.equal(backLot.client, 'Acme Corporation');
+});
+
+test('applying reconciliation links old and later reports, and the cases follow', async () => {
+    const invalid = await post('/api/clients/reconciliation', { clients: [{ value: 'Globex', clientId: acme.id }], locations: [{ clientId: acme.id, value: 'Back lot', siteId: globexSite.id }] });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.fields['clients[0].value']);
+    assert.ok(invalid.body.fields['locations[0].siteId']);
+
+    const opened = await request(server.baseUrl, 'POST', `/api/reports/${early.nearWarehouse}/convert-to-case`, { token });
+    assert.equal(opened.status, 200);
+    assert.equal(server.db.getCase(opened.body.caseId).clientId, null);
+
+    const { status, body } = await post('/api/clients/reconciliation', {
+        clients: [{ value: 'acme corp.', clientId: acme.id }],
+        locations: [{ clientId: acme.id, value: 'back lot', siteId: warehouse.id }]
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.linked, { reports: 3, cases: 1 });
+
+    // Near the site by its coordinates; the other by the mapped spelling only
+    assert.equal(server.db.getReport(early.nearWarehouse).siteId, warehouse.id);
+    assert.deepEqual([server.db.getReport(early.sameSpelling).clientId, server.db.getReport(early.sameSpelling).siteId], [acme.id, null]);
+    assert.equal(server.db.getReport(early.unknown).clientId, null);
+    const linkedCase = server.db.getCase(opened.body.caseId);
+    assert.deepEqual([linkedCase.clientId, linkedCase.siteId, linkedCase.establishment], [acme.id, warehouse.id, 'Acme Dallas Warehouse']);
+
+    const later = await saveReport({ client: 'ACME Corp.' });
+    assert.equal(later.clientId, acme.id);
+
+    // A case can only be moved to a site of its own client
+    const moved = await request(server.baseUrl, 'PUT', `/api/cases/${opened.body.caseId}`, { token, body: { siteId: globexSite.id } });
+    assert.equal(moved.status, 400);
+    assert.equal(moved.body.fields.siteId, 'Not a site of this client');
+
+    const { body: remaining } = await request(server.baseUrl, 'GET', '/api/clients/reconciliation', { token });
+    assert.deepEqual(remaining.clients.map(entry => entry.value), ['Initech', 'Someone']);
+    assert.equal(remaining.locations.find(entry => entry.value === 'Back lot'), undefined);
+});
+
+test('nearestSite picks the closest site within half a kilometre', () => {
+    const sites = [
+        { id: 'far', latitude: 32.79, longitude: -96.80 },
+        { id: 'near', ...WAREHOUSE },
+        { id: 'unplaced', latitude: null, longitude: null }
+    ];
+
+    assert.ok(Math.abs(distanceKm(WAREHOUSE, { latitude: 32.79, longitude: -96.8002 }) - 1.1) < 0.05);
+    assert.equal(distanceKm(WAREHOUSE, { latitude: null, longitude: null }), null);
+    assert.equal(nearestSite(sites, { latitude: 32.7810, longitude: -96.8002 }).id, 'near');
+    assert.equal(nearestSite(sites, { latitude: 32.80, longitude: -96.83 }), null);
+    assert.equal(nearestSite(sites, {}), null);
+});
@@ -0,0 +1,154 @@
+// Post-accident drug and alcohol testing: deadlines, logged tests, results,
+// deadline alerts and the testing expense on the case.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { drugTestStatus, testingDeadline } = require('../utils/drugTesting');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let server;
+let token;
+const reports = {};
+
+function hoursFromNow(hours) {
+    return new Date(Date.now() + hours * HOUR_MS).toISOString();
+}
+
+async function saveReport(employeeName, drugTest) {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: { reportClassification: 'accident', employeeName, incidentDate: '2026-10-12', description: 'Strained back lifting a box', drugTest }
+    });
+    assert.equal(status, 200);
+    return body.reportId;
+}
+
+function logTest(reportId, fields) {
+    return request(server.baseUrl, 'POST', `/api/reports/${reportId}/drug-tests`, { token, body: fields });
+}
+
+function testing(query = {}) {
+    return request(server.baseUrl, 'GET', `/api/drug-testing?${new URLSearchParams(query)}`, { token });
+}
+
+before(async () => {
+    server = await startServer({ EMAIL_TO: 'safety@example.com' });
+    token = await login(server.baseUrl, ADMIN);
+
+    reports.due = await saveReport('Maria Lopez', { required: true, consent: true, timestamp: hoursFromNow(-2) });
+    reports.expiring = await saveReport('Sam Carter', { required: true, consent: true, testingDeadline: hoursFromNow(2) });
+    reports.overdue = await saveReport('Lee Park', { required: true, consent: true, testingDeadline: hoursFromNow(-3) });
+    reports.refused = await saveReport('Ana Ruiz', { required: true, refused: true, testingDeadline: hoursFromNow(10) });
+    reports.none = await saveReport('Chris Doe', undefined);
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('reports that need a test are listed by deadline with their status', async () => {
+    const { status, body } = await testing();
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.reports.map(r => [r.reportId, r.status, r.expiring]), [
+        [reports.overdue, 'overdue', false],
+        [reports.expiring, 'due', true],
+        [reports.refused, 'refused', false],
+        [reports.due, 'due', false]
+    ]);
+    assert.equal(body.reports[3].hoursLeft, 22);
+    assert.equal(body.reports[0].hoursOverdue, 3);
+
+    assert.deepEqual((await testing({ expiring: 'true' })).body.reports.map(r => r.reportId), [reports.expiring]);
+    assert.deepEqual((await testing({ status: 'overdue' })).body.reports.map(r => r.reportId), [reports.overdue]);
+});
+
+test('windows about to close or just missed are alerted once', async () => {
+    server.runCaseChecks();
+
+    const alerted = Object.entries(reports)
+        .filter(([, reportId]) => server.db.getNotificationByDedupKey(`email:drug_test_deadline:${reportId}`))
+        .map(([name]) => name);
+    assert.deepEqual(alerted.sort(), ['expiring', 'overdue']);
+    const alert = server.db.getNotificationByDedupKey(`email:drug_test_deadline:${reports.overdue}`);
+    assert.equal(alert.kind, 'drug_test_deadline');
+    assert.equal(alert.recipient, 'safety@example.com');
+
+    server.runCaseChecks();
+    assert.equal(server.db.getNotificationByDedupKey(`email:drug_test_deadline:${reports.overdue}`).id, alert.id);
+});
+
+test('a result needs a collection, and a collection cannot be in the future', async () => {
+    const noCollection = await logTest(reports.due, { result: 'negative' });
+    assert.equal(noCollection.status, 400);
+    assert.ok(noCollection.body.fields.collectedAt);
+
+    const future = await logTest(reports.due, { collectedAt: hoursFromNow(1) });
+    assert.equal(future.status, 400);
+    assert.ok(future.body.fields.collectedAt);
+
+    const invalid = await logTest(reports.due, { testType: 'hair', result: 'pending', cost: -5 });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(Object.keys(invalid.body.fields).sort(), ['cost', 'result', 'testType']);
+
+    assert.equal((await logTest('RPT-NONE', {})).status, 404);
+});
+
+test('a refusal at collection is recorded as the result', async () => {
+    const { status, body } = await logTest(reports.expiring, { testType: 'alcohol', result: 'refused' });
+
+    assert.equal(status, 200);
+    assert.equal(body.testing.status, 'refused');
+    assert.equal(body.testing.result, 'refused');
+    assert.equal(body.tests.length, 1);
+});
+
+test('a test\'s cost becomes a testing expense on the case, and follows later changes', async () => {
+    const collectedAt = hoursFromNow(-1);
+    const logged = await logTest(reports.due, { collectionSite: 'Concentra Dallas', collectedAt, cost: 85 });
+    assert.equal(logged.status, 200);
+    assert.equal(logged.body.testing.status, 'collected');
+    assert.equal(logged.body.testing.late, false);
+    assert.equal(logged.body.testing.result, null);
+    // No case yet
+    assert.equal(logged.body.test.expenseId, null);
+
+    const opened = await request(server.baseUrl, 'POST', `/api/reports/${reports.due}/convert-to-case`, { token });
+    assert.equal(opened.status, 200);
+    const [expense] = server.db.getExpensesForCase(opened.body.caseId);
+    assert.equal(expense.category, 'testing');
+    assert.equal(expense.amount, 85);
+    assert.equal(expense.vendor, 'Concentra Dallas');
+    assert.equal(expense.description, 'Post-accident drug and alcohol test');
+
+    const resulted = await request(server.baseUrl, 'PUT', `/api/drug-tests/${logged.body.test.id}`, {
+        token, body: { result: 'negative', mroNotes: 'Reviewed by MRO', cost: 95 }
+    });
+    assert.equal(resulted.status, 200);
+    assert.equal(resulted.body.test.expenseId, expense.id);
+    assert.equal(resulted.body.testing.result, 'negative');
+    assert.deepEqual(server.db.getExpensesForCase(opened.body.caseId).map(e => [e.id, e.amount]), [[expense.id, 95]]);
+
+    const cleared = await request(server.baseUrl, 'PUT', `/api/drug-tests/${logged.body.test.id}`, { token, body: { collectedAt: hoursFromNow(2) } });
+    assert.equal(cleared.status, 400);
+    assert.equal((await request(server.baseUrl, 'PUT', '/api/drug-tests/DT-NONE', { token, body: {} })).status, 404);
+
+    const listed = await request(server.baseUrl, 'GET', `/api/reports/${reports.due}/drug-tests`, { token });
+    assert.equal(listed.body.testing.caseId, opened.body.caseId);
+    assert.deepEqual(listed.body.tests.map(t => t.result), ['negative']);
+});
+
+test('drugTestStatus marks a collection after the deadline as late', () => {
+    const report = { id: 'RPT-1', employeeName: 'Maria Lopez', createdAt: '2026-10-12T08:00:00.000Z', drugTest: { required: true } };
+
+    assert.equal(testingDeadline(report), '2026-10-13T08:00:00.000Z');
+    assert.equal(testingDeadline({ ...report, drugTest: { required: false } }), null);
+
+    const late = drugTestStatus(report, [{ collectedAt: '2026-10-13T09:00:00.000Z', result: 'dilute' }], new Date('2026-10-14T00:00:00Z'));
+    assert.deepEqual([late.status, late.late, late.result], ['collected', true, 'dilute']);
+
+    const expiring = drugTestStatus(report, [], new Date('2026-10-13T05:00:00Z'));
+    assert.deepEqual([expiring.status, expiring.expiring, expiring.hoursLeft], ['due', true, 3]);
+    assert.equal(drugTestStatus({ ...report, drugTest: {} }, []).status, 'not_required');
+});
@@ -0,0 +1,160 @@
+// Texas DWC-1: the form, filing deadlines, marking it sent and overdue alerts.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { dwc1Status } = require('../utils/dwc');
+const { texasToday, addDays } = require('../utils/dates');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+let server;
+let token;
+let reportCaseId;
+const today = texasToday();
+
+function get(url) {
+    return request(server.baseUrl, 'GET', url, { token });
+}
+
+async function saveCase(fields) {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/cases', {
+        token,
+        body: { reportClassification: 'accident', employeeName: 'Maria Lopez', injuryDate: addDays(today, -20), description: 'Strained back lifting a box', ...fields }
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+}
+
+function overdueAlert(caseId, dueDate) {
+    return server.db.getNotificationByDedupKey(`email:dwc1_overdue:${caseId}:${dueDate}`);
+}
+
+before(async () => {
+    server = await startServer({ EMAIL_TO: 'safety@example.com', DWC_EMPLOYER_NAME: 'Acme Staffing LLC', DWC_POLICY_NUMBER: 'POL-77' });
+    token = await login(server.baseUrl, ADMIN);
+
+    await saveCase({ id: 'WC-DWC-LATE', lostTimeStartDate: addDays(today, -19) });
+    await saveCase({ id: 'WC-DWC-DUE', employeeName: 'Sam Carter', injuryDate: addDays(today, -3), lostTimeStartDate: addDays(today, -2) });
+    await saveCase({ id: 'WC-DWC-ONE', employeeName: 'Lee Park', daysAway: 1 });
+    await saveCase({ id: 'INC-DWC-1', reportClassification: 'incident', employeeName: 'Ana Ruiz', daysAway: 5 });
+
+    const report = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: {
+            reportClassification: 'accident', employeeName: 'Chris Doe', employeeId: 'E-1042', employeePhone: '512-555-0101',
+            incidentDate: '2026-09-01', incidentTime: '07:45', reportedDate: '2026-09-02', location: 'Dock 4',
+            description: 'Fell from a ladder', witnessName: 'Pat Kim', witnessContact: '512-555-0199',
+            reporterName: 'Dana Fox', reporterPosition: 'Supervisor'
+        }
+    });
+    assert.equal(report.status, 200);
+    const opened = await request(server.baseUrl, 'POST', `/api/reports/${report.body.reportId}/convert-to-case`, { token });
+    reportCaseId = opened.body.caseId;
+    const updated = await request(server.baseUrl, 'PUT', `/api/cases/${reportCaseId}`, {
+        token, body: { claimNumber: 'TM-1425001', jobTitle: 'Loader', establishment: 'Plant A' }
+    });
+    assert.equal(updated.status, 200);
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('the DWC-1 is filled in from the case, its report and the employer settings', async () => {
+    const { status, body } = await get(`/api/cases/${reportCaseId}/dwc1`);
+
+    assert.equal(status, 200);
+    const { form } = body;
+    assert.deepEqual(form.employee, {
+        name: 'Chris Doe', employeeId: 'E-1042', phone: '512-555-0101', jobTitle: 'Loader',
+        ssn: null, dateOfBirth: null, homeAddress: null, weeklyWage: null
+    });
+    assert.equal(form.employer.name, 'Acme Staffing LLC');
+    assert.equal(form.employer.worksite, 'Plant A');
+    assert.deepEqual(form.carrier, { name: 'Texas Mutual', policyNumber: 'POL-77', claimNumber: 'TM-1425001' });
+    assert.equal(form.injury.time, '07:45');
+    assert.equal(form.injury.dateReported, '2026-09-02');
+    assert.equal(form.injury.witness, 'Pat Kim, 512-555-0199');
+    assert.equal(form.preparedBy, 'Dana Fox, Supervisor');
+    // No time lost, so nothing to file
+    assert.equal(form.filing, null);
+
+    const pdf = await fetch(`${server.baseUrl}/api/cases/${reportCaseId}/dwc1?format=pdf`, { headers: { 'x-auth-token': token } });
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+    assert.equal(Buffer.from(await pdf.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+
+    assert.equal((await get(`/api/cases/${reportCaseId}/dwc1?format=csv`)).status, 400);
+    assert.equal((await get('/api/cases/WC-NONE/dwc1')).status, 404);
+});
+
+test('filings list accident cases with more than one day lost, soonest due first', async () => {
+    const { status, body } = await get('/api/dwc1/filings');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.filings.map(({ caseId, status, dueDate }) => ({ caseId, status, dueDate })), [
+        { caseId: 'WC-DWC-LATE', status: 'overdue', dueDate: addDays(today, -10) },
+        { caseId: 'WC-DWC-DUE', status: 'due', dueDate: addDays(today, 7) }
+    ]);
+    assert.equal(body.filings[0].daysOverdue, 10);
+    assert.equal(body.filings[1].daysLeft, 7);
+
+    const due = await get('/api/dwc1/filings?status=due');
+    assert.deepEqual(due.body.filings.map(f => f.caseId), ['WC-DWC-DUE']);
+    const invalid = await get('/api/dwc1/filings?status=late');
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.fields.status);
+});
+
+test('an overdue filing is alerted once', async () => {
+    const dueDate = addDays(today, -10);
+
+    server.runCaseChecks();
+    const alert = overdueAlert('WC-DWC-LATE', dueDate);
+    assert.ok(alert);
+    assert.equal(alert.kind, 'dwc1_overdue');
+    assert.equal(alert.recipient, 'safety@example.com');
+    assert.match(alert.payload.subject, /^\[OVERDUE\] DWC-1 for Maria Lopez - case WC-DWC-LATE \(10 days late\)$/);
+    assert.equal(overdueAlert('WC-DWC-DUE', addDays(today, 7)), null);
+
+    server.runCaseChecks();
+    assert.equal(overdueAlert('WC-DWC-LATE', dueDate).id, alert.id);
+});
+
+test('marking the DWC-1 sent records the date and whether it was late', async () => {
+    const sentAt = `${addDays(today, -5)}T15:00:00.000Z`;
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/cases/WC-DWC-LATE/dwc1/sent', { token, body: { sentAt } });
+    assert.equal(status, 200);
+    assert.equal(body.dwc1SentAt, sentAt);
+
+    const sent = (await get('/api/dwc1/filings?status=sent')).body.filings;
+    assert.deepEqual(sent.map(({ caseId, late, daysOverdue }) => ({ caseId, late, daysOverdue })),
+        [{ caseId: 'WC-DWC-LATE', late: true, daysOverdue: 0 }]);
+
+    // Without a date, it was sent now
+    const now = await request(server.baseUrl, 'POST', '/api/cases/WC-DWC-DUE/dwc1/sent', { token, body: {} });
+    assert.equal(now.status, 200);
+    assert.equal(server.db.getCase('WC-DWC-DUE').dwc1SentAt.slice(0, 10), new Date().toISOString().slice(0, 10));
+
+    const invalid = await request(server.baseUrl, 'POST', '/api/cases/WC-DWC-DUE/dwc1/sent', { token, body: { sentAt: 'yesterday' } });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.fields.sentAt);
+    assert.equal((await request(server.baseUrl, 'POST', '/api/cases/WC-NONE/dwc1/sent', { token, body: {} })).status, 404);
+});
+
+test('dwc1Status is due from the second day lost, for eight days', () => {
+    const caseRecord = { id: 'WC-1', reportClassification: 'accident', injuryDate: '2026-03-02', lostTimeStartDate: '2026-03-03', daysAway: null };
+
+    assert.equal(dwc1Status(caseRecord, '2026-03-03'), null);
+    assert.equal(dwc1Status(caseRecord, '2026-03-04').status, 'due');
+    assert.equal(dwc1Status(caseRecord, '2026-03-04').daysLeft, 8);
+    assert.equal(dwc1Status(caseRecord, '2026-03-12').status, 'due');
+    assert.equal(dwc1Status(caseRecord, '2026-03-13').status, 'overdue');
+    assert.equal(dwc1Status(caseRecord, '2026-03-13').daysOverdue, 1);
+
+    // Without a start date, days away count from the day after the injury
+    const counted = dwc1Status({ ...caseRecord, lostTimeStartDate: null, daysAway: 2 }, '2026-03-04');
+    assert.equal(counted.lostTimeStartDate, '2026-03-03');
+    assert.equal(dwc1Status({ ...caseRecord, daysAway: 1 }, '2026-03-20'), null);
+    assert.equal(dwc1Status({ ...caseRecord, reportClassification: 'incident' }, '2026-03-20'), null);
+
+    const onTime = dwc1Status({ ...caseRecord, dwc1SentAt: '2026-03-12T22:00:00.000Z' }, '2026-03-20');
+    assert.deepEqual([onTime.status, onTime.late], ['sent', false]);
+});
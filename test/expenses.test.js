@@ -0,0 +1,48 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+let server;
+let token;
+let caseId;
+
+before(async () => {
+    server = await startServer();
+    token = await login(server.baseUrl, ADMIN);
+
+    const report = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: { reportClassification: 'accident', employeeName: 'Maria Lopez', incidentDate: '2026-10-12' }
+    });
+    const opened = await request(server.baseUrl, 'POST', `/api/reports/${report.body.reportId}/convert-to-case`, { token });
+    assert.equal(opened.status, 200);
+    caseId = opened.body.caseId;
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('DELETE /api/expenses/:id deletes the expense and leaves a tombstone', async () => {
+    const added = await request(server.baseUrl, 'POST', `/api/cases/${caseId}/expenses`, {
+        token,
+        body: { id: 'EXP-1', date: '2026-10-13', category: 'medical', description: 'Clinic visit', amount: 180 }
+    });
+    assert.equal(added.status, 200);
+
+    const { status, body } = await request(server.baseUrl, 'DELETE', '/api/expenses/EXP-1', { token });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(server.db.getExpense('EXP-1'), null);
+    assert.ok(server.db.getTombstone('expense', 'EXP-1'));
+});
+
+test('DELETE /api/expenses/:id answers 404 for an expense that does not exist', async () => {
+    const again = await request(server.baseUrl, 'DELETE', '/api/expenses/EXP-1', { token });
+    assert.equal(again.status, 404);
+    assert.equal(again.body.error, 'Expense not found');
+
+    const missing = await request(server.baseUrl, 'DELETE', '/api/expenses/EXP-404', { token });
+    assert.equal(missing.status, 404);
+    assert.equal(server.db.getTombstone('expense', 'EXP-404'), null);
+});
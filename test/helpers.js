@@ -0,0 +1,85 @@
+// Shared setup for the API tests. node --test runs each test file in its own
+// process, so each file gets its own server on a fresh data directory, with
+// mail written to the outbox and no SMS.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN = { username: 'admin', password: 'test-admin-password' };
+
+// Load server.js on a new data directory and listen on a free port.
+// Resolves to { baseUrl, dataDir, db, notificationQueue, runCaseChecks, close }.
+async function startServer(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cws-test-'));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        EMAIL_TRANSPORT: 'outbox',
+        SMS_TRANSPORT: 'none',
+        ADMIN_USERNAME: ADMIN.username,
+        ADMIN_PASSWORD: ADMIN.password,
+        ...env
+    });
+
+    // node --test reads the results from stdout, and on Node 20 the server's
+    // log lines in between can break that, so they go to stderr
+    console.log = console.error;
+
+    const { app, db, notificationQueue, runCaseChecks, init } = require('../server');
+    init();
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        dataDir,
+        db,
+        notificationQueue,
+        runCaseChecks,
+        close: async () => {
+            await new Promise(resolve => server.close(resolve));
+            // Let notifications being sent in the background finish first
+            await notificationQueue.stop();
+            db.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+// Send a JSON request. Resolves to { status, body }.
+async function request(baseUrl, method, url, { token, body } = {}) {
+    const headers = {};
+    if (token) headers['x-auth-token'] = token;
+    if (body !== undefined) headers['content-type'] = 'application/json';
+
+    const response = await fetch(baseUrl + url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        // Not JSON (e.g. a PDF or CSV); keep the text
+    }
+    return { status: response.status, body: parsed };
+}
+
+// Log in and resolve to the session token
+async function login(baseUrl, { username, password }) {
+    const { status, body } = await request(baseUrl, 'POST', '/api/auth/login', { body: { username, password } });
+    if (status !== 200) {
+        throw new Error(`Login as ${username} failed with ${status}: ${JSON.stringify(body)}`);
+    }
+    return body.token;
+}
+
+module.exports = {
+    ADMIN,
+    startServer,
+    request,
+    login
+};
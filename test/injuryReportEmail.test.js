@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderInjuryReportEmail } = require('../templates/injuryReportEmail');
+
+const report = {
+    reportId: 'CWS-1001-2026-10-19',
+    reportClassification: 'accident',
+    employeeName: 'Jo <script>alert(1)</script> Smith',
+    client: 'Acme & Sons',
+    location: '1200 Main St',
+    incidentDate: '2026-10-19',
+    description: 'Cut on a sheet edge.\nSee <a href="https://evil.example">this</a>\r\nSent to the clinic.',
+    witnessName: 'Pat "Ace" O\'Neil',
+    bodyParts: ['Left Hand'],
+    timestamp: '2026-10-19T14:30:00.000Z'
+};
+
+test('escapes markup in report fields', () => {
+    const { html } = renderInjuryReportEmail(report);
+
+    assert.doesNotMatch(html, /<script>/);
+    assert.doesNotMatch(html, /<a href/);
+    assert.match(html, /Jo &lt;script&gt;alert\(1\)&lt;\/script&gt; Smith/);
+    assert.match(html, /&lt;a href=&quot;https:\/\/evil\.example&quot;&gt;this&lt;\/a&gt;/);
+    assert.match(html, /Acme &amp; Sons/);
+    assert.match(html, /Pat &quot;Ace&quot; O&#39;Neil/);
+});
+
+test('keeps the line breaks of the description', () => {
+    const { html } = renderInjuryReportEmail(report);
+
+    assert.match(html, /Cut on a sheet edge\.<br>\nSee &lt;a/);
+    assert.match(html, /&lt;\/a&gt;<br>\nSent to the clinic\./);
+});
+
+test('subject names the classification, employee and report ID', () => {
+    const { subject } = renderInjuryReportEmail(report);
+
+    assert.equal(subject, '[URGENT] ACCIDENT Report - Jo <script>alert(1)</script> Smith - CWS-1001-2026-10-19');
+});
@@ -0,0 +1,158 @@
+// GET /api/reports and GET /api/cases: sorting, cursor paging, filters and
+// field selection.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+let server;
+let token;
+let acmeId;
+const caseIds = {};
+
+function list(url, query) {
+    return request(server.baseUrl, 'GET', `${url}?${new URLSearchParams(query)}`, { token });
+}
+
+async function saveReport(employeeName, fields = {}) {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: { reportClassification: 'accident', employeeName, incidentDate: '2026-09-01', description: 'Strained back lifting a box', ...fields }
+    });
+    assert.equal(status, 200);
+    return body.reportId;
+}
+
+// Every page of a list, following nextCursor
+async function allPages(url, query) {
+    const pages = [];
+    let cursor;
+    do {
+        const { status, body } = await list(url, { ...query, ...(cursor ? { cursor } : {}) });
+        assert.equal(status, 200, JSON.stringify(body));
+        pages.push(body);
+        cursor = body.nextCursor;
+        assert.ok(pages.length < 20, 'the pages should end');
+    } while (cursor);
+    return pages;
+}
+
+before(async () => {
+    server = await startServer();
+    token = await login(server.baseUrl, ADMIN);
+    acmeId = (await request(server.baseUrl, 'POST', '/api/clients', { token, body: { name: 'Acme Corporation' } })).body.client.id;
+
+    await saveReport('Dana Fox', { client: 'Acme Corporation', incidentDate: '2026-08-14' });
+    await saveReport('Ana Ruiz', { client: 'acme corporation', incidentDate: '2026-09-20' });
+    await saveReport('Chris Doe', { client: 'Globex', reportClassification: 'incident', incidentDate: '2026-10-02' });
+    await saveReport('Eli Stone', { client: 'Globex', incidentDate: '2026-10-05' });
+    await saveReport('Bea Kim', { client: 'Acme Corporation', incidentDate: '2026-10-09' });
+
+    for (const report of server.db.getReports()) {
+        const opened = await request(server.baseUrl, 'POST', `/api/reports/${report.id}/convert-to-case`, { token });
+        caseIds[report.employeeName] = opened.body.caseId;
+    }
+    await request(server.baseUrl, 'PUT', `/api/cases/${caseIds['Dana Fox']}`, { token, body: { status: 'under_review' } });
+    await request(server.baseUrl, 'PUT', `/api/cases/${caseIds['Eli Stone']}`, { token, body: { status: 'under_review' } });
+    const expense = await request(server.baseUrl, 'POST', `/api/cases/${caseIds['Bea Kim']}/expenses`, {
+        token, body: { id: 'EXP-LIST-1', date: '2026-10-10', category: 'medical', description: 'Clinic visit', amount: 180 }
+    });
+    assert.equal(expense.status, 200);
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('reports come in pages by the cursor, in the sort asked for', async () => {
+    const pages = await allPages('/api/reports', { sort: 'employeeName', limit: '2' });
+
+    assert.deepEqual(pages.map(page => page.reports.map(r => r.employeeName)),
+        [['Ana Ruiz', 'Bea Kim'], ['Chris Doe', 'Dana Fox'], ['Eli Stone']]);
+    assert.ok(pages.every(page => page.total === 5 && page.limit === 2));
+
+    const descending = await list('/api/reports', { sort: '-incidentDate', limit: '1' });
+    assert.equal(descending.body.reports[0].employeeName, 'Bea Kim');
+
+    // Newest first by default
+    const newest = await list('/api/reports', {});
+    assert.equal(newest.body.reports[0].employeeName, 'Bea Kim');
+    assert.equal(newest.body.nextCursor, null);
+});
+
+test('a report added between pages does not shift the next page', async () => {
+    const first = await list('/api/reports', { sort: 'employeeName', limit: '2' });
+    await saveReport('Abe Young', { incidentDate: '2026-07-01' });
+
+    const second = await list('/api/reports', { sort: 'employeeName', limit: '2', cursor: first.body.nextCursor });
+    assert.deepEqual(second.body.reports.map(r => r.employeeName), ['Chris Doe', 'Dana Fox']);
+    assert.equal(second.body.total, 6);
+});
+
+test('filters narrow reports; a registered client matches however it was typed', async () => {
+    const acme = await list('/api/reports', { client: 'ACME corp', sort: 'employeeName' });
+    assert.deepEqual(acme.body.reports.map(r => r.employeeName), []);
+
+    const registered = await list('/api/reports', { client: 'acme  CORPORATION', sort: 'employeeName' });
+    assert.deepEqual(registered.body.reports.map(r => r.employeeName), ['Ana Ruiz', 'Bea Kim', 'Dana Fox']);
+    const byId = await list('/api/reports', { client: acmeId });
+    assert.equal(byId.body.total, 3);
+
+    const globex = await list('/api/reports', { client: 'Globex', classification: 'accident' });
+    assert.deepEqual(globex.body.reports.map(r => r.employeeName), ['Eli Stone']);
+
+    const dated = await list('/api/reports', { from: '2026-09-01', to: '2026-10-05', sort: 'incidentDate' });
+    assert.deepEqual(dated.body.reports.map(r => r.employeeName), ['Ana Ruiz', 'Chris Doe', 'Eli Stone']);
+});
+
+test('fields selects what each report returns, always with its id', async () => {
+    const { body } = await list('/api/reports', { fields: 'employeeName, client', sort: 'employeeName', limit: '1' });
+
+    assert.equal(body.reports.length, 1);
+    assert.deepEqual(Object.keys(body.reports[0]).sort(), ['client', 'employeeName', 'id']);
+});
+
+test('cases are counted by status under the other filters', async () => {
+    const { status, body } = await list('/api/cases', { client: 'Acme Corporation', status: 'under_review' });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.cases.map(c => c.id), [caseIds['Dana Fox']]);
+    assert.equal(body.total, 1);
+    assert.deepEqual(body.byStatus, { reported: 2, under_review: 1 });
+
+    // The sample cases the database starts with are from 2024
+    const all = await list('/api/cases', { from: '2026-01-01' });
+    assert.equal(all.body.total, 5);
+    assert.deepEqual(all.body.byStatus, { reported: 3, under_review: 2 });
+});
+
+test('case expenses are included unless fields leaves them out', async () => {
+    const withExpenses = await list('/api/cases', { from: '2026-01-01', sort: 'employeeName', limit: '2', fields: 'status,expenses' });
+    assert.deepEqual(withExpenses.body.cases.map(c => [c.status, c.expenses.length]), [['reported', 0], ['reported', 1]]);
+
+    const without = await list('/api/cases', { from: '2026-01-01', sort: 'employeeName', limit: '2', fields: 'status' });
+    assert.deepEqual(without.body.cases.map(c => Object.keys(c).sort()), [['id', 'status'], ['id', 'status']]);
+
+    const pages = await allPages('/api/cases', { from: '2026-01-01', sort: '-status', limit: '3', fields: 'status' });
+    assert.deepEqual(pages.flatMap(page => page.cases.map(c => c.status)),
+        ['under_review', 'under_review', 'reported', 'reported', 'reported']);
+});
+
+test('bad sorts, cursors, limits and fields are rejected', async () => {
+    const { body: first } = await list('/api/reports', { sort: 'employeeName', limit: '1' });
+    const checks = [
+        ['/api/reports', { sort: 'description' }, 'sort'],
+        ['/api/reports', { cursor: 'not-a-cursor' }, 'cursor'],
+        ['/api/reports', { cursor: first.nextCursor }, 'cursor'],
+        ['/api/reports', { limit: '501' }, 'limit'],
+        ['/api/reports', { limit: '-1' }, 'limit'],
+        ['/api/reports', { fields: 'employeeName,password' }, 'fields'],
+        ['/api/reports', { classification: 'nearmiss' }, 'classification'],
+        ['/api/cases', { status: 'open' }, 'status'],
+        ['/api/cases', { from: '2026-13-01' }, 'from']
+    ];
+    for (const [url, query, field] of checks) {
+        const { status, body } = await list(url, query);
+        assert.equal(status, 400, `${url} ${JSON.stringify(query)}`);
+        assert.ok(body.fields[field], `${url} ${JSON.stringify(query)}`);
+    }
+});
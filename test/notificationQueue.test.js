@@ -0,0 +1,44 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../models/database');
+const NotificationQueue = require('../utils/notificationQueue');
+
+let dataDir;
+let db;
+
+before(() => {
+    // node --test reads the results from stdout
+    console.log = console.error;
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cws-test-'));
+    db = new Database(dataDir);
+    db.connect();
+});
+
+after(() => {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('stop() resolves once the send under way has recorded its outcome', async () => {
+    let finishSend;
+    const queue = new NotificationQueue({
+        db,
+        senders: { email: () => new Promise(resolve => { finishSend = () => resolve({ messageId: 'msg-1' }); }) }
+    });
+    const { notification } = queue.enqueue({ channel: 'email', kind: 'test', dedupKey: 'test:stop', payload: {} });
+
+    const delivery = queue.deliver(notification);
+    let stopped = false;
+    const stopping = queue.stop().then(() => { stopped = true; });
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(stopped, false);
+
+    finishSend();
+    await stopping;
+    assert.equal(db.getNotification(notification.id).status, 'sent');
+    assert.equal((await delivery).messageId, 'msg-1');
+});
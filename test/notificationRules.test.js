@@ -0,0 +1,107 @@
+// Routing rules pick a report's email and SMS recipients (utils/notificationRouting.js).
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { resolveRecipients } = require('../utils/notificationRouting');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+let server;
+let token;
+let headRule;
+
+before(async () => {
+    server = await startServer({ EMAIL_TO: 'safety@example.com', CC_EMAILS: 'office@example.com' });
+    token = await login(server.baseUrl, ADMIN);
+});
+
+after(async () => {
+    await server.close();
+});
+
+function createRule(body) {
+    return request(server.baseUrl, 'POST', '/api/notification-rules', { token, body });
+}
+
+function dryRun(report) {
+    return request(server.baseUrl, 'POST', '/api/notification-rules/dry-run', { token, body: report });
+}
+
+test('a rule matches when every condition it sets matches', () => {
+    const rules = [
+        { id: 'r1', name: 'Adjuster', classifications: ['accident'], recipients: ['adjuster@example.com'] },
+        { id: 'r2', name: 'Acme head injuries', clients: [' acme corp '], bodyParts: ['Head'], cc: ['owner@example.com'] },
+        { id: 'r3', name: 'Refusals', drugTestRefused: true, sms: ['+15125550100'] },
+        { id: 'r4', name: 'Off', active: false, recipients: ['off@example.com'] }
+    ];
+
+    const accident = resolveRecipients(rules, {
+        client: 'ACME Corp', reportClassification: 'accident', bodyParts: ['head'], drugTest: { refused: false }
+    }, { to: ['safety@example.com'], cc: ['ADJUSTER@example.com'] });
+    assert.deepEqual(accident.to, ['safety@example.com', 'adjuster@example.com']);
+    assert.deepEqual(accident.cc, ['owner@example.com']);
+    assert.deepEqual(accident.sms, []);
+    assert.deepEqual(accident.matchedRules.map(rule => rule.id), ['r1', 'r2']);
+
+    const refusal = resolveRecipients(rules, { client: 'Other', reportClassification: 'incident', drugTest: { refused: true } });
+    assert.deepEqual(refusal.matchedRules.map(rule => rule.id), ['r3']);
+    assert.deepEqual(refusal.sms, ['+15125550100']);
+});
+
+test('rules are managed by admins and checked before they are stored', async () => {
+    const invalid = await createRule({ name: 'Nobody', classifications: ['accident'] });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.fields.recipients);
+
+    const badEmail = await createRule({ name: 'Typo', recipients: ['not-an-email'] });
+    assert.equal(badEmail.status, 400);
+
+    const created = await createRule({ name: 'Owner - head injuries', bodyParts: ['Head'], recipients: ['owner@example.com'] });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.rule.active, true);
+    headRule = created.body.rule;
+
+    const listed = await request(server.baseUrl, 'GET', '/api/notification-rules', { token });
+    assert.deepEqual(listed.body.rules.map(rule => rule.id), [headRule.id]);
+});
+
+test('the dry run shows who a sample report would notify', async () => {
+    const { status, body } = await dryRun({ reportClassification: 'accident', bodyParts: ['Head'] });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.to, ['safety@example.com', 'owner@example.com']);
+    assert.deepEqual(body.cc, ['office@example.com']);
+    assert.deepEqual(body.matchedRules, [{ id: headRule.id, name: headRule.name }]);
+
+    const other = await dryRun({ reportClassification: 'accident', bodyParts: ['Left Knee'] });
+    assert.deepEqual(other.body.to, ['safety@example.com']);
+});
+
+test('a disabled rule stops routing, and a deleted one is gone', async () => {
+    const disabled = await request(server.baseUrl, 'PUT', `/api/notification-rules/${headRule.id}`, { token, body: { active: false } });
+    assert.equal(disabled.status, 200);
+    assert.deepEqual((await dryRun({ bodyParts: ['Head'] })).body.matchedRules, []);
+
+    assert.equal((await request(server.baseUrl, 'DELETE', `/api/notification-rules/${headRule.id}`, { token })).status, 200);
+    assert.equal((await request(server.baseUrl, 'DELETE', `/api/notification-rules/${headRule.id}`, { token })).status, 404);
+});
+
+test('a saved report is emailed to the recipients its rules add', async () => {
+    const created = await createRule({ name: 'Adjuster - accidents', classifications: ['accident'], recipients: ['adjuster@example.com'] });
+    assert.equal(created.status, 200);
+
+    const saved = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: { reportClassification: 'accident', employeeName: 'Maria Lopez', incidentDate: '2026-10-19' }
+    });
+    assert.equal(saved.status, 200);
+
+    const outbox = path.join(server.dataDir, 'outbox');
+    for (let waited = 0; !(fs.existsSync(outbox) && fs.readdirSync(outbox).length > 0) && waited < 5000; waited += 50) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    const [file] = fs.readdirSync(outbox);
+    const email = fs.readFileSync(path.join(outbox, file), 'utf8');
+    assert.match(email, /^To: safety@example\.com, adjuster@example\.com$/m);
+    assert.match(email, /^Cc: office@example\.com$/m);
+});
@@ -0,0 +1,186 @@
+// OSHA 300 log, 300A summary, 301 incident report and reconciliation.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { caseOutcome } = require('../utils/osha');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+let server;
+let token;
+let reportCaseId;
+
+function get(url) {
+    return request(server.baseUrl, 'GET', url, { token });
+}
+
+async function saveCase(fields) {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/cases', {
+        token,
+        body: { employeeName: 'Maria Lopez', injuryDate: '2025-03-04', description: 'Strained back lifting a box', recordable: true, ...fields }
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+}
+
+before(async () => {
+    server = await startServer();
+    token = await login(server.baseUrl, ADMIN);
+
+    await saveCase({
+        id: 'WC-OSHA-1', establishment: 'Plant A', jobTitle: 'Forklift operator', injuryType: 'Fracture',
+        bodyParts: ['Left Foot'], illnessCategory: 'injury', daysAway: 200, restrictedDays: 10, privacyCase: true
+    });
+    await saveCase({
+        id: 'WC-OSHA-2', employeeName: 'Sam Carter', establishment: 'plant a', jobTitle: 'Picker', injuryDate: '2025-05-20',
+        illnessCategory: 'skin_disorder', daysAway: 0, restrictedDays: 12
+    });
+    // No job title or category, and no day counts: on the log, but flagged
+    await saveCase({ id: 'WC-OSHA-3', employeeName: 'Lee Park', establishment: 'Plant A', injuryDate: '2025-08-01' });
+    // Not recordable, another year, another establishment: not on the Plant A 2025 log
+    await saveCase({ id: 'WC-OSHA-4', recordable: false, establishment: 'Plant A', jobTitle: 'Picker', illnessCategory: 'injury' });
+    await saveCase({ id: 'WC-OSHA-5', establishment: 'Plant A', injuryDate: '2024-12-30', jobTitle: 'Picker', illnessCategory: 'injury', daysAway: 3 });
+    await saveCase({ id: 'WC-OSHA-6', client: 'Acme Corporation', jobTitle: 'Loader', illnessCategory: 'respiratory', daysAway: 0, restrictedDays: 0 });
+
+    const report = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: {
+            reportClassification: 'accident', employeeName: 'Ana Ruiz', incidentDate: '2025-06-10', incidentTime: '14:30',
+            location: 'Dock 4', description: 'Cut her hand on a pallet strap', reporterName: 'Dana Fox', reporterPosition: 'Supervisor'
+        }
+    });
+    assert.equal(report.status, 200);
+    const opened = await request(server.baseUrl, 'POST', `/api/reports/${report.body.reportId}/convert-to-case`, { token });
+    reportCaseId = opened.body.caseId;
+    const updated = await request(server.baseUrl, 'PUT', `/api/cases/${reportCaseId}`, {
+        token,
+        body: { recordable: true, establishment: 'Plant B', jobTitle: 'Loader', illnessCategory: 'injury', daysAway: 0, restrictedDays: 0, privacyCase: true }
+    });
+    assert.equal(updated.status, 200);
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('the 300 log lists an establishment\'s recordable cases for the year', async () => {
+    const { status, body } = await get('/api/osha/300?establishment=PLANT%20A&year=2025');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.rows.map(row => row.caseNumber), ['WC-OSHA-1', 'WC-OSHA-2', 'WC-OSHA-3']);
+    const [privacy, restricted, other] = body.rows;
+
+    assert.equal(privacy.employeeName, 'Privacy Case');
+    assert.equal(privacy.description, 'Fracture - Left Foot');
+    assert.equal(privacy.daysAwayCase, true);
+    assert.equal(privacy.restrictedCase, false);
+    assert.equal(privacy.daysAway, 180);
+    assert.equal(privacy.restrictedDays, 10);
+
+    assert.equal(restricted.employeeName, 'Sam Carter');
+    assert.equal(restricted.restrictedCase, true);
+    assert.equal(other.otherRecordable, true);
+    assert.equal(other.daysAway, 0);
+});
+
+test('the 300 log downloads as CSV and PDF', async () => {
+    const csv = await fetch(`${server.baseUrl}/api/osha/300?establishment=Plant%20A&year=2025&format=csv`, { headers: { 'x-auth-token': token } });
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-disposition'), /osha-300-Plant-A-2025\.csv/);
+    const lines = (await csv.text()).trim().split('\r\n');
+    assert.equal(lines.length, 4);
+    assert.match(lines[0], /^\(A\) Case no\.,\(B\) Employee name,/);
+    assert.equal(lines[1], 'WC-OSHA-1,Privacy Case,Forklift operator,2025-03-04,,Fracture - Left Foot,,X,,,180,10,Injury');
+
+    const pdf = await fetch(`${server.baseUrl}/api/osha/300?establishment=Plant%20A&year=2025&format=pdf`, { headers: { 'x-auth-token': token } });
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+    assert.equal(Buffer.from(await pdf.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+});
+
+test('the 300A totals the log, with rates once hours are entered', async () => {
+    const without = await get('/api/osha/300a?establishment=Plant%20A&year=2025');
+    assert.equal(without.status, 200);
+    assert.equal(without.body.summary.totalRecordableRate, null);
+
+    const saved = await request(server.baseUrl, 'PUT', '/api/osha/establishments/Plant%20A/years/2025', {
+        token, body: { hoursWorked: 200000, averageEmployees: 100 }
+    });
+    assert.equal(saved.status, 200);
+
+    const { body } = await get('/api/osha/300a?establishment=plant%20a&year=2025');
+    assert.deepEqual(body.summary, {
+        establishment: 'Plant A',
+        year: 2025,
+        deaths: 0,
+        daysAwayCases: 1,
+        restrictedCases: 1,
+        otherRecordableCases: 1,
+        totalDaysAway: 180,
+        totalRestrictedDays: 22,
+        illnessCategories: { injury: 1, skin_disorder: 1, respiratory: 0, poisoning: 0, hearing_loss: 0, other_illness: 0 },
+        averageEmployees: 100,
+        hoursWorked: 200000,
+        totalRecordableRate: 3,
+        dartRate: 2
+    });
+});
+
+test('the 301 shows the employee and the report\'s details even for a privacy case', async () => {
+    const { status, body } = await get(`/api/cases/${reportCaseId}/osha-301`);
+
+    assert.equal(status, 200);
+    assert.equal(body.form.employeeName, 'Ana Ruiz');
+    assert.equal(body.form.establishment, 'Plant B');
+    assert.equal(body.form.incidentTime, '14:30');
+    assert.equal(body.form.location, 'Dock 4');
+    assert.equal(body.form.illnessCategory, 'Injury');
+    assert.equal(body.form.completedBy, 'Dana Fox, Supervisor');
+
+    const missing = await get('/api/cases/WC-NONE/osha-301');
+    assert.equal(missing.status, 404);
+});
+
+test('establishments come from recordable cases and entered hours', async () => {
+    const { body } = await get('/api/osha/establishments?year=2025');
+
+    const byName = Object.fromEntries(body.establishments.map(e => [e.establishment, e]));
+    assert.deepEqual(Object.keys(byName).sort(), ['Acme Corporation', 'Plant A', 'Plant B']);
+    assert.equal(byName['Plant A'].recordableCases, 3);
+    assert.equal(byName['Plant A'].hoursWorked, 200000);
+    assert.equal(byName['Acme Corporation'].hoursWorked, null);
+});
+
+test('reconciliation flags missing log data and missing hours', async () => {
+    const { status, body } = await get('/api/osha/reconciliation?year=2025');
+
+    assert.equal(status, 200);
+    assert.equal(body.ok, false);
+    const flagged = body.issues.map(issue => `${issue.caseId || issue.establishment}:${issue.field}`).sort();
+    assert.deepEqual(flagged, [
+        'Acme Corporation:hoursWorked',
+        'Plant B:hoursWorked',
+        'WC-OSHA-3:daysAway',
+        'WC-OSHA-3:illnessCategory',
+        'WC-OSHA-3:jobTitle'
+    ]);
+
+    const other = await get('/api/osha/reconciliation?year=2024&establishment=Plant%20A');
+    assert.deepEqual(other.body.issues.map(issue => issue.field), ['hoursWorked']);
+});
+
+test('the log queries are checked', async () => {
+    const { status, body } = await get('/api/osha/300?year=25&format=xml');
+
+    assert.equal(status, 400);
+    assert.deepEqual(Object.keys(body.fields).sort(), ['establishment', 'format', 'year']);
+
+    const hours = await request(server.baseUrl, 'PUT', '/api/osha/establishments/Plant%20A/years/2025', { token, body: { hoursWorked: -1 } });
+    assert.equal(hours.status, 400);
+    assert.ok(hours.body.fields.hoursWorked);
+    assert.ok(hours.body.fields.averageEmployees);
+});
+
+test('caseOutcome picks the most serious outcome', () => {
+    assert.equal(caseOutcome({ death: true, daysAway: 5 }), 'death');
+    assert.equal(caseOutcome({ daysAway: 1, restrictedDays: 30 }), 'days_away');
+    assert.equal(caseOutcome({ daysAway: 0, restrictedDays: 1 }), 'restricted');
+    assert.equal(caseOutcome({ daysAway: null, restrictedDays: null }), 'other_recordable');
+});
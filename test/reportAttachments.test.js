@@ -0,0 +1,82 @@
+// Attachments are kept from the submission that creates a report. Later
+// anonymous requests for the same report must not add to them.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+// 1x1 PNG; variants differ in trailing bytes so each is stored as its own file
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+const png = variant => `data:image/png;base64,${Buffer.concat([PNG, Buffer.from(variant)]).toString('base64')}`;
+
+const PROVISIONAL_ID = 'CWS-TMP-0a1b2c3d-2026-10-19';
+
+const report = {
+    reportId: PROVISIONAL_ID,
+    reportClassification: 'accident',
+    employeeName: 'Maria Lopez',
+    incidentDate: '2026-10-19',
+    description: 'Slipped on a wet floor',
+    signature: png('signature')
+};
+
+let server;
+let token;
+let reportId;
+
+async function storedAttachments() {
+    const { status, body } = await request(server.baseUrl, 'GET', `/api/reports/${reportId}/attachments`, { token });
+    assert.equal(status, 200);
+    return body.attachments;
+}
+
+before(async () => {
+    server = await startServer();
+    token = await login(server.baseUrl, ADMIN);
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('the submission that creates a report stores its attachments', async () => {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/reports', { body: report });
+
+    assert.equal(status, 200);
+    assert.equal(body.duplicate, false);
+    assert.equal(body.attachments, 1);
+    reportId = body.reportId;
+    assert.equal((await storedAttachments()).length, 1);
+});
+
+test('an anonymous resubmission does not add attachments', async () => {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: { ...report, signature: png('forged'), injuryPhoto: [png('photo')] }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.duplicate, true);
+    assert.equal(body.attachments, 0);
+    assert.equal((await storedAttachments()).length, 1);
+});
+
+test('an anonymous email request does not add attachments', async () => {
+    const { status } = await request(server.baseUrl, 'POST', '/api/send-email', {
+        body: { ...report, reportId, injuryPhoto: [png('photo')] }
+    });
+
+    assert.equal(status, 200);
+    assert.equal((await storedAttachments()).length, 1);
+});
+
+test('a logged-in resubmission adds attachments', async () => {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/reports', {
+        token,
+        body: { ...report, injuryPhoto: [png('photo')] }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.duplicate, true);
+    assert.equal(body.attachments, 2);
+    assert.equal((await storedAttachments()).length, 2);
+});
@@ -0,0 +1,86 @@
+// Registry links on a new report: an anonymous report is linked to the
+// employee by name only, and the employee, client and site IDs it sends are
+// ignored. A logged-in user's picks are kept.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+let server;
+let token;
+let maria;
+let acme;
+
+async function saveReport(fields, options = {}) {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/reports', {
+        ...options,
+        body: { reportClassification: 'incident', incidentDate: '2026-10-19', ...fields }
+    });
+    assert.equal(status, 200);
+    return server.db.getReport(body.reportId);
+}
+
+before(async () => {
+    server = await startServer();
+    token = await login(server.baseUrl, ADMIN);
+
+    const employee = await request(server.baseUrl, 'POST', '/api/employees', {
+        token,
+        body: { name: 'Maria Lopez', employeeNumber: '4471', phone: '214-555-0100' }
+    });
+    assert.equal(employee.status, 200);
+    maria = employee.body.employee;
+
+    const client = await request(server.baseUrl, 'POST', '/api/clients', { token, body: { name: 'Acme Corporation' } });
+    assert.equal(client.status, 200);
+    acme = client.body.client;
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('an anonymous report cannot pick the employee or client', async () => {
+    const report = await saveReport({
+        employeeName: 'Sam Carter',
+        employeeId: '4471',
+        employeePhone: '214-555-0199',
+        canonicalEmployeeId: maria.id,
+        client: 'Other Company',
+        clientId: acme.id
+    });
+
+    assert.notEqual(report.canonicalEmployeeId, maria.id);
+    assert.equal(report.clientId, null);
+    assert.equal(server.db.getEmployee(maria.id).name, 'Maria Lopez');
+
+    // Sam is registered by name only, without the details the report entered
+    const sam = server.db.getEmployee(report.canonicalEmployeeId);
+    assert.equal(sam.name, 'Sam Carter');
+    assert.equal(sam.employeeNumber, null);
+    assert.equal(sam.phone, '');
+    assert.equal(sam.client, '');
+
+    // A later anonymous report does not fill them in either
+    await saveReport({ employeeName: 'Sam Carter', employeeId: '5120', employeePhone: '214-555-0199', client: 'Other Company' });
+    assert.deepEqual(server.db.getEmployee(sam.id), sam);
+});
+
+test('an anonymous report is linked by name', async () => {
+    const report = await saveReport({ employeeName: 'maria  lopez', client: 'ACME corporation' });
+
+    assert.equal(report.canonicalEmployeeId, maria.id);
+    assert.equal(report.clientId, acme.id);
+});
+
+test('a logged-in user can pick the employee and client', async () => {
+    const report = await saveReport({
+        employeeName: 'M. Lopez',
+        canonicalEmployeeId: maria.id,
+        client: 'Acme',
+        clientId: acme.id
+    }, { token });
+
+    assert.equal(report.canonicalEmployeeId, maria.id);
+    assert.equal(report.clientId, acme.id);
+});
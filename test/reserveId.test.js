@@ -0,0 +1,32 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request } = require('./helpers');
+
+let server;
+
+before(async () => {
+    server = await startServer({ RATE_LIMIT_MAX_REQUESTS: '2' });
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('POST /api/reports/reserve-id hands out serials in order', async () => {
+    const first = await request(server.baseUrl, 'POST', '/api/reports/reserve-id');
+    const second = await request(server.baseUrl, 'POST', '/api/reports/reserve-id');
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.match(first.body.serialNumber, /^CWS-\d+$/);
+    assert.equal(Number(second.body.serialNumber.slice(4)), Number(first.body.serialNumber.slice(4)) + 1);
+});
+
+test('POST /api/reports/reserve-id is rate limited per IP', async () => {
+    const serial = server.db.allocateReportSerial();
+
+    const { status } = await request(server.baseUrl, 'POST', '/api/reports/reserve-id');
+
+    assert.equal(status, 429);
+    assert.equal(server.db.allocateReportSerial(), serial + 1);
+});
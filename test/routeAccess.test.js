@@ -0,0 +1,169 @@
+// Route access policy (see "Route access policy" in server.js): every protected
+// route answers 401 without a login, 403 to a role it does not allow, and lets
+// each allowed role through.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer, request, login } = require('./helpers');
+const { ROLES, VIEW_ROLES, EDIT_ROLES, ADMIN_ROLES } = require('../utils/auth');
+
+const POLICIES = {
+    view: VIEW_ROLES,
+    edit: EDIT_ROLES,
+    admin: ADMIN_ROLES
+};
+
+// [method, url, policy, body]. Lists answer 200 to an allowed role; routes on
+// a missing ID or with an empty body answer 404 or 400 once past the guard.
+const ROUTES = [
+    ['GET', '/api/users', 'admin'],
+    ['POST', '/api/users', 'admin', {}],
+    ['PUT', '/api/users/missing', 'admin', {}],
+    ['DELETE', '/api/users/missing/sessions', 'admin'],
+
+    ['GET', '/api/reports', 'view'],
+    ['GET', '/api/reports/missing', 'view'],
+    ['GET', '/api/reports/missing/attachments', 'view'],
+    ['GET', '/api/reports/missing/attachments/missing', 'view'],
+    ['GET', '/api/reports/missing/notifications', 'view'],
+    ['GET', '/api/reports/missing/pdf', 'view'],
+    ['PUT', '/api/reports/missing/employee', 'edit', {}],
+
+    ['GET', '/api/employees/match?name=maria', 'view'],
+    ['GET', '/api/employees', 'view'],
+    ['GET', '/api/employees/missing', 'view'],
+    ['GET', '/api/employees/missing/history', 'view'],
+    ['POST', '/api/employees', 'edit', {}],
+    ['PUT', '/api/employees/missing', 'edit', {}],
+
+    ['GET', '/api/clients', 'view'],
+    ['GET', '/api/clients/missing', 'view'],
+    ['POST', '/api/clients', 'admin', {}],
+    ['PUT', '/api/clients/missing', 'admin', {}],
+    ['POST', '/api/clients/missing/sites', 'admin', {}],
+    ['PUT', '/api/clients/missing/sites/missing', 'admin', {}],
+    ['GET', '/api/clients/reconciliation', 'admin'],
+    ['POST', '/api/clients/reconciliation', 'admin', {}],
+
+    ['GET', '/api/cases', 'view'],
+    ['GET', '/api/cases/missing', 'view'],
+    ['GET', '/api/cases/missing/history', 'view'],
+    ['GET', '/api/cases/missing/transitions', 'view'],
+    ['POST', '/api/cases', 'edit', {}],
+    ['POST', '/api/reports/missing/convert-to-case', 'edit', {}],
+    ['PUT', '/api/cases/missing', 'edit', {}],
+    ['GET', '/api/cases/missing/work-status', 'view'],
+    ['POST', '/api/cases/missing/work-status', 'edit', {}],
+    ['DELETE', '/api/cases/missing/work-status/missing', 'edit'],
+    ['GET', '/api/cases/missing/work-status/missing/doctor-note', 'view'],
+    ['GET', '/api/work-status', 'view'],
+
+    ['GET', '/api/reports/missing/drug-tests', 'view'],
+    ['POST', '/api/reports/missing/drug-tests', 'edit', {}],
+    ['PUT', '/api/drug-tests/missing', 'edit', {}],
+    ['GET', '/api/drug-testing', 'view'],
+
+    ['POST', '/api/cases/missing/expenses', 'edit', {}],
+    ['DELETE', '/api/expenses/missing', 'edit'],
+
+    ['POST', '/api/sync', 'edit', { since: 'not-a-number' }],
+    ['GET', '/api/search', 'view'],
+    ['GET', '/api/stats', 'view'],
+    ['GET', '/api/audit', 'admin'],
+
+    ['GET', '/api/notification-rules', 'admin'],
+    ['POST', '/api/notification-rules', 'admin', {}],
+    ['PUT', '/api/notification-rules/missing', 'admin', {}],
+    ['DELETE', '/api/notification-rules/missing', 'admin'],
+    ['POST', '/api/notification-rules/dry-run', 'admin', {}],
+    ['GET', '/api/webhooks', 'admin'],
+    ['POST', '/api/webhooks', 'admin', {}],
+    ['PUT', '/api/webhooks/missing', 'admin', {}],
+    ['DELETE', '/api/webhooks/missing', 'admin'],
+
+    ['GET', '/api/osha/300?establishment=Dallas&year=2026', 'view'],
+    ['GET', '/api/osha/300a?establishment=Dallas&year=2026', 'view'],
+    ['GET', '/api/cases/missing/osha-301', 'view'],
+    ['GET', '/api/osha/establishments', 'view'],
+    ['PUT', '/api/osha/establishments/Dallas/years/not-a-year', 'edit', {}],
+    ['GET', '/api/osha/reconciliation', 'view'],
+    ['GET', '/api/cases/missing/dwc1', 'view'],
+    ['POST', '/api/cases/missing/dwc1/sent', 'edit', {}],
+    ['GET', '/api/dwc1/filings', 'view']
+];
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer();
+    tokens[ROLES.SAFETY_DIRECTOR] = await login(server.baseUrl, ADMIN);
+
+    // One user per other role; the login limiter allows 5 logins per run
+    for (const role of [ROLES.SUPERVISOR, ROLES.CLAIMS_ADJUSTER, ROLES.EXECUTIVE]) {
+        const user = { username: `test-${role}`, password: `${role}-password`, role };
+        const created = await request(server.baseUrl, 'POST', '/api/users', { token: tokens[ROLES.SAFETY_DIRECTOR], body: user });
+        assert.equal(created.status, 200);
+        tokens[role] = await login(server.baseUrl, user);
+    }
+});
+
+after(async () => {
+    await server.close();
+});
+
+for (const [method, url, policy, body] of ROUTES) {
+    test(`${method} ${url} is open to ${policy} roles only`, async () => {
+        const anonymous = await request(server.baseUrl, method, url, { body });
+        assert.equal(anonymous.status, 401, 'without a login');
+
+        const invalid = await request(server.baseUrl, method, url, { token: 'not-a-token', body });
+        assert.equal(invalid.status, 401, 'with an unknown token');
+
+        for (const [role, token] of Object.entries(tokens)) {
+            const { status } = await request(server.baseUrl, method, url, { token, body });
+            if (!POLICIES[policy].includes(role)) {
+                assert.equal(status, 403, `as ${role}`);
+            } else if (method === 'GET' && !url.includes('missing')) {
+                assert.equal(status, 200, `as ${role}`);
+            } else {
+                assert.ok(![401, 403].includes(status), `as ${role}: ${status}`);
+            }
+        }
+    });
+}
+
+test('session routes are open to every logged-in role', async () => {
+    const anonymous = await request(server.baseUrl, 'GET', '/api/auth/sessions');
+    assert.equal(anonymous.status, 401);
+
+    for (const [role, token] of Object.entries(tokens)) {
+        const { status } = await request(server.baseUrl, 'GET', '/api/auth/sessions', { token });
+        assert.equal(status, 200, `as ${role}`);
+    }
+});
+
+test('public routes answer without a login', async () => {
+    const health = await request(server.baseUrl, 'GET', '/api/health');
+    assert.equal(health.status, 200);
+
+    const directory = await request(server.baseUrl, 'GET', '/api/clients/directory');
+    assert.equal(directory.status, 200);
+
+    const reserved = await request(server.baseUrl, 'POST', '/api/reports/reserve-id');
+    assert.equal(reserved.status, 200);
+    assert.match(reserved.body.reportId, /^CWS-\d+/);
+
+    const saved = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: {
+            reportId: reserved.body.reportId,
+            serialNumber: reserved.body.serialNumber,
+            reportClassification: 'incident',
+            employeeName: 'Sam Carter',
+            incidentDate: '2026-10-19',
+            description: 'Pallet jack rolled into a rack'
+        }
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.reportId, reserved.body.reportId);
+});
@@ -0,0 +1,126 @@
+// GET /api/search: text, filters, facets and paging.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+let server;
+let token;
+let caseId;
+
+function search(query) {
+    return request(server.baseUrl, 'GET', `/api/search?${new URLSearchParams(query)}`, { token });
+}
+
+async function saveReport(fields) {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: { reportClassification: 'accident', ...fields }
+    });
+    assert.equal(status, 200);
+    return body.reportId;
+}
+
+before(async () => {
+    server = await startServer();
+    token = await login(server.baseUrl, ADMIN);
+
+    const cut = await saveReport({
+        employeeName: 'Zoë Brennan',
+        client: 'Acme Corporation',
+        location: 'Warehouse 9, Dallas TX',
+        incidentDate: '2026-08-14',
+        injuryType: 'Laceration',
+        bodyParts: ['Left Hand (Palm)'],
+        description: 'Cut the left palm on a box cutter'
+    });
+    await saveReport({
+        employeeName: 'Sam Brennan',
+        incidentDate: '2026-11-02',
+        injuryType: 'Strain',
+        bodyParts: ['Lower Back'],
+        description: 'Pulled a muscle lifting crates'
+    });
+
+    const opened = await request(server.baseUrl, 'POST', `/api/reports/${cut}/convert-to-case`, { token });
+    assert.equal(opened.status, 200);
+    caseId = opened.body.caseId;
+    const updated = await request(server.baseUrl, 'PUT', `/api/cases/${caseId}`, { token, body: { insuranceCarrier: 'Texas Mutual' } });
+    assert.equal(updated.status, 200);
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('terms match the start of words, ignoring case and accents', async () => {
+    const { status, body } = await search({ q: 'ZOE brenn' });
+
+    assert.equal(status, 200);
+    assert.equal(body.total, 2);
+    assert.deepEqual(body.results.map(result => result.type).sort(), ['case', 'report']);
+    assert.equal(body.results[0].highlights.employeeName, '<mark>Zoë</mark> <mark>Brennan</mark>');
+
+    // A case is found by its report's location
+    const located = await search({ q: 'warehouse', type: 'case' });
+    assert.deepEqual(located.body.results.map(result => result.id), [caseId]);
+    assert.equal(located.body.results[0].location, 'Warehouse 9, Dallas TX');
+});
+
+test('a match in the employee name ranks above one in the description', async () => {
+    await saveReport({ employeeName: 'Lee Park', incidentDate: '2026-12-01', description: 'Helped Brennan carry the crates' });
+
+    const { body } = await search({ q: 'brennan', type: 'report' });
+
+    assert.equal(body.total, 3);
+    assert.equal(body.results[2].employeeName, 'Lee Park');
+    assert.ok(body.results[0].score > body.results[2].score);
+});
+
+test('filters narrow the results, and each facet ignores its own filter', async () => {
+    const { body } = await search({ q: 'brennan', bodyPart: 'hand' });
+
+    assert.equal(body.total, 2);
+    assert.ok(body.results.every(result => result.employeeName === 'Zoë Brennan'));
+    assert.deepEqual(body.facets.type, [{ value: 'case', count: 1 }, { value: 'report', count: 1 }]);
+    assert.deepEqual(body.facets.bodyPart.find(entry => entry.value === 'back'), { value: 'back', count: 1 });
+    assert.deepEqual(body.facets.bodyPart.find(entry => entry.value === 'hand'), { value: 'hand', count: 2 });
+
+    const carrier = await search({ q: 'brennan', carrier: 'texas mutual' });
+    assert.deepEqual(carrier.body.results.map(result => result.id), [caseId]);
+
+    const client = await search({ client: 'ACME corporation', injuryType: 'laceration' });
+    assert.equal(client.body.total, 2);
+});
+
+test('from and to filter on the date, and quarters are counted', async () => {
+    const { body } = await search({ q: 'brennan', from: '2026-10-01', to: '2026-12-31' });
+
+    assert.deepEqual(body.results.map(result => result.employeeName), ['Sam Brennan', 'Lee Park']);
+    assert.deepEqual(body.facets.quarter.find(entry => entry.value === '2026-Q3'),
+        { value: '2026-Q3', from: '2026-07-01', to: '2026-09-30', count: 2 });
+});
+
+test('limit and offset page the results', async () => {
+    const { body } = await search({ q: 'brennan', limit: '1', offset: '1' });
+    assert.equal(body.total, 4);
+    assert.equal(body.limit, 1);
+    assert.equal(body.offset, 1);
+    assert.equal(body.results.length, 1);
+
+    const counted = await search({ q: 'brennan', limit: '0' });
+    assert.equal(counted.status, 200);
+    assert.equal(counted.body.total, 4);
+    assert.deepEqual(counted.body.results, []);
+});
+
+test('limit and offset must be whole numbers in range', async () => {
+    for (const query of [{ limit: '-1' }, { limit: 'ten' }, { limit: '101' }, { limit: '2.5' }]) {
+        const { status, body } = await search(query);
+        assert.equal(status, 400);
+        assert.ok(body.fields.limit);
+    }
+
+    const { status, body } = await search({ offset: '-5' });
+    assert.equal(status, 400);
+    assert.ok(body.fields.offset);
+});
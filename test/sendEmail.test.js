@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer, request } = require('./helpers');
+
+let server;
+let reportId;
+
+before(async () => {
+    server = await startServer({ EMAIL_TO: 'safety@example.com' });
+});
+
+after(async () => {
+    await server.close();
+});
+
+function outboxFiles() {
+    const dir = path.join(server.dataDir, 'outbox');
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(file => file.endsWith('.eml')).map(file => path.join(dir, file));
+}
+
+// The emails in the outbox, once `count` have been written (they are sent in the background)
+async function outboxEmails(count) {
+    for (let waited = 0; outboxFiles().length < count && waited < 5000; waited += 50) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    return outboxFiles().sort().map(file => fs.readFileSync(file, 'utf8'));
+}
+
+const report = {
+    reportClassification: 'accident',
+    employeeName: 'Maria Lopez',
+    client: 'Acme Corporation',
+    location: '1200 Main St, Dallas TX',
+    incidentDate: '2026-10-19',
+    description: 'Slipped on a wet floor near the loading dock'
+};
+
+test('saving a report emails it from the stored record', async () => {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/reports', { body: report });
+    assert.equal(status, 200);
+    reportId = body.reportId;
+    assert.ok(body.notificationId);
+
+    const emails = await outboxEmails(1);
+    assert.equal(emails.length, 1);
+    assert.match(emails[0], /^To: safety@example\.com$/m);
+    assert.match(emails[0], new RegExp(`^Subject: .*Maria Lopez - ${reportId}`, 'm'));
+    assert.match(emails[0], /Content-Type: application\/pdf/);
+});
+
+test('POST /api/send-email sends the stored report once, ignoring the body', async () => {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/send-email', {
+        body: { ...report, reportId, employeeName: 'Someone Else' }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.status, 'sent');
+    assert.equal(body.reportId, reportId);
+
+    const emails = await outboxEmails(1);
+    assert.equal(emails.length, 1);
+    assert.doesNotMatch(emails[0], /Someone Else/);
+});
+
+test('POST /api/send-email for a report not saved yet does not hold back its email', async () => {
+    const next = await request(server.baseUrl, 'POST', '/api/reports/reserve-id');
+    const early = await request(server.baseUrl, 'POST', '/api/send-email', {
+        body: { ...report, reportId: next.body.reportId }
+    });
+    assert.equal(early.status, 404);
+
+    const saved = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: { ...report, reportId: next.body.reportId, serialNumber: next.body.serialNumber, employeeName: 'Sam Carter' }
+    });
+    assert.equal(saved.status, 200);
+
+    const emails = await outboxEmails(2);
+    assert.equal(emails.length, 2);
+    assert.ok(emails.some(email => email.includes(`Sam Carter - ${next.body.reportId}`)));
+});
+
+test('POST /api/send-email rejects a request without a report ID', async () => {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/send-email', { body: { employeeName: 'Maria Lopez' } });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+});
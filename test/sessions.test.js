@@ -0,0 +1,103 @@
+// Sessions are stored in the database, slide forward on use and can be revoked.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('../models/database');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+const SUPERVISOR = { username: 'test-supervisor', password: 'supervisor-password', role: 'supervisor' };
+
+let server;
+let adminToken;
+
+// The login limiter allows 5 logins per run
+before(async () => {
+    server = await startServer();
+    adminToken = await login(server.baseUrl, ADMIN);
+    const created = await request(server.baseUrl, 'POST', '/api/users', { token: adminToken, body: SUPERVISOR });
+    assert.equal(created.status, 200);
+});
+
+after(async () => {
+    await server.close();
+});
+
+function sessions(token, query = '') {
+    return request(server.baseUrl, 'GET', `/api/auth/sessions${query}`, { token });
+}
+
+test('a session is stored by token hash and survives a restart', async () => {
+    const { body } = await sessions(adminToken);
+
+    assert.equal(body.sessions.length, 1);
+    assert.equal(body.sessions[0].current, true);
+    assert.equal(body.sessions[0].username, ADMIN.username);
+    assert.equal(body.sessions[0].tokenHash, undefined);
+    assert.ok(!JSON.stringify(server.db.getSessions()).includes(adminToken));
+
+    // What a restarted server would read
+    const reopened = new Database(server.dataDir);
+    reopened.connect();
+    try {
+        assert.deepEqual(reopened.getSessions().map(s => s.id), [body.sessions[0].id]);
+    } finally {
+        reopened.close();
+    }
+});
+
+test('using a session extends it, and an expired one is refused', async () => {
+    const [session] = server.db.getSessions();
+    const soon = Date.now() + 60 * 1000;
+    server.db.updateSession(session.id, { lastSeenAt: new Date(Date.now() - 10 * 60 * 1000).toISOString(), expiresAt: soon });
+
+    const { body } = await request(server.baseUrl, 'POST', '/api/auth/validate-token', { body: { token: adminToken } });
+    assert.equal(body.valid, true);
+    assert.ok(body.expiresAt > soon);
+
+    const other = await login(server.baseUrl, ADMIN);
+    const otherSession = server.db.getSessions().find(s => s.id !== session.id);
+    server.db.updateSession(otherSession.id, { expiresAt: Date.now() - 1 });
+    assert.equal((await sessions(other)).status, 401);
+    assert.equal(server.db.getSession(otherSession.id), null);
+});
+
+test('expired sessions are cleaned up', () => {
+    const [session] = server.db.getSessions();
+    server.db.updateSession(session.id, { expiresAt: Date.now() + 60 * 1000 });
+
+    assert.equal(server.db.deleteExpiredSessions(Date.now() + 2 * 60 * 1000), 1);
+    assert.deepEqual(server.db.getSessions(), []);
+});
+
+test('users revoke their own sessions; admins revoke anyone\'s', async () => {
+    adminToken = await login(server.baseUrl, ADMIN);
+    const phone = await login(server.baseUrl, SUPERVISOR);
+    const laptop = await login(server.baseUrl, SUPERVISOR);
+
+    const own = (await sessions(laptop)).body.sessions;
+    assert.equal(own.length, 2);
+    const phoneSession = own.find(s => !s.current);
+
+    // A supervisor cannot list or revoke someone else's sessions
+    assert.equal((await sessions(laptop, '?all=true')).status, 403);
+    const adminSession = (await sessions(adminToken)).body.sessions[0];
+    assert.equal((await request(server.baseUrl, 'DELETE', `/api/auth/sessions/${adminSession.id}`, { token: laptop })).status, 403);
+
+    const revoked = await request(server.baseUrl, 'DELETE', `/api/auth/sessions/${phoneSession.id}`, { token: laptop });
+    assert.equal(revoked.status, 200);
+    assert.equal((await sessions(phone)).status, 401);
+
+    const all = (await sessions(adminToken, '?all=true')).body.sessions;
+    assert.deepEqual(all.map(s => s.username).sort(), [ADMIN.username, SUPERVISOR.username]);
+    const laptopSession = all.find(s => s.username === SUPERVISOR.username);
+    assert.equal((await request(server.baseUrl, 'DELETE', `/api/auth/sessions/${laptopSession.id}`, { token: adminToken })).status, 200);
+    assert.equal((await sessions(laptop)).status, 401);
+});
+
+test('log out everywhere ends every session of the user', async () => {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/auth/logout-all', { token: adminToken });
+
+    assert.equal(status, 200);
+    assert.equal(body.revoked, 1);
+    assert.equal((await sessions(adminToken)).status, 401);
+});
@@ -0,0 +1,202 @@
+// POST /api/sync: what a push may change, conflicts, deletes and paging.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { conflictingFields, fieldsChangedSince } = require('../utils/sync');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+let server;
+let token;
+let first;
+let second;
+
+// Save a report and open a case for it; resolves to { reportId, caseId }
+async function openCase(employeeName) {
+    const report = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: { reportClassification: 'accident', employeeName, incidentDate: '2026-10-12', description: 'Strained back lifting a box' }
+    });
+    assert.equal(report.status, 200);
+    const opened = await request(server.baseUrl, 'POST', `/api/reports/${report.body.reportId}/convert-to-case`, { token });
+    assert.equal(opened.status, 200);
+    return { reportId: report.body.reportId, caseId: opened.body.caseId };
+}
+
+function sync(push) {
+    return request(server.baseUrl, 'POST', '/api/sync', { token, body: { since: 0, cases: [], deleted: [], ...push } });
+}
+
+before(async () => {
+    server = await startServer();
+    token = await login(server.baseUrl, ADMIN);
+    first = await openCase('Maria Lopez');
+    second = await openCase('Sam Carter');
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('a push cannot move a case to another report', async () => {
+    const current = server.db.getCase(first.caseId);
+    const { status, body } = await sync({
+        cases: [{ id: first.caseId, revision: current.revision, reportId: second.reportId, claimNumber: 'TM-1' }]
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.fields['cases[0].reportId'], 'Cannot be changed');
+    assert.equal(server.db.getCase(first.caseId).reportId, first.reportId);
+    assert.equal(server.db.getCase(first.caseId).claimNumber, current.claimNumber);
+    assert.equal(server.db.getReport(second.reportId).caseId, second.caseId);
+});
+
+test('a push ignores the status stamps and DWC-1 sent date of an existing case', async () => {
+    const current = server.db.getCase(first.caseId);
+    const startedAt = new Date().toISOString();
+    const { status } = await sync({
+        cases: [{
+            id: first.caseId,
+            revision: current.revision,
+            reportId: first.reportId,
+            status: 'closed',
+            closureReason: 'Reported only',
+            finalCost: 0,
+            closedAt: '2020-01-01T00:00:00.000Z',
+            statusChangedAt: '2020-01-01T00:00:00.000Z',
+            dwc1SentAt: '2020-01-01T00:00:00.000Z',
+            workStatus: 'released'
+        }]
+    });
+
+    assert.equal(status, 200);
+    const stored = server.db.getCase(first.caseId);
+    assert.equal(stored.status, 'closed');
+    assert.equal(stored.closureReason, 'Reported only');
+    assert.ok(stored.closedAt >= startedAt);
+    assert.equal(stored.statusChangedAt, stored.closedAt);
+    assert.equal(stored.dwc1SentAt, current.dwc1SentAt);
+    assert.equal(stored.workStatus, current.workStatus);
+});
+
+test('a field edited on both sides is a conflict; other fields merge', async () => {
+    const base = server.db.getCase(second.caseId);
+    const edited = await request(server.baseUrl, 'PUT', `/api/cases/${second.caseId}`, { token, body: { claimNumber: 'TM-1425009' } });
+    assert.equal(edited.status, 200);
+
+    const { status, body } = await sync({
+        cases: [{ id: second.caseId, revision: base.revision, claimNumber: 'TM-1425001', description: 'Strained lower back' }]
+    });
+    assert.equal(status, 409);
+    assert.equal(body.conflicts.length, 1);
+    assert.equal(body.conflicts[0].type, 'case');
+    assert.equal(body.conflicts[0].baseRevision, base.revision);
+    assert.deepEqual(body.conflicts[0].fields, { claimNumber: { client: 'TM-1425001', server: 'TM-1425009' } });
+    assert.ok(body.cases.some(c => c.id === second.caseId));
+    assert.equal(server.db.getCase(second.caseId).description, base.description);
+
+    // Without the conflicting field, and with a value the server already has, the push merges
+    const merged = await sync({
+        cases: [{ id: second.caseId, revision: base.revision, claimNumber: 'TM-1425009', description: 'Strained lower back' }]
+    });
+    assert.equal(merged.status, 200);
+    const stored = server.db.getCase(second.caseId);
+    assert.equal(stored.description, 'Strained lower back');
+    assert.equal(stored.claimNumber, 'TM-1425009');
+});
+
+test('a client that never saw the case conflicts on every field that differs', async () => {
+    const { status, body } = await sync({ cases: [{ id: second.caseId, claimNumber: 'TM-9' }] });
+
+    assert.equal(status, 409);
+    assert.equal(body.conflicts[0].baseRevision, null);
+    assert.deepEqual(Object.keys(body.conflicts[0].fields), ['claimNumber']);
+});
+
+test('expenses deleted on one side and edited on the other conflict', async () => {
+    const expense = { id: 'EXP-SYNC-1', date: '2026-10-13', category: 'medical', description: 'Clinic visit', amount: 180 };
+    const added = await sync({ cases: [{ id: second.caseId, revision: server.db.getCase(second.caseId).revision, expenses: [expense] }] });
+    assert.equal(added.status, 200);
+    const base = server.db.getExpense('EXP-SYNC-1');
+
+    // Another client edits it, then this one deletes its older copy
+    const edited = await sync({ cases: [{ id: second.caseId, revision: server.db.getCase(second.caseId).revision,
+        expenses: [{ id: 'EXP-SYNC-1', revision: base.revision, amount: 220 }] }] });
+    assert.equal(edited.status, 200);
+    const clash = await sync({ deleted: [{ type: 'expense', id: 'EXP-SYNC-1', revision: base.revision }] });
+    assert.equal(clash.status, 409);
+    assert.equal(clash.body.conflicts[0].deletedOn, 'client');
+    assert.deepEqual(clash.body.conflicts[0].fields, { amount: { client: null, server: 220 } });
+    assert.ok(server.db.getExpense('EXP-SYNC-1'));
+
+    // Deleting the current copy goes through and leaves a tombstone in the pull
+    const { cursor } = (await sync({})).body;
+    const current = server.db.getExpense('EXP-SYNC-1');
+    const deleted = await sync({ since: cursor, deleted: [{ type: 'expense', id: 'EXP-SYNC-1', revision: current.revision }] });
+    assert.equal(deleted.status, 200);
+    assert.equal(server.db.getExpense('EXP-SYNC-1'), null);
+    assert.deepEqual(deleted.body.deleted.map(({ type, id, caseId }) => ({ type, id, caseId })),
+        [{ type: 'expense', id: 'EXP-SYNC-1', caseId: second.caseId }]);
+
+    // Editing it afterwards conflicts with the server's delete
+    const stale = await sync({ cases: [{ id: second.caseId, revision: server.db.getCase(second.caseId).revision,
+        expenses: [{ id: 'EXP-SYNC-1', revision: current.revision, amount: 250 }] }] });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.conflicts[0].deletedOn, 'server');
+    assert.deepEqual(stale.body.conflicts[0].fields, { amount: { client: 250, server: null } });
+    assert.equal(server.db.getExpense('EXP-SYNC-1'), null);
+});
+
+test('a pull with a limit comes in pages until hasMore is false', async () => {
+    const everything = (await sync({})).body;
+    assert.equal(everything.hasMore, false);
+
+    const pulled = new Set();
+    let since = 0;
+    for (let pages = 0; ; pages++) {
+        assert.ok(pages < 50, 'the pull should end');
+        const { status, body } = await sync({ since, limit: 1 });
+        assert.equal(status, 200);
+        body.cases.forEach(c => pulled.add(c.id));
+        assert.ok(body.cursor > since || !body.hasMore);
+        since = body.cursor;
+        if (!body.hasMore) break;
+    }
+    assert.equal(since, everything.cursor);
+    assert.deepEqual([...pulled].sort(), everything.cases.map(c => c.id).sort());
+
+    // Nothing changed since the last cursor
+    const empty = (await sync({ since })).body;
+    assert.deepEqual([empty.cases, empty.expenses, empty.deleted], [[], [], []]);
+});
+
+test('a status change the lifecycle does not allow rejects the whole push', async () => {
+    const third = await openCase('Lee Park');
+    const current = server.db.getCase(third.caseId);
+    const { status, body } = await sync({
+        cases: [
+            { id: third.caseId, revision: current.revision, description: 'Twisted knee', status: 'medical_treatment' },
+            { id: 'WC-SYNC-NEW', employeeName: 'Ana Ruiz', injuryDate: '2026-10-14', status: 'closed' }
+        ]
+    });
+
+    assert.equal(status, 409);
+    assert.deepEqual(body.cases.map(({ index, caseId, from, to }) => ({ index, caseId, from, to })), [
+        { index: 0, caseId: third.caseId, from: 'reported', to: 'medical_treatment' },
+        { index: 1, caseId: 'WC-SYNC-NEW', from: null, to: 'closed' }
+    ]);
+    assert.ok(body.cases[0].allowedTransitions.includes('under_review'));
+    assert.equal(server.db.getCase(third.caseId).description, current.description);
+    assert.equal(server.db.getCase('WC-SYNC-NEW'), null);
+});
+
+test('conflictingFields compares only the fields changed after the base revision', () => {
+    const current = { claimNumber: 'B', description: 'Server text', bodyParts: ['Knee'] };
+    const fieldRevisions = { claimNumber: 4, description: 2 };
+
+    assert.deepEqual(conflictingFields({ claimNumber: 'A', description: 'Client text', bodyParts: ['Ankle'] }, current, fieldRevisions, 3),
+        { claimNumber: { client: 'A', server: 'B' } });
+    assert.deepEqual(conflictingFields({ claimNumber: 'B' }, current, fieldRevisions, 3), {});
+    assert.deepEqual(Object.keys(conflictingFields({ description: 'Client text', bodyParts: ['Ankle'] }, current, fieldRevisions)),
+        ['description', 'bodyParts']);
+    assert.deepEqual(fieldsChangedSince(current, fieldRevisions, 3, ['claimNumber', 'description']),
+        { claimNumber: { client: null, server: 'B' } });
+});
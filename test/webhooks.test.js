@@ -0,0 +1,185 @@
+// Outgoing webhooks: signing, retries and removal; and texts through the fake SMS driver.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { signPayload } = require('../utils/webhooks');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+const SECRET = 'test-webhook-secret';
+const SMS_TO = '+15125550100';
+
+let server;
+let token;
+let receiver;
+let receiverUrl;
+const received = []; // { headers, body } per request the receiver got
+const failNext = []; // statuses to answer with before going back to 200
+
+// Resolve once `check` returns something truthy, polling for up to 5 seconds
+async function waitFor(check) {
+    for (let waited = 0; waited < 5000; waited += 25) {
+        const result = check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    throw new Error('Timed out waiting');
+}
+
+async function saveReport(employeeName) {
+    const { status, body } = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: { reportClassification: 'accident', employeeName, incidentDate: '2026-10-12', description: 'Strained back lifting a box' }
+    });
+    assert.equal(status, 200);
+    return body.reportId;
+}
+
+function deliveriesFor(reportId, event) {
+    return server.db.getNotificationsForReport(reportId).filter(n => n.channel === 'webhook' && n.kind === event);
+}
+
+before(async () => {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.statusCode = failNext.length > 0 ? failNext.shift() : 200;
+            res.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    server = await startServer({ SMS_TRANSPORT: 'fake', SMS_TO });
+    token = await login(server.baseUrl, ADMIN);
+});
+
+after(async () => {
+    await server.close();
+    await new Promise(resolve => receiver.close(resolve));
+});
+
+test('signPayload is an HMAC-SHA256 of the raw body', () => {
+    const body = '{"event":"case.closed"}';
+    const expected = crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+    assert.equal(signPayload(SECRET, body), `sha256=${expected}`);
+    assert.notEqual(signPayload('another-secret', body), signPayload(SECRET, body));
+});
+
+test('creating a webhook returns its secret once; unknown events are rejected', async () => {
+    const generated = await request(server.baseUrl, 'POST', '/api/webhooks', { token, body: { url: receiverUrl, events: ['case.closed'], active: false } });
+    assert.equal(generated.status, 200);
+    assert.match(generated.body.webhook.secret, /^[0-9a-f]{64}$/);
+
+    const listed = await request(server.baseUrl, 'GET', '/api/webhooks', { token });
+    assert.ok(listed.body.webhooks.every(webhook => !('secret' in webhook)));
+    assert.ok(listed.body.events.includes('report.created'));
+
+    const rotated = await request(server.baseUrl, 'PUT', `/api/webhooks/${generated.body.webhook.id}`, { token, body: { rotateSecret: true } });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.webhook.secret, generated.body.webhook.secret);
+
+    const invalid = await request(server.baseUrl, 'POST', '/api/webhooks', { token, body: { url: 'ftp://example.com', events: ['report.deleted'] } });
+    assert.equal(invalid.status, 400);
+    assert.ok(invalid.body.fields.url);
+    assert.ok(invalid.body.fields['events[0]'] || invalid.body.fields.events);
+
+    await request(server.baseUrl, 'DELETE', `/api/webhooks/${generated.body.webhook.id}`, { token });
+});
+
+test('a saved report and its new case are delivered signed with the webhook secret', async () => {
+    const created = await request(server.baseUrl, 'POST', '/api/webhooks', {
+        token,
+        body: { url: receiverUrl, events: ['report.created', 'case.created'], secret: SECRET, description: 'Claims system' }
+    });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.webhook.secret, SECRET);
+
+    const reportId = await saveReport('Maria Lopez');
+    const report = await waitFor(() => received.find(r => r.headers['x-cws-event'] === 'report.created'));
+    const payload = JSON.parse(report.body);
+
+    assert.equal(report.headers['x-cws-signature'], signPayload(SECRET, report.body));
+    assert.equal(report.headers['content-type'], 'application/json');
+    assert.equal(payload.event, 'report.created');
+    assert.equal(payload.data.id, reportId);
+    assert.equal(payload.data.employeeName, 'Maria Lopez');
+    assert.equal(report.headers['x-cws-delivery'], payload.id);
+    assert.equal(deliveriesFor(reportId, 'report.created')[0].status, 'sent');
+
+    const opened = await request(server.baseUrl, 'POST', `/api/reports/${reportId}/convert-to-case`, { token });
+    assert.equal(opened.status, 200);
+    const opening = await waitFor(() => received.find(r => r.headers['x-cws-event'] === 'case.created'));
+    assert.equal(opening.headers['x-cws-signature'], signPayload(SECRET, opening.body));
+    assert.equal(JSON.parse(opening.body).data.id, opened.body.caseId);
+
+    await request(server.baseUrl, 'DELETE', `/api/webhooks/${created.body.webhook.id}`, { token });
+});
+
+test('a delivery that is not answered with 2xx is retried with the same delivery id', async () => {
+    const created = await request(server.baseUrl, 'POST', '/api/webhooks', { token, body: { url: receiverUrl, events: ['report.created'], secret: SECRET } });
+    failNext.push(500);
+    const seen = received.length;
+
+    const reportId = await saveReport('Sam Carter');
+    const failed = await waitFor(() => {
+        const [delivery] = deliveriesFor(reportId, 'report.created');
+        return delivery && delivery.status === 'failed' && delivery;
+    });
+    assert.equal(failed.attempts, 1);
+    assert.equal(failed.lastError, 'Webhook responded with 500');
+
+    await server.notificationQueue.processDue(Date.now() + 60000);
+    const [delivered] = deliveriesFor(reportId, 'report.created');
+    assert.equal(delivered.status, 'sent');
+    assert.equal(delivered.attempts, 2);
+
+    const attempts = received.slice(seen);
+    assert.equal(attempts.length, 2);
+    assert.equal(attempts[0].headers['x-cws-delivery'], failed.id);
+    assert.equal(attempts[1].headers['x-cws-delivery'], failed.id);
+    assert.equal(attempts[1].body, attempts[0].body);
+
+    await request(server.baseUrl, 'DELETE', `/api/webhooks/${created.body.webhook.id}`, { token });
+});
+
+test('a delivery for a webhook disabled since is given up, and nothing is queued for it', async () => {
+    const created = await request(server.baseUrl, 'POST', '/api/webhooks', { token, body: { url: receiverUrl, events: ['report.created'], secret: SECRET } });
+    const webhookId = created.body.webhook.id;
+    failNext.push(503);
+
+    const reportId = await saveReport('Lee Park');
+    await waitFor(() => deliveriesFor(reportId, 'report.created').some(n => n.status === 'failed'));
+
+    const disabled = await request(server.baseUrl, 'PUT', `/api/webhooks/${webhookId}`, { token, body: { active: false } });
+    assert.equal(disabled.status, 200);
+    await server.notificationQueue.processDue(Date.now() + 60000);
+    const [delivery] = deliveriesFor(reportId, 'report.created');
+    assert.equal(delivery.status, 'dead');
+    assert.equal(delivery.lastError, 'Webhook was removed or disabled');
+
+    const later = await saveReport('Ana Ruiz');
+    assert.deepEqual(deliveriesFor(later, 'report.created'), []);
+
+    await request(server.baseUrl, 'DELETE', `/api/webhooks/${webhookId}`, { token });
+});
+
+test('the fake SMS driver writes each text to the SMS outbox', async () => {
+    const reportId = await saveReport('Chris Doe');
+    const sms = await waitFor(() => {
+        const [text] = server.db.getNotificationsForReport(reportId).filter(n => n.channel === 'sms');
+        return text && text.status === 'sent' && text;
+    });
+    assert.equal(sms.recipient, SMS_TO);
+
+    const outbox = path.join(server.dataDir, 'sms-outbox');
+    const messages = fs.readdirSync(outbox)
+        .map(file => JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8')));
+    const message = messages.find(m => m.messageId === sms.messageId);
+    assert.equal(message.to, SMS_TO);
+    assert.match(message.body, new RegExp(reportId));
+});
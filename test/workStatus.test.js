@@ -0,0 +1,161 @@
+// Return to work: the work status timeline, the day counts it keeps on the
+// case, and the return-to-work step of the case lifecycle.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeWorkStatus } = require('../utils/workStatus');
+const { texasToday, addDays } = require('../utils/dates');
+const { ADMIN, startServer, request, login } = require('./helpers');
+
+let server;
+let token;
+let caseId;
+const today = texasToday();
+const injuryDate = addDays(today, -10);
+
+function recordStatus(change) {
+    return request(server.baseUrl, 'POST', `/api/cases/${caseId}/work-status`, { token, body: change });
+}
+
+function updateCase(changes) {
+    return request(server.baseUrl, 'PUT', `/api/cases/${caseId}`, { token, body: changes });
+}
+
+before(async () => {
+    server = await startServer();
+    token = await login(server.baseUrl, ADMIN);
+
+    const report = await request(server.baseUrl, 'POST', '/api/reports', {
+        body: { reportClassification: 'accident', employeeName: 'Maria Lopez', client: 'Acme Corporation', incidentDate: injuryDate, description: 'Strained back lifting a box' }
+    });
+    assert.equal(report.status, 200);
+    const opened = await request(server.baseUrl, 'POST', `/api/reports/${report.body.reportId}/convert-to-case`, { token });
+    assert.equal(opened.status, 200);
+    caseId = opened.body.caseId;
+});
+
+after(async () => {
+    await server.close();
+});
+
+test('time off work counts days away from the day after the injury', async () => {
+    const { status, body } = await recordStatus({ status: 'off_work', effectiveDate: injuryDate, doctorName: 'Dr. Reyes' });
+
+    assert.equal(status, 200);
+    assert.equal(body.change.status, 'off_work');
+    assert.equal(body.current.daysAway, 9);
+    assert.equal(body.current.placeable, false);
+    assert.equal(body.current.lostTimeStartDate, addDays(injuryDate, 1));
+
+    const stored = server.db.getCase(caseId);
+    assert.equal(stored.workStatus, 'off_work');
+    assert.equal(stored.daysAway, 9);
+    assert.equal(stored.restrictedDays, 0);
+    assert.equal(stored.lostTimeStartDate, addDays(injuryDate, 1));
+});
+
+test('restricted duty splits the count, and the case keeps the restrictions', async () => {
+    const { status, body } = await recordStatus({
+        status: 'restricted_duty', effectiveDate: addDays(today, -4), restrictions: ['No lifting over 20 lb']
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.timeline.map(change => change.status), ['off_work', 'restricted_duty']);
+    assert.equal(body.current.status, 'restricted_duty');
+    assert.equal(body.current.since, addDays(today, -4));
+    assert.equal(body.current.daysAway, 5);
+    assert.equal(body.current.restrictedDays, 4);
+    assert.equal(body.timeline[1].doctorNoteFile, null);
+
+    const stored = server.db.getCase(caseId);
+    assert.deepEqual([stored.daysAway, stored.restrictedDays], [5, 4]);
+    assert.deepEqual(stored.workRestrictions, ['No lifting over 20 lb']);
+
+    const { body: staffing } = await request(server.baseUrl, 'GET', '/api/work-status?placeable=true', { token });
+    assert.deepEqual(staffing.workers.map(w => [w.caseId, w.status, w.client]), [[caseId, 'restricted_duty', 'Acme Corporation']]);
+    const offWork = await request(server.baseUrl, 'GET', '/api/work-status?status=off_work', { token });
+    assert.deepEqual(offWork.body.workers, []);
+});
+
+test('the case checks bring the day counts up to date', async () => {
+    server.db.updateCase(caseId, { daysAway: 5, restrictedDays: 1 });
+
+    server.runCaseChecks();
+    const stored = server.db.getCase(caseId);
+    assert.deepEqual([stored.daysAway, stored.restrictedDays], [5, 4]);
+});
+
+test('changes are checked against the injury date and today', async () => {
+    const cases = [
+        [{ status: 'restricted_duty', effectiveDate: today }, 'restrictions'],
+        [{ status: 'full_duty', effectiveDate: addDays(today, 1) }, 'effectiveDate'],
+        [{ status: 'full_duty', effectiveDate: addDays(injuryDate, -1) }, 'effectiveDate'],
+        [{ status: 'light_duty', effectiveDate: today }, 'status']
+    ];
+    for (const [change, field] of cases) {
+        const { status, body } = await recordStatus(change);
+        assert.equal(status, 400, JSON.stringify(change));
+        assert.ok(body.fields[field], JSON.stringify(change));
+    }
+    assert.equal((await request(server.baseUrl, 'POST', '/api/cases/WC-NONE/work-status', { token, body: cases[0][0] })).status, 404);
+});
+
+test('the return-to-work step needs a status the worker can be placed in', async () => {
+    const { body: offered } = await request(server.baseUrl, 'GET', `/api/cases/${caseId}/transitions`, { token });
+    assert.equal(offered.status, 'reported');
+    assert.deepEqual(offered.transitions.map(t => t.status), ['under_review', 'denied', 'closed']);
+    assert.deepEqual(Object.keys(offered.transitions.find(t => t.status === 'closed').missingFields), ['closureReason', 'finalCost']);
+
+    // Skipping steps is refused, with where the case can go instead
+    const skipped = await updateCase({ status: 'return_to_work' });
+    assert.equal(skipped.status, 409);
+    assert.deepEqual([skipped.body.from, skipped.body.to], ['reported', 'return_to_work']);
+    assert.deepEqual(skipped.body.allowedTransitions, ['under_review', 'denied', 'closed']);
+
+    assert.equal((await updateCase({ status: 'under_review' })).status, 200);
+    const unfiled = await updateCase({ status: 'claim_filed', insuranceCarrier: '' });
+    assert.equal(unfiled.status, 409);
+    assert.deepEqual(Object.keys(unfiled.body.fields).sort(), ['claimNumber', 'insuranceCarrier']);
+    assert.equal((await updateCase({ status: 'claim_filed', claimNumber: 'TM-1425001', insuranceCarrier: 'Texas Mutual' })).status, 200);
+
+    // Off work again: not placeable
+    const off = await recordStatus({ status: 'off_work', effectiveDate: today });
+    assert.equal(off.body.current.placeable, false);
+    const blocked = await updateCase({ status: 'return_to_work' });
+    assert.equal(blocked.status, 409);
+    assert.ok(blocked.body.fields.workStatus);
+
+    // Removing the mistaken change restores restricted duty and its day counts
+    const removed = await request(server.baseUrl, 'DELETE', `/api/cases/${caseId}/work-status/${off.body.change.id}`, { token });
+    assert.equal(removed.status, 200);
+    assert.equal(removed.body.current.status, 'restricted_duty');
+    assert.deepEqual([removed.body.current.daysAway, removed.body.current.restrictedDays], [5, 4]);
+
+    const returned = await updateCase({ status: 'return_to_work' });
+    assert.equal(returned.status, 200);
+    assert.equal(server.db.getCase(caseId).status, 'return_to_work');
+
+    const missing = await request(server.baseUrl, 'DELETE', `/api/cases/${caseId}/work-status/${off.body.change.id}`, { token });
+    assert.equal(missing.status, 404);
+});
+
+test('summarizeWorkStatus counts each period up to the next change', () => {
+    const caseRecord = { injuryDate: '2026-03-02' };
+    const changes = [
+        { status: 'off_work', effectiveDate: '2026-03-02' },
+        { status: 'restricted_duty', effectiveDate: '2026-03-10', restrictions: ['Seated work'] },
+        { status: 'full_duty', effectiveDate: '2026-03-20' },
+        { status: 'released', effectiveDate: '2026-05-01' }
+    ];
+
+    const summary = summarizeWorkStatus(caseRecord, changes, '2026-04-01');
+    assert.equal(summary.status, 'full_duty');
+    assert.deepEqual(summary.restrictions, []);
+    assert.equal(summary.daysAway, 7);
+    assert.equal(summary.restrictedDays, 10);
+    assert.equal(summary.lostTimeStartDate, '2026-03-03');
+
+    // Still off work: counted up to, not including, today
+    assert.equal(summarizeWorkStatus(caseRecord, changes, '2026-03-06').daysAway, 3);
+    assert.equal(summarizeWorkStatus(caseRecord, changes, '2026-03-01'), null);
+});
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Accepted content per attachment kind. The type is sniffed from the file's
+// magic bytes - the MIME type declared in the data URL is not trusted.
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const ALLOWED_TYPES = {
+    photo: IMAGE_TYPES,
+    body_diagram: IMAGE_TYPES,
+    signature: IMAGE_TYPES,
+    pdf: ['application/pdf'],
+    document: [...IMAGE_TYPES, 'application/pdf']
+};
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf'
+};
+
+function sniffMimeType(buffer) {
+    const startsWith = (bytes, offset = 0) => bytes.every((b, i) => buffer[offset + i] === b);
+
+    if (startsWith([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+    if (startsWith([0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+    if (buffer.subarray(0, 6).toString('ascii').match(/^GIF8[79]a$/)) return 'image/gif';
+    if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') return 'image/webp';
+    if (buffer.subarray(0, 5).toString('ascii') === '%PDF-') return 'application/pdf';
+    return null;
+}
+
+// Decode a base64 data URL into a buffer; returns null for anything else
+function decodeDataUrl(dataUrl) {
+    if (typeof dataUrl !== 'string') return null;
+    const match = dataUrl.match(/^data:([^;,]*)(;[^,]*)?;base64,(.*)$/s);
+    return match ? Buffer.from(match[3], 'base64') : null;
+}
+
+// Collect the attachment data URLs carried by a report payload.
+// Field names match what the report form sends.
+function collectAttachments(reportId, payload) {
+    const items = [];
+    const photos = Array.isArray(payload.injuryPhoto)
+        ? payload.injuryPhoto
+        : (payload.injuryPhoto ? [payload.injuryPhoto] : []);
+
+    photos.forEach((dataUrl, index) => {
+        items.push({ kind: 'photo', dataUrl, name: `injury-photo-${index + 1}-${reportId}` });
+    });
+    if (payload.bodyDiagramImage) {
+        items.push({ kind: 'body_diagram', dataUrl: payload.bodyDiagramImage, name: `body-diagram-${reportId}` });
+    }
+    const signature = payload.employeeSignature || payload.signature;
+    if (signature) {
+        items.push({ kind: 'signature', dataUrl: signature, name: `signature-${reportId}` });
+    }
+    if (payload.pdfData) {
+        items.push({ kind: 'pdf', dataUrl: payload.pdfData, name: `injury-report-${reportId}` });
+    }
+    return items;
+}
+
+class AttachmentStore {
+    constructor({ db, dataDir, maxBytes }) {
+        this.db = db;
+        this.rootDir = path.join(dataDir, 'attachments');
+        this.maxBytes = maxBytes;
+
+        if (!fs.existsSync(this.rootDir)) {
+            fs.mkdirSync(this.rootDir, { recursive: true });
+        }
+    }
+
+    // Files are content-addressed: identical uploads share one file on disk
+    filePath(sha256) {
+        return path.join(this.rootDir, sha256.slice(0, 2), sha256);
+    }
+
+    writeFile(sha256, buffer) {
+        const target = this.filePath(sha256);
+        if (fs.existsSync(target)) return;
+
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        // Write to a temp file and rename so a crash never leaves a partial file under its hash
+        const temp = `${target}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, buffer);
+        fs.renameSync(temp, target);
+    }
+
+    // Store every attachment in the payload against the report. Invalid files are
+    // skipped and reported back rather than failing the whole report.
+    storeReportAttachments(reportId, payload) {
+        const stored = [];
+        const errors = [];
+
+        for (const item of collectAttachments(reportId, payload)) {
+            const buffer = decodeDataUrl(item.dataUrl);
+            if (!buffer || buffer.length === 0) {
+                errors.push({ name: item.name, error: 'Not a base64 data URL' });
+                continue;
+            }
+            if (buffer.length > this.maxBytes) {
+                errors.push({ name: item.name, error: `File exceeds ${Math.round(this.maxBytes / 1024 / 1024)} MB limit` });
+                continue;
+            }
+
+            const mimeType = sniffMimeType(buffer);
+            if (!mimeType || !ALLOWED_TYPES[item.kind].includes(mimeType)) {
+                errors.push({ name: item.name, error: `Unsupported file type for ${item.kind}` });
+                continue;
+            }
+
+            const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+            const existing = this.db.findReportAttachmentByHash(reportId, sha256);
+            if (existing) {
+                stored.push(existing);
+                continue;
+            }
+
+            this.writeFile(sha256, buffer);
+            stored.push(this.db.insertAttachment({
+                id: crypto.randomUUID(),
+                reportId,
+                kind: item.kind,
+                filename: `${item.name}.${EXTENSIONS[mimeType]}`,
+                mimeType,
+                size: buffer.length,
+                sha256,
+                createdAt: new Date().toISOString()
+            }));
+        }
+
+        if (errors.length > 0) {
+            console.warn(`⚠️ ${errors.length} attachment(s) rejected for report ${reportId}:`, errors);
+        }
+        return { stored, errors };
+    }
+
+    // Store a file that belongs to a case rather than a report, such as a
+    // doctor's note. Returns { sha256, mimeType, size }, or { error }.
+    storeDocument(dataUrl) {
+        const buffer = decodeDataUrl(dataUrl);
+        if (!buffer || buffer.length === 0) {
+            return { error: 'Not a base64 data URL' };
+        }
+        if (buffer.length > this.maxBytes) {
+            return { error: `File exceeds ${Math.round(this.maxBytes / 1024 / 1024)} MB limit` };
+        }
+        const mimeType = sniffMimeType(buffer);
+        if (!mimeType || !ALLOWED_TYPES.document.includes(mimeType)) {
+            return { error: 'Must be an image or PDF' };
+        }
+
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+        this.writeFile(sha256, buffer);
+        return { sha256, mimeType, size: buffer.length };
+    }
+
+    // Read a stored attachment. Returns { data, mimeType }, or null if the file is missing.
+    read(attachment) {
+        const file = this.filePath(attachment.sha256);
+        if (!fs.existsSync(file)) {
+            console.error(`Attachment file missing: ${attachment.id}`);
+            return null;
+        }
+        return { data: fs.readFileSync(file), mimeType: attachment.mimeType };
+    }
+
+    // A report's images for rendering: { bodyDiagram, photos, signature }.
+    // Photos keep their upload order; for the others the first stored wins.
+    getReportImages(reportId) {
+        const images = { bodyDiagram: null, photos: [], signature: null };
+        for (const attachment of this.db.getAttachmentsForReport(reportId)) {
+            if (attachment.kind === 'pdf') continue;
+            const image = this.read(attachment);
+            if (!image) continue;
+
+            if (attachment.kind === 'photo') {
+                images.photos.push(image);
+            } else if (attachment.kind === 'body_diagram') {
+                images.bodyDiagram = images.bodyDiagram || image;
+            } else if (attachment.kind === 'signature') {
+                images.signature = images.signature || image;
+            }
+        }
+        return images;
+    }
+}
+
+module.exports = AttachmentStore;
@@ -0,0 +1,56 @@
+// Audit trail helpers. Every mutation of a report, case, expense or user is
+// recorded in the append-only audit_log table with who, where and what changed.
+
+// Bookkeeping fields that change on every write and add nothing to a diff
+const IGNORED_FIELDS = ['updatedAt', 'revision'];
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Field-level diff between two versions of a record: { field: { from, to } }.
+// Pass null for `before` on create and for `after` on delete.
+function diffRecords(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+
+        const from = before ? before[field] ?? null : null;
+        const to = after ? after[field] ?? null : null;
+        if (!sameValue(from, to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+}
+
+// Record one mutation. Call inside the same transaction as the change so the
+// change and its audit entry are committed together. Updates that change
+// nothing are not recorded.
+function recordAudit(db, req, { entityType, entityId, caseId = null, action, before = null, after = null }) {
+    const changes = diffRecords(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) {
+        return;
+    }
+
+    db.insertAuditEntry({
+        entityType,
+        entityId,
+        caseId,
+        action,
+        actorId: req.user ? req.user.id : null,
+        actorUsername: req.user ? req.user.username : null,
+        ip: req.ip,
+        route: `${req.method} ${req.originalUrl.split('?')[0]}`,
+        changes,
+        createdAt: new Date().toISOString()
+    });
+}
+
+module.exports = {
+    sameValue,
+    diffRecords,
+    recordAudit
+};
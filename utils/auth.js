@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// User roles, from least to most privileged in day-to-day use.
+// The executive role is read-only.
+const ROLES = {
+    FIELD_REPORTER: 'field_reporter',
+    SUPERVISOR: 'supervisor',
+    CLAIMS_ADJUSTER: 'claims_adjuster',
+    SAFETY_DIRECTOR: 'safety_director',
+    EXECUTIVE: 'executive'
+};
+const ALL_ROLES = Object.values(ROLES);
+
+// Roles allowed to manage user accounts
+const ADMIN_ROLES = [ROLES.SAFETY_DIRECTOR];
+
+// Roles that may read reports, cases, expenses and analytics
+const VIEW_ROLES = [ROLES.SUPERVISOR, ROLES.CLAIMS_ADJUSTER, ROLES.SAFETY_DIRECTOR, ROLES.EXECUTIVE];
+
+// Roles that may create or change cases and expenses
+const EDIT_ROLES = [ROLES.SUPERVISOR, ROLES.CLAIMS_ADJUSTER, ROLES.SAFETY_DIRECTOR];
+
+const SCRYPT_COST = 16384;
+const KEY_LENGTH = 64;
+
+// Hash a PIN or password with a random per-user salt.
+// Stored as scrypt$<cost>$<salt hex>$<hash hex>.
+function hashSecret(secret) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(secret, salt, KEY_LENGTH, { N: SCRYPT_COST });
+    return `scrypt$${SCRYPT_COST}$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifySecret(secret, stored) {
+    if (typeof secret !== 'string' || typeof stored !== 'string') return false;
+
+    const [scheme, cost, saltHex, hashHex] = stored.split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(secret, Buffer.from(saltHex, 'hex'), expected.length, { N: parseInt(cost) });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Burn the same time as a real verification so unknown usernames can't be
+// told apart from wrong credentials by response time
+const DUMMY_HASH = hashSecret(crypto.randomBytes(16).toString('hex'));
+function verifyDummy(secret) {
+    verifySecret(String(secret || ''), DUMMY_HASH);
+    return false;
+}
+
+function isValidPin(pin) {
+    return typeof pin === 'string' && /^\d{4,8}$/.test(pin);
+}
+
+function isValidPassword(password) {
+    return typeof password === 'string' && password.length >= 8;
+}
+
+// Strip credential hashes before a user record leaves the server
+function toPublicUser(user) {
+    if (!user) return null;
+    const { pinHash, passwordHash, ...publicUser } = user;
+    return {
+        ...publicUser,
+        hasPin: !!pinHash,
+        hasPassword: !!passwordHash
+    };
+}
+
+module.exports = {
+    ROLES,
+    ALL_ROLES,
+    ADMIN_ROLES,
+    VIEW_ROLES,
+    EDIT_ROLES,
+    hashSecret,
+    verifySecret,
+    verifyDummy,
+    isValidPin,
+    isValidPassword,
+    toPublicUser
+};
@@ -0,0 +1,153 @@
+// Case lifecycle. A case starts as `reported` and moves only along
+// TRANSITIONS. Moving into a status can require fields to be filled in first
+// (REQUIREMENTS); they may be sent in the same update as the status change.
+
+const { CASE_STATUSES } = require('../models/schemas');
+const { PLACEABLE_STATUSES } = require('./workStatus');
+
+const INITIAL_STATUS = 'reported';
+
+// Older clients only know "open" and "closed". "open" leaves an open case in
+// its current status and asks to reopen a closed one.
+const LEGACY_OPEN = 'open';
+
+const TRANSITIONS = {
+    reported: ['under_review', 'denied', 'closed'],
+    under_review: ['claim_filed', 'denied', 'closed'],
+    claim_filed: ['medical_treatment', 'return_to_work', 'denied', 'closed'],
+    medical_treatment: ['return_to_work', 'closed'],
+    return_to_work: ['medical_treatment', 'closed'],
+    denied: ['reopened', 'closed'],
+    closed: ['reopened'],
+    reopened: ['under_review', 'claim_filed', 'medical_treatment', 'return_to_work', 'denied', 'closed']
+};
+
+const STATUS_LABELS = {
+    reported: 'Reported',
+    under_review: 'Under review',
+    claim_filed: 'Claim filed',
+    medical_treatment: 'Medical treatment',
+    return_to_work: 'Return to work',
+    closed: 'Closed',
+    denied: 'Denied',
+    reopened: 'Reopened'
+};
+
+function isPresent(value) {
+    return value !== undefined && value !== null && value !== '';
+}
+
+// What each status requires of the case. `present` overrides the default
+// "field is filled in" check.
+const REQUIREMENTS = {
+    claim_filed: [
+        { field: 'claimNumber', message: 'A claim number is required to file a claim' },
+        { field: 'insuranceCarrier', message: 'The insurance carrier is required to file a claim' }
+    ],
+    medical_treatment: [
+        {
+            field: 'treatmentFacility',
+            message: 'The treating physician or facility is required',
+            present: c => isPresent(c.treatmentFacility) || isPresent(c.physicianName)
+        }
+    ],
+    return_to_work: [
+        {
+            field: 'workStatus',
+            message: 'Record the return to work (full duty, restricted duty or released) first',
+            present: c => PLACEABLE_STATUSES.includes(c.workStatus)
+        }
+    ],
+    closed: [
+        { field: 'closureReason', message: 'A closure reason is required to close a case' },
+        { field: 'finalCost', message: 'The final cost is required to close a case' }
+    ],
+    denied: [
+        { field: 'denialReason', message: 'A denial reason is required' }
+    ],
+    reopened: [
+        { field: 'reopenReason', message: 'A reason is required to reopen a case' }
+    ]
+};
+
+// Case fields the transitions fill in, copied as-is from API payloads
+const LIFECYCLE_CASE_FIELDS = ['closureReason', 'finalCost', 'denialReason', 'reopenReason'];
+
+// The status an update asks for, resolving the legacy "open"
+function requestedStatus(current, requested) {
+    if (!isPresent(requested)) return current;
+    if (requested === LEGACY_OPEN) return current === 'closed' ? 'reopened' : current;
+    return requested;
+}
+
+function missingFields(status, caseRecord) {
+    const missing = {};
+    for (const requirement of REQUIREMENTS[status] || []) {
+        const present = requirement.present
+            ? requirement.present(caseRecord)
+            : isPresent(caseRecord[requirement.field]);
+        if (!present) missing[requirement.field] = requirement.message;
+    }
+    return missing;
+}
+
+// Check a status change. `caseRecord` is the case with the update applied.
+// Returns null when it is allowed, or { error, from, to, allowedTransitions, fields? }.
+function checkTransition(from, to, caseRecord) {
+    if (from === to) return null;
+
+    const allowedTransitions = TRANSITIONS[from] || [];
+    if (!allowedTransitions.includes(to)) {
+        return {
+            error: `Cannot move a case from "${STATUS_LABELS[from] || from}" to "${STATUS_LABELS[to] || to}"`,
+            from,
+            to,
+            allowedTransitions
+        };
+    }
+
+    const fields = missingFields(to, caseRecord);
+    if (Object.keys(fields).length > 0) {
+        return {
+            error: `Required fields are missing to move the case to "${STATUS_LABELS[to]}"`,
+            from,
+            to,
+            allowedTransitions,
+            fields
+        };
+    }
+    return null;
+}
+
+// Check the status of a new case, which must start at the beginning
+function checkInitialStatus(requested) {
+    const status = requestedStatus(INITIAL_STATUS, requested);
+    if (status === INITIAL_STATUS) return null;
+    return {
+        error: `New cases start as "${STATUS_LABELS[INITIAL_STATUS]}"`,
+        from: null,
+        to: status,
+        allowedTransitions: [INITIAL_STATUS]
+    };
+}
+
+// Where a case can go next, and what each move still needs
+function availableTransitions(caseRecord) {
+    return (TRANSITIONS[caseRecord.status] || []).map(status => ({
+        status,
+        label: STATUS_LABELS[status],
+        missingFields: missingFields(status, caseRecord)
+    }));
+}
+
+module.exports = {
+    CASE_STATUSES,
+    INITIAL_STATUS,
+    STATUS_LABELS,
+    TRANSITIONS,
+    LIFECYCLE_CASE_FIELDS,
+    requestedStatus,
+    checkTransition,
+    checkInitialStatus,
+    availableTransitions
+};
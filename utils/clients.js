@@ -0,0 +1,80 @@
+// Client company and job-site registry. Reports name the client and the
+// location as free text; these helpers tie such values to registered clients
+// and sites, by name (see utils/nameMatch.js) and by the report's coordinates.
+
+const { nameKey, nameScore } = require('./nameMatch');
+
+// A report made this close to a site is taken to be made at it
+const SITE_RADIUS_KM = 0.5;
+// Lowest score a reconciliation suggestion needs
+const SUGGESTION_THRESHOLD = 0.6;
+
+const EARTH_RADIUS_KM = 6371;
+
+function hasPoint(point) {
+    return Boolean(point) && Number.isFinite(point.latitude) && Number.isFinite(point.longitude);
+}
+
+// Great-circle distance in km, or null when either point has no coordinates
+function distanceKm(a, b) {
+    if (!hasPoint(a) || !hasPoint(b)) return null;
+    const rad = degrees => degrees * Math.PI / 180;
+    const dLat = rad(b.latitude - a.latitude);
+    const dLon = rad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+// The site nearest to a point, if it is within SITE_RADIUS_KM
+function nearestSite(sites, point) {
+    let nearest = null;
+    let nearestKm = SITE_RADIUS_KM;
+    for (const site of sites) {
+        const km = distanceKm(site, point);
+        if (km !== null && km <= nearestKm) {
+            nearest = site;
+            nearestKm = km;
+        }
+    }
+    return nearest;
+}
+
+// Clients a free-text client name may mean, best first: [{ client, score }]
+function suggestClients(clients, value, limit = 3) {
+    const typed = nameKey(value);
+    return clients
+        .map(client => ({ client, score: Math.round(nameScore(typed, client.nameKey) * 100) / 100 }))
+        .filter(match => match.score >= SUGGESTION_THRESHOLD)
+        .sort((a, b) => b.score - a.score || a.client.name.localeCompare(b.client.name))
+        .slice(0, limit);
+}
+
+// Sites a free-text location may mean, best first: [{ site, score, distanceKm }].
+// The location is compared with the site's name and address; reports made
+// within SITE_RADIUS_KM of a site are a match whatever the text says.
+function suggestSites(sites, value, point, limit = 3) {
+    const typed = nameKey(value);
+    return sites
+        .map(site => {
+            const km = distanceKm(site, point);
+            let score = Math.max(nameScore(typed, nameKey(site.name)), nameScore(typed, nameKey(site.address)));
+            if (km !== null && km <= SITE_RADIUS_KM) score = Math.max(score, 0.9);
+            return {
+                site,
+                score: Math.round(score * 100) / 100,
+                distanceKm: km === null ? null : Math.round(km * 100) / 100
+            };
+        })
+        .filter(match => match.score >= SUGGESTION_THRESHOLD)
+        .sort((a, b) => b.score - a.score || a.site.name.localeCompare(b.site.name))
+        .slice(0, limit);
+}
+
+module.exports = {
+    SITE_RADIUS_KM,
+    distanceKm,
+    nearestSite,
+    suggestClients,
+    suggestSites
+};
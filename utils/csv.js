@@ -0,0 +1,26 @@
+// CSV export helpers (RFC 4180, CRLF line endings).
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ key, label }]. Returns the CSV text with a header row.
+function toCsv(columns, rows) {
+    const lines = [columns.map(column => csvCell(column.label)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvCell(row[column.key])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    toCsv
+};
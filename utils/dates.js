@@ -0,0 +1,26 @@
+// Calendar date helpers for YYYY-MM-DD strings. Day counts and deadlines are
+// kept in Texas dates, where the injuries happen.
+
+const TIME_ZONE = 'America/Chicago';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Today's date (YYYY-MM-DD) in Texas
+function texasToday(now = new Date()) {
+    return now.toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+}
+
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Whole days from one date to another (negative if `to` is earlier)
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+module.exports = {
+    texasToday,
+    addDays,
+    daysBetween
+};
@@ -0,0 +1,85 @@
+// Post-accident drug and alcohol testing. Under the CWS testing policy an
+// employee who consents must be tested within 24 hours of the accident or
+// incident report. The deadline is the one recorded with the report
+// (drugTest.testingDeadline), or 24 hours after the consent was given.
+
+const { DRUG_TEST_TYPES, DRUG_TEST_RESULTS } = require('../models/schemas');
+
+const WINDOW_HOURS = 24;
+// The supervisor is alerted this long before the window closes with no collection logged
+const WARNING_HOURS = 4;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const TYPE_LABELS = {
+    drug: 'Drug',
+    alcohol: 'Alcohol',
+    drug_and_alcohol: 'Drug and alcohol'
+};
+
+const RESULT_LABELS = {
+    negative: 'Negative',
+    positive: 'Positive',
+    dilute: 'Dilute',
+    refused: 'Refused'
+};
+
+// When testing must be done by (ISO timestamp), or null if the report needs no test
+function testingDeadline(report) {
+    const drugTest = report.drugTest || {};
+    if (!drugTest.required) return null;
+
+    const recorded = Date.parse(drugTest.testingDeadline);
+    if (!Number.isNaN(recorded)) return new Date(recorded).toISOString();
+    const from = Date.parse(drugTest.timestamp || report.createdAt);
+    return Number.isNaN(from) ? null : new Date(from + WINDOW_HOURS * HOUR_MS).toISOString();
+}
+
+// Testing status of a report. `tests` are its logged tests in order
+// (db.getDrugTestsForReport). status is one of:
+//   not_required  no test needed for this report
+//   refused       the employee refused, on the report or at collection
+//   collected     a specimen was collected (`late` if after the deadline)
+//   due           not collected yet; `expiring` within WARNING_HOURS of the deadline
+//   overdue       the deadline passed with no collection logged
+function drugTestStatus(report, tests, now = new Date()) {
+    const deadline = testingDeadline(report);
+    const collected = tests.find(test => test.collectedAt);
+    const refused = (report.drugTest && report.drugTest.refused) || tests.some(test => test.result === 'refused');
+    const resulted = tests.filter(test => test.result);
+
+    let status;
+    if (refused) status = 'refused';
+    else if (collected) status = 'collected';
+    else if (!deadline) status = 'not_required';
+    else status = now.getTime() > Date.parse(deadline) ? 'overdue' : 'due';
+
+    const hoursLeft = status === 'due' ? (Date.parse(deadline) - now.getTime()) / HOUR_MS : null;
+    return {
+        reportId: report.id,
+        caseId: report.caseId || null,
+        employeeName: report.employeeName,
+        client: report.client || '',
+        reportClassification: report.reportClassification,
+        required: deadline !== null,
+        deadline,
+        status,
+        expiring: status === 'due' && hoursLeft <= WARNING_HOURS,
+        hoursLeft: hoursLeft === null ? null : Math.round(hoursLeft * 10) / 10,
+        hoursOverdue: status === 'overdue' ? Math.round((now.getTime() - Date.parse(deadline)) / HOUR_MS * 10) / 10 : null,
+        collectedAt: collected ? collected.collectedAt : null,
+        late: collected && deadline ? Date.parse(collected.collectedAt) > Date.parse(deadline) : false,
+        result: resulted.length > 0 ? resulted[resulted.length - 1].result : null
+    };
+}
+
+module.exports = {
+    DRUG_TEST_TYPES,
+    DRUG_TEST_RESULTS,
+    WINDOW_HOURS,
+    WARNING_HOURS,
+    TYPE_LABELS,
+    RESULT_LABELS,
+    testingDeadline,
+    drugTestStatus
+};
@@ -0,0 +1,128 @@
+// Texas DWC Form-001, the Employer's First Report of Injury or Illness, and
+// its filing deadline. The employer must send the report to its carrier by
+// the 8th day after the employee has been away from work for more than one
+// day because of the injury (Texas Labor Code §409.005, 28 TAC §120.2).
+//
+// A case needs a DWC-1 when it is an accident and the employee has lost more
+// than one day of work: `daysAway` is over 1, or, while the count is not
+// entered yet, a second day has started since `lostTimeStartDate`.
+
+const { texasToday, addDays, daysBetween } = require('./dates');
+
+const FILING_DAYS = 8;
+
+// Case fields for the DWC-1, copied as-is from API payloads
+const DWC1_CASE_FIELDS = ['lostTimeStartDate', 'dwc1SentAt'];
+
+// First day missed. Without a start date, a case with days away counted is
+// taken to have lost time from the day after the injury.
+function lostTimeStart(caseRecord) {
+    if (caseRecord.lostTimeStartDate) return caseRecord.lostTimeStartDate;
+    return caseRecord.daysAway > 0 && caseRecord.injuryDate ? addDays(caseRecord.injuryDate, 1) : null;
+}
+
+function requiresDwc1(caseRecord, today) {
+    if (caseRecord.reportClassification !== 'accident') return false;
+    const start = lostTimeStart(caseRecord);
+    if (!start) return false;
+    if (caseRecord.daysAway !== null && caseRecord.daysAway !== undefined) {
+        return caseRecord.daysAway > 1;
+    }
+    return today >= addDays(start, 1);
+}
+
+// Filing status of a case's DWC-1, or null when the case does not need one.
+// status is 'sent', 'due' or 'overdue'; a report sent after its due date is `late`.
+function dwc1Status(caseRecord, today = texasToday()) {
+    if (!requiresDwc1(caseRecord, today)) return null;
+
+    const start = lostTimeStart(caseRecord);
+    // More than one day away from the start of the second day missed
+    const dueDate = addDays(start, 1 + FILING_DAYS);
+    const sentAt = caseRecord.dwc1SentAt || null;
+    const status = sentAt ? 'sent' : today > dueDate ? 'overdue' : 'due';
+
+    return {
+        caseId: caseRecord.id,
+        reportId: caseRecord.reportId || null,
+        employeeName: caseRecord.employeeName,
+        client: caseRecord.client || '',
+        insuranceCarrier: caseRecord.insuranceCarrier || '',
+        lostTimeStartDate: start,
+        dueDate,
+        sentAt,
+        status,
+        late: sentAt ? sentAt.slice(0, 10) > dueDate : false,
+        daysOverdue: status === 'overdue' ? daysBetween(dueDate, today) : 0,
+        daysLeft: status === 'due' ? daysBetween(today, dueDate) : null
+    };
+}
+
+// DWC-1 filings for all cases that need one, soonest due first
+function dwc1Filings(cases, today = texasToday()) {
+    return cases
+        .map(c => dwc1Status(c, today))
+        .filter(Boolean)
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.caseId.localeCompare(b.caseId));
+}
+
+// DWC Form-001 content from the case and its injury report. `employer` is
+// { name, fein, address, phone, naics, policyNumber }. Fields the system does
+// not collect (SSN, date of birth, home address, wages) are null, to be
+// completed by hand.
+function buildDwc1(caseRecord, report, employer = {}) {
+    const filing = dwc1Status(caseRecord);
+    return {
+        caseId: caseRecord.id,
+        reportId: caseRecord.reportId || '',
+        employee: {
+            name: caseRecord.employeeName,
+            employeeId: report ? report.employeeId || '' : '',
+            phone: report ? report.employeePhone || '' : '',
+            jobTitle: caseRecord.jobTitle || '',
+            ssn: null,
+            dateOfBirth: null,
+            homeAddress: null,
+            weeklyWage: null
+        },
+        employer: {
+            name: employer.name || '',
+            fein: employer.fein || '',
+            address: employer.address || '',
+            phone: employer.phone || '',
+            naics: employer.naics || '',
+            worksite: caseRecord.establishment || caseRecord.client || ''
+        },
+        carrier: {
+            name: caseRecord.insuranceCarrier || '',
+            policyNumber: employer.policyNumber || '',
+            claimNumber: caseRecord.claimNumber || ''
+        },
+        injury: {
+            date: caseRecord.injuryDate || '',
+            time: report ? report.incidentTime || '' : '',
+            dateReported: report ? report.reportedDate || '' : '',
+            location: report ? report.location || '' : '',
+            natureOfInjury: caseRecord.injuryType || '',
+            bodyParts: (caseRecord.bodyParts || []).join(', '),
+            howItHappened: caseRecord.description || (report ? report.description || '' : ''),
+            witness: report ? [report.witnessName, report.witnessContact].filter(Boolean).join(', ') : '',
+            physician: caseRecord.physicianName || '',
+            treatmentFacility: caseRecord.treatmentFacility || '',
+            lostTimeStartDate: lostTimeStart(caseRecord) || '',
+            daysAway: caseRecord.daysAway ?? null,
+            died: caseRecord.death === true,
+            dateOfDeath: caseRecord.dateOfDeath || ''
+        },
+        preparedBy: report ? [report.reporterName, report.reporterPosition].filter(Boolean).join(', ') : '',
+        filing
+    };
+}
+
+module.exports = {
+    FILING_DAYS,
+    DWC1_CASE_FIELDS,
+    dwc1Status,
+    dwc1Filings,
+    buildDwc1
+};
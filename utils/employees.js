@@ -0,0 +1,54 @@
+// Employee registry matching. Reports and cases carry the worker's name as it
+// was typed; see utils/nameMatch.js for how names are compared.
+
+const { nameKey, nameScore } = require('./nameMatch');
+
+// Lowest score a fuzzy match needs to be suggested
+const MATCH_THRESHOLD = 0.75;
+
+// Last 10 digits of a phone number, so "+1 (512) 555-0100" and "512-555-0100"
+// agree. Empty when there are too few digits to be a number.
+function phoneKey(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= 7 ? digits.slice(-10) : '';
+}
+
+// Registered employees that look like the one being typed, best first:
+// [{ employee, score }]. A matching phone number counts as much as the name;
+// the same client breaks ties.
+function matchEmployees(employees, { name, phone, client } = {}, limit = 10) {
+    const typed = nameKey(name);
+    const typedPhone = phoneKey(phone);
+    const typedClient = nameKey(client);
+
+    return employees
+        .map(employee => {
+            let score = nameScore(typed, employee.nameKey);
+            if (typedPhone && phoneKey(employee.phone) === typedPhone) {
+                score = Math.max(score, MATCH_THRESHOLD) + 0.1;
+            }
+            if (typedClient && nameKey(employee.client) === typedClient) {
+                score += 0.01;
+            }
+            return { employee, score: Math.round(Math.min(score, 1) * 100) / 100 };
+        })
+        .filter(match => match.score >= MATCH_THRESHOLD)
+        .sort((a, b) => b.score - a.score || a.employee.name.localeCompare(b.employee.name))
+        .slice(0, limit);
+}
+
+// Whether details entered on a report rule out a registered employee with the
+// same name: a different employee number or phone number, where both are known
+function rulesOut(employee, { employeeNumber, phone }) {
+    const number = String(employeeNumber || '').trim().toLowerCase();
+    if (number && employee.employeeNumber && employee.employeeNumber.toLowerCase() !== number) return true;
+    const digits = phoneKey(phone);
+    return Boolean(digits && phoneKey(employee.phone) && phoneKey(employee.phone) !== digits);
+}
+
+module.exports = {
+    MATCH_THRESHOLD,
+    phoneKey,
+    matchEmployees,
+    rulesOut
+};
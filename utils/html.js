@@ -0,0 +1,62 @@
+// Escaping HTML templating.
+//
+// html`...` is a tagged template: every interpolated value is HTML-escaped
+// unless it is itself the result of html`...` (or raw()), so nested template
+// fragments compose without double-escaping. Arrays are rendered item by item,
+// and null, undefined and false render as nothing.
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    let result = strings[0];
+    values.forEach((value, i) => {
+        result += renderValue(value) + strings[i + 1];
+    });
+    return new SafeHtml(result);
+}
+
+// Mark trusted markup as safe. Never pass user input here.
+function raw(markup) {
+    return new SafeHtml(String(markup));
+}
+
+// Escape free text and keep its line breaks
+function multiline(text) {
+    if (text === null || text === undefined) return raw('');
+    return raw(escapeHtml(text).replace(/\r\n|\r|\n/g, '<br>\n'));
+}
+
+module.exports = {
+    SafeHtml,
+    escapeHtml,
+    html,
+    raw,
+    multiline
+};
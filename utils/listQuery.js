@@ -0,0 +1,115 @@
+// Paging, sorting and field selection for the list endpoints (GET /api/reports,
+// GET /api/cases). Pages are cut by keyset: the cursor carries the sort and the
+// sort value and id of the last record of the page, so records added or
+// removed in the meantime do not shift the next page.
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// A whole-number query parameter from 0 to `max`, or `fallback` when it is
+// not set. Returns { value } or { invalid: message }.
+function parseWholeNumber(value, { fallback, max = Infinity }) {
+    const number = value === undefined ? fallback : Number(value);
+    if (!Number.isInteger(number) || number < 0 || number > max) {
+        return { invalid: max === Infinity ? 'Must be a whole number from 0' : `Must be a whole number from 0 to ${max}` };
+    }
+    return { value: number };
+}
+
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+    try {
+        const cursor = JSON.parse(Buffer.from(value, 'base64url').toString());
+        return cursor && typeof cursor.sort === 'string' && typeof cursor.value === 'string' && typeof cursor.id === 'string'
+            ? cursor
+            : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Read ?sort=-createdAt&cursor=...&limit=50&fields=id,status. `sorts` are the
+// fields the list can be sorted by and `fields` the ones it can return.
+// Returns { sort, descending, after, limit, fields } (fields null for all),
+// or { invalid: { param: message } }.
+function parseListQuery(query, { sorts, fields, defaultSort = '-createdAt' }) {
+    const invalid = {};
+
+    const sort = query.sort || defaultSort;
+    const sortField = sort.replace(/^-/, '');
+    if (!sorts.includes(sortField)) {
+        invalid.sort = `Must be one of: ${sorts.join(', ')}, with - first for descending`;
+    }
+
+    let after = null;
+    if (query.cursor) {
+        after = decodeCursor(query.cursor);
+        if (!after) invalid.cursor = 'Is not a valid cursor';
+        else if (after.sort !== sort) invalid.cursor = 'Was made for another sort';
+    }
+
+    const limit = parseWholeNumber(query.limit, { fallback: DEFAULT_LIMIT, max: MAX_LIMIT });
+    if (limit.invalid) invalid.limit = limit.invalid;
+
+    let selected = null;
+    if (query.fields) {
+        selected = query.fields.split(',').map(field => field.trim()).filter(Boolean);
+        const unknown = selected.filter(field => !fields.includes(field));
+        if (unknown.length > 0) invalid.fields = `Unknown fields: ${unknown.join(', ')}`;
+    }
+
+    if (Object.keys(invalid).length > 0) return { invalid };
+    return {
+        sort: sortField,
+        descending: sort.startsWith('-'),
+        after: after && { value: after.value, id: after.id },
+        limit: limit.value,
+        fields: selected
+    };
+}
+
+// Read ?limit=25&offset=50 for lists paged by offset (GET /api/search, GET /api/audit).
+// Returns { limit, offset } or { invalid: { param: message } }.
+function parseOffsetPage(query, { defaultLimit, maxLimit }) {
+    const limit = parseWholeNumber(query.limit, { fallback: defaultLimit, max: maxLimit });
+    const offset = parseWholeNumber(query.offset, { fallback: 0 });
+
+    const invalid = {};
+    if (limit.invalid) invalid.limit = limit.invalid;
+    if (offset.invalid) invalid.offset = offset.invalid;
+    if (Object.keys(invalid).length > 0) return { invalid };
+    return { limit: limit.value, offset: offset.value };
+}
+
+// Cursor for the page after `records`, or null when it was the last page
+function nextCursor(page, records, hasMore) {
+    const last = records[records.length - 1];
+    if (!hasMore || !last) return null;
+    return encodeCursor({
+        sort: (page.descending ? '-' : '') + page.sort,
+        value: last[page.sort] === null || last[page.sort] === undefined ? '' : String(last[page.sort]),
+        id: last.id
+    });
+}
+
+// The selected fields of a record; the id is always kept
+function pickFields(record, fields) {
+    if (!fields) return record;
+    const picked = { id: record.id };
+    for (const field of fields) {
+        picked[field] = record[field];
+    }
+    return picked;
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    parseListQuery,
+    parseOffsetPage,
+    nextCursor,
+    pickFields
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outgoing mail, behind one interface with a driver per transport:
+//   gmail   Google Workspace via EMAIL_USER / EMAIL_PASS (default)
+//   smtp    any SMTP server via SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   outbox  no network - each message is written to OUTBOX_DIR as an .eml file,
+//           for local development and tests
+// The driver is chosen with EMAIL_TRANSPORT.
+
+const TRANSPORTS = ['gmail', 'smtp', 'outbox'];
+
+const DRIVERS = {
+    gmail(env) {
+        return nodemailer.createTransport({
+            service: 'gmail',
+            auth: {
+                user: env.EMAIL_USER,
+                pass: env.EMAIL_PASS
+            }
+        });
+    },
+
+    smtp(env) {
+        return nodemailer.createTransport({
+            host: env.SMTP_HOST,
+            port: parseInt(env.SMTP_PORT) || 587,
+            secure: env.SMTP_SECURE === 'true',
+            auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+        });
+    },
+
+    outbox() {
+        return nodemailer.createTransport({
+            streamTransport: true,
+            buffer: true,
+            newline: 'unix'
+        });
+    }
+};
+
+class Mailer {
+    constructor({ transport = 'gmail', dataDir, env = process.env } = {}) {
+        if (!TRANSPORTS.includes(transport)) {
+            throw new Error(`Unknown EMAIL_TRANSPORT "${transport}" (expected one of: ${TRANSPORTS.join(', ')})`);
+        }
+        this.transport = transport;
+        this.outboxDir = env.OUTBOX_DIR || path.join(dataDir, 'outbox');
+        this.transporter = DRIVERS[transport](env);
+
+        // Sender and default recipient. The outbox needs no account, so it falls
+        // back to a placeholder address rather than refusing to send.
+        const fallback = transport === 'outbox' ? 'safety@localhost' : undefined;
+        this.fromAddress = env.EMAIL_FROM || env.EMAIL_USER || fallback;
+        this.toAddress = env.EMAIL_TO || env.EMAIL_USER || fallback;
+    }
+
+    // Human-readable description for the startup banner
+    describe() {
+        if (this.transport === 'outbox') return `outbox (${this.outboxDir})`;
+        return `${this.transport} (${this.fromAddress || 'not configured'})`;
+    }
+
+    // Check the configuration. Network drivers log in to the server; the outbox
+    // only needs its directory.
+    async verify() {
+        if (this.transport === 'outbox') {
+            fs.mkdirSync(this.outboxDir, { recursive: true });
+            return true;
+        }
+        return this.transporter.verify();
+    }
+
+    // Send a nodemailer message. Resolves to { messageId, file? }; `file` is the
+    // .eml path when the outbox driver is used.
+    async sendMail(mailOptions) {
+        const info = await this.transporter.sendMail(mailOptions);
+        if (this.transport !== 'outbox') {
+            return { messageId: info.messageId };
+        }
+
+        fs.mkdirSync(this.outboxDir, { recursive: true });
+        const safeId = info.messageId.replace(/[^A-Za-z0-9.-]/g, '_');
+        const file = path.join(this.outboxDir, `${Date.now()}-${safeId}.eml`);
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, info.message);
+        fs.renameSync(tmp, file);
+        return { messageId: info.messageId, file };
+    }
+}
+
+Mailer.TRANSPORTS = TRANSPORTS;
+
+module.exports = Mailer;
@@ -0,0 +1,57 @@
+// Fuzzy matching of names typed by people: worker names, client companies,
+// job sites. Names are compared by their key: accents and punctuation
+// dropped, lower case, single spaces, so "Geissa Romero" and
+// "geissa romero " are the same name.
+
+function nameKey(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function similarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 0 : 1 - editDistance(a, b) / longest;
+}
+
+// How well a typed (possibly unfinished) name matches a name key, from 0 to 1.
+// Each typed word is compared with the closest word of the name, so
+// "geis rom", "romero geissa" and "gesa romero" all find "Geissa Romero".
+function nameScore(typed, key) {
+    if (!typed || !key) return 0;
+    if (typed === key) return 1;
+
+    const words = key.split(' ');
+    const typedWords = typed.split(' ');
+    const wordScores = typedWords.map(word => Math.max(...words.map(candidate => {
+        if (candidate === word) return 1;
+        if (candidate.startsWith(word)) return 0.95;
+        return similarity(word, candidate);
+    })));
+    const byWord = wordScores.reduce((sum, score) => sum + score, 0) / typedWords.length;
+    return Math.min(Math.max(similarity(typed, key), byWord), 0.99);
+}
+
+module.exports = {
+    nameKey,
+    nameScore
+};
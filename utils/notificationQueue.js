@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+
+// Durable outgoing notification queue. Every notification is stored in the
+// notifications table before the first delivery attempt, so a rejected or
+// timed-out send is retried instead of lost.
+//
+// Status lifecycle:
+//   queued  stored, not attempted yet
+//   sent    delivered
+//   failed  last attempt failed, retried at next_attempt_at (exponential backoff)
+//   dead    gave up after max_attempts
+//
+// Notifications are deduplicated by key (e.g. one injury report email per
+// report), so a resubmitted report does not notify twice.
+
+const STATUSES = ['queued', 'sent', 'failed', 'dead'];
+
+class NotificationQueue {
+    // senders: { channel: async (payload, notification) => ({ messageId }) }
+    constructor({ db, senders, maxAttempts = 5, baseDelayMs = 60000, maxDelayMs = 6 * 60 * 60 * 1000, pollIntervalMs = 30000 }) {
+        this.db = db;
+        this.senders = senders;
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.pollIntervalMs = pollIntervalMs;
+        this.inFlight = new Map(); // notification id -> attempt under way
+        this.timer = null;
+        this.polling = false;
+        this.pollAgain = false;
+        this.stopped = false;
+        this.pass = Promise.resolve(); // settles when the running pass ends
+    }
+
+    // Delay before the next attempt after `attempts` failures: base, 2x, 4x ... capped
+    backoffMs(attempts) {
+        return Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+    }
+
+    // Store a notification unless one with the same dedup key exists.
+    // Returns { notification, duplicate }. A dead notification is re-queued
+    // with the new payload, since resubmitting is the way to retry it.
+    enqueue({ reportId = null, channel, kind, recipient = null, dedupKey, payload }) {
+        if (!this.senders[channel]) {
+            throw new Error(`No sender configured for channel "${channel}"`);
+        }
+
+        return this.db.transaction(() => {
+            const now = new Date();
+            const existing = this.db.getNotificationByDedupKey(dedupKey);
+
+            if (existing && existing.status !== 'dead') {
+                return { notification: existing, duplicate: true };
+            }
+
+            if (existing) {
+                const notification = this.db.updateNotification(existing.id, {
+                    recipient,
+                    status: 'queued',
+                    attempts: 0,
+                    maxAttempts: this.maxAttempts,
+                    nextAttemptAt: now.getTime(),
+                    lastError: null,
+                    payload,
+                    updatedAt: now.toISOString()
+                });
+                return { notification, duplicate: false };
+            }
+
+            const notification = this.db.insertNotification({
+                id: `NTF-${crypto.randomUUID()}`,
+                reportId,
+                channel,
+                kind,
+                recipient,
+                dedupKey,
+                status: 'queued',
+                attempts: 0,
+                maxAttempts: this.maxAttempts,
+                nextAttemptAt: now.getTime(),
+                payload,
+                createdAt: now.toISOString()
+            });
+            return { notification, duplicate: false };
+        });
+    }
+
+    // Make one delivery attempt and record the outcome. Returns the updated
+    // notification. Nothing is sent if it was delivered since it was read (the
+    // caller may hold a stale copy); an attempt already under way is waited
+    // for instead of repeated.
+    async deliver(notification) {
+        if (this.inFlight.has(notification.id)) {
+            return this.inFlight.get(notification.id);
+        }
+        const current = this.db.getNotification(notification.id);
+        if (!current || !['queued', 'failed'].includes(current.status)) {
+            return current || notification;
+        }
+
+        const attempt = this.attempt(current);
+        this.inFlight.set(current.id, attempt);
+        try {
+            return await attempt;
+        } finally {
+            this.inFlight.delete(current.id);
+        }
+    }
+
+    // Send once and record the outcome: sent, failed or dead
+    async attempt(notification) {
+        const attempts = notification.attempts + 1;
+        try {
+            const result = await this.senders[notification.channel](notification.payload, notification);
+            const now = new Date().toISOString();
+            return this.db.updateNotification(notification.id, {
+                status: 'sent',
+                attempts,
+                lastError: null,
+                messageId: result && result.messageId ? result.messageId : null,
+                sentAt: now,
+                updatedAt: now
+            });
+        } catch (error) {
+            // Senders flag errors that retrying cannot fix as permanent
+            const dead = error.permanent === true || attempts >= notification.maxAttempts;
+            console.error(`❌ Notification ${notification.id} attempt ${attempts} failed:`, error.message);
+            return this.db.updateNotification(notification.id, {
+                status: dead ? 'dead' : 'failed',
+                attempts,
+                nextAttemptAt: Date.now() + this.backoffMs(attempts),
+                lastError: error.message,
+                updatedAt: new Date().toISOString()
+            });
+        }
+    }
+
+    // Attempt every notification that is due. Returns the number attempted.
+    async processDue(now = Date.now()) {
+        const due = this.db.getDueNotifications(now);
+        for (const notification of due) {
+            if (this.stopped) break;
+            await this.deliver(notification);
+        }
+        return due.length;
+    }
+
+    // One polling pass. If a pass is already running, another one follows it
+    // so notifications queued meanwhile are not left for the next interval.
+    async poll() {
+        if (this.stopped) return;
+        if (this.polling) {
+            this.pollAgain = true;
+            return;
+        }
+        this.polling = true;
+        let ended;
+        this.pass = new Promise(resolve => { ended = resolve; });
+        try {
+            do {
+                this.pollAgain = false;
+                await this.processDue();
+            } while (this.pollAgain && !this.stopped);
+        } catch (error) {
+            console.error('Notification queue error:', error);
+        } finally {
+            this.polling = false;
+            ended();
+        }
+    }
+
+    // Deliver newly queued notifications without waiting for the next poll.
+    // Deferred, so a notification queued inside a transaction is sent after commit.
+    kick() {
+        setImmediate(() => this.poll());
+    }
+
+    start() {
+        this.stopped = false;
+        if (this.timer) return;
+        this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+        this.timer.unref();
+    }
+
+    // Stop polling, including passes asked for by kick(). Resolves once the
+    // running pass and every delivery under way have recorded their outcome.
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.stopped = true;
+        await Promise.allSettled([this.pass, ...this.inFlight.values()]);
+    }
+}
+
+NotificationQueue.STATUSES = STATUSES;
+
+module.exports = NotificationQueue;
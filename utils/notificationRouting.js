@@ -0,0 +1,102 @@
+// Picks the recipients of a report notification from the routing rules.
+//
+// A rule matches when every condition it sets matches the report; a condition
+// that is empty or unset matches anything:
+//   clients          report.client is one of them
+//   classifications  report.reportClassification is one of them
+//   injuryTypes      report.injuryType is one of them
+//   bodyParts        report.bodyParts contains at least one of them
+//   drugTestRefused  true: the employee refused the drug test; false: did not
+// Text comparisons ignore case and surrounding whitespace. Recipients (email
+// and SMS) of all matching rules are added to the default recipients.
+
+function normalize(value) {
+    return String(value ?? '').trim().toLowerCase();
+}
+
+function isSet(values) {
+    return Array.isArray(values) && values.length > 0;
+}
+
+function includesValue(values, value) {
+    const wanted = normalize(value);
+    return values.some(v => normalize(v) === wanted);
+}
+
+function matchesRule(rule, report) {
+    if (isSet(rule.clients) && !includesValue(rule.clients, report.client)) {
+        return false;
+    }
+    if (isSet(rule.classifications) && !includesValue(rule.classifications, report.reportClassification)) {
+        return false;
+    }
+    if (isSet(rule.injuryTypes) && !includesValue(rule.injuryTypes, report.injuryType)) {
+        return false;
+    }
+    if (isSet(rule.bodyParts)) {
+        const bodyParts = Array.isArray(report.bodyParts) ? report.bodyParts : [];
+        if (!bodyParts.some(part => includesValue(rule.bodyParts, part))) {
+            return false;
+        }
+    }
+    if (rule.drugTestRefused !== null && rule.drugTestRefused !== undefined) {
+        const refused = !!(report.drugTest && report.drugTest.refused);
+        if (refused !== rule.drugTestRefused) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Add addresses (or phone numbers) to a list, skipping blanks and any
+// address already in `seen`
+function addAddresses(target, addresses, seen) {
+    for (const address of addresses || []) {
+        const key = normalize(address);
+        if (key && !seen.has(key)) {
+            seen.add(key);
+            target.push(address.trim());
+        }
+    }
+}
+
+// Resolve { to, cc, bcc, sms, matchedRules } for a report. Each address appears once,
+// in the most visible field it was routed to (to, then cc, then bcc).
+function resolveRecipients(rules, report, defaults = {}) {
+    const matched = rules.filter(rule => rule.active !== false && matchesRule(rule, report));
+    const seen = new Set();
+    const to = [];
+    const cc = [];
+    const bcc = [];
+
+    addAddresses(to, defaults.to, seen);
+    matched.forEach(rule => addAddresses(to, rule.recipients, seen));
+    addAddresses(cc, defaults.cc, seen);
+    matched.forEach(rule => addAddresses(cc, rule.cc, seen));
+    addAddresses(bcc, defaults.bcc, seen);
+    matched.forEach(rule => addAddresses(bcc, rule.bcc, seen));
+
+    const sms = [];
+    const seenPhones = new Set();
+    addAddresses(sms, defaults.sms, seenPhones);
+    matched.forEach(rule => addAddresses(sms, rule.sms, seenPhones));
+
+    return {
+        to,
+        cc,
+        bcc,
+        sms,
+        matchedRules: matched.map(rule => ({ id: rule.id, name: rule.name }))
+    };
+}
+
+// Split a comma-separated address (or phone number) list from the environment
+function parseAddressList(value) {
+    return (value || '').split(',').map(address => address.trim()).filter(Boolean);
+}
+
+module.exports = {
+    matchesRule,
+    resolveRecipients,
+    parseAddressList
+};
@@ -0,0 +1,230 @@
+// OSHA injury and illness recordkeeping (29 CFR 1904): the 300 log, the 300A
+// annual summary, the 301 incident report and a reconciliation check.
+//
+// A case is on an establishment's log when it is marked recordable and its
+// injury date falls in the year. The establishment is the case's
+// `establishment`, or its client when that is not set.
+
+const { ILLNESS_CATEGORIES } = require('../models/schemas');
+
+// Day counts on the 300 log are capped at 180 (29 CFR 1904.7(b)(3)(vii))
+const MAX_DAYS = 180;
+
+// Case fields that hold OSHA data, copied as-is from API payloads
+const OSHA_CASE_FIELDS = [
+    'establishment', 'jobTitle', 'recordable', 'illnessCategory', 'daysAway', 'restrictedDays',
+    'death', 'dateOfDeath', 'privacyCase', 'physicianName', 'treatmentFacility', 'emergencyRoom', 'hospitalized'
+];
+
+const ILLNESS_LABELS = {
+    injury: 'Injury',
+    skin_disorder: 'Skin disorder',
+    respiratory: 'Respiratory condition',
+    poisoning: 'Poisoning',
+    hearing_loss: 'Hearing loss',
+    other_illness: 'All other illnesses'
+};
+
+function establishmentOf(caseRecord) {
+    return (caseRecord.establishment || caseRecord.client || '').trim();
+}
+
+function sameEstablishment(a, b) {
+    return a.toLowerCase() === b.toLowerCase();
+}
+
+function caseYear(caseRecord) {
+    return caseRecord.injuryDate ? parseInt(caseRecord.injuryDate.slice(0, 4)) : null;
+}
+
+// Most serious outcome, which decides the single column checked in G-J
+function caseOutcome(caseRecord) {
+    if (caseRecord.death) return 'death';
+    if (caseRecord.daysAway > 0) return 'days_away';
+    if (caseRecord.restrictedDays > 0) return 'restricted';
+    return 'other_recordable';
+}
+
+function cappedDays(days) {
+    return Math.min(days || 0, MAX_DAYS);
+}
+
+// Recordable cases for an establishment and year. Undated cases belong to no
+// year, but reconciliation includes them so they can be flagged.
+function recordableCases(cases, { establishment, year, includeUndated = false }) {
+    return cases
+        .filter(c => c.recordable === true)
+        .filter(c => !year || caseYear(c) === year || (includeUndated && !c.injuryDate))
+        .filter(c => !establishment || sameEstablishment(establishmentOf(c), establishment))
+        .sort((a, b) => (a.injuryDate || '').localeCompare(b.injuryDate || '') || a.id.localeCompare(b.id));
+}
+
+// One OSHA 300 row. Privacy cases hide the employee's name (1904.29(b)(6)).
+// `report` is the linked injury report, if any, for the location of the event.
+function logRow(caseRecord, report) {
+    const outcome = caseOutcome(caseRecord);
+    const injuryDescription = [caseRecord.injuryType, (caseRecord.bodyParts || []).join(', ')]
+        .filter(Boolean)
+        .join(' - ');
+
+    return {
+        caseNumber: caseRecord.id,
+        employeeName: caseRecord.privacyCase ? 'Privacy Case' : caseRecord.employeeName,
+        jobTitle: caseRecord.jobTitle || '',
+        injuryDate: caseRecord.injuryDate || '',
+        location: report ? report.location || '' : '',
+        description: injuryDescription,
+        death: outcome === 'death',
+        daysAwayCase: outcome === 'days_away',
+        restrictedCase: outcome === 'restricted',
+        otherRecordable: outcome === 'other_recordable',
+        daysAway: cappedDays(caseRecord.daysAway),
+        restrictedDays: cappedDays(caseRecord.restrictedDays),
+        illnessCategory: caseRecord.illnessCategory || ''
+    };
+}
+
+// OSHA 300 log for one establishment and year
+function build300Log(cases, { establishment, year, reportsById = new Map() }) {
+    return recordableCases(cases, { establishment, year })
+        .map(c => logRow(c, c.reportId ? reportsById.get(c.reportId) : null));
+}
+
+// OSHA 300A summary from the 300 log rows. `hours` is the establishment-year
+// record ({ hoursWorked, averageEmployees }) or null if not entered yet.
+function build300ASummary(rows, { establishment, year, hours }) {
+    const count = predicate => rows.filter(predicate).length;
+    const categories = {};
+    for (const category of ILLNESS_CATEGORIES) {
+        categories[category] = count(row => row.illnessCategory === category);
+    }
+
+    const hoursWorked = hours ? hours.hoursWorked : null;
+    const recordableCount = rows.length;
+    const dartCount = count(row => row.daysAwayCase || row.restrictedCase);
+    // Incidence rates per 100 full-time workers (200,000 hours)
+    const rate = cases => hoursWorked > 0 ? Math.round(cases * 200000 / hoursWorked * 100) / 100 : null;
+
+    return {
+        establishment,
+        year,
+        deaths: count(row => row.death),
+        daysAwayCases: count(row => row.daysAwayCase),
+        restrictedCases: count(row => row.restrictedCase),
+        otherRecordableCases: count(row => row.otherRecordable),
+        totalDaysAway: rows.reduce((sum, row) => sum + row.daysAway, 0),
+        totalRestrictedDays: rows.reduce((sum, row) => sum + row.restrictedDays, 0),
+        illnessCategories: categories,
+        averageEmployees: hours ? hours.averageEmployees : null,
+        hoursWorked,
+        totalRecordableRate: rate(recordableCount),
+        dartRate: rate(dartCount)
+    };
+}
+
+// OSHA 301 incident report for one case
+function build301(caseRecord, report) {
+    return {
+        caseNumber: caseRecord.id,
+        establishment: establishmentOf(caseRecord),
+        employeeName: caseRecord.employeeName,
+        jobTitle: caseRecord.jobTitle || '',
+        injuryDate: caseRecord.injuryDate || '',
+        incidentTime: report ? report.incidentTime || '' : '',
+        location: report ? report.location || '' : '',
+        injuryType: caseRecord.injuryType || '',
+        bodyParts: (caseRecord.bodyParts || []).join(', '),
+        illnessCategory: ILLNESS_LABELS[caseRecord.illnessCategory] || '',
+        whatHappened: caseRecord.description || (report ? report.description || '' : ''),
+        physicianName: caseRecord.physicianName || '',
+        treatmentFacility: caseRecord.treatmentFacility || '',
+        emergencyRoom: caseRecord.emergencyRoom === true,
+        hospitalized: caseRecord.hospitalized === true,
+        death: caseRecord.death === true,
+        dateOfDeath: caseRecord.dateOfDeath || '',
+        reportId: caseRecord.reportId || '',
+        completedBy: report ? [report.reporterName, report.reporterPosition].filter(Boolean).join(', ') : ''
+    };
+}
+
+// Problems that keep recordable cases off a correct log, and establishments
+// with recordable cases but no hours for the 300A. Each issue is
+// { caseId, establishment, field, message } for a case, or
+// { establishment, year, field, message } for missing hours.
+function reconcile(cases, { year, establishment, establishmentYears = [] }) {
+    const issues = [];
+    const recordable = recordableCases(cases, { establishment, year, includeUndated: true });
+
+    for (const c of recordable) {
+        const add = (field, message) => issues.push({ caseId: c.id, establishment: establishmentOf(c), field, message });
+
+        if (!establishmentOf(c)) add('establishment', 'Establishment (or client) is required');
+        if (!c.injuryDate) add('injuryDate', 'Date of injury is required');
+        if (!c.jobTitle) add('jobTitle', 'Job title is required');
+        if (!c.illnessCategory) add('illnessCategory', 'Injury or illness category is required');
+        if (!c.injuryType && !c.description) add('description', 'A description of the injury is required');
+        if (c.death && !c.dateOfDeath) add('dateOfDeath', 'Date of death is required when the employee died');
+        if (!c.death && c.daysAway === null && c.restrictedDays === null) {
+            add('daysAway', 'Enter days away and restricted days (0 if none)');
+        }
+    }
+
+    const establishments = new Map();
+    for (const c of recordable) {
+        const name = establishmentOf(c);
+        const logYear = caseYear(c);
+        const key = `${name.toLowerCase()}|${logYear}`;
+        if (name && logYear && !establishments.has(key)) establishments.set(key, { name, logYear });
+    }
+    for (const { name, logYear } of establishments.values()) {
+        const hasHours = establishmentYears.some(e => sameEstablishment(e.establishment, name) && e.year === logYear);
+        if (!hasHours) {
+            issues.push({ establishment: name, year: logYear, field: 'hoursWorked', message: `Hours worked for ${logYear} are not entered (needed for the 300A)` });
+        }
+    }
+
+    return issues;
+}
+
+// 300 log row as printed: checked outcome columns as "X", category as its label
+function formatLogRow(row) {
+    const mark = value => value ? 'X' : '';
+    return {
+        ...row,
+        death: mark(row.death),
+        daysAwayCase: mark(row.daysAwayCase),
+        restrictedCase: mark(row.restrictedCase),
+        otherRecordable: mark(row.otherRecordable),
+        illnessCategory: ILLNESS_LABELS[row.illnessCategory] || ''
+    };
+}
+
+const LOG_COLUMNS = [
+    { key: 'caseNumber', label: '(A) Case no.' },
+    { key: 'employeeName', label: '(B) Employee name' },
+    { key: 'jobTitle', label: '(C) Job title' },
+    { key: 'injuryDate', label: '(D) Date of injury' },
+    { key: 'location', label: '(E) Where the event occurred' },
+    { key: 'description', label: '(F) Description' },
+    { key: 'death', label: '(G) Death' },
+    { key: 'daysAwayCase', label: '(H) Days away from work' },
+    { key: 'restrictedCase', label: '(I) Job transfer or restriction' },
+    { key: 'otherRecordable', label: '(J) Other recordable' },
+    { key: 'daysAway', label: '(K) Days away' },
+    { key: 'restrictedDays', label: '(L) Days on restriction' },
+    { key: 'illnessCategory', label: '(M) Injury or illness' }
+];
+
+module.exports = {
+    OSHA_CASE_FIELDS,
+    ILLNESS_LABELS,
+    LOG_COLUMNS,
+    establishmentOf,
+    caseOutcome,
+    recordableCases,
+    build300Log,
+    formatLogRow,
+    build300ASummary,
+    build301,
+    reconcile
+};
@@ -0,0 +1,43 @@
+// Report ID helpers.
+// Server-issued IDs look like CWS-1001-2025-11-05 (serial CWS-1001).
+// Devices that cannot reach the server use a provisional CWS-TMP-<hex>-YYYY-MM-DD
+// ID, which POST /api/reports replaces with a real serial when the report lands.
+
+const PROVISIONAL_PREFIX = 'CWS-TMP-';
+
+// Calendar date in Texas Central Time, formatted YYYY-MM-DD
+function texasDate(date = new Date()) {
+    return date.toLocaleDateString('en-CA', { timeZone: 'America/Chicago' });
+}
+
+function formatReportId(serial, dateStr = texasDate()) {
+    return {
+        reportId: `CWS-${serial}-${dateStr}`,
+        serialNumber: `CWS-${serial}`
+    };
+}
+
+function isProvisionalId(id) {
+    return typeof id === 'string' && id.startsWith(PROVISIONAL_PREFIX);
+}
+
+// Date embedded at the end of a report ID, or null if it has none
+function dateFromReportId(id) {
+    const match = typeof id === 'string' && id.match(/(\d{4}-\d{2}-\d{2})$/);
+    return match ? match[1] : null;
+}
+
+// Numeric serial from "CWS-1001" or "CWS-1001-2025-11-05", or null
+function parseSerial(value) {
+    const match = typeof value === 'string' && value.match(/^CWS-(\d+)(?:-|$)/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+module.exports = {
+    PROVISIONAL_PREFIX,
+    texasDate,
+    formatReportId,
+    isProvisionalId,
+    dateFromReportId,
+    parseSerial
+};
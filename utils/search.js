@@ -0,0 +1,109 @@
+// Full-text and faceted search over reports and cases (GET /api/search).
+//
+// The search runs in SQLite (see searchDocuments in models/database.js) over
+// the search_documents table and its search_text full-text index. A document
+// matches the text query when every term of it starts a word of the employee
+// name, client, location or description, ignoring case, accents and
+// punctuation. Facet counts are taken over the documents that match the query
+// and every other filter, so each facet lists the values it can be narrowed or
+// widened to. This module holds the parts shared with the route: the query
+// terms, field weights, body regions and highlights.
+
+const { escapeHtml } = require('./html');
+const { nameKey } = require('./nameMatch');
+
+// Searched fields, and how much a term found in each adds to the score
+const TEXT_FIELDS = {
+    employeeName: 3,
+    client: 2,
+    location: 2,
+    description: 1
+};
+
+// Body parts as picked on the report form ("Left Index Finger (Back)") are
+// counted by region. A part is in the first region one of whose words it contains.
+const BODY_REGIONS = {
+    head: ['head', 'face', 'ear'],
+    neck: ['neck'],
+    shoulder: ['shoulder'],
+    arm: ['upper arm', 'elbow', 'forearm'],
+    wrist: ['wrist'],
+    hand: ['hand', 'palm', 'thumb', 'finger'],
+    back: ['upper back', 'lower back'],
+    trunk: ['chest', 'abdomen', 'pelvis', 'groin', 'buttocks'],
+    leg: ['thigh', 'hamstring', 'knee', 'shin', 'calf'],
+    ankle: ['ankle', 'achilles'],
+    foot: ['foot', 'heel', 'toe']
+};
+
+// Longest description excerpt returned as a highlight
+const SNIPPET_LENGTH = 200;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+function bodyRegion(part) {
+    const key = ` ${nameKey(part)} `;
+    const region = Object.keys(BODY_REGIONS)
+        .find(name => BODY_REGIONS[name].some(word => key.includes(` ${word} `)));
+    return region || 'other';
+}
+
+// First and last date of a quarter: { from, to }
+function quarterRange(quarter) {
+    const [year, number] = quarter.split('-Q').map(Number);
+    const lastDay = new Date(Date.UTC(year, number * 3, 0)).toISOString().slice(0, 10);
+    return { from: `${year}-${String(number * 3 - 2).padStart(2, '0')}-01`, to: lastDay };
+}
+
+// Words of a search query, as name keys
+function queryTerms(q) {
+    return nameKey(q).split(' ').filter(Boolean);
+}
+
+const startsTerm = (word, terms) => terms.some(term => word.startsWith(term));
+
+// Text with the words that start a term wrapped in <mark>, as escaped HTML.
+// Long text is cut to the part around the first match.
+function highlight(text, terms) {
+    const value = String(text || '');
+    const words = [...value.matchAll(WORD_PATTERN)].filter(match => startsTerm(nameKey(match[0]), terms));
+    if (words.length === 0) return null;
+
+    let start = 0;
+    let end = value.length;
+    if (value.length > SNIPPET_LENGTH) {
+        // Start at a word boundary a little before the first match
+        start = Math.max(0, words[0].index - SNIPPET_LENGTH / 4);
+        const space = value.indexOf(' ', start);
+        if (start > 0 && space !== -1 && space < words[0].index) start = space + 1;
+        end = Math.min(value.length, start + SNIPPET_LENGTH);
+    }
+
+    let result = start > 0 ? '…' : '';
+    let position = start;
+    for (const match of words) {
+        if (match.index < start || match.index + match[0].length > end) continue;
+        result += escapeHtml(value.slice(position, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        position = match.index + match[0].length;
+    }
+    result += escapeHtml(value.slice(position, end)) + (end < value.length ? '…' : '');
+    return result;
+}
+
+function highlights(doc, terms) {
+    const marked = {};
+    for (const field of Object.keys(TEXT_FIELDS)) {
+        const text = highlight(doc[field], terms);
+        if (text) marked[field] = text;
+    }
+    return marked;
+}
+
+module.exports = {
+    TEXT_FIELDS,
+    BODY_REGIONS,
+    bodyRegion,
+    quarterRange,
+    queryTerms,
+    highlights
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing SMS, behind one interface with a driver per gateway:
+//   none  SMS disabled (default)
+//   http  generic HTTP gateway: POST SMS_GATEWAY_URL with { to, from, body } as JSON
+//         and SMS_GATEWAY_TOKEN as a bearer token
+//   fake  no network - each message is written to SMS_OUTBOX_DIR as a .json file,
+//         for local development and tests
+// The driver is chosen with SMS_TRANSPORT.
+
+const TRANSPORTS = ['none', 'http', 'fake'];
+
+const SEND_TIMEOUT_MS = 10000;
+
+class SmsGateway {
+    constructor({ transport = 'none', dataDir, env = process.env } = {}) {
+        if (!TRANSPORTS.includes(transport)) {
+            throw new Error(`Unknown SMS_TRANSPORT "${transport}" (expected one of: ${TRANSPORTS.join(', ')})`);
+        }
+        this.transport = transport;
+        this.url = env.SMS_GATEWAY_URL;
+        this.token = env.SMS_GATEWAY_TOKEN;
+        this.from = env.SMS_FROM || null;
+        this.outboxDir = env.SMS_OUTBOX_DIR || path.join(dataDir, 'sms-outbox');
+    }
+
+    get enabled() {
+        return this.transport !== 'none';
+    }
+
+    describe() {
+        if (this.transport === 'fake') return `fake (${this.outboxDir})`;
+        if (this.transport === 'http') return `http (${this.url || 'not configured'})`;
+        return 'disabled';
+    }
+
+    // Send one message. Resolves to { messageId, file? }; `file` is the .json
+    // path when the fake driver is used.
+    async send({ to, body }) {
+        if (this.transport === 'fake') {
+            const messageId = crypto.randomUUID();
+            fs.mkdirSync(this.outboxDir, { recursive: true });
+            const file = path.join(this.outboxDir, `${Date.now()}-${messageId}.json`);
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify({ messageId, to, from: this.from, body }, null, 2));
+            fs.renameSync(`${file}.tmp`, file);
+            return { messageId, file };
+        }
+
+        if (this.transport === 'http') {
+            if (!this.url) {
+                throw new Error('SMS_GATEWAY_URL is not set');
+            }
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.token ? { Authorization: `Bearer ${this.token}` } : {})
+                },
+                body: JSON.stringify({ to, from: this.from, body }),
+                signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+            });
+            if (!response.ok) {
+                throw new Error(`SMS gateway responded with ${response.status}`);
+            }
+            const result = await response.json().catch(() => ({}));
+            return { messageId: result.id || result.messageId || null };
+        }
+
+        throw new Error('SMS is disabled (SMS_TRANSPORT=none)');
+    }
+}
+
+SmsGateway.TRANSPORTS = TRANSPORTS;
+
+module.exports = SmsGateway;
@@ -0,0 +1,51 @@
+// Conflict detection for /api/sync. A client pushes the fields it changed on a
+// record along with the `revision` its copy was based on. A field was edited
+// on both sides when the client sent it, the server changed it after that
+// revision, and the two values now differ. A client that never saw the
+// record sends no revision and is treated as based on revision 0, so every
+// field it sends that differs from the server is a conflict.
+
+const { sameValue } = require('./audit');
+
+// The fields of `record` that are listed in `fields` and were sent
+function pickSent(record, fields) {
+    const sent = {};
+    for (const field of fields) {
+        if (record[field] !== undefined) sent[field] = record[field];
+    }
+    return sent;
+}
+
+function changedSince(fieldRevisions, field, baseRevision) {
+    // Fields missing from the map have not changed since revision 1
+    return (fieldRevisions[field] || 1) > baseRevision;
+}
+
+// { field: { client, server } } for the sent fields edited on both sides
+function conflictingFields(sent, current, fieldRevisions, baseRevision = 0) {
+    const fields = {};
+    for (const [field, value] of Object.entries(sent)) {
+        if (!changedSince(fieldRevisions, field, baseRevision)) continue;
+        if (sameValue(value, current[field])) continue;
+        fields[field] = { client: value, server: current[field] ?? null };
+    }
+    return fields;
+}
+
+// { field: { client: null, server } } for a record the client deleted: every
+// field among `fields` the server changed after the client's revision
+function fieldsChangedSince(current, fieldRevisions, baseRevision, fields) {
+    const changed = {};
+    for (const field of fields) {
+        if (changedSince(fieldRevisions, field, baseRevision)) {
+            changed[field] = { client: null, server: current[field] ?? null };
+        }
+    }
+    return changed;
+}
+
+module.exports = {
+    pickSent,
+    conflictingFields,
+    fieldsChangedSince
+};
@@ -0,0 +1,132 @@
+// Minimal declarative validator for API payloads.
+//
+// A schema maps field names to rules:
+//   type      'string' | 'number' | 'integer' | 'boolean' | 'date' (YYYY-MM-DD) | 'time' (HH:MM)
+//             | 'datetime' (ISO 8601, date-only allowed) | 'array' | 'object'
+//   required  field must be present and non-empty
+//   enum      allowed values
+//   maxLength maximum string length
+//   min, max  numeric bounds
+//   pattern   RegExp a string must match
+//   items     rule applied to each array element
+//   message   custom error text for pattern/enum failures
+//
+// Missing optional fields, null and '' are treated as "not provided".
+
+function isRealDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!match) return false;
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isDateTime(value) {
+    if (isRealDate(value)) return true;
+    return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(value)
+        && isRealDate(value.slice(0, 10))
+        && !Number.isNaN(Date.parse(value));
+}
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    date: value => typeof value === 'string' && isRealDate(value),
+    time: value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value),
+    datetime: value => typeof value === 'string' && isDateTime(value),
+    array: value => Array.isArray(value),
+    object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+const TYPE_MESSAGES = {
+    string: 'Must be text',
+    number: 'Must be a number',
+    integer: 'Must be a whole number',
+    boolean: 'Must be true or false',
+    date: 'Must be a valid date (YYYY-MM-DD)',
+    time: 'Must be a valid time (HH:MM)',
+    datetime: 'Must be a valid date and time',
+    array: 'Must be a list',
+    object: 'Must be an object'
+};
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Check one value against one rule; returns an error message or null
+function checkValue(value, rule) {
+    if (!TYPE_CHECKS[rule.type](value)) {
+        return TYPE_MESSAGES[rule.type];
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return rule.message || `Must be one of: ${rule.enum.join(', ')}`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `Must be at most ${rule.maxLength} characters`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        return `Must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return `Must be at most ${rule.max}`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+        return rule.message || 'Has an invalid format';
+    }
+    return null;
+}
+
+// Validate data against a schema. Returns { field: message } for every invalid
+// field, or null when valid. With { partial: true } (updates), required fields
+// that are absent are allowed - only the fields sent are checked.
+function validate(schema, data, { partial = false, prefix = '' } = {}) {
+    const errors = {};
+
+    if (!TYPE_CHECKS.object(data)) {
+        return { [prefix || '_']: 'Must be an object' };
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = data[field];
+        const key = prefix + field;
+
+        if (isEmpty(value)) {
+            if (rule.required && !(partial && value === undefined)) {
+                errors[key] = 'Required';
+            }
+            continue;
+        }
+
+        const error = checkValue(value, rule);
+        if (error) {
+            errors[key] = error;
+            continue;
+        }
+
+        if (rule.type === 'array' && rule.items) {
+            value.forEach((item, index) => {
+                const itemError = checkValue(item, rule.items);
+                if (itemError) errors[`${key}[${index}]`] = itemError;
+            });
+        }
+    }
+
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+// Standard 400 response for validation failures
+function sendValidationError(res, fields) {
+    return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        fields
+    });
+}
+
+module.exports = {
+    validate,
+    sendValidationError
+};
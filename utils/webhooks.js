@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// Signed outgoing webhooks. Events are queued through the notification queue
+// (channel "webhook"), one delivery per subscribed webhook, so they are retried
+// like email.
+//
+// Each delivery is a JSON POST:
+//   { "id": "<delivery id>", "event": "case.closed", "occurredAt": "...", "data": { ... } }
+// with headers
+//   X-CWS-Event       event name
+//   X-CWS-Delivery    delivery id (stable across retries, use it to deduplicate)
+//   X-CWS-Signature   sha256=<hex HMAC-SHA256 of the raw body, keyed with the webhook secret>
+
+const WEBHOOK_EVENTS = ['report.created', 'case.created', 'case.closed', 'expense.added'];
+
+const SEND_TIMEOUT_MS = 10000;
+
+function signPayload(secret, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+class WebhookDispatcher {
+    constructor({ db, queue }) {
+        this.db = db;
+        this.queue = queue;
+    }
+
+    // Queue an event for every active webhook subscribed to it. Call inside the
+    // transaction that makes the change, so the event is only queued if the
+    // change is committed. `dedupId` identifies the occurrence (defaults to the
+    // entity id); an event is delivered once per webhook and occurrence.
+    emit(event, data, { entityId, reportId = null, dedupId = entityId }) {
+        if (!WEBHOOK_EVENTS.includes(event)) {
+            throw new Error(`Unknown webhook event: ${event}`);
+        }
+
+        const webhooks = this.db.getWebhooks({ activeOnly: true })
+            .filter(webhook => webhook.events.includes(event));
+
+        for (const webhook of webhooks) {
+            this.queue.enqueue({
+                reportId,
+                channel: 'webhook',
+                kind: event,
+                recipient: webhook.url,
+                dedupKey: `webhook:${webhook.id}:${event}:${dedupId}`,
+                payload: {
+                    webhookId: webhook.id,
+                    event,
+                    occurredAt: new Date().toISOString(),
+                    data
+                }
+            });
+        }
+
+        if (webhooks.length > 0) {
+            this.queue.kick();
+        }
+        return webhooks.length;
+    }
+
+    // Queue sender for the "webhook" channel
+    async send(payload, notification) {
+        const webhook = this.db.getWebhook(payload.webhookId);
+        if (!webhook || !webhook.active) {
+            throw Object.assign(new Error('Webhook was removed or disabled'), { permanent: true });
+        }
+
+        const body = JSON.stringify({
+            id: notification.id,
+            event: payload.event,
+            occurredAt: payload.occurredAt,
+            data: payload.data
+        });
+
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'CWS-Safety-Webhooks/1.0',
+                'X-CWS-Event': payload.event,
+                'X-CWS-Delivery': notification.id,
+                'X-CWS-Signature': signPayload(webhook.secret, body)
+            },
+            body,
+            signal: AbortSignal.timeout(SEND_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook responded with ${response.status}`);
+        }
+        return { messageId: notification.id };
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WebhookDispatcher,
+    signPayload,
+    generateSecret
+};
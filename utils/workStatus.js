@@ -0,0 +1,87 @@
+// Injured worker's work status over time, from the case's status changes.
+//
+// Each change is in effect from its effective date until the next change.
+// Days away from work and days of restricted duty are counted as calendar
+// days, not counting the day of the injury (29 CFR 1904.7(b)(3)); the current
+// status counts up to, but not including, today.
+
+const { WORK_STATUSES } = require('../models/schemas');
+const { texasToday, addDays, daysBetween } = require('./dates');
+
+const STATUS_LABELS = {
+    full_duty: 'Full duty',
+    restricted_duty: 'Restricted duty',
+    off_work: 'Off work',
+    released: 'Released'
+};
+
+// Statuses in which the worker can be placed (restricted duty only in work
+// that fits the restrictions)
+const PLACEABLE_STATUSES = ['full_duty', 'restricted_duty', 'released'];
+
+// First counted day of a status period: its start, but never the injury day
+function countedFrom(start, injuryDate) {
+    return injuryDate && start <= injuryDate ? addDays(injuryDate, 1) : start;
+}
+
+// Summary of a case's timeline: the current status, the day totals and the
+// first day missed. `changes` must be in effective order
+// (db.getWorkStatusChanges). Returns null when there are no changes.
+function summarizeWorkStatus(caseRecord, changes, today = texasToday()) {
+    const effective = changes.filter(change => change.effectiveDate <= today);
+    if (effective.length === 0) return null;
+
+    let daysAway = 0;
+    let restrictedDays = 0;
+    let lostTimeStartDate = null;
+    effective.forEach((change, i) => {
+        const from = countedFrom(change.effectiveDate, caseRecord.injuryDate);
+        const end = i + 1 < effective.length ? effective[i + 1].effectiveDate : today;
+        const days = Math.max(0, daysBetween(from, end));
+        if (change.status === 'off_work') {
+            daysAway += days;
+            if (days > 0 && !lostTimeStartDate) lostTimeStartDate = from;
+        }
+        if (change.status === 'restricted_duty') restrictedDays += days;
+    });
+
+    const current = effective[effective.length - 1];
+    return {
+        status: current.status,
+        label: STATUS_LABELS[current.status],
+        since: current.effectiveDate,
+        restrictions: current.status === 'restricted_duty' ? current.restrictions || [] : [],
+        placeable: PLACEABLE_STATUSES.includes(current.status),
+        daysAway,
+        restrictedDays,
+        lostTimeStartDate
+    };
+}
+
+// Case fields kept in step with the timeline: the current status (for
+// listing who can be placed) and the OSHA day counts. The first day missed
+// only fills lostTimeStartDate when it is not already set.
+function workStatusCaseFields(caseRecord, summary) {
+    if (!summary) {
+        return { workStatus: null, workStatusSince: null, workRestrictions: null };
+    }
+    const fields = {
+        workStatus: summary.status,
+        workStatusSince: summary.since,
+        workRestrictions: summary.restrictions,
+        daysAway: summary.daysAway,
+        restrictedDays: summary.restrictedDays
+    };
+    if (!caseRecord.lostTimeStartDate && summary.lostTimeStartDate) {
+        fields.lostTimeStartDate = summary.lostTimeStartDate;
+    }
+    return fields;
+}
+
+module.exports = {
+    WORK_STATUSES,
+    STATUS_LABELS,
+    PLACEABLE_STATUSES,
+    summarizeWorkStatus,
+    workStatusCaseFields
+};